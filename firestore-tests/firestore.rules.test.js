@@ -0,0 +1,221 @@
+// Pruebas de las reglas de seguridad contra el emulador de Firestore.
+// Se ejecutan con `npm run test:rules`, que arranca el emulador y lanza Jest.
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc } = require('firebase/firestore');
+
+const APP_ID = 'test-app';
+const dataPath = (name) => `artifacts/${APP_ID}/public/data/${name}`;
+const plantPath = (plantId, name) => `artifacts/${APP_ID}/plant-${plantId}/data/${name}`;
+
+let testEnv;
+
+const author = (uid) => ({ uid, email: `${uid}@example.com`, displayName: uid });
+
+const womackEntry = (uid) => ({
+    date: '2024-05-06',
+    line: 1,
+    waterConsumption: 150,
+    oilConsumptionTotal: 50,
+    oilConsumptionPartial: 25,
+    createdAt: '2024-05-06T08:00:00.000Z',
+    createdBy: author(uid),
+});
+
+// Contexto autenticado como el usuario indicado.
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'control-consumos-rules-test',
+        firestore: { rules: fs.readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    // Perfiles y datos iniciales escritos sin pasar por las reglas.
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, dataPath('users'), 'operator'), { email: 'operator@example.com', role: 'operator' });
+        await setDoc(doc(db, dataPath('users'), 'supervisor'), { email: 'supervisor@example.com', role: 'supervisor' });
+        await setDoc(doc(db, dataPath('users'), 'admin'), { email: 'admin@example.com', role: 'admin' });
+        await setDoc(doc(db, dataPath('users'), 'north-operator'), { email: 'north@example.com', role: 'operator', plants: ['north'] });
+        await setDoc(doc(db, plantPath('north', 'womackEntries'), '2024-05-06_L1'), womackEntry('north-operator'));
+        await setDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1'), womackEntry('operator'));
+        await setDoc(doc(db, dataPath('auditLog'), 'audit-1'), { action: 'update', changedBy: author('supervisor') });
+    });
+});
+
+describe('usuarios', () => {
+    test('sin sesión no se puede leer nada', async () => {
+        const db = testEnv.unauthenticatedContext().firestore();
+        await assertFails(getDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1')));
+        await assertFails(getDoc(doc(db, dataPath('config'), 'plant')));
+    });
+
+    test('un usuario nuevo solo puede crear su perfil como pendiente', async () => {
+        const db = dbAs('newcomer');
+        await assertFails(setDoc(doc(db, dataPath('users'), 'newcomer'), { email: 'new@example.com', role: 'admin' }));
+        await assertFails(setDoc(doc(db, dataPath('users'), 'newcomer'), { email: 'new@example.com', role: 'operator' }));
+        await assertSucceeds(setDoc(doc(db, dataPath('users'), 'newcomer'), { email: 'new@example.com', role: 'pending' }));
+        await assertFails(setDoc(doc(db, dataPath('users'), 'someone-else'), { role: 'pending' }));
+    });
+
+    test('una cuenta nueva no accede a los datos hasta que un administrador le da un rol', async () => {
+        const db = dbAs('newcomer');
+        await assertSucceeds(setDoc(doc(db, dataPath('users'), 'newcomer'), { email: 'new@example.com', role: 'pending' }));
+        await assertFails(getDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1')));
+        await assertFails(setDoc(doc(db, dataPath('womackEntries'), '2024-05-07_L1'), { ...womackEntry('newcomer'), date: '2024-05-07' }));
+        await assertFails(updateDoc(doc(db, dataPath('users'), 'newcomer'), { role: 'operator' }));
+
+        await assertSucceeds(updateDoc(doc(dbAs('admin'), dataPath('users'), 'newcomer'), { role: 'operator' }));
+        await assertSucceeds(getDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1')));
+    });
+
+    test('un usuario cambia su nombre pero no su rol', async () => {
+        const db = dbAs('operator');
+        await assertSucceeds(updateDoc(doc(db, dataPath('users'), 'operator'), { displayName: 'Ana' }));
+        await assertFails(updateDoc(doc(db, dataPath('users'), 'operator'), { role: 'supervisor' }));
+    });
+
+    test('cada usuario guarda sus preferencias de avisos y nadie más las cambia', async () => {
+        const notifications = { digest: 'daily', alerts: true, email: true, webhookUrl: 'https://hooks.example.com/x', webhookFormat: 'slack' };
+        await assertSucceeds(setDoc(doc(dbAs('operator'), dataPath('users'), 'operator'), { notifications }, { merge: true }));
+        await assertFails(setDoc(doc(dbAs('supervisor'), dataPath('users'), 'operator'), { notifications: { ...notifications, webhookUrl: '' } }, { merge: true }));
+    });
+
+    test('solo un administrador cambia roles y lee otros perfiles', async () => {
+        await assertFails(getDoc(doc(dbAs('supervisor'), dataPath('users'), 'operator')));
+        await assertFails(updateDoc(doc(dbAs('supervisor'), dataPath('users'), 'operator'), { role: 'supervisor' }));
+        await assertSucceeds(getDoc(doc(dbAs('admin'), dataPath('users'), 'operator')));
+        await assertSucceeds(updateDoc(doc(dbAs('admin'), dataPath('users'), 'operator'), { role: 'supervisor' }));
+    });
+});
+
+describe('registros de consumo', () => {
+    test('un operario registra consumos firmados con su identidad', async () => {
+        const db = dbAs('operator');
+        await assertSucceeds(setDoc(doc(db, dataPath('womackEntries'), '2024-05-07_L1'), womackEntry('operator')));
+        await assertFails(setDoc(doc(db, dataPath('womackEntries'), '2024-05-08_L1'), womackEntry('supervisor')));
+    });
+
+    test('un operario no puede editar ni borrar registros', async () => {
+        const db = dbAs('operator');
+        await assertFails(updateDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1'), { waterConsumption: 1 }));
+        await assertFails(deleteDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1')));
+    });
+
+    test('un supervisor edita, aprueba y borra registros', async () => {
+        const db = dbAs('supervisor');
+        await assertSucceeds(updateDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1'), { approvedAt: '2024-05-07T08:00:00.000Z' }));
+        await assertSucceeds(deleteDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1')));
+    });
+
+    test('un supervisor restaura un registro borrado de otro autor', async () => {
+        const db = dbAs('supervisor');
+        await assertSucceeds(setDoc(doc(db, dataPath('bodymakerEntries'), '2024-05-06_L1'), {
+            weekStartDate: '2024-05-06',
+            line: 1,
+            readings: [{ machineId: 11, consumption: 4 }],
+            createdBy: author('operator'),
+        }));
+    });
+});
+
+describe('producción', () => {
+    test('un operario registra producción a su nombre pero solo un supervisor la corrige', async () => {
+        const production = (uid) => ({ date: '2024-05-06', line: 1, cans: 1200000, createdAt: '2024-05-06T08:00:00.000Z', createdBy: author(uid) });
+        await assertFails(setDoc(doc(dbAs('operator'), dataPath('productionEntries'), '2024-05-06_L1'), production('supervisor')));
+        await assertSucceeds(setDoc(doc(dbAs('operator'), dataPath('productionEntries'), '2024-05-06_L1'), production('operator')));
+        await assertFails(updateDoc(doc(dbAs('operator'), dataPath('productionEntries'), '2024-05-06_L1'), { cans: 1 }));
+        await assertSucceeds(updateDoc(doc(dbAs('supervisor'), dataPath('productionEntries'), '2024-05-06_L1'), { cans: 1100000 }));
+    });
+});
+
+describe('mantenimiento', () => {
+    test('un operario registra eventos a su nombre pero solo un supervisor los elimina', async () => {
+        const event = (uid) => ({ date: '2024-05-06', line: 1, machineId: 11, type: 'seal', description: 'Cambio de retén', downtimeHours: 1.5, createdAt: '2024-05-06T08:00:00.000Z', createdBy: author(uid) });
+        await assertFails(setDoc(doc(dbAs('operator'), dataPath('maintenanceEvents'), '2024-05-06_L1_BM11_a'), event('supervisor')));
+        await assertSucceeds(setDoc(doc(dbAs('operator'), dataPath('maintenanceEvents'), '2024-05-06_L1_BM11_a'), event('operator')));
+        await assertFails(deleteDoc(doc(dbAs('operator'), dataPath('maintenanceEvents'), '2024-05-06_L1_BM11_a')));
+        await assertSucceeds(deleteDoc(doc(dbAs('supervisor'), dataPath('maintenanceEvents'), '2024-05-06_L1_BM11_a')));
+    });
+});
+
+describe('plantas', () => {
+    test('sin plantas asignadas solo se accede a la planta original', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('operator'), dataPath('womackEntries'), '2024-05-06_L1')));
+        await assertFails(getDoc(doc(dbAs('operator'), plantPath('north', 'womackEntries'), '2024-05-06_L1')));
+        await assertFails(setDoc(doc(dbAs('operator'), plantPath('north', 'womackEntries'), '2024-05-07_L1'), womackEntry('operator')));
+    });
+
+    test('un usuario asignado a otra planta no ve la original', async () => {
+        const db = dbAs('north-operator');
+        await assertSucceeds(getDoc(doc(db, plantPath('north', 'womackEntries'), '2024-05-06_L1')));
+        await assertSucceeds(setDoc(doc(db, plantPath('north', 'womackEntries'), '2024-05-07_L1'), womackEntry('north-operator')));
+        await assertFails(getDoc(doc(db, dataPath('womackEntries'), '2024-05-06_L1')));
+    });
+
+    test('solo un administrador asigna plantas y da de alta plantas nuevas', async () => {
+        await assertFails(updateDoc(doc(dbAs('operator'), dataPath('users'), 'operator'), { plants: ['default', 'north'] }));
+        await assertSucceeds(updateDoc(doc(dbAs('admin'), dataPath('users'), 'operator'), { plants: ['default', 'north'] }));
+        await assertSucceeds(getDoc(doc(dbAs('operator'), plantPath('north', 'womackEntries'), '2024-05-06_L1')));
+        await assertFails(setDoc(doc(dbAs('supervisor'), dataPath('plants'), 'south'), { name: 'Planta Sur' }));
+        await assertSucceeds(setDoc(doc(dbAs('admin'), dataPath('plants'), 'south'), { name: 'Planta Sur' }));
+        await assertSucceeds(getDoc(doc(dbAs('north-operator'), dataPath('plants'), 'south')));
+    });
+
+    test('un administrador accede a todas las plantas', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('admin'), plantPath('north', 'womackEntries'), '2024-05-06_L1')));
+        await assertSucceeds(setDoc(doc(dbAs('admin'), plantPath('north', 'config'), 'plant'), { lines: [] }));
+    });
+});
+
+describe('auditoría', () => {
+    test('solo los supervisores leen y escriben la auditoría', async () => {
+        await assertFails(getDoc(doc(dbAs('operator'), dataPath('auditLog'), 'audit-1')));
+        await assertSucceeds(getDoc(doc(dbAs('supervisor'), dataPath('auditLog'), 'audit-1')));
+        await assertSucceeds(setDoc(doc(dbAs('supervisor'), dataPath('auditLog'), 'audit-2'), { action: 'delete', changedBy: author('supervisor') }));
+        await assertFails(setDoc(doc(dbAs('supervisor'), dataPath('auditLog'), 'audit-3'), { action: 'delete', changedBy: author('admin') }));
+    });
+
+    test('las entradas solo pueden marcarse como revertidas, nunca borrarse', async () => {
+        const db = dbAs('supervisor');
+        await assertSucceeds(updateDoc(doc(db, dataPath('auditLog'), 'audit-1'), { revertedAt: '2024-05-07T08:00:00.000Z', revertedBy: author('supervisor') }));
+        await assertFails(updateDoc(doc(db, dataPath('auditLog'), 'audit-1'), { action: 'delete' }));
+        await assertFails(deleteDoc(doc(dbAs('admin'), dataPath('auditLog'), 'audit-1')));
+    });
+});
+
+describe('importaciones', () => {
+    test('solo los supervisores registran y deshacen importaciones', async () => {
+        const record = { fileName: 'historico.xlsx', docIds: [], status: 'in-progress', createdBy: author('supervisor') };
+        await assertFails(setDoc(doc(dbAs('operator'), dataPath('imports'), 'import-1'), record));
+        await assertSucceeds(setDoc(doc(dbAs('supervisor'), dataPath('imports'), 'import-1'), record));
+        await assertSucceeds(updateDoc(doc(dbAs('supervisor'), dataPath('imports'), 'import-1'), { status: 'rolledBack' }));
+    });
+});
+
+describe('alertas', () => {
+    test('los operarios ven los reconocimientos pero solo los supervisores los firman', async () => {
+        const ack = (uid) => ({ comment: 'Fuga reparada', acknowledgedAt: '2024-05-07T08:00:00.000Z', acknowledgedBy: author(uid) });
+        await assertFails(setDoc(doc(dbAs('operator'), dataPath('alertAcks'), 'womack_2024-05-06_L1_water'), ack('operator')));
+        await assertFails(setDoc(doc(dbAs('supervisor'), dataPath('alertAcks'), 'womack_2024-05-06_L1_water'), ack('admin')));
+        await assertSucceeds(setDoc(doc(dbAs('supervisor'), dataPath('alertAcks'), 'womack_2024-05-06_L1_water'), ack('supervisor')));
+        await assertSucceeds(getDoc(doc(dbAs('operator'), dataPath('alertAcks'), 'womack_2024-05-06_L1_water')));
+    });
+});
+
+describe('configuración', () => {
+    test('todos leen la configuración pero solo los administradores la cambian', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('operator'), dataPath('config'), 'plant')));
+        await assertFails(setDoc(doc(dbAs('supervisor'), dataPath('config'), 'plant'), { lines: [] }));
+        await assertSucceeds(setDoc(doc(dbAs('admin'), dataPath('config'), 'plant'), { lines: [] }));
+    });
+});
@@ -0,0 +1,208 @@
+// Funciones de Firebase de los avisos de consumo:
+// - womackEntryAlerts / bodymakerEntryAlerts: al crearse un registro en cualquier planta, comprueba sus
+//   lecturas con los umbrales de la planta y envía una alerta inmediata a quien la tenga activada.
+// - dailyDigest: cada mañana envía el resumen diario y, los lunes, el semanal de la semana anterior.
+// Los destinatarios y sus canales salen del campo `notifications` de cada perfil (se edita en «Mi perfil»).
+//
+// Variables de entorno (fichero `functions/.env`):
+// - APP_ID: el mismo appId que usa la aplicación (por defecto, `default-consumo-app`).
+// - APP_URL: dirección de la aplicación para el enlace de los correos (opcional).
+// - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, MAIL_FROM: servidor de correo. Sin
+//   SMTP_HOST los correos no se envían y solo se registra el aviso en el log.
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const logger = require('firebase-functions/logger');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const nodemailer = require('nodemailer');
+const {
+    DEFAULT_PLANT_ID,
+    DEFAULT_PLANT_NAME,
+    DEFAULT_THRESHOLDS,
+    windowSizeOf,
+    detectAlerts,
+    shiftIsoDate,
+    todayIn,
+    dueDigests,
+    digestPeriod,
+    recipientsFor,
+    channelsOf,
+    alertMessage,
+    buildSummary,
+    summaryMessage,
+    emailContent,
+    webhookPayload,
+} = require('./notifications');
+
+initializeApp();
+const db = getFirestore();
+
+const TIME_ZONE = 'Europe/Madrid';
+const appIdOf = () => process.env.APP_ID || 'default-consumo-app';
+
+// Registros anteriores que se leen para evaluar uno nuevo: la ventana de la media móvil de cada turno
+// (hasta tres turnos y el día completo por fecha en Womack) y de cada semana en bodymakers.
+const WOMACK_SERIES_PER_DATE = 4;
+// Días anteriores al resumen que se cargan para calcular las medias de sus alertas.
+const DIGEST_HISTORY_DAYS = 120;
+
+// --- DATOS DE FIRESTORE ---
+// Misma estructura que la aplicación: perfiles y registro de plantas en `public/data` y los datos de cada
+// planta en `public/data` (la original) o en `plant-<id>/data`.
+
+const plantSpace = (plantId) => (plantId === DEFAULT_PLANT_ID ? 'public' : `plant-${plantId}`);
+const plantIdOfSpace = (space) => (space === 'public' ? DEFAULT_PLANT_ID : space.replace(/^plant-/, ''));
+const isPlantSpace = (space) => space === 'public' || /^plant-[a-z0-9-]+$/.test(space);
+
+const dataDoc = (appId, plantId) => db.doc(`artifacts/${appId}/${plantSpace(plantId)}/data`);
+const sharedDoc = (appId) => db.doc(`artifacts/${appId}/public/data`);
+
+const readConfig = async (appId, plantId, configId) => {
+    const snapshot = await dataDoc(appId, plantId).collection('config').doc(configId).get();
+    return snapshot.exists ? snapshot.data() : null;
+};
+
+const readProfiles = async (appId) => (await sharedDoc(appId).collection('users').get()).docs.map(d => ({ uid: d.id, ...d.data() }));
+
+const readPlants = async (appId) => {
+    const snapshot = await sharedDoc(appId).collection('plants').get();
+    const plants = snapshot.docs.map(d => ({ id: d.id, name: d.data().name || d.id }));
+    return plants.some(p => p.id === DEFAULT_PLANT_ID) ? plants : [{ id: DEFAULT_PLANT_ID, name: DEFAULT_PLANT_NAME }, ...plants];
+};
+
+const plantNameOf = async (appId, plantId) => {
+    const snapshot = await sharedDoc(appId).collection('plants').doc(plantId).get();
+    return snapshot.exists ? snapshot.data().name || plantId : plantId === DEFAULT_PLANT_ID ? DEFAULT_PLANT_NAME : plantId;
+};
+
+const readRange = async (appId, plantId, collectionName, field, from, to) => {
+    const snapshot = await dataDoc(appId, plantId).collection(collectionName).where(field, '>=', from).where(field, '<=', to).get();
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+// --- ENVÍO ---
+
+let transport = null;
+const mailTransport = () => {
+    if (!process.env.SMTP_HOST) return null;
+    transport = transport || nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+    return transport;
+};
+
+const sendToChannel = async (channel, message) => {
+    if (channel.type === 'email') {
+        const mailer = mailTransport();
+        if (!mailer) {
+            logger.warn(`SMTP sin configurar: no se envía "${message.title}" a ${channel.to}.`);
+            return;
+        }
+        await mailer.sendMail({ from: process.env.MAIL_FROM || process.env.SMTP_USER, to: channel.to, ...emailContent(message, process.env.APP_URL) });
+        return;
+    }
+    const response = await fetch(channel.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(webhookPayload(channel.format, message)),
+    });
+    if (!response.ok) throw new Error(`El webhook respondió ${response.status}`);
+};
+
+// Correo de la cuenta en Firebase Authentication, solo si el usuario quiere avisos por correo.
+const accountEmailOf = async (profile) => {
+    if (!profile.notifications?.email) return null;
+    try {
+        return (await getAuth().getUser(profile.uid)).email || null;
+    } catch (err) {
+        logger.warn(`No se encuentra la cuenta de ${profile.uid}:`, err);
+        return null;
+    }
+};
+
+// Envía el mensaje por todos los canales de cada destinatario. Un canal que falla no impide los demás.
+const deliver = async (recipients, message) => {
+    const accountEmails = await Promise.all(recipients.map(accountEmailOf));
+    const deliveries = recipients.flatMap((profile, i) => channelsOf(profile, accountEmails[i]).map(channel => ({ profile, channel })));
+    const results = await Promise.allSettled(deliveries.map(({ channel }) => sendToChannel(channel, message)));
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            logger.error(`Error al enviar "${message.title}" a ${deliveries[i].profile.uid} (${deliveries[i].channel.type}):`, result.reason);
+        }
+    });
+};
+
+// --- ALERTAS INMEDIATAS ---
+
+const ENTRY_DATE_FIELDS = { womackEntries: 'date', bodymakerEntries: 'weekStartDate' };
+
+const handleNewEntry = async (event, collectionName) => {
+    const { appId, space, entryId } = event.params;
+    const entry = { id: entryId, ...event.data?.data() };
+    // Los históricos importados no generan avisos inmediatos.
+    if (!event.data || entry.importId || !isPlantSpace(space)) return;
+
+    const plantId = plantIdOfSpace(space);
+    const field = ENTRY_DATE_FIELDS[collectionName];
+    const thresholds = (await readConfig(appId, plantId, 'thresholds')) || DEFAULT_THRESHOLDS;
+    const limit = windowSizeOf(thresholds) * (collectionName === 'womackEntries' ? WOMACK_SERIES_PER_DATE : 1);
+    const previous = await dataDoc(appId, plantId).collection(collectionName)
+        .where('line', '==', entry.line)
+        .where(field, '<', entry[field])
+        .orderBy(field, 'desc')
+        .limit(limit)
+        .get();
+    const entries = [...previous.docs.map(d => ({ id: d.id, ...d.data() })), entry];
+    const alerts = (collectionName === 'womackEntries' ? detectAlerts(entries, [], thresholds) : detectAlerts([], entries, thresholds))
+        .filter(a => a.entryId === entryId);
+    if (alerts.length === 0) return;
+
+    const recipients = recipientsFor(await readProfiles(appId), plantId, n => n.alerts);
+    if (recipients.length === 0) return;
+    const [config, plantName] = await Promise.all([readConfig(appId, plantId, 'plant'), plantNameOf(appId, plantId)]);
+    await deliver(recipients, alertMessage(alerts, config, plantName));
+};
+
+exports.womackEntryAlerts = onDocumentCreated('artifacts/{appId}/{space}/data/womackEntries/{entryId}', (event) => handleNewEntry(event, 'womackEntries'));
+exports.bodymakerEntryAlerts = onDocumentCreated('artifacts/{appId}/{space}/data/bodymakerEntries/{entryId}', (event) => handleNewEntry(event, 'bodymakerEntries'));
+
+// --- RESÚMENES PROGRAMADOS ---
+
+const sendPlantDigest = async (appId, plant, frequency, today, profiles) => {
+    const recipients = recipientsFor(profiles, plant.id, n => n.digest === frequency);
+    if (recipients.length === 0) return;
+
+    const period = digestPeriod(frequency, today);
+    const historyFrom = shiftIsoDate(period.previousFrom, -DIGEST_HISTORY_DAYS);
+    const [config, thresholds, womack, bodymaker] = await Promise.all([
+        readConfig(appId, plant.id, 'plant'),
+        readConfig(appId, plant.id, 'thresholds'),
+        readRange(appId, plant.id, 'womackEntries', 'date', historyFrom, period.to),
+        readRange(appId, plant.id, 'bodymakerEntries', 'weekStartDate', historyFrom, period.to),
+    ]);
+    const alerts = detectAlerts(womack, bodymaker, thresholds || DEFAULT_THRESHOLDS).filter(a => a.date >= period.from && a.date <= period.to);
+    const ackSnapshots = alerts.length ? await db.getAll(...alerts.map(a => dataDoc(appId, plant.id).collection('alertAcks').doc(a.id))) : [];
+    const acks = Object.fromEntries(ackSnapshots.filter(s => s.exists).map(s => [s.id, s.data()]));
+    const summary = buildSummary({ frequency, period, womack, bodymaker, alerts, acks, config });
+    await deliver(recipients, summaryMessage(summary, config, plant.name));
+};
+
+// Se puede lanzar a mano en el emulador desde `npm run shell` con `dailyDigest()`.
+exports.dailyDigest = onSchedule({ schedule: 'every day 07:00', timeZone: TIME_ZONE }, async () => {
+    const appId = appIdOf();
+    const today = todayIn(TIME_ZONE);
+    const [plants, profiles] = await Promise.all([readPlants(appId), readProfiles(appId)]);
+    for (const plant of plants) {
+        for (const frequency of dueDigests(today)) {
+            try {
+                await sendPlantDigest(appId, plant, frequency, today, profiles);
+            } catch (err) {
+                logger.error(`Error al preparar el resumen ${frequency} de ${plant.id}:`, err);
+            }
+        }
+    }
+});
@@ -0,0 +1,230 @@
+// Lógica de los avisos de consumo, sin dependencias de Firebase para poder probarla por separado:
+// detección de alertas (con los mismos criterios que el panel de la aplicación), resúmenes por periodo,
+// destinatarios según las preferencias de su perfil y formato de los mensajes de correo y webhook.
+// Los textos se envían en español, como los ficheros exportados desde la aplicación.
+
+const {
+    canonicalWomackEntry,
+    canonicalBodymakerEntry,
+    DEFAULT_THRESHOLDS,
+    windowSizeOf,
+    detectAnomalies,
+} = require('./alerts');
+
+const DEFAULT_PLANT_ID = 'default';
+const DEFAULT_PLANT_NAME = 'Planta principal';
+
+// Configuración de planta cuando no existe `config/plant`, igual que en la aplicación.
+const DEFAULT_LINES = [
+    { id: 1, name: 'Línea 1', machines: [] },
+    { id: 2, name: 'Línea 2', machines: [] },
+];
+
+// --- DETECCIÓN DE ALERTAS ---
+// Los umbrales y la detección son los de la aplicación (`public/src/src/alerts.js`), que se copia aquí
+// con `npm run sync:alerts`.
+
+// Líneas y máquinas que aparecen en los registros: se avisa aunque la configuración de planta no las recoja.
+const linesInEntries = (womack, bodymaker) => [...new Set([...womack, ...bodymaker].map(d => d.line))].map(id => ({
+    id,
+    machines: [...new Set(bodymaker.filter(d => d.line === id).flatMap(d => d.readings.map(r => r.machineId)))].map(machineId => ({ id: machineId })),
+}));
+
+// Alertas de los registros (en cualquier unidad), con los mismos ids que la aplicación para cruzarlas
+// con sus reconocimientos.
+const detectAlerts = (womackEntries, bodymakerEntries, thresholds = DEFAULT_THRESHOLDS) => {
+    const womack = womackEntries.map(canonicalWomackEntry);
+    const bodymaker = bodymakerEntries.map(canonicalBodymakerEntry);
+    return detectAnomalies(womack, bodymaker, { lines: linesInEntries(womack, bodymaker) }, thresholds);
+};
+
+// --- FECHAS ---
+
+const shiftIsoDate = (isoDate, days) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const weekdayOf = (isoDate) => new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+
+// Lunes de la semana de una fecha ISO.
+const weekStartOf = (isoDate) => shiftIsoDate(isoDate, -((weekdayOf(isoDate) + 6) % 7));
+
+// Fecha de hoy (ISO) en la zona horaria de la planta.
+const todayIn = (timeZone, now = new Date()) => new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+
+// Periodo que cubre cada resumen y el anterior con el que se compara: el día de ayer (diario) o la
+// semana de lunes a domingo que acaba de terminar (semanal, solo se envía los lunes).
+const DIGEST_SCHEDULE = {
+    daily: (today) => ({ from: shiftIsoDate(today, -1), to: shiftIsoDate(today, -1), days: 1 }),
+    weekly: (today) => ({ from: shiftIsoDate(weekStartOf(today), -7), to: shiftIsoDate(weekStartOf(today), -1), days: 7 }),
+};
+
+const dueDigests = (today) => (weekdayOf(today) === 1 ? ['daily', 'weekly'] : ['daily']);
+
+const digestPeriod = (frequency, today) => {
+    const period = DIGEST_SCHEDULE[frequency](today);
+    return { ...period, previousFrom: shiftIsoDate(period.from, -period.days), previousTo: shiftIsoDate(period.from, -1) };
+};
+
+// --- DESTINATARIOS ---
+
+// Mismo criterio que las reglas de Firestore: los administradores acceden a todas las plantas y el resto
+// a las de su campo `plants` (sin él, solo a la original).
+// Las cuentas pendientes de rol no tienen acceso a ninguna planta.
+const hasPlantAccess = (profile, plantId) => profile.role === 'admin'
+    || (['operator', 'supervisor'].includes(profile.role) && (profile.plants || [DEFAULT_PLANT_ID]).includes(plantId));
+
+// Usuarios con acceso a la planta cuyas preferencias (`notifications` del perfil) cumplen `wants`.
+const recipientsFor = (profiles, plantId, wants) => profiles.filter(p => p.notifications && wants(p.notifications) && hasPlantAccess(p, plantId));
+
+// Canales de un usuario: su correo, si lo ha marcado, y su webhook, si lo ha indicado. `accountEmail` es
+// el correo de su cuenta en Firebase Authentication: el `email` del perfil lo puede cambiar el propio
+// usuario y no sirve como destinatario.
+const channelsOf = (profile, accountEmail) => {
+    const { email, webhookUrl, webhookFormat } = profile.notifications || {};
+    return [
+        ...(email && accountEmail ? [{ type: 'email', to: accountEmail }] : []),
+        ...(webhookUrl && /^https:\/\/\S+$/.test(webhookUrl) ? [{ type: 'webhook', url: webhookUrl, format: webhookFormat || 'slack' }] : []),
+    ];
+};
+
+// --- MENSAJES ---
+
+const formatNumber = (value) => value.toLocaleString('es-ES', { maximumFractionDigits: 1 });
+const formatDate = (isoDate) => `${isoDate.slice(8, 10)}/${isoDate.slice(5, 7)}/${isoDate.slice(0, 4)}`;
+const formatChange = (current, previous) => (previous > 0 ? ` (${current >= previous ? '+' : ''}${formatNumber(((current - previous) / previous) * 100)} %)` : '');
+const formatRange = ({ from, to }) => (from === to ? formatDate(from) : `${formatDate(from)} – ${formatDate(to)}`);
+
+const linesOf = (config) => (config?.lines?.length ? config.lines : DEFAULT_LINES);
+const lineName = (config, lineId) => linesOf(config).find(l => l.id === lineId)?.name || `Línea ${lineId}`;
+const machineName = (config, machineId) => linesOf(config).flatMap(l => l.machines || []).find(m => m.id === machineId)?.name || `BM ${machineId}`;
+
+const METRIC_LABELS = { water: ['Agua', 'm³'], oil: ['Aceite', 'L'] };
+
+const describeReason = (reason, mean) => {
+    switch (reason.type) {
+        case 'absolute': return `supera el límite de ${formatNumber(reason.limit)}`;
+        case 'deviation': return `+${formatNumber(reason.value)}% sobre la media (${formatNumber(mean)})`;
+        case 'zScore': return `z = ${formatNumber(reason.value)} (límite ${formatNumber(reason.limit)})`;
+        default: return reason.type;
+    }
+};
+
+const describeAlert = (alert, config) => {
+    const [label, unit] = METRIC_LABELS[alert.metric];
+    const target = alert.kind === 'womack'
+        ? `Womack ${lineName(config, alert.line)}${alert.shift ? ` (turno ${alert.shift})` : ''}`
+        : `${machineName(config, alert.machineId)} (${lineName(config, alert.line)})`;
+    const reasons = alert.reasons.map(r => describeReason(r, alert.mean)).join('; ');
+    return `${formatDate(alert.date)} · ${target} · ${label} ${formatNumber(alert.value)} ${unit}: ${reasons}`;
+};
+
+// Mensaje de las alertas de un registro recién guardado.
+const alertMessage = (alerts, config, plantName) => ({
+    kind: 'alert',
+    title: `Alerta de consumo · ${plantName}`,
+    lines: alerts.map(a => describeAlert(a, config)),
+    data: { plant: plantName, alerts },
+});
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+// Resumen de un periodo: consumos Womack por línea (y de bodymakers en el semanal) frente al periodo
+// anterior, líneas con días sin registro y alertas del periodo con su estado de reconocimiento.
+// `womack` y `bodymaker` deben incluir el periodo anterior; `alerts`, las del periodo.
+const buildSummary = ({ frequency, period, womack, bodymaker, alerts, acks = {}, config }) => {
+    const inRange = (date, from, to) => date >= from && date <= to;
+    const canonicalWomack = womack.map(canonicalWomackEntry);
+    const canonicalBodymaker = bodymaker.map(canonicalBodymakerEntry);
+    const totals = (lineId, from, to, field) => sum(canonicalWomack.filter(d => d.line === lineId && inRange(d.date, from, to)).map(d => d[field]));
+    const bodymakerTotal = (lineId, from, to) => sum(canonicalBodymaker
+        .filter(d => d.line === lineId && inRange(d.weekStartDate, from, to))
+        .flatMap(d => d.readings.map(r => r.consumption)));
+    const periodDates = Array.from({ length: period.days }, (_, i) => shiftIsoDate(period.from, i));
+
+    return {
+        frequency,
+        period,
+        lines: linesOf(config).map(line => ({
+            line: line.id,
+            name: line.name,
+            water: totals(line.id, period.from, period.to, 'waterConsumption'),
+            oil: totals(line.id, period.from, period.to, 'oilConsumptionTotal'),
+            previousWater: totals(line.id, period.previousFrom, period.previousTo, 'waterConsumption'),
+            previousOil: totals(line.id, period.previousFrom, period.previousTo, 'oilConsumptionTotal'),
+            missingDays: periodDates.filter(date => !canonicalWomack.some(d => d.line === line.id && d.date === date)).length,
+            bodymakerOil: frequency === 'weekly' ? bodymakerTotal(line.id, period.from, period.to) : null,
+            previousBodymakerOil: frequency === 'weekly' ? bodymakerTotal(line.id, period.previousFrom, period.previousTo) : null,
+        })),
+        alerts: alerts.map(a => ({ ...a, acknowledged: !!acks[a.id] })),
+    };
+};
+
+const summaryMessage = (summary, config, plantName) => {
+    const title = `${summary.frequency === 'weekly' ? 'Resumen semanal' : 'Resumen diario'} de consumos · ${plantName} · ${formatRange(summary.period)}`;
+    const pending = summary.alerts.filter(a => !a.acknowledged);
+    const lines = [
+        ...summary.lines.map(l => [
+            `${l.name}: agua ${formatNumber(l.water)} m³${formatChange(l.water, l.previousWater)}, aceite Womack ${formatNumber(l.oil)} L${formatChange(l.oil, l.previousOil)}`,
+            l.bodymakerOil !== null ? `, aceite bodymakers ${formatNumber(l.bodymakerOil)} L${formatChange(l.bodymakerOil, l.previousBodymakerOil)}` : '',
+            l.missingDays > 0 ? ` · ${l.missingDays} día(s) sin registro Womack` : '',
+        ].join('')),
+        summary.alerts.length
+            ? `Alertas del periodo: ${summary.alerts.length} (${pending.length} pendiente(s) de reconocer)`
+            : 'Sin lecturas fuera de los umbrales en el periodo.',
+        ...pending.map(a => `- ${describeAlert(a, config)}`),
+    ];
+    return { kind: 'summary', title, lines, data: { plant: plantName, ...summary } };
+};
+
+// --- CANALES ---
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const emailContent = (message, appUrl) => {
+    const lines = appUrl ? [...message.lines, '', `Abrir la aplicación: ${appUrl}`] : message.lines;
+    return {
+        subject: message.title,
+        text: lines.join('\n'),
+        html: `<h2>${escapeHtml(message.title)}</h2>${lines.map(l => `<p>${escapeHtml(l)}</p>`).join('')}`,
+    };
+};
+
+// Cuerpo JSON de cada formato de webhook: Slack (`text` con formato mrkdwn), tarjeta de mensaje de
+// Microsoft Teams o un JSON genérico con los datos del aviso para otras integraciones.
+const webhookPayload = (format, message) => {
+    switch (format) {
+        case 'teams': return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: message.title,
+            themeColor: message.kind === 'alert' ? 'E53E3E' : '4299E1',
+            title: message.title,
+            text: message.lines.join('\n\n'),
+        };
+        case 'json': return { type: message.kind, title: message.title, text: message.lines.join('\n'), data: message.data };
+        default: return { text: `*${message.title}*\n${message.lines.join('\n')}` };
+    }
+};
+
+module.exports = {
+    DEFAULT_PLANT_ID,
+    DEFAULT_PLANT_NAME,
+    DEFAULT_THRESHOLDS,
+    windowSizeOf,
+    detectAlerts,
+    shiftIsoDate,
+    todayIn,
+    dueDigests,
+    digestPeriod,
+    hasPlantAccess,
+    recipientsFor,
+    channelsOf,
+    alertMessage,
+    buildSummary,
+    summaryMessage,
+    emailContent,
+    webhookPayload,
+};
@@ -0,0 +1,101 @@
+// Pruebas de la lógica de los avisos (alertas, resúmenes, destinatarios y formatos), sin Firebase.
+// Se ejecutan con `npm test` desde `functions/`.
+const {
+    detectAlerts,
+    dueDigests,
+    digestPeriod,
+    recipientsFor,
+    channelsOf,
+    alertMessage,
+    buildSummary,
+    summaryMessage,
+    webhookPayload,
+} = require('./notifications');
+
+const womackEntry = (date, line, water, oil = 50, extra = {}) => ({
+    id: `${date}_L${line}`, date, line, waterConsumption: water, oilConsumptionTotal: oil, waterUnit: 'm3', oilUnit: 'L', ...extra,
+});
+
+const profile = (uid, notifications, extra = {}) => ({ uid, email: `${uid}@example.com`, role: 'operator', notifications, ...extra });
+
+describe('alertas', () => {
+    test('detecta una lectura muy por encima de la media con los ids de la aplicación', () => {
+        const entries = ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-04'].map(date => womackEntry(date, 1, 100));
+        const alerts = detectAlerts([...entries, womackEntry('2024-05-05', 1, 200)], []);
+
+        expect(alerts.map(a => a.id)).toEqual(['womack_2024-05-05_L1_water']);
+        expect(alerts[0].reasons[0]).toMatchObject({ type: 'deviation', value: 100, limit: 50 });
+    });
+
+    test('convierte las unidades y compara cada máquina con su propio histórico', () => {
+        const week = (weekStartDate, bm13) => ({ id: `${weekStartDate}_L1`, line: 1, weekStartDate, readings: [{ machineId: 11, consumption: 4, unit: 'L' }, { machineId: 13, ...bm13 }] });
+        const weeks = [
+            week('2024-04-01', { consumption: 4, unit: 'L' }),
+            week('2024-04-08', { consumption: 4, unit: 'L' }),
+            week('2024-04-15', { consumption: 4, unit: 'L' }),
+            week('2024-04-22', { consumption: 4, unit: 'gal' }),
+        ];
+        expect(detectAlerts([], weeks).map(a => a.id)).toEqual(['bodymaker_2024-04-22_L1_13']);
+    });
+});
+
+describe('resúmenes', () => {
+    test('el semanal se envía los lunes y cubre la semana anterior', () => {
+        expect(dueDigests('2024-05-13')).toEqual(['daily', 'weekly']);
+        expect(dueDigests('2024-05-14')).toEqual(['daily']);
+        expect(digestPeriod('weekly', '2024-05-13')).toEqual({ from: '2024-05-06', to: '2024-05-12', days: 7, previousFrom: '2024-04-29', previousTo: '2024-05-05' });
+        expect(digestPeriod('daily', '2024-05-13')).toMatchObject({ from: '2024-05-12', to: '2024-05-12', previousFrom: '2024-05-11' });
+    });
+
+    test('suma los consumos por línea frente al periodo anterior y cuenta los días sin registro', () => {
+        const period = digestPeriod('daily', '2024-05-13');
+        const summary = buildSummary({
+            frequency: 'daily',
+            period,
+            womack: [womackEntry('2024-05-11', 1, 100), womackEntry('2024-05-12', 1, 120, 50, { waterUnit: 'm3' }), womackEntry('2024-05-12', 1, 30000, 5, { id: 't1', shift: 'T1', waterUnit: 'L' })],
+            bodymaker: [],
+            alerts: [],
+            config: null,
+        });
+
+        expect(summary.lines[0]).toMatchObject({ line: 1, water: 150, previousWater: 100, oil: 55, missingDays: 0, bodymakerOil: null });
+        expect(summary.lines[1]).toMatchObject({ line: 2, water: 0, missingDays: 1 });
+        const message = summaryMessage(summary, null, 'Planta principal');
+        expect(message.title).toBe('Resumen diario de consumos · Planta principal · 12/05/2024');
+        expect(message.lines[0]).toBe('Línea 1: agua 150 m³ (+50 %), aceite Womack 55 L (+10 %)');
+        expect(message.lines[1]).toContain('1 día(s) sin registro Womack');
+    });
+});
+
+describe('destinatarios y canales', () => {
+    test('solo avisa a quien tiene acceso a la planta y lo ha pedido', () => {
+        const profiles = [
+            profile('ana', { alerts: true, email: true }),
+            profile('luis', { alerts: true, email: true }, { plants: ['sevilla'] }),
+            profile('eva', { alerts: false, email: true }),
+            profile('admin', { alerts: true, email: false, webhookUrl: 'https://hooks.example.com/x', webhookFormat: 'teams' }, { role: 'admin' }),
+            profile('nuevo', { alerts: true, email: true }, { role: 'pending' }),
+        ];
+
+        expect(recipientsFor(profiles, 'default', n => n.alerts).map(p => p.uid)).toEqual(['ana', 'admin']);
+        expect(recipientsFor(profiles, 'sevilla', n => n.alerts).map(p => p.uid)).toEqual(['luis', 'admin']);
+        expect(channelsOf(profiles[3])).toEqual([{ type: 'webhook', url: 'https://hooks.example.com/x', format: 'teams' }]);
+        expect(channelsOf(profile('x', { email: true, webhookUrl: 'http://inseguro' }), 'x@example.com')).toEqual([{ type: 'email', to: 'x@example.com' }]);
+    });
+
+    test('el correo va a la cuenta de Firebase Authentication, no al del perfil', () => {
+        const spoofed = profile('x', { email: true }, { email: 'otra@example.com' });
+        expect(channelsOf(spoofed, 'x@example.com')).toEqual([{ type: 'email', to: 'x@example.com' }]);
+        expect(channelsOf(spoofed, null)).toEqual([]);
+    });
+
+    test('da formato de Slack, Teams o JSON genérico al mensaje', () => {
+        const alerts = detectAlerts([...['2024-05-01', '2024-05-02', '2024-05-03'].map(date => womackEntry(date, 2, 10)), womackEntry('2024-05-04', 2, 30)], []);
+        const message = alertMessage(alerts, { lines: [{ id: 2, name: 'Línea Sur', machines: [] }] }, 'Planta principal');
+
+        expect(message.lines[0]).toBe('04/05/2024 · Womack Línea Sur · Agua 30 m³: +200% sobre la media (10)');
+        expect(webhookPayload('slack', message).text).toBe(`*Alerta de consumo · Planta principal*\n${message.lines[0]}`);
+        expect(webhookPayload('teams', message)).toMatchObject({ '@type': 'MessageCard', title: message.title, text: message.lines[0] });
+        expect(webhookPayload('json', message)).toMatchObject({ type: 'alert', data: { plant: 'Planta principal', alerts } });
+    });
+});
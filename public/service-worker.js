@@ -0,0 +1,79 @@
+// Service worker de la app: guarda en caché la aplicación para que arranque sin conexión.
+// Los datos no pasan por aquí: Firestore tiene su propia caché persistente en IndexedDB
+// y los registros sin sincronizar se guardan en la cola local de la app.
+
+const CACHE_NAME = 'control-consumos-v2';
+const APP_SHELL = ['./', './index.html', './manifest.json', './icon.svg'];
+
+// Ficheros del build con hash en el nombre: su contenido no cambia nunca, así que se sirven desde la caché.
+const isHashedAsset = (url) => url.pathname.includes('/static/');
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Borra de la caché los ficheros con hash que ya no forman parte del build publicado (`asset-manifest.json`,
+// que genera react-scripts), para que no se acumulen los de cada despliegue.
+const pruneHashedAssets = async () => {
+    const response = await fetch('./asset-manifest.json', { cache: 'no-store' });
+    if (!response.ok) return;
+    const { files = {} } = await response.json();
+    const current = new Set(Object.values(files).map(path => new URL(path, self.location.href).pathname));
+    const cache = await caches.open(CACHE_NAME);
+    const requests = await cache.keys();
+    await Promise.all(requests
+        .filter(request => isHashedAsset(new URL(request.url)) && !current.has(new URL(request.url).pathname))
+        .map(request => cache.delete(request)));
+};
+
+// Primero la red, guardando la respuesta en `cacheKey` solo si es correcta (una página de error no debe
+// sustituir a la copia buena); sin conexión, la copia guardada.
+const networkFirst = (request, cacheKey) => fetch(request)
+    .then(response => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(cacheKey, copy));
+        }
+        return response;
+    })
+    .catch(() => caches.match(cacheKey).then(cached => cached || Response.error()));
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Solo peticiones GET del propio origen; Firebase y el resto de servicios externos van directos a la red.
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Navegación: siempre la última versión de la página y, de paso, se limpian los ficheros de builds anteriores.
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, './index.html'));
+        event.waitUntil(pruneHashedAssets().catch(err => console.warn('No se ha podido limpiar la caché:', err)));
+        return;
+    }
+
+    // Ficheros con hash (JS y CSS de /static): primero la caché.
+    if (isHashedAsset(url)) {
+        event.respondWith(
+            caches.match(request).then(cached => cached || fetch(request).then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            }))
+        );
+        return;
+    }
+
+    // El resto (manifiesto, iconos...) no lleva hash y puede cambiar en cada despliegue: primero la red.
+    event.respondWith(networkFirst(request, request));
+});
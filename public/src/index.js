@@ -8,3 +8,12 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Registra el service worker en producción para que la app sea instalable y arranque sin conexión.
+if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(error => {
+      console.error('Error al registrar el service worker:', error);
+    });
+  });
+}
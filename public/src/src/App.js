@@ -1,8 +1,24 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback, useContext } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, onAuthStateChanged, signInWithCustomToken } from 'firebase/auth';
-import { getFirestore, collection, addDoc, onSnapshot, query } from 'firebase/firestore';
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getAuth, onAuthStateChanged, signInWithCustomToken, signInWithEmailAndPassword, createUserWithEmailAndPassword, sendPasswordResetEmail, updateProfile, signOut } from 'firebase/auth';
+import { getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, setDoc, getDocs, onSnapshot, query, where, orderBy, limit, startAfter, writeBatch, runTransaction } from 'firebase/firestore';
+import { LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import * as XLSX from 'xlsx';
+import { en } from './translations';
+import {
+    UNITS,
+    CANONICAL_UNITS,
+    hasValue,
+    unitFactor,
+    toCanonical,
+    canonicalWomackEntry,
+    canonicalBodymakerEntry,
+    DEFAULT_THRESHOLDS,
+    MIN_ANOMALY_HISTORY,
+    THRESHOLD_CRITERIA,
+    windowSizeOf,
+    detectAnomalies,
+} from './alerts';
 
 // --- Helper: OBTENER CONFIGURACIÓN Y VARIABLES DE ENTORNO (VERSIÓN CORREGIDA) ---
 // Este código es más robusto para el despliegue y no detendrá la construcción en Vercel.
@@ -38,6 +54,50 @@ const firebaseConfig = getFirebaseConfig();
 // El appId también puede ser configurable para separar datos de desarrollo y producción.
 const appId = (typeof process !== 'undefined' && process.env ? process.env.REACT_APP_ID : undefined) || (typeof __app_id !== 'undefined' ? __app_id : 'default-consumo-app');
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Modo local (REACT_APP_DATA_SOURCE=local): sin proyecto de Firebase, con los registros guardados en el
+// navegador y una sesión de demostración con permisos de supervisor.
+const LOCAL_DATA_SOURCE = (typeof process !== 'undefined' && process.env ? process.env.REACT_APP_DATA_SOURCE : undefined) === 'local';
+const DEMO_PROFILE = { uid: 'demo', email: null, displayName: 'Demo', role: 'supervisor' };
+
+
+// --- IDIOMA Y FORMATO ---
+// Los textos de la interfaz se escriben en español y `t` los traduce con el catálogo del idioma elegido
+// (translations.js), usando el propio texto en español como clave. Los parámetros van entre llaves:
+// t('Página {page}', { page: 2 }). Un texto sin traducir se muestra en español.
+const LANGUAGES = {
+    es: { label: 'Español', locale: 'es-ES' },
+    en: { label: 'English', locale: 'en-GB' },
+};
+const DEFAULT_LANGUAGE = 'es';
+const TRANSLATIONS = { en };
+
+// Textos y formatos de pantalla de un idioma: `t` y las fechas y números con su configuración regional.
+// Los ficheros exportados usan siempre el formato español (`formatDateEs` / `formatNumberEs`).
+const createI18n = (language) => {
+    const code = LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+    const locale = LANGUAGES[code].locale;
+    const number = (value, maximumFractionDigits) => value.toLocaleString(locale, { maximumFractionDigits });
+    return {
+        language: code,
+        locale,
+        t: (text, params = {}) => (TRANSLATIONS[code]?.[text] ?? text)
+            .replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match)),
+        formatDate: (isoDate) => new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(locale, { day: '2-digit', month: '2-digit', year: 'numeric', timeZone: 'UTC' }),
+        formatDateTime: (timestamp) => new Date(timestamp).toLocaleString(locale),
+        // Inicial del día de la semana (L, M, X... en español).
+        weekdayInitial: (isoDate) => new Date(`${isoDate}T00:00:00Z`).toLocaleDateString(locale, { weekday: 'narrow', timeZone: 'UTC' }),
+        formatNumber: (value) => (typeof value === 'number' ? number(value, 3) : value ?? ''),
+        formatKpi: (value) => (!hasValue(value) ? '–' : number(value, 2)),
+        formatAlertValue: (value) => number(value, 1),
+        formatChange: (change) => (change === null ? '–' : `${change > 0 ? '+' : ''}${number(change, 1)} %`),
+        formatCurrency: (value) => (value ?? 0).toLocaleString(locale, { style: 'currency', currency: 'EUR' }),
+    };
+};
+
+// App proporciona el idioma elegido a toda la interfaz y las vistas lo leen con `useI18n()`; las funciones
+// auxiliares que generan textos lo reciben como parámetro (`i18n`). Sin proveedor se usa el español.
+const I18nContext = React.createContext(createI18n(DEFAULT_LANGUAGE));
+const useI18n = () => useContext(I18nContext);
 
 
 // --- COMPONENTES DE LA INTERFAZ DE USUARIO (Estilo shadcn/ui) ---
@@ -55,15 +115,16 @@ const CardContent = ({ children, className = '' }) => <div className={`p-6 ${cla
 const CardTitle = ({ children, className = '' }) => <h3 className={`text-2xl font-bold tracking-tight ${className}`}>{children}</h3>;
 const CardDescription = ({ children, className = '' }) => <p className={`text-sm text-gray-400 ${className}`}>{children}</p>;
 
-const Button = ({ children, onClick, className = '', variant = 'primary' }) => {
+const Button = ({ children, onClick, className = '', variant = 'primary', type = 'button', disabled = false }) => {
     const baseClasses = 'inline-flex items-center justify-center rounded-md text-sm font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-gray-900 disabled:opacity-50 disabled:pointer-events-none';
     const variantClasses = {
         primary: 'bg-indigo-600 text-white hover:bg-indigo-700 focus:ring-indigo-500',
         secondary: 'bg-gray-700 text-gray-200 hover:bg-gray-600 focus:ring-gray-500',
         ghost: 'hover:bg-gray-700 hover:text-white',
+        danger: 'bg-red-700 text-white hover:bg-red-800 focus:ring-red-500',
     };
     return (
-        <button onClick={onClick} className={`${baseClasses} ${variantClasses[variant]} ${className}`}>
+        <button type={type} onClick={onClick} disabled={disabled} className={`${baseClasses} ${variantClasses[variant]} ${className}`}>
             {children}
         </button>
     );
@@ -76,6 +137,13 @@ const Input = ({ className = '', ...props }) => (
     />
 );
 
+// Mensaje de estado tras una acción: `{ text, isError }`, o null cuando no hay nada que mostrar.
+const successStatus = (text) => ({ text, isError: false });
+const errorStatus = (text) => ({ text, isError: true });
+const StatusMessage = ({ status, className = '' }) => (status
+    ? <p className={`text-center text-sm ${status.isError ? 'text-red-400' : 'text-green-400'} ${className}`}>{status.text}</p>
+    : null);
+
 const Label = ({ children, htmlFor, className = '' }) => <label htmlFor={htmlFor} className={`text-sm font-medium leading-none peer-disabled:cursor-not-allowed peer-disabled:opacity-70 ${className}`}>{children}</label>;
 
 const Table = ({ children, className = '' }) => <div className={`w-full overflow-auto ${className}`}><table className="w-full caption-bottom text-sm">{children}</table></div>;
@@ -85,9 +153,771 @@ const TableRow = ({ children, className = '' }) => <tr className={`border-b bord
 const TableHead = ({ children, className = '' }) => <th className={`h-12 px-4 text-left align-middle font-medium text-gray-400 ${className}`}>{children}</th>;
 const TableCell = ({ children, className = '' }) => <td className={`p-4 align-middle ${className}`}>{children}</td>;
 
+// Botones de las filas de historial: aprobar/editar/eliminar y, durante la edición, guardar/cancelar.
+const RowActions = ({ onEdit, onDelete, onApprove }) => {
+    const { t } = useI18n();
+    return (
+        <div className="flex justify-end gap-2">
+            {onApprove && <Button variant="secondary" className="h-8 px-3" onClick={onApprove}>{t('Aprobar')}</Button>}
+            <Button variant="ghost" className="h-8 px-3" onClick={onEdit}>{t('Editar')}</Button>
+            <Button variant="danger" className="h-8 px-3" onClick={onDelete}>{t('Eliminar')}</Button>
+        </div>
+    );
+};
+
+const RowEditActions = ({ onSave, onCancel }) => {
+    const { t } = useI18n();
+    return (
+        <div className="flex justify-end gap-2">
+            <Button className="h-8 px-3" onClick={onSave}>{t('Guardar')}</Button>
+            <Button variant="secondary" className="h-8 px-3" onClick={onCancel}>{t('Cancelar')}</Button>
+        </div>
+    );
+};
+
+// Navegación entre las páginas de un historial paginado en el servidor (`usePagedEntries`).
+const PaginationControls = ({ pageNumber, hasPrevious, hasNext, onPrevious, onNext }) => {
+    const { t } = useI18n();
+    if (!hasPrevious && !hasNext) return null;
+    return (
+        <div className="mt-4 flex items-center justify-end gap-2 text-sm text-gray-400">
+            <Button variant="secondary" className="h-8 px-3" onClick={onPrevious} disabled={!hasPrevious}>← {t('Anterior')}</Button>
+            <span>{t('Página {page}', { page: pageNumber })}</span>
+            <Button variant="secondary" className="h-8 px-3" onClick={onNext} disabled={!hasNext}>{t('Siguiente')} →</Button>
+        </div>
+    );
+};
+
+// Color con el que se resaltan las lecturas que han generado una alerta.
+const ANOMALY_COLOR = '#E53E3E';
+
+// Punto de un gráfico de líneas, resaltado cuando la lectura ha generado una alerta.
+// Cada fila de datos lleva en `anomalies` las series (dataKey) con lecturas anómalas.
+const AnomalyDot = ({ cx, cy, stroke, dataKey, payload }) => {
+    if (cx == null || cy == null) return null;
+    const isAnomaly = payload.anomalies?.includes(dataKey);
+    return <circle cx={cx} cy={cy} r={isAnomaly ? 6 : 3} fill={isAnomaly ? ANOMALY_COLOR : '#1A202C'} stroke={isAnomaly ? ANOMALY_COLOR : stroke} strokeWidth={2} />;
+};
+
+// Celda de historial con el valor resaltado si tiene una alerta asociada.
+const ValueCell = ({ value, alert }) => {
+    const i18n = useI18n();
+    return (
+        <TableCell className={alert ? 'text-red-400 font-semibold' : ''}>
+            <span title={alert ? describeAnomaly(i18n, alert) : undefined}>{value}{alert && ' ⚠'}</span>
+        </TableCell>
+    );
+};
+
+// Mensaje de validación bajo un campo: el error en rojo o, si no lo hay, el aviso de plausibilidad en ámbar.
+const FieldMessage = ({ error, warning }) => {
+    if (error) return <p className="text-xs text-red-400">{error}</p>;
+    if (warning) return <p className="text-xs text-amber-400">⚠ {warning}</p>;
+    return null;
+};
+
+const fieldStateClass = (error, warning) => (error ? 'border-red-500' : warning ? 'border-amber-500' : '');
+
+// Confirmación explícita antes de guardar valores poco plausibles.
+const PlausibilityConfirm = ({ warnings, onConfirm, onCancel, isLoading }) => {
+    const { t } = useI18n();
+    return (
+        <div className="mt-6 rounded-lg border border-amber-600 bg-amber-900/20 p-4 space-y-4">
+            <p className="font-medium text-amber-300">{t('Algunos valores son muy superiores a los de la semana anterior. ¿Son correctos?')}</p>
+            <ul className="list-disc pl-5 text-sm text-gray-300 space-y-1">
+                {warnings.map(w => <li key={w}>{w}</li>)}
+            </ul>
+            <div className="flex flex-col sm:flex-row gap-2 sm:justify-end">
+                <Button variant="secondary" onClick={onCancel} disabled={isLoading}>{t('Revisar valores')}</Button>
+                <Button onClick={onConfirm} disabled={isLoading}>{t('Confirmar y guardar')}</Button>
+            </div>
+        </div>
+    );
+};
+
+// Campo de lectura de contador: muestra la lectura anterior y el consumo calculado, y pide los datos
+// que faltan cuando no hay lectura anterior o el contador ha dado la vuelta o se ha sustituido.
+const MeterField = ({ id, label, kind, unit, stepDays, input = {}, result = {}, onChange, error, warning, children }) => {
+    const i18n = useI18n();
+    const { t, formatDate, formatNumber } = i18n;
+    return (
+        <div className="space-y-2">
+            <Label htmlFor={id}>{label}</Label>
+            <div className="flex gap-2">
+                <Input id={id} type="number" step="any" min="0" placeholder={t('Contador')} className={fieldStateClass(error, warning)} value={input.meter || ''} onChange={e => onChange({ meter: e.target.value })} />
+                {children}
+            </div>
+            {result.previous ? (
+                <p className="text-xs text-gray-400">
+                    {t('Anterior: {value} ({date})', { value: formatNumber(result.previous.value), date: formatDate(result.previous.date) })}
+                    {!isBlank(result.consumption) && ` · ${t('Consumo: {value}', { value: withUnit(result.consumption, kind, unit) })}`}
+                </p>
+            ) : (
+                <Input
+                    type="number"
+                    step="any"
+                    aria-label={t('Consumo {label}', { label })}
+                    placeholder={t('Sin lectura anterior: consumo ({unit})', { unit: unitLabel(kind, unit) })}
+                    className="h-8 text-xs"
+                    value={input.consumption || ''}
+                    onChange={e => onChange({ consumption: e.target.value })}
+                />
+            )}
+            {result.event && (
+                <div className="space-y-1 rounded-md border border-amber-600 bg-amber-900/20 p-2">
+                    <select aria-label={t('Motivo de la bajada de {label}', { label })} value={result.event.type} onChange={e => onChange({ event: e.target.value })} className="h-8 w-full rounded-md border border-gray-600 bg-gray-900 px-2 text-xs text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                        {Object.entries(METER_EVENTS).map(([type, text]) => <option key={type} value={type}>{t(text)}</option>)}
+                    </select>
+                    {result.event.type === 'rollover' && (
+                        <Input
+                            type="number"
+                            step="any"
+                            aria-label={t('Capacidad del contador')}
+                            placeholder={result.previous.capacity
+                                ? t('Capacidad: {value}', { value: formatNumber(result.previous.capacity) })
+                                : t('Capacidad (p. ej. {value})', { value: formatNumber(meterCapacity(result.previous.value)) })}
+                            className="h-8 text-xs"
+                            value={input.capacity || ''}
+                            onChange={e => onChange({ capacity: e.target.value })}
+                        />
+                    )}
+                    {result.event.type === 'replacement' && (
+                        <>
+                            <Input type="number" step="any" aria-label={t('Lectura final del contador retirado')} placeholder={t('Final del retirado (opcional)')} className="h-8 text-xs" value={input.oldFinal || ''} onChange={e => onChange({ oldFinal: e.target.value })} />
+                            <Input type="number" step="any" aria-label={t('Lectura inicial del contador nuevo')} placeholder={t('Inicial del nuevo (0)')} className="h-8 text-xs" value={input.newInitial || ''} onChange={e => onChange({ newInitial: e.target.value })} />
+                        </>
+                    )}
+                </div>
+            )}
+            {result.gap && <p className="text-xs text-amber-400">{t('{count} sin lectura: el consumo abarca todo el intervalo.', { count: periodCountLabel(i18n, result.gap.missing, stepDays) })}</p>}
+            <FieldMessage error={error} warning={warning} />
+        </div>
+    );
+};
+
+// Eventos y huecos de contador de un registro, mostrados bajo la fecha en los historiales.
+const MeterNotes = ({ notes }) => notes.map(note => <span key={note} className="block text-xs text-amber-400">{note}</span>);
+
+// Autor y estado de aprobación de un registro, mostrado bajo la fecha en los historiales.
+const EntryMeta = ({ entry }) => {
+    const { t } = useI18n();
+    return (
+        <span className="block text-xs text-gray-500">
+            {displayNameOf(entry.createdBy)}
+            {entry.approvedAt && <span className="ml-2 text-green-400" title={t('Aprobado por {name}', { name: displayNameOf(entry.approvedBy) })}>✓ {t('Aprobado')}</span>}
+        </span>
+    );
+};
+
+// Selector de línea generado a partir de la configuración de planta.
+const LineSelect = ({ lines, value, onChange, describe = (l) => l.name }) => (
+    <select id="line" value={value} onChange={e => onChange(Number(e.target.value))} className="flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+        {lines.map(l => <option key={l.id} value={l.id}>{describe(l)}</option>)}
+    </select>
+);
+
+// Selector de turno del calendario de planta; `emptyLabel` es la opción sin turno (día completo o todos).
+const ShiftSelect = ({ id, shifts, value, onChange, emptyLabel, className = '' }) => (
+    <select id={id} value={value} onChange={e => onChange(e.target.value)} className={`flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500 ${className}`}>
+        <option value="">{emptyLabel}</option>
+        {shifts.map(s => <option key={s.id} value={s.id}>{shiftLabel(s)}</option>)}
+    </select>
+);
+
+// Turno y operario de un registro Womack en los historiales.
+const ShiftCell = ({ config, entry }) => {
+    const i18n = useI18n();
+    return (
+        <>
+            {shiftName(i18n, config, entry.shift)}
+            {entry.operator && <span className="block text-xs text-gray-500">{entry.operator}</span>}
+        </>
+    );
+};
+
+// Selector de unidad de un tipo de consumo ('water' u 'oil').
+const UnitSelect = ({ id, kind, value, onChange }) => {
+    const { t } = useI18n();
+    return (
+        <select id={id} aria-label={t('Unidad')} value={value} onChange={e => onChange(e.target.value)} className="h-10 rounded-md border border-gray-600 bg-gray-900 px-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+            {Object.entries(UNITS[kind]).map(([unit, { label }]) => <option key={unit} value={unit}>{label}</option>)}
+        </select>
+    );
+};
+
+// Aviso de registro duplicado con la comparación de valores y las opciones de resolución.
+// `rows` es una lista de { label, existing, incoming }. Sin `onMerge` no se ofrece la fusión y
+// sin `onOverwrite` (usuarios sin permiso de edición) solo puede cancelarse.
+const DuplicateEntryDialog = ({ title, rows, onOverwrite, onMerge, onCancel, isLoading }) => {
+    const { t } = useI18n();
+    return (
+        <div className="mt-6 rounded-lg border border-yellow-600 bg-yellow-900/30 p-4 space-y-4">
+            <p className="font-semibold text-yellow-300">{title}</p>
+            <Table>
+                <TableHeader>
+                    <TableRow>
+                        <TableHead>{t('Campo')}</TableHead>
+                        <TableHead>{t('Guardado')}</TableHead>
+                        <TableHead>{t('Nuevo')}</TableHead>
+                    </TableRow>
+                </TableHeader>
+                <TableBody>
+                    {rows.map(({ label, existing, incoming }) => (
+                        <TableRow key={label} className={existing !== incoming ? 'text-yellow-200' : ''}>
+                            <TableCell>{label}</TableCell>
+                            <TableCell>{existing ?? '–'}</TableCell>
+                            <TableCell>{incoming ?? '–'}</TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+            <div className="flex flex-wrap justify-end gap-2">
+                <Button variant="secondary" onClick={onCancel} disabled={isLoading}>{t('Cancelar')}</Button>
+                {onMerge && <Button variant="secondary" onClick={onMerge} disabled={isLoading}>{t('Fusionar lecturas que faltan')}</Button>}
+                {onOverwrite && <Button variant="danger" onClick={onOverwrite} disabled={isLoading}>{t('Sobrescribir')}</Button>}
+            </div>
+            {!onOverwrite && <p className="text-xs text-gray-400 text-right">{t('Solo un supervisor puede modificar el registro existente.')}</p>}
+        </div>
+    );
+};
+
+
+// --- CONFIGURACIÓN DE PLANTA ---
+// Líneas, máquinas y nombres visibles se leen del documento `config/plant` de Firestore.
+// Mientras no exista se usa esta configuración por defecto (la planta original).
+
+const buildMachines = (firstId, count) => Array.from({ length: count }, (_, i) => ({
+    id: firstId + i,
+    name: `BM ${firstId + i}`,
+    activeFrom: '',
+    activeTo: '',
+}));
+
+// Calendario de turnos. El turno de noche cruza la medianoche y se registra con la fecha en que empieza.
+const DEFAULT_SHIFTS = [
+    { id: 'T1', name: 'Mañana', start: '06:00', end: '14:00' },
+    { id: 'T2', name: 'Tarde', start: '14:00', end: '22:00' },
+    { id: 'T3', name: 'Noche', start: '22:00', end: '06:00' },
+];
+
+const DEFAULT_PLANT_CONFIG = {
+    lines: [
+        { id: 1, name: 'Línea 1', shortName: 'L1', machines: buildMachines(11, 8) },
+        { id: 2, name: 'Línea 2', shortName: 'L2', machines: buildMachines(21, 8) },
+    ],
+    shifts: DEFAULT_SHIFTS,
+};
+
+// Colores de las series de los gráficos, por posición de la línea en la configuración.
+const LINE_COLORS = {
+    water: ['#38B2AC', '#63B3ED', '#9F7AEA', '#68D391'],
+    oil: ['#F6E05E', '#F56565', '#ED64A6', '#F6AD55'],
+    bodymaker: ['#4299E1', '#ED8936', '#48BB78', '#D53F8C'],
+    machine: ['#4299E1', '#ED8936', '#48BB78', '#D53F8C', '#ECC94B', '#9F7AEA', '#38B2AC', '#F56565'],
+};
+const lineColor = (kind, index) => LINE_COLORS[kind][index % LINE_COLORS[kind].length];
+
+const getLine = (config, lineId) => config.lines.find(l => l.id === lineId);
+
+// Nombre visible de una máquina, buscándola en todas las líneas.
+const machineName = (config, machineId) => {
+    for (const line of config.lines) {
+        const machine = line.machines.find(m => m.id === machineId);
+        if (machine) return machine.name;
+    }
+    return `BM ${machineId}`;
+};
+
+// Una máquina está activa entre sus fechas de alta y baja (ambas opcionales, formato AAAA-MM-DD).
+const isMachineActive = (machine, fromDate, toDate = fromDate) =>
+    (!machine.activeFrom || machine.activeFrom <= toDate) && (!machine.activeTo || machine.activeTo >= fromDate);
+
+// Turnos de la planta; las configuraciones guardadas antes de existir los turnos usan el calendario por defecto.
+const shiftsOf = (config) => config.shifts ?? DEFAULT_SHIFTS;
+
+// Los registros Womack sin turno (todos los anteriores a los turnos) cubren el día completo.
+const WHOLE_DAY_LABEL = 'Día completo';
+const shiftName = ({ t }, config, shiftId) => (shiftId ? shiftsOf(config).find(s => s.id === shiftId)?.name || shiftId : t(WHOLE_DAY_LABEL));
+const shiftLabel = (shift) => `${shift.name} (${shift.start}–${shift.end})`;
+
+// Posición del turno en el calendario; el día completo va antes que cualquier turno del mismo día.
+const shiftOrder = (config, shiftId) => (shiftId ? shiftsOf(config).findIndex(s => s.id === shiftId) + 1 : 0);
+
+// Máquinas activas en algún día de la semana que empieza en `weekStartDate`.
+const activeMachinesForWeek = (line, weekStartDate) => {
+    const weekEnd = new Date(weekStartDate + 'T00:00:00Z');
+    weekEnd.setUTCDate(weekEnd.getUTCDate() + 6);
+    return (line?.machines || []).filter(m => isMachineActive(m, weekStartDate, weekEnd.toISOString().split('T')[0]));
+};
+
+
+// --- UNIDADES, PRECIOS Y COSTES ---
+// Las unidades y la conversión a la unidad canónica (agua en m³, aceite en L) están en `alerts.js`.
+
+const unitLabel = (kind, unit) => (UNITS[kind][unit] || UNITS[kind][CANONICAL_UNITS[kind]]).label;
+const withUnit = (value, kind, unit) => (hasValue(value) ? `${value} ${unitLabel(kind, unit)}` : value);
+
+// Tarifas del documento `config/prices`:
+// - water: [{ from, price }] en €/m³.
+// - lubricants: tipos de aceite [{ id, name }].
+// - oil: [{ lubricant, from, price }] en €/L.
+// - usage: lubricante de cada línea para Womack y bodymakers ({ [lineId]: { womack, bodymaker } });
+//   si una línea no lo indica se usa el lubricante por defecto de ese consumo.
+// Cada tarifa rige desde su fecha `from` hasta la siguiente del mismo concepto.
+const DEFAULT_LUBRICANTS = { womack: 'womack', bodymaker: 'bodymaker' };
+
+const DEFAULT_PRICES = {
+    water: [],
+    lubricants: [
+        { id: 'womack', name: 'Aceite Womack' },
+        { id: 'bodymaker', name: 'Aceite bodymakers' },
+    ],
+    oil: [],
+    usage: {},
+};
+
+const COST_CATEGORIES = { water: 'Agua', womackOil: 'Aceite Womack', bodymakerOil: 'Aceite bodymakers' };
+
+const priceAt = (tariffs, date) => tariffs
+    .filter(tariff => tariff.from <= date)
+    .reduce((latest, tariff) => (!latest || tariff.from > latest.from ? tariff : latest), null)?.price ?? null;
+
+const lubricantFor = (prices, lineId, kind) => prices.usage?.[lineId]?.[kind] || DEFAULT_LUBRICANTS[kind];
+
+// Partidas de coste de los registros (ya en unidades canónicas). `cost` es null si no hay tarifa vigente.
+const costItems = (womackEntries, bodymakerEntries, prices) => {
+    const oilPrice = (lineId, kind, date) => priceAt((prices.oil || []).filter(tariff => tariff.lubricant === lubricantFor(prices, lineId, kind)), date);
+    const item = (category, date, line, quantity, price, machineId = null) => ({
+        category, date, line, machineId, quantity, price, cost: price === null ? null : quantity * price,
+    });
+    return [
+        ...womackEntries.flatMap(d => [
+            item('water', d.date, d.line, d.waterConsumption, priceAt(prices.water || [], d.date)),
+            item('womackOil', d.date, d.line, d.oilConsumptionTotal, oilPrice(d.line, 'womack', d.date)),
+        ]),
+        ...bodymakerEntries.flatMap(d => d.readings.map(r => (
+            item('bodymakerOil', d.weekStartDate, d.line, r.consumption, oilPrice(d.line, 'bodymaker', d.weekStartDate), r.machineId)
+        ))),
+    ];
+};
+
+// Preferencia de los formularios que se recuerda en el dispositivo, porque cada puesto suele leer
+// siempre el mismo contador. `isValid` descarta valores guardados que ya no existen.
+function useStoredPreference(storageKey, isValid, defaultValue) {
+    const [value, setValue] = useState(() => {
+        const stored = localStorage.getItem(storageKey);
+        return isValid(stored) ? stored : defaultValue;
+    });
+    const updateValue = useCallback((next) => {
+        localStorage.setItem(storageKey, next);
+        setValue(next);
+    }, [storageKey]);
+    return [value, updateValue];
+}
+
+// Unidad elegida para un tipo de consumo ('water' u 'oil').
+const useStoredUnit = (kind) => useStoredPreference(`unit:${kind}`, (unit) => !!UNITS[kind][unit], CANONICAL_UNITS[kind]);
+
+// Modo de registro ('consumption' o 'meter') de un formulario ('womack' o 'bodymaker').
+const useStoredEntryMode = (form) => useStoredPreference(`entryMode:${form}`, (mode) => !!ENTRY_MODES[mode], 'consumption');
+
+
+// --- PRODUCCIÓN Y CONSUMO ESPECÍFICO ---
+// La producción se registra en latas por línea y día (`productionEntries`, misma clave que Womack)
+// y por bodymaker y semana (`bodymakerProductionEntries`, misma clave que las lecturas de bodymakers,
+// con `readings: [{ machineId, cans }]`). Los KPI expresan el consumo por millón de latas y solo
+// tienen en cuenta los días o semanas que tienen a la vez consumo y producción.
+
+const CANS_PER_KPI = 1e6;
+
+const KPI_DEFINITIONS = {
+    water: { label: 'Agua Womack', unit: 'm³/M latas' },
+    womackOil: { label: 'Aceite Womack', unit: 'L/M latas' },
+    bodymakerOil: { label: 'Aceite bodymakers', unit: 'L/M latas' },
+};
+
+// Objetivos de cada KPI (`config/kpiTargets`); null = sin objetivo.
+const DEFAULT_KPI_TARGETS = { water: null, womackOil: null, bodymakerOil: null };
+
+const specificConsumption = (quantity, cans) => (cans > 0 ? (quantity / cans) * CANS_PER_KPI : null);
+
+// Pares consumo/producción por línea y día. Los consumos deben estar en unidades canónicas; los
+// registros por turno se suman al total del día porque la producción se registra por días.
+const womackKpiPairs = (womackEntries, productionEntries) => {
+    const dayKey = ({ date, line }) => womackEntryKey({ date, line });
+    const cansByKey = new Map(productionEntries.map(p => [dayKey(p), Number(p.cans) || 0]));
+    const days = new Map();
+    womackEntries.filter(d => cansByKey.get(dayKey(d)) > 0).forEach(d => {
+        const day = days.get(dayKey(d)) || { date: d.date, line: d.line, cans: cansByKey.get(dayKey(d)), water: 0, womackOil: 0 };
+        day.water += d.waterConsumption;
+        day.womackOil += d.oilConsumptionTotal;
+        days.set(dayKey(d), day);
+    });
+    return [...days.values()];
+};
+
+// Pares consumo/producción por bodymaker y semana.
+const bodymakerKpiPairs = (bodymakerEntries, productionEntries) => {
+    const keyOf = (entry, machineId) => `${bodymakerEntryKey(entry)}_${machineId}`;
+    const cansByKey = new Map(productionEntries.flatMap(p => p.readings.map(r => [keyOf(p, r.machineId), Number(r.cans) || 0])));
+    return bodymakerEntries.flatMap(d => d.readings
+        .filter(r => cansByKey.get(keyOf(d, r.machineId)) > 0)
+        .map(r => ({ date: d.weekStartDate, line: d.line, machineId: r.machineId, cans: cansByKey.get(keyOf(d, r.machineId)), bodymakerOil: r.consumption })));
+};
+
+// KPI de un conjunto de pares: consumo total entre latas totales, no la media de los ratios.
+const kpiOf = (pairs, metric) => specificConsumption(
+    pairs.reduce((acc, p) => acc + p[metric], 0),
+    pairs.reduce((acc, p) => acc + p.cans, 0)
+);
+
+
+
+// --- DESCRIPCIÓN DE ANOMALÍAS ---
+// Los umbrales y la detección están en `alerts.js`, compartidos con las funciones de los avisos.
+
+const describeAnomalyReason = ({ t, formatAlertValue }, reason, mean) => {
+    switch (reason.type) {
+        case 'absolute': return t('supera el límite de {limit}', { limit: formatAlertValue(reason.limit) });
+        case 'deviation': return t('+{value}% sobre la media ({mean})', { value: formatAlertValue(reason.value), mean: formatAlertValue(mean) });
+        case 'zScore': return t('z = {value} (límite {limit})', { value: formatAlertValue(reason.value), limit: formatAlertValue(reason.limit) });
+        default: return reason.type;
+    }
+};
+
+const describeAnomaly = (i18n, alert) => alert.reasons.map(r => describeAnomalyReason(i18n, r, alert.mean)).join('; ');
+
+
+// --- VALIDACIÓN DE REGISTROS ---
+// Reglas comunes a los formularios de Womack y bodymakers: rangos por campo, decimales admitidos,
+// parcial ≤ total y fechas no futuras. Se configuran en `config/validation`; los rangos se expresan
+// en la unidad canónica y se comparan con el valor ya convertido.
+// Aparte de los errores, se avisa de los valores poco plausibles frente a la semana anterior;
+// esos avisos no impiden guardar, pero exigen confirmación explícita.
+
+const DEFAULT_VALIDATION_RULES = {
+    decimals: 2,
+    plausibilityFactor: 5,
+    ranges: {
+        water: { min: 0, max: null },
+        oilTotal: { min: 0, max: null },
+        oilPartial: { min: 0, max: null },
+        bodymaker: { min: 0, max: null },
+    },
+};
+
+const VALIDATION_FIELD_LABELS = {
+    water: 'Agua',
+    oilTotal: 'Aceite total',
+    oilPartial: 'Aceite parcial',
+    bodymaker: 'Consumo bodymaker',
+};
+
+// Campos del formulario Womack, su campo en el registro guardado y su tipo de unidad.
+const WOMACK_FORM_FIELDS = { water: 'waterConsumption', oilTotal: 'oilConsumptionTotal', oilPartial: 'oilConsumptionPartial' };
+const WOMACK_FIELD_KINDS = { water: 'water', oilTotal: 'oil', oilPartial: 'oil' };
+
+// Fecha de hoy en hora local, en formato ISO (AAAA-MM-DD).
+const todayIso = () => {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+};
+
+const shiftIsoDate = (isoDate, days) => {
+    const d = new Date(isoDate + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+};
+
+const decimalPlaces = (raw) => (String(raw).split('.')[1] || '').length;
+
+const isBlank = (raw) => !hasValue(raw) || String(raw).trim() === '';
+
+// Valida un valor numérico tal como se escribió en el formulario. Devuelve el mensaje de error o null.
+// Con `kind`, el rango se comprueba sobre el valor convertido desde `unit` a la unidad canónica.
+const validateNumber = ({ t }, raw, range = {}, decimals = null, kind = null, unit = null) => {
+    if (isBlank(raw)) return t('Campo obligatorio.');
+    const value = Number(raw);
+    if (!Number.isFinite(value)) return t('Debe ser un número.');
+    if (hasValue(decimals) && decimalPlaces(raw) > decimals) return t('Como máximo {decimals} decimales.', { decimals });
+    const canonical = kind ? toCanonical(kind, value, unit) : value;
+    const rangeUnit = kind ? ` ${unitLabel(kind, CANONICAL_UNITS[kind])}` : '';
+    if (hasValue(range.min) && canonical < range.min) return t('Debe ser mayor o igual que {limit}.', { limit: `${range.min}${rangeUnit}` });
+    if (hasValue(range.max) && canonical > range.max) return t('Debe ser menor o igual que {limit}.', { limit: `${range.max}${rangeUnit}` });
+    return null;
+};
+
+const validateDate = ({ t }, date) => {
+    if (!date) return t('Campo obligatorio.');
+    if (date > todayIso()) return t('La fecha no puede ser futura.');
+    return null;
+};
+
+const withoutEmpty = (messages) => Object.fromEntries(Object.entries(messages).filter(([, m]) => m));
+
+// Errores por campo de una lectura Womack ({ water, oilTotal, oilPartial } y, al crear, `date`).
+// `units` indica la unidad de cada tipo ({ water, oil }); el parcial y el total comparten unidad.
+const validateWomackValues = (i18n, values, rules, units = {}) => {
+    const { t } = i18n;
+    const errors = Object.fromEntries(Object.entries(WOMACK_FIELD_KINDS).map(([f, kind]) => (
+        [f, validateNumber(i18n, values[f], rules.ranges?.[f], rules.decimals, kind, units[kind])]
+    )));
+    if ('date' in values) errors.date = validateDate(i18n, values.date);
+    if (!errors.oilTotal && !errors.oilPartial && Number(values.oilPartial) > Number(values.oilTotal)) {
+        errors.oilPartial = t('El consumo parcial no puede superar el total.');
+    }
+    return withoutEmpty(errors);
+};
+
+// Errores por máquina de las lecturas de bodymakers. Las máquinas sin valor no se registran;
+// el cero sí es una lectura válida si el rango lo admite. `unitOf(machineId)` da la unidad de cada lectura.
+const canonicalOilUnit = () => CANONICAL_UNITS.oil;
+
+const validateBodymakerValues = (i18n, values, rules, unitOf = canonicalOilUnit) => withoutEmpty(Object.fromEntries(Object.entries(values)
+    .filter(([, raw]) => !isBlank(raw))
+    .map(([machineId, raw]) => [machineId, validateNumber(i18n, raw, rules.ranges?.bodymaker, rules.decimals, 'oil', unitOf(machineId))])));
+
+const readingsFromValues = (values, unitOf = canonicalOilUnit) => Object.entries(values)
+    .filter(([, raw]) => !isBlank(raw))
+    .map(([machineId, raw]) => ({ machineId: Number(machineId), consumption: Number(raw), unit: unitOf(machineId) }));
+
+// Lista legible de avisos ({ clave: aviso }) para mostrarlos antes de confirmar.
+const describeWarnings = (warnings, labelOf) => Object.entries(warnings).map(([key, warning]) => `${labelOf(key)}: ${warning}`);
+
+// Las comparaciones de plausibilidad se hacen en unidades canónicas.
+const plausibilityWarning = ({ t, formatAlertValue }, raw, unit, reference, factor, kind) => {
+    if (isBlank(raw) || !Number.isFinite(Number(raw))) return null;
+    const value = toCanonical(kind, raw, unit);
+    if (!(factor > 0) || !(reference > 0) || value < reference * factor) return null;
+    return t('{ratio}× el valor de la semana anterior ({reference}).', {
+        ratio: formatAlertValue(value / reference),
+        reference: `${formatAlertValue(reference)} ${unitLabel(kind, CANONICAL_UNITS[kind])}`,
+    });
+};
+
+// Avisos de plausibilidad Womack: se compara con la media de la línea en los 7 días anteriores,
+// solo con los registros del mismo turno (o de día completo si la lectura no tiene turno).
+const womackPlausibilityWarnings = (i18n, values, data, line, date, rules, units = {}, shift = '') => {
+    if (!date) return {};
+    const from = shiftIsoDate(date, -7);
+    const lastWeek = data
+        .filter(d => d.line === line && (d.shift || '') === (shift || '') && d.date >= from && d.date < date)
+        .map(canonicalWomackEntry);
+    if (lastWeek.length === 0) return {};
+    return withoutEmpty(Object.fromEntries(Object.entries(WOMACK_FORM_FIELDS).map(([f, field]) => {
+        const kind = WOMACK_FIELD_KINDS[f];
+        const reference = lastWeek.reduce((acc, d) => acc + d[field], 0) / lastWeek.length;
+        return [f, plausibilityWarning(i18n, values[f], units[kind], reference, rules.plausibilityFactor, kind)];
+    })));
+};
+
+// Avisos de plausibilidad de bodymakers: se compara con la última semana anterior con lectura de la máquina.
+const bodymakerPlausibilityWarnings = (i18n, values, data, line, weekStartDate, rules, unitOf = canonicalOilUnit) => {
+    const previousWeeks = data
+        .filter(d => d.line === line && d.weekStartDate < weekStartDate)
+        .sort((a, b) => b.weekStartDate.localeCompare(a.weekStartDate))
+        .map(canonicalBodymakerEntry);
+    return withoutEmpty(Object.fromEntries(Object.entries(values).map(([machineId, raw]) => {
+        const reading = previousWeeks.flatMap(d => d.readings).find(r => r.machineId === Number(machineId));
+        return [machineId, plausibilityWarning(i18n, raw, unitOf(machineId), reading?.consumption, rules.plausibilityFactor, 'oil')];
+    })));
+};
+
+
+// --- MODO CONTADOR ---
+// En modo contador el operario introduce la lectura acumulada del contador y el consumo se calcula
+// restando la lectura anterior de la misma línea (Womack) o máquina (bodymakers). El registro guarda
+// además la lectura (`meters` en Womack, `meter` en cada lectura de bodymaker) en la unidad del registro,
+// los eventos de contador (`meterEvents` / `meterEvent`) y los huecos desde la lectura anterior
+// (`meterGaps` / `meterGap`: { since, missing }).
+
+const ENTRY_MODES = { consumption: 'Consumo', meter: 'Lectura de contador' };
+
+const METER_EVENTS = {
+    rollover: 'Vuelta del contador',
+    replacement: 'Contador sustituido',
+};
+
+// Una bajada se toma como vuelta si el consumo resultante no pasa de esta fracción de la capacidad.
+const METER_ROLLOVER_FRACTION = 0.1;
+
+const roundMeter = (value) => Math.round(value * 1e6) / 1e6;
+
+// Capacidad probable de un contador del que no se conoce: la potencia de 10 siguiente a la lectura
+// anterior (5 cifras → 100000). Solo sirve para proponer el motivo de una bajada y como ejemplo al pedir
+// la capacidad; los ceros a la izquierda no se ven en la lectura, así que nunca se usa para calcular.
+const meterCapacity = (value) => 10 ** Math.max(1, String(Math.floor(value)).length);
+
+const guessMeterEvent = (previous, current, capacity = meterCapacity(previous)) => (
+    capacity - previous + current <= capacity * METER_ROLLOVER_FRACTION ? 'rollover' : 'replacement'
+);
+
+// Días (Womack, `stepDays` = 1) o semanas (bodymakers, 7) sin lectura entre la anterior y la actual.
+const missingPeriods = (previousDate, date, stepDays) => {
+    const missing = [];
+    for (let d = shiftIsoDate(previousDate, stepDays); d < date; d = shiftIsoDate(d, stepDays)) missing.push(d);
+    return missing;
+};
+
+const meterSlotOf = (reading) => reading.slot ?? reading.date;
+
+// Lectura de contador más reciente anterior a `date`, convertida a `unit`: { date, value, capacity } o null.
+// `readings` = [{ date, meter, unit, event }] de la misma línea o máquina. Con turnos, cada lectura lleva
+// además `slot` (fecha y posición del turno) y se compara con el `slot` de la nueva lectura.
+// `capacity` es la que se indicó en la última vuelta del contador actual (null si no ha dado ninguna
+// desde que se instaló).
+const previousMeterReading = (readings, date, kind, unit, slot = date) => {
+    const earlier = readings
+        .filter(r => hasValue(r.meter) && meterSlotOf(r) < slot)
+        .sort((a, b) => meterSlotOf(b).localeCompare(meterSlotOf(a)));
+    if (earlier.length === 0) return null;
+    const toUnit = (value, fromUnit) => roundMeter(toCanonical(kind, value, fromUnit) / unitFactor(kind, unit));
+    const lastEvent = earlier.find(r => r.event);
+    return {
+        date: earlier[0].date,
+        value: toUnit(earlier[0].meter, earlier[0].unit),
+        capacity: lastEvent?.event.type === 'rollover' && hasValue(lastEvent.event.capacity) ? toUnit(lastEvent.event.capacity, lastEvent.unit) : null,
+    };
+};
+
+// Lectura de contador más antigua posterior a `slot` ({ date, ... } o null). Su consumo se calculó sin
+// tener en cuenta una lectura intercalada o borrada después, así que hay que revisarlo.
+const nextMeterReading = (readings, slot) => readings
+    .filter(r => hasValue(r.meter) && meterSlotOf(r) > slot)
+    .sort((a, b) => meterSlotOf(a).localeCompare(meterSlotOf(b)))[0] || null;
+
+// Posición de una lectura Womack en el orden del contador: por fecha y, dentro del día, por turno.
+const womackMeterSlot = (config, date, shift) => `${date}#${shiftOrder(config, shift)}`;
+
+const womackMeterHistory = (data, line, field, config) => data
+    .filter(d => d.line === line)
+    .map(d => ({
+        date: d.date,
+        slot: womackMeterSlot(config, d.date, d.shift),
+        meter: d.meters?.[field],
+        unit: d[WOMACK_FIELD_KINDS[field] === 'water' ? 'waterUnit' : 'oilUnit'],
+        event: d.meterEvents?.[field],
+    }));
+
+const bodymakerMeterHistory = (data, line, machineId) => data
+    .filter(d => d.line === line)
+    .map(d => {
+        const reading = d.readings.find(r => r.machineId === machineId);
+        return { date: d.weekStartDate, meter: reading?.meter, unit: reading?.unit, event: reading?.meterEvent };
+    });
+
+// Calcula el consumo de un campo en modo contador.
+// `input` = { meter, event, capacity, oldFinal, newInitial, consumption } tal como están en el formulario;
+// `consumption` solo se usa si no hay lectura anterior y `capacity` (lectura en la que el contador vuelve
+// a cero) en las vueltas, si no se conoce de una vuelta anterior. Devuelve `consumption` como cadena para
+// pasarla por las mismas validaciones que el modo consumo, y los datos que se guardan con el registro.
+const deriveMeterConsumption = (i18n, input, previous, date, stepDays) => {
+    const { t } = i18n;
+    if (isBlank(input.meter)) return { consumption: '', previous };
+    const meterError = validateNumber(i18n, input.meter, { min: 0 });
+    if (meterError) return { consumption: '', previous, error: meterError };
+    const meter = Number(input.meter);
+    if (!previous) {
+        if (isBlank(input.consumption)) return { consumption: '', meter, previous, error: t('Sin lectura anterior del contador: indica el consumo del periodo.') };
+        return { consumption: input.consumption, meter, previous, event: null, gap: null };
+    }
+
+    const missing = missingPeriods(previous.date, date, stepDays);
+    const gap = missing.length > 0 ? { since: previous.date, missing: missing.length } : null;
+    if (meter >= previous.value) {
+        return { consumption: String(roundMeter(meter - previous.value)), meter, previous, event: null, gap };
+    }
+
+    const type = METER_EVENTS[input.event] ? input.event : guessMeterEvent(previous.value, meter, previous.capacity ?? undefined);
+    if (type === 'rollover') {
+        const capacity = isBlank(input.capacity) ? previous.capacity : Number(input.capacity);
+        const result = { meter, previous, event: { type, capacity }, gap };
+        if (capacity === null) {
+            return { ...result, consumption: '', error: t('Indica la capacidad del contador (la lectura en la que vuelve a cero).') };
+        }
+        if (!(capacity > previous.value && capacity > meter)) {
+            return { ...result, consumption: '', error: t('La capacidad del contador debe ser mayor que la lectura anterior y que la actual.') };
+        }
+        return { ...result, consumption: String(roundMeter(capacity - previous.value + meter)) };
+    }
+    const oldFinal = isBlank(input.oldFinal) ? null : Number(input.oldFinal);
+    const newInitial = isBlank(input.newInitial) ? 0 : Number(input.newInitial);
+    const result = { meter, previous, event: { type, oldFinal, newInitial }, gap };
+    if (oldFinal !== null && !(oldFinal >= previous.value)) {
+        return { ...result, consumption: '', error: t('La lectura final del contador retirado no puede ser menor que la anterior.') };
+    }
+    if (!(newInitial >= 0 && newInitial <= meter)) {
+        return { ...result, consumption: '', error: t('La lectura inicial del contador nuevo debe estar entre 0 y la lectura actual.') };
+    }
+    // Sin lectura final del retirado solo se cuenta lo consumido con el contador nuevo.
+    return { ...result, consumption: String(roundMeter((oldFinal === null ? 0 : oldFinal - previous.value) + meter - newInitial)) };
+};
+
+// Campos que se guardan con un registro Womack introducido en modo contador.
+const womackMeterFields = (results) => {
+    const fields = Object.keys(WOMACK_FORM_FIELDS).filter(f => hasValue(results[f]?.meter));
+    const events = fields.filter(f => results[f].event);
+    const gaps = fields.filter(f => results[f].gap);
+    return {
+        meters: Object.fromEntries(fields.map(f => [f, results[f].meter])),
+        ...(events.length > 0 && { meterEvents: Object.fromEntries(events.map(f => [f, results[f].event])) }),
+        ...(gaps.length > 0 && { meterGaps: Object.fromEntries(gaps.map(f => [f, results[f].gap])) }),
+    };
+};
+
+// Campos de contador de una lectura de bodymaker.
+const bodymakerMeterFields = (result) => ({
+    meter: result.meter,
+    ...(result.event && { meterEvent: result.event }),
+    ...(result.gap && { meterGap: result.gap }),
+});
+
+// Avisos para las lecturas que se intercalan antes de otra ya guardada del mismo contador: el consumo de
+// la posterior se calculó sin la nueva y hay que revisarlo. `historyOf(key)` da las lecturas del contador
+// de cada campo o máquina de `meterResults`.
+const nextMeterWarnings = ({ t, formatDate }, meterResults, historyOf, slot) => withoutEmpty(Object.fromEntries(
+    Object.entries(meterResults || {}).map(([key, result]) => {
+        const next = hasValue(result.meter) && nextMeterReading(historyOf(key), slot);
+        return [key, next && t('Hay una lectura posterior del contador ({date}): su consumo se calculó sin esta y habrá que revisarlo.', { date: formatDate(next.date) })];
+    })
+));
+
+// Aviso al borrar un registro con lecturas de contador si alguna tiene otra posterior ('' si no hay).
+const nextMeterDeleteNote = ({ t, formatDate }, nextReadings) => {
+    const next = nextReadings.filter(Boolean).sort((a, b) => a.date.localeCompare(b.date))[0];
+    return next ? ` ${t('El consumo de la lectura de contador del {date} se calculó a partir de esta y habrá que revisarlo.', { date: formatDate(next.date) })}` : '';
+};
+
+// Une dos listas de avisos por campo; si un campo tiene aviso en las dos, se muestran ambos.
+const mergeWarnings = (a, b) => Object.entries(b).reduce((merged, [key, warning]) => ({ ...merged, [key]: merged[key] ? `${merged[key]} ${warning}` : warning }), a);
+
+const periodCountLabel = ({ t }, count, stepDays) => (stepDays === 7
+    ? t(count === 1 ? '{count} semana' : '{count} semanas', { count })
+    : t(count === 1 ? '{count} día' : '{count} días', { count }));
+
+// Textos de los eventos y huecos de contador de un registro, para los historiales.
+const describeMeterNotes = (i18n, events = {}, gaps = {}, labelOf, stepDays) => {
+    const { t, formatDate } = i18n;
+    return [
+        ...Object.entries(events).map(([key, event]) => `${labelOf(key)}: ${METER_EVENTS[event.type] ? t(METER_EVENTS[event.type]).toLowerCase() : event.type}`),
+        ...Object.entries(gaps).map(([key, gap]) => `${labelOf(key)}: ${t('{count} sin lectura desde el {date}', { count: periodCountLabel(i18n, gap.missing, stepDays), date: formatDate(gap.since) })}`),
+    ];
+};
+
 
 // --- HOOKS DE FIREBASE PARA GESTIONAR DATOS ---
 
+// Firestore con caché persistente en IndexedDB, para que las tablets de planta sigan mostrando
+// datos sin conexión. Si el navegador no lo permite (p. ej. modo privado) se usa la caché en memoria.
+const createFirestore = (app) => {
+    try {
+        return initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+    } catch (e) {
+        console.warn("Caché persistente de Firestore no disponible:", e);
+        return getFirestore(app);
+    }
+};
+
 // Hook para inicializar y gestionar la autenticación de Firebase
 function useFirebaseAuth() {
     const [auth, setAuth] = useState(null);
@@ -97,6 +927,10 @@ function useFirebaseAuth() {
     const [error, setError] = useState(null);
 
     useEffect(() => {
+        if (LOCAL_DATA_SOURCE) {
+            setIsAuthReady(true);
+            return;
+        }
         if (Object.keys(firebaseConfig).length === 0) {
             setError("La configuración de Firebase no se ha cargado. Revisa las variables de entorno en Vercel.");
             return;
@@ -105,23 +939,26 @@ function useFirebaseAuth() {
         try {
             const app = initializeApp(firebaseConfig);
             const authInstance = getAuth(app);
-            const dbInstance = getFirestore(app);
+            const dbInstance = createFirestore(app);
 
             setAuth(authInstance);
             setDb(dbInstance);
 
+            // Sin sesión se muestra la pantalla de acceso; ya no se entra de forma anónima
+            // para que cada registro quede asociado a una persona.
             const unsubscribe = onAuthStateChanged(authInstance, async (currentUser) => {
                 if (currentUser) {
                     setUser(currentUser);
                 } else if (initialAuthToken) {
                     try {
                         await signInWithCustomToken(authInstance, initialAuthToken);
+                        return;
                     } catch (error) {
                         console.error("Error signing in with custom token:", error);
-                        await signInAnonymously(authInstance);
+                        setUser(null);
                     }
                 } else {
-                    await signInAnonymously(authInstance);
+                    setUser(null);
                 }
                 setIsAuthReady(true);
             });
@@ -136,384 +973,6542 @@ function useFirebaseAuth() {
     return { auth, db, user, isAuthReady, error };
 }
 
+// Hook que carga el perfil (nombre y rol) del usuario autenticado.
+// En el primer acceso crea el perfil con el rol pendiente, sin acceso a datos hasta que un administrador le asigne uno.
+function useUserProfile(db, user) {
+    const [profile, setProfile] = useState(null);
 
-// --- COMPONENTES PRINCIPALES DE LA APLICACIÓN ---
+    useEffect(() => {
+        if (!db || !user) {
+            setProfile(null);
+            return;
+        }
 
-// 1. Dashboard principal con gráficos de resumen
-function Dashboard({ womackData, bodymakerData, onNavigate }) {
-    const womackChartData = useMemo(() => {
-        const aggregatedData = {};
-        const sortedData = [...womackData].sort((a, b) => new Date(a.date) - new Date(b.date));
-        
-        sortedData.forEach(d => {
-            const dateKey = new Date(d.date+'T00:00:00').toLocaleDateString('es-ES', { day: 'numeric', month: 'short', timeZone: 'UTC' });
-            if (!aggregatedData[dateKey]) {
-                aggregatedData[dateKey] = { name: dateKey, 'Agua L1': 0, 'Agua L2': 0, 'Aceite L1': 0, 'Aceite L2': 0 };
-            }
-            if (d.line === 1) {
-                aggregatedData[dateKey]['Agua L1'] += d.waterConsumption;
-                aggregatedData[dateKey]['Aceite L1'] += d.oilConsumptionTotal;
-            } else if (d.line === 2) {
-                aggregatedData[dateKey]['Agua L2'] += d.waterConsumption;
-                aggregatedData[dateKey]['Aceite L2'] += d.oilConsumptionTotal;
+        const profileRef = doc(db, collectionPath('users'), user.uid);
+        const unsubscribe = onSnapshot(profileRef, (snapshot) => {
+            if (snapshot.exists()) {
+                setProfile({ uid: user.uid, ...snapshot.data() });
+                return;
             }
+            setDoc(profileRef, {
+                email: user.email || null,
+                displayName: user.displayName || user.email || '',
+                role: PENDING_ROLE,
+                createdAt: new Date().toISOString(),
+            }).catch(err => console.error("Error creating user profile:", err));
+        }, (err) => {
+            console.error("Error fetching user profile:", err);
         });
 
-        return Object.values(aggregatedData).slice(-7);
-    }, [womackData]);
+        return () => unsubscribe();
+    }, [db, user]);
 
-    const bodymakerChartData = useMemo(() => {
-        const latestWeekData = {};
-        bodymakerData.forEach(d => {
-            const line = d.line;
-            if (!latestWeekData[line] || new Date(d.weekStartDate) > new Date(latestWeekData[line].weekStartDate)) {
-                latestWeekData[line] = d;
-            }
-        });
-        
-        const line1Data = latestWeekData[1]?.readings || [];
-        const line2Data = latestWeekData[2]?.readings || [];
-        const allMachines = [...new Set([...line1Data.map(r => r.machineId), ...line2Data.map(r => r.machineId)])].sort((a, b) => a - b);
-
-        return allMachines.map(machineId => ({
-            name: `BM ${machineId}`,
-            'Consumo L1': line1Data.find(r => r.machineId === machineId)?.consumption || 0,
-            'Consumo L2': line2Data.find(r => r.machineId === machineId)?.consumption || 0,
-        }));
-    }, [bodymakerData]);
+    return profile;
+}
 
-    return (
-        <div className="space-y-8">
-            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
-                <div>
-                    <h2 className="text-3xl font-bold text-white">Panel de Control General</h2>
-                    <p className="text-gray-400">Resumen de consumos recientes.</p>
-                </div>
-                <div className="flex gap-2">
-                    <Button onClick={() => onNavigate('womack')}>Control Womack</Button>
-                    <Button onClick={() => onNavigate('bodymaker')}>Control Bodymaker</Button>
-                </div>
-            </div>
+// Hook con el idioma de la interfaz. Se recuerda en el navegador y, con sesión iniciada, también en el
+// perfil (`language`) para que acompañe al usuario en otros equipos; el del perfil tiene prioridad.
+const LANGUAGE_KEY = `language:${appId}`;
 
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-                <Card>
-                    <CardHeader>
-                        <CardTitle>Consumo Diario Womack (Últimos 7 Días)</CardTitle>
-                        <CardDescription>Visualización del consumo de agua y aceite total.</CardDescription>
-                    </CardHeader>
-                    <CardContent>
-                        <ResponsiveContainer width="100%" height={300}>
-                            <LineChart data={womackChartData}>
-                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
-                                <XAxis dataKey="name" stroke="#A0AEC0" />
-                                <YAxis stroke="#A0AEC0" />
-                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} />
-                                <Legend />
-                                <Line type="monotone" dataKey="Agua L1" stroke="#38B2AC" activeDot={{ r: 8 }} />
-                                <Line type="monotone" dataKey="Agua L2" stroke="#63B3ED" activeDot={{ r: 8 }} />
-                                <Line type="monotone" dataKey="Aceite L1" stroke="#F6E05E" activeDot={{ r: 8 }} />
-                                <Line type="monotone" dataKey="Aceite L2" stroke="#F56565" activeDot={{ r: 8 }} />
-                            </LineChart>
-                        </ResponsiveContainer>
-                    </CardContent>
-                </Card>
+function useLanguage(db, user) {
+    const [stored, setStored] = useState(() => localStorage.getItem(LANGUAGE_KEY) || DEFAULT_LANGUAGE);
+    const uid = user?.uid;
+    const profileLanguage = LANGUAGES[user?.language] ? user.language : null;
 
-                <Card>
-                    <CardHeader>
-                        <CardTitle>Consumo Semanal Bodymakers (Última Semana)</CardTitle>
-                        <CardDescription>Comparativa de consumo de aceite por máquina.</CardDescription>
-                    </CardHeader>
-                    <CardContent>
-                        <ResponsiveContainer width="100%" height={300}>
-                            <BarChart data={bodymakerChartData}>
-                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
-                                <XAxis dataKey="name" stroke="#A0AEC0" />
-                                <YAxis stroke="#A0AEC0" />
-                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} />
-                                <Legend />
-                                <Bar dataKey="Consumo L1" fill="#4299E1" />
-                                <Bar dataKey="Consumo L2" fill="#ED8936" />
-                            </BarChart>
-                        </ResponsiveContainer>
+    useEffect(() => {
+        if (profileLanguage) localStorage.setItem(LANGUAGE_KEY, profileLanguage);
+    }, [profileLanguage]);
+
+    const select = useCallback((language) => {
+        localStorage.setItem(LANGUAGE_KEY, language);
+        setStored(language);
+        if (db && uid) {
+            setDoc(doc(db, collectionPath('users'), uid), { language }, { merge: true })
+                .catch(err => console.error("Error al guardar el idioma:", err));
+        }
+    }, [db, uid]);
+
+    const language = profileLanguage || (LANGUAGES[stored] ? stored : DEFAULT_LANGUAGE);
+    return [language, select];
+}
+
+// Hook con la cola local de registros pendientes de sincronizar.
+// La cola se guarda en localStorage para sobrevivir a recargas y se vacía sola al recuperar la conexión.
+// Cada elemento: { id, uid, plantId, collectionName, docId, entry, mode, conflictIds?, status: 'pending' | 'syncing' | 'conflict' | 'error', existing?, error? }.
+// La cola es común a todas las plantas y a todos los usuarios del navegador (un terminal de planta se
+// comparte), pero solo se muestra y se sincroniza la del usuario con sesión y la planta activa (`plantId`).
+// Los elementos de otros usuarios se conservan hasta que ellos vuelvan a entrar: sincronizarlos con otra
+// sesión los firmaría con un autor que no es quien los escribió. Los elementos sin planta son anteriores
+// a las plantas y pertenecen a la original; los que no tienen `uid`, al autor del registro.
+const PENDING_QUEUE_KEY = `pendingEntries:${appId}`;
+const QUEUE_RETRY_INTERVAL_MS = 30000;
+
+const queuePlantOf = (item) => item.plantId || DEFAULT_PLANT_ID;
+const queueOwnerOf = (item) => item.uid || item.entry?.createdBy?.uid || null;
+
+function useOfflineQueue(repository, user, plantId = DEFAULT_PLANT_ID) {
+    const [queue, setQueue] = useState(() => {
+        try {
+            // Lo que estaba sincronizándose al cerrar la app vuelve a quedar pendiente.
+            return JSON.parse(localStorage.getItem(PENDING_QUEUE_KEY) || '[]')
+                .map(item => (item.status === 'syncing' ? { ...item, status: 'pending' } : item));
+        } catch (e) {
+            return [];
+        }
+    });
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const isSyncing = useRef(false);
+    const queueRef = useRef(queue);
+
+    useEffect(() => {
+        queueRef.current = queue;
+        localStorage.setItem(PENDING_QUEUE_KEY, JSON.stringify(queue));
+    }, [queue]);
+
+    const updateItem = (id, changes) => setQueue(q => q.map(item => (item.id === id ? { ...item, ...changes } : item)));
+
+    const uid = user?.uid || null;
+    const isOwnItem = useCallback((item) => queuePlantOf(item) === plantId && queueOwnerOf(item) === uid, [plantId, uid]);
+
+    const enqueue = useCallback((collectionName, docId, entry, mode, conflictIds) => {
+        setQueue(q => [...q, {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            uid,
+            plantId,
+            collectionName,
+            docId,
+            entry,
+            mode,
+            ...(conflictIds && { conflictIds }),
+            status: 'pending',
+            queuedAt: new Date().toISOString(),
+        }]);
+    }, [uid, plantId]);
+
+    const sync = useCallback(async () => {
+        if (!repository || !user || !navigator.onLine || isSyncing.current) return;
+        isSyncing.current = true;
+        try {
+            for (const item of queueRef.current.filter(i => isOwnItem(i) && (i.status === 'pending' || i.status === 'error'))) {
+                updateItem(item.id, { status: 'syncing' });
+                try {
+                    await repository.upsert(user, item.collectionName, { docId: item.docId, entry: item.entry, mode: item.mode, conflictIds: item.conflictIds });
+                    setQueue(q => q.filter(i => i.id !== item.id));
+                } catch (error) {
+                    if (error instanceof DuplicateEntryError) {
+                        // Alguien guardó el mismo registro mientras estábamos sin conexión: decide el usuario.
+                        updateItem(item.id, { status: 'conflict', existing: stripId(error.existing) });
+                    } else if (isOfflineError(error)) {
+                        updateItem(item.id, { status: 'pending' });
+                        break;
+                    } else {
+                        console.error("Error al sincronizar el registro pendiente:", error);
+                        updateItem(item.id, { status: 'error', error: error.message });
+                    }
+                }
+            }
+        } finally {
+            isSyncing.current = false;
+        }
+    }, [repository, user, isOwnItem]);
+
+    // Resuelve un conflicto: 'overwrite' o 'merge' reintentan con ese modo; 'discard' quita el registro de la cola.
+    const resolve = useCallback((id, mode) => {
+        if (mode === 'discard') {
+            setQueue(q => q.filter(i => i.id !== id));
+        } else {
+            updateItem(id, { mode, status: 'pending', existing: null });
+        }
+    }, []);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // Sincroniza al volver la conexión, cuando entra algo nuevo en la cola y periódicamente por si
+    // el navegador no notifica el cambio de red.
+    const plantQueue = useMemo(() => queue.filter(isOwnItem), [queue, isOwnItem]);
+    const unsyncedCount = plantQueue.filter(i => i.status === 'pending' || i.status === 'syncing').length;
+    useEffect(() => {
+        if (!isOnline || unsyncedCount === 0) return;
+        sync();
+        const interval = setInterval(sync, QUEUE_RETRY_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [isOnline, unsyncedCount, sync]);
+
+    return { queue: plantQueue, isOnline, enqueue, resolve, sync };
+}
+
+// Hook genérico que mantiene sincronizado un documento de `config/` de una planta, con un valor por
+// defecto mientras no exista o no sea válido.
+const alwaysValid = () => true;
+
+function useConfigDoc(db, plantId, isSignedIn, configId, defaultValue, isValid = alwaysValid) {
+    const [config, setConfig] = useState(defaultValue);
+
+    useEffect(() => {
+        // Al cambiar de planta no se muestra la configuración de la anterior mientras llega la nueva.
+        setConfig(defaultValue);
+        if (!isSignedIn || !db || !plantId) return;
+
+        const unsubscribe = onSnapshot(doc(db, collectionPath('config', plantId), configId), (snapshot) => {
+            setConfig(snapshot.exists() && isValid(snapshot.data()) ? snapshot.data() : defaultValue);
+        }, (err) => {
+            console.error(`Error fetching ${configId} config:`, err);
+        });
+
+        return () => unsubscribe();
+    }, [isSignedIn, db, plantId, configId, defaultValue, isValid]);
+
+    return config;
+}
+
+// Hook que mantiene sincronizada la configuración de planta
+const isValidPlantConfig = (data) => data.lines?.length > 0;
+const usePlantConfig = (db, plantId, isSignedIn) => useConfigDoc(db, plantId, isSignedIn, 'plant', DEFAULT_PLANT_CONFIG, isValidPlantConfig);
+
+// Hook con los umbrales de alerta de consumo
+const useThresholds = (db, plantId, isSignedIn) => useConfigDoc(db, plantId, isSignedIn, 'thresholds', DEFAULT_THRESHOLDS);
+
+// Hook con las reglas de validación de los formularios
+const isValidValidationRules = (data) => !!data.ranges;
+const useValidationRules = (db, plantId, isSignedIn) => useConfigDoc(db, plantId, isSignedIn, 'validation', DEFAULT_VALIDATION_RULES, isValidValidationRules);
+
+// Hook con los objetivos de consumo específico
+const useKpiTargets = (db, plantId, isSignedIn) => useConfigDoc(db, plantId, isSignedIn, 'kpiTargets', DEFAULT_KPI_TARGETS);
+
+
+// Hook con la tabla de precios de agua y lubricantes
+const usePrices = (db, plantId, isSignedIn) => useConfigDoc(db, plantId, isSignedIn, 'prices', DEFAULT_PRICES);
+
+// Hook con el presupuesto mensual de consumos por línea
+const useBudgets = (db, plantId, isSignedIn) => useConfigDoc(db, plantId, isSignedIn, 'budgets', DEFAULT_BUDGETS);
+
+// Hook con los reconocimientos de alertas, indexados por id de alerta
+function useAlertAcks(db, plantId, isSignedIn) {
+    const [acks, setAcks] = useState({});
+
+    useEffect(() => {
+        setAcks({});
+        if (!isSignedIn || !db || !plantId) return;
+
+        const unsubscribe = onSnapshot(query(collection(db, collectionPath('alertAcks', plantId))), (snapshot) => {
+            setAcks(Object.fromEntries(snapshot.docs.map(doc => [doc.id, doc.data()])));
+        }, (err) => {
+            console.error("Error fetching alert acknowledgements:", err);
+        });
+
+        return () => unsubscribe();
+    }, [isSignedIn, db, plantId]);
+
+    return acks;
+}
+
+// Hook con el registro de plantas (`plants/{id}` con { name }), ordenado por nombre. La planta original
+// está siempre, aunque no tenga documento; con él solo se le cambia el nombre. Devuelve { plants, loading }.
+function usePlants(db, isSignedIn) {
+    const [state, setState] = useState({ plants: [DEFAULT_PLANT], loaded: false });
+
+    useEffect(() => {
+        if (!isSignedIn || !db) return;
+
+        const unsubscribe = onSnapshot(query(collection(db, collectionPath('plants'))), (snapshot) => {
+            const registered = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            const others = registered.filter(p => p.id !== DEFAULT_PLANT_ID).sort((a, b) => a.name.localeCompare(b.name));
+            setState({ plants: [{ ...DEFAULT_PLANT, ...registered.find(p => p.id === DEFAULT_PLANT_ID) }, ...others], loaded: true });
+        }, (err) => {
+            console.error("Error fetching plants:", err);
+            setState(current => ({ ...current, loaded: true }));
+        });
+
+        return () => unsubscribe();
+    }, [isSignedIn, db]);
+
+    return { plants: state.plants, loading: !!db && isSignedIn && !state.loaded };
+}
+
+// Planta elegida en el selector de la cabecera; se recuerda en el navegador entre sesiones.
+const SELECTED_PLANT_KEY = `selectedPlant:${appId}`;
+
+function useSelectedPlant(plants) {
+    const [selected, setSelected] = useState(() => localStorage.getItem(SELECTED_PLANT_KEY) || DEFAULT_PLANT_ID);
+
+    const select = useCallback((plantId) => {
+        localStorage.setItem(SELECTED_PLANT_KEY, plantId);
+        setSelected(plantId);
+    }, []);
+
+    // Si la planta guardada ya no es accesible se usa la primera a la que se tenga acceso.
+    const plantId = plants.some(p => p.id === selected) ? selected : plants[0]?.id || null;
+    return [plantId, select];
+}
+
+// --- ACCESO A DATOS: SUSCRIPCIONES POR VENTANA DE FECHAS ---
+// Cada vista se suscribe solo al rango de fechas que necesita, ordenado en el servidor de más reciente
+// a más antiguo. Las suscripciones se comparten en una caché de módulo: si ya hay una abierta que cubre
+// el rango pedido se reutiliza filtrando en memoria, y cuando deja de usarse sigue abierta unos minutos
+// para que volver a una vista no vuelva a descargar los datos.
+
+const ENTRY_DATE_FIELDS = {
+    womackEntries: 'date',
+    bodymakerEntries: 'weekStartDate',
+    productionEntries: 'date',
+    bodymakerProductionEntries: 'weekStartDate',
+    maintenanceEvents: 'date',
+};
+
+// Días de historia que la aplicación mantiene siempre cargados: formularios, alertas y recordatorios.
+const RECENT_WINDOW_DAYS = 120;
+const SUBSCRIPTION_KEEPALIVE_MS = 5 * 60 * 1000;
+
+const windowSubscriptions = new Map();
+
+// La clave incluye la planta: cada planta tiene su repositorio y sus propias suscripciones.
+const openWindowSubscription = (repository, collectionName, from, to) => {
+    const key = `${repository.plantId}|${collectionName}|${from}|${to}`;
+    const subscription = { key, repository, collectionName, from, to, entries: [], ready: false, listeners: new Set(), users: 0, closeTimer: null };
+    const notify = () => subscription.listeners.forEach(listener => listener());
+    subscription.unsubscribe = repository.watchRange(collectionName, from, to,
+        (entries) => {
+            subscription.entries = entries;
+            subscription.ready = true;
+            notify();
+        },
+        (err) => {
+            console.error(`Error fetching ${collectionName}:`, err);
+            subscription.ready = true;
+            notify();
+        }
+    );
+    windowSubscriptions.set(key, subscription);
+    return subscription;
+};
+
+const findCoveringSubscription = (repository, collectionName, from, to) => [...windowSubscriptions.values()]
+    .find(s => s.repository === repository && s.collectionName === collectionName && s.from <= from && s.to >= to);
+
+const releaseSubscription = (subscription) => {
+    subscription.users -= 1;
+    if (subscription.users > 0) return;
+    subscription.closeTimer = setTimeout(() => {
+        subscription.unsubscribe();
+        if (windowSubscriptions.get(subscription.key) === subscription) windowSubscriptions.delete(subscription.key);
+    }, SUBSCRIPTION_KEEPALIVE_MS);
+};
+
+// Cierra todas las suscripciones, p. ej. al cerrar sesión, para no seguir escuchando sin permisos.
+const closeAllSubscriptions = () => {
+    windowSubscriptions.forEach(subscription => {
+        clearTimeout(subscription.closeTimer);
+        subscription.unsubscribe();
+    });
+    windowSubscriptions.clear();
+};
+
+// Primer día de la ventana: en las colecciones semanales, el lunes de la semana de `from`.
+const windowStart = (collectionName, from) => (ENTRY_DATE_FIELDS[collectionName] === 'weekStartDate' && from ? weekStartOf(from) : from);
+
+// Usa (o abre) la suscripción de la caché que cubre la ventana y llama a `onUpdate({ entries, loading })`
+// con cada cambio. Devuelve la función que la libera.
+const subscribeWindow = (repository, collectionName, start, to, onUpdate) => {
+    const field = ENTRY_DATE_FIELDS[collectionName];
+    const subscription = findCoveringSubscription(repository, collectionName, start, to) || openWindowSubscription(repository, collectionName, start, to);
+    const update = () => onUpdate({
+        entries: subscription.entries.filter(d => d[field] >= start && d[field] <= to),
+        loading: !subscription.ready,
+    });
+    clearTimeout(subscription.closeTimer);
+    subscription.users += 1;
+    subscription.listeners.add(update);
+    update();
+
+    return () => {
+        subscription.listeners.delete(update);
+        releaseSubscription(subscription);
+    };
+};
+
+// Registros de una colección entre `from` y `to` (ambos incluidos), del más reciente al más antiguo.
+// En las colecciones semanales el rango se amplía al lunes de la semana de `from`. Sin repositorio no
+// se suscribe a nada.
+function useEntryWindow(repository, collectionName, from, to) {
+    const start = windowStart(collectionName, from);
+    const [state, setState] = useState({ entries: [], loading: !!repository });
+
+    useEffect(() => {
+        if (!repository) {
+            setState({ entries: [], loading: false });
+            return;
+        }
+        return subscribeWindow(repository, collectionName, start, to, setState);
+    }, [repository, collectionName, start, to]);
+
+    return state;
+}
+
+// La misma ventana en varios repositorios a la vez (uno por planta en la comparativa). Devuelve un
+// estado por repositorio, en el mismo orden. `repositories` debe mantenerse estable entre renders.
+const LOADING_WINDOW = { entries: [], loading: true };
+
+function useEntryWindows(repositories, collectionName, from, to) {
+    const start = windowStart(collectionName, from);
+    const [states, setStates] = useState([]);
+
+    useEffect(() => {
+        setStates(repositories.map(() => LOADING_WINDOW));
+        const releases = repositories.map((repository, i) => subscribeWindow(repository, collectionName, start, to,
+            (state) => setStates(current => current.map((s, j) => (j === i ? state : s)))));
+        return () => releases.forEach(release => release());
+    }, [repositories, collectionName, start, to]);
+
+    return useMemo(() => repositories.map((_, i) => states[i] || LOADING_WINDOW), [repositories, states]);
+}
+
+// Historial de una línea paginado con cursores: cada página empieza después del último registro
+// de la anterior y sigue suscrita para reflejar ediciones y aprobaciones.
+function usePagedEntries(repository, collectionName, line, pageSize) {
+    const pagingKey = `${collectionName}|${line}`;
+    // Último documento de cada página anterior; se reinicia al cambiar de colección o de línea.
+    const [paging, setPaging] = useState({ key: pagingKey, cursors: [] });
+    const cursors = paging.key === pagingKey ? paging.cursors : [];
+    const cursor = cursors[cursors.length - 1] || null;
+    const [page, setPage] = useState({ entries: [], hasNext: false, cursor: null });
+
+    useEffect(() => {
+        if (!repository || line === undefined) {
+            setPage({ entries: [], hasNext: false, cursor: null });
+            return;
+        }
+
+        return repository.watchPage(collectionName, { line, after: cursor, pageSize }, setPage, (err) => {
+            console.error(`Error fetching ${collectionName} page:`, err);
+        });
+    }, [repository, collectionName, line, cursor, pageSize]);
+
+    return {
+        entries: page.entries,
+        pageNumber: cursors.length + 1,
+        hasPrevious: cursors.length > 0,
+        hasNext: page.hasNext,
+        onNext: () => page.cursor && setPaging({ key: pagingKey, cursors: [...cursors, page.cursor] }),
+        onPrevious: () => setPaging({ key: pagingKey, cursors: cursors.slice(0, -1) }),
+    };
+}
+
+
+// --- HELPERS DE DATOS Y AUDITORÍA ---
+
+// --- PLANTAS ---
+// La planta original conserva la ruta de siempre (`public/data`) para no tener que migrar datos; cada
+// planta nueva guarda sus colecciones en `plant-<id>/data`. Los perfiles de usuario y el registro de
+// plantas (`plants`) son comunes a todas y viven siempre en la ruta original.
+const DEFAULT_PLANT_ID = 'default';
+const DEFAULT_PLANT = { id: DEFAULT_PLANT_ID, name: 'Planta principal' };
+const PLANT_ID_PATTERN = /^[a-z0-9-]{1,30}$/;
+
+const plantDataPath = (plantId) => (plantId === DEFAULT_PLANT_ID
+    ? `artifacts/${appId}/public/data`
+    : `artifacts/${appId}/plant-${plantId}/data`);
+
+// Ruta de una colección de datos de la aplicación en una planta (por defecto, la original).
+const collectionPath = (name, plantId = DEFAULT_PLANT_ID) => `${plantDataPath(plantId)}/${name}`;
+
+// Plantas a las que puede acceder un usuario, en el orden del registro: todas para los administradores;
+// para el resto, las de su perfil (`plants`) o, en perfiles anteriores a las plantas, solo la original.
+const accessiblePlants = (profile, plants) => {
+    if (hasRole(profile, 'admin')) return plants;
+    const ids = profile?.plants || [DEFAULT_PLANT_ID];
+    return plants.filter(p => ids.includes(p.id));
+};
+
+// Devuelve los campos del documento sin el id que añadimos al leerlo de Firestore.
+const stripId = ({ id, ...fields }) => fields;
+
+// Compara dos documentos campo a campo, sin tener en cuenta el orden de las claves.
+const sameFields = (a, b) => {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => sameFields(a[key], b[key]));
+};
+
+// Roles de usuario, de menor a mayor nivel de permisos. Cada rol incluye los permisos de los anteriores:
+// los operarios introducen datos, los supervisores editan y aprueban, y los administradores gestionan la configuración.
+const ROLES = ['operator', 'supervisor', 'admin'];
+// Rol de las cuentas nuevas: sin acceso a ningún dato hasta que un administrador les asigne uno de ROLES.
+const PENDING_ROLE = 'pending';
+const ROLE_LABELS = { pending: 'Pendiente', operator: 'Operario', supervisor: 'Supervisor', admin: 'Administrador' };
+
+const hasRole = (profile, role) => ROLES.indexOf(profile?.role) >= ROLES.indexOf(role);
+
+// Identidad con la que se firman los registros y los cambios.
+const authorOf = (profile) => ({
+    uid: profile?.uid || null,
+    email: profile?.email || null,
+    displayName: profile?.displayName || null,
+});
+
+const displayNameOf = (author) => author?.displayName || author?.email || author?.uid || '–';
+
+// Error lanzado cuando ya existe un registro con la misma clave (fecha/semana + línea).
+// Como el resto de errores de los repositorios, el mensaje va en español y se traduce al mostrarlo.
+class DuplicateEntryError extends Error {
+    constructor(existing) {
+        super('Ya existe un registro para esta fecha y línea.');
+        this.name = 'DuplicateEntryError';
+        this.existing = existing;
+    }
+}
+
+// Error lanzado al guardar un registro Womack de día completo cuando ya hay registros por turno para esa
+// fecha y línea, o al revés: un día se registra entero o por turnos, nunca de las dos formas.
+class ShiftConflictError extends Error {
+    constructor(byShift) {
+        super(byShift ? 'Ya hay un registro de día completo para esta fecha y línea.' : 'Ya hay registros por turno para esta fecha y línea.');
+        this.name = 'ShiftConflictError';
+    }
+}
+
+// Claves naturales de los registros. Los documentos nuevos usan la clave como id, de modo
+// que dos tablets que guardan a la vez el mismo día y línea colisionan en el mismo documento.
+// Los registros Womack por turno añaden el turno a la clave; los de día completo (y la producción) no.
+const womackEntryKey = ({ date, line, shift }) => (shift ? `${date}_L${line}_${shift}` : `${date}_L${line}`);
+const bodymakerEntryKey = ({ weekStartDate, line }) => `${weekStartDate}_L${line}`;
+
+// Claves que no pueden existir a la vez que la de `entry`: la del día completo si es un registro por turno
+// y las de todos los turnos del calendario si es de día completo.
+const womackConflictKeys = (config, { date, line, shift }) => (shift
+    ? [womackEntryKey({ date, line })]
+    : shiftsOf(config).map(s => womackEntryKey({ date, line, shift: s.id })));
+
+// Fusiona en un registro semanal existente las lecturas de las máquinas que todavía no tenía.
+// Las lecturas ya guardadas se conservan.
+const mergeBodymakerReadings = (existing, incoming) => {
+    const knownMachines = new Set(existing.readings.map(r => r.machineId));
+    return [...existing.readings, ...incoming.readings.filter(r => !knownMachines.has(r.machineId))]
+        .sort((a, b) => a.machineId - b.machineId);
+};
+
+// Funciones de fusión por colección para el modo 'merge' de `upsert`.
+const ENTRY_MERGERS = {
+    bodymakerEntries: (existing, incoming) => ({ readings: mergeBodymakerReadings(existing, incoming) }),
+    bodymakerProductionEntries: (existing, incoming) => ({ readings: mergeBodymakerReadings(existing, incoming) }),
+};
+
+// Errores que indican falta de conexión: el registro se guarda en la cola local para sincronizarlo después.
+const isOfflineError = (error) => !navigator.onLine || ['unavailable', 'deadline-exceeded'].includes(error?.code);
+
+// --- REPOSITORIO DE REGISTROS ---
+// Todas las lecturas y escrituras de registros (womackEntries, bodymakerEntries, productionEntries,
+// bodymakerProductionEntries y maintenanceEvents) y de su auditoría pasan por un repositorio con esta interfaz:
+// - watchRange(collectionName, from, to, onChange, onError): registros entre dos fechas (incluidas),
+//   del más reciente al más antiguo. Devuelve la función que cancela la suscripción.
+// - watchPage(collectionName, { line, after, pageSize }, onChange, onError): una página del historial de
+//   una línea. `onChange` recibe { entries, hasNext, cursor }; `cursor` se pasa como `after` para pedir la siguiente.
+// - watchAuditLog(count, onChange, onError): las últimas entradas de la auditoría.
+// - upsert(user, collectionName, { docId, entry, mode, mergeFn, conflictIds }), update(user, collectionName, entry, changes, action),
+//   remove(user, collectionName, entry) y revert(user, auditEntry): cada cambio se escribe junto con su
+//   entrada de auditoría de forma atómica.
+// - watchImports(count, onChange, onError), importEntries(user, { type, fileName, rows, onProgress }) y
+//   rollbackImport(user, importRecord): importaciones de históricos y su registro para poder deshacerlas.
+// Hay dos implementaciones: Firestore (`createFirestoreRepository`) y local (`createLocalRepository`), que
+// guarda los datos en memoria y, si el navegador lo permite, en IndexedDB.
+
+// Entrada del registro de auditoría para un cambio sobre un registro.
+const auditRecord = (user, { collectionName, docId, action, before = null, after = null, revertOf = null }) => ({
+    collection: collectionName,
+    docId,
+    action,
+    before,
+    after,
+    revertOf,
+    changedBy: authorOf(user),
+    changedAt: new Date().toISOString(),
+});
+
+// Resultado de guardar `entry` sobre el documento `existing` (null si no existe) según el modo de upsert:
+// el documento final y, si sustituye a uno anterior, su entrada de auditoría.
+const resolveUpsert = (user, collectionName, docId, existing, entry, mode, mergeFn) => {
+    if (!existing) return { after: entry, audit: null };
+    if (mode === 'create') {
+        throw new DuplicateEntryError({ id: docId, ...existing });
+    }
+    const after = mode === 'merge'
+        ? { ...existing, ...mergeFn(existing, entry), updatedAt: new Date().toISOString(), updatedBy: authorOf(user) }
+        : { ...entry, createdAt: existing.createdAt, updatedAt: new Date().toISOString(), updatedBy: authorOf(user) };
+    return { after, audit: auditRecord(user, { collectionName, docId, action: mode, before: existing, after }) };
+};
+
+// Un cambio solo se revierte si el registro sigue como lo dejó; si no, se perderían las ediciones posteriores.
+const STALE_REVERT_MESSAGE = 'El registro ha cambiado desde entonces; no se puede revertir sin perder los cambios posteriores.';
+
+// Registro tras aplicar una edición, firmada por quien la hace.
+const updatedEntry = (user, entry, changes) => ({ ...stripId(entry), ...changes, updatedAt: new Date().toISOString(), updatedBy: authorOf(user) });
+
+// Filas de la vista previa de una importación que se intentan guardar: las válidas que no son duplicadas.
+const importableRows = (rows) => rows.filter(r => r.errors.length === 0 && !r.duplicate);
+
+// Documentos cuya existencia hace omitir una fila al importarla: el suyo y, en Womack, los de los turnos del día.
+const importRowIds = ({ key, conflictIds = [] }) => [key, ...conflictIds];
+
+// Registro de una importación recién empezada; `docIds` y `updatedAt` se actualizan con cada bloque guardado.
+const newImportRecord = (user, { type, fileName, rows, createdAt }) => ({
+    type,
+    collection: IMPORT_TYPES[type].collection,
+    fileName,
+    createdAt,
+    createdBy: authorOf(user),
+    rowCount: rows.length,
+    importedCount: 0,
+    skippedCount: rows.length - importableRows(rows).length,
+    docIds: [],
+    status: 'in-progress',
+    updatedAt: createdAt,
+});
+
+// Documento guardado por una importación: lleva su `importId` para poder deshacerla.
+const importedEntry = (user, entry, importId, createdAt) => ({ ...entry, createdAt, createdBy: authorOf(user), importId });
+
+const rolledBackFields = (user) => ({ status: 'rolledBack', rolledBackAt: new Date().toISOString(), rolledBackBy: authorOf(user) });
+
+function createFirestoreRepository(db, plantId = DEFAULT_PLANT_ID) {
+    const pathOf = (collectionName) => collectionPath(collectionName, plantId);
+    const entriesOf = (docs) => docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const entryRef = (collectionName, docId) => doc(db, pathOf(collectionName), docId);
+    const addAuditEntry = (writer, record) => writer.set(doc(collection(db, pathOf('auditLog'))), record);
+
+    return {
+        plantId,
+
+        watchRange(collectionName, from, to, onChange, onError) {
+            const field = ENTRY_DATE_FIELDS[collectionName];
+            const q = query(collection(db, pathOf(collectionName)), where(field, '>=', from), where(field, '<=', to), orderBy(field, 'desc'));
+            return onSnapshot(q, (snapshot) => onChange(entriesOf(snapshot.docs)), onError);
+        },
+
+        // Necesita el índice compuesto (line, fecha descendente) de `firestore.indexes.json`.
+        watchPage(collectionName, { line, after, pageSize }, onChange, onError) {
+            const field = ENTRY_DATE_FIELDS[collectionName];
+            const constraints = [where('line', '==', line), orderBy(field, 'desc'), ...(after ? [startAfter(after)] : []), limit(pageSize + 1)];
+            return onSnapshot(query(collection(db, pathOf(collectionName)), ...constraints), (snapshot) => {
+                const docs = snapshot.docs.slice(0, pageSize);
+                onChange({ entries: entriesOf(docs), hasNext: snapshot.docs.length > pageSize, cursor: docs[docs.length - 1] || null });
+            }, onError);
+        },
+
+        watchAuditLog(count, onChange, onError) {
+            const q = query(collection(db, pathOf('auditLog')), orderBy('changedAt', 'desc'), limit(count));
+            return onSnapshot(q, (snapshot) => onChange(entriesOf(snapshot.docs)), onError);
+        },
+
+        watchImports(count, onChange, onError) {
+            const q = query(collection(db, pathOf('imports')), orderBy('createdAt', 'desc'), limit(count));
+            return onSnapshot(q, (snapshot) => onChange(entriesOf(snapshot.docs)), onError);
+        },
+
+        // Guarda un registro dentro de una transacción.
+        // - mode 'create': falla con DuplicateEntryError si el documento ya existe.
+        // - mode 'overwrite': sustituye los valores del registro existente.
+        // - mode 'merge': combina ambos registros con `mergeFn(existing, incoming)`.
+        // Las sobrescrituras y fusiones quedan en la auditoría como cualquier otra edición.
+        // Si existe alguno de los documentos `conflictIds` (ver `womackConflictKeys`) falla con ShiftConflictError.
+        async upsert(user, collectionName, { docId, entry, mode = 'create', mergeFn = ENTRY_MERGERS[collectionName], conflictIds = [] }) {
+            // Las transacciones necesitan el servidor; sin red fallamos enseguida para encolar el registro.
+            if (!navigator.onLine) {
+                throw Object.assign(new Error('Sin conexión con el servidor.'), { code: 'unavailable' });
+            }
+            const ref = entryRef(collectionName, docId);
+            await runTransaction(db, async (transaction) => {
+                const [snap, ...conflicts] = await Promise.all([ref, ...conflictIds.map(id => entryRef(collectionName, id))].map(r => transaction.get(r)));
+                if (conflicts.some(c => c.exists())) throw new ShiftConflictError(Boolean(entry.shift));
+                const { after, audit } = resolveUpsert(user, collectionName, docId, snap.exists() ? snap.data() : null, entry, mode, mergeFn);
+                transaction.set(ref, after);
+                if (audit) addAuditEntry(transaction, audit);
+            });
+        },
+
+        // Modifica un registro existente dejando constancia de los valores anteriores y nuevos.
+        async update(user, collectionName, entry, changes, action = 'update') {
+            const after = updatedEntry(user, entry, changes);
+            const batch = writeBatch(db);
+            batch.set(entryRef(collectionName, entry.id), after);
+            addAuditEntry(batch, auditRecord(user, { collectionName, docId: entry.id, action, before: stripId(entry), after }));
+            await batch.commit();
+        },
+
+        // Elimina un registro guardando una copia completa en la auditoría para poder restaurarlo.
+        async remove(user, collectionName, entry) {
+            const batch = writeBatch(db);
+            batch.delete(entryRef(collectionName, entry.id));
+            addAuditEntry(batch, auditRecord(user, { collectionName, docId: entry.id, action: 'delete', before: stripId(entry) }));
+            await batch.commit();
+        },
+
+        // Devuelve el registro al estado anterior a un cambio auditado (edición o borrado).
+        async revert(user, auditEntry) {
+            const ref = entryRef(auditEntry.collection, auditEntry.docId);
+            const auditRef = doc(db, pathOf('auditLog'), auditEntry.id);
+            await runTransaction(db, async (transaction) => {
+                const [entrySnap, auditSnap] = await Promise.all([transaction.get(ref), transaction.get(auditRef)]);
+                if (auditSnap.data()?.revertedAt) {
+                    throw new Error('Este cambio ya ha sido revertido.');
+                }
+                const current = entrySnap.exists() ? entrySnap.data() : null;
+                if (!sameFields(current, auditEntry.after)) {
+                    throw new Error(STALE_REVERT_MESSAGE);
+                }
+                transaction.set(ref, auditEntry.before);
+                transaction.update(auditRef, { revertedAt: new Date().toISOString(), revertedBy: authorOf(user) });
+                addAuditEntry(transaction, auditRecord(user, {
+                    collectionName: auditEntry.collection,
+                    docId: auditEntry.docId,
+                    action: 'revert',
+                    before: current,
+                    after: auditEntry.before,
+                    revertOf: auditEntry.id,
+                }));
+            });
+        },
+
+        // Guarda las filas válidas de una importación en transacciones de hasta IMPORT_BATCH_SIZE documentos.
+        // El registro de importación se crea antes de escribir los datos para que, si algo falla a mitad,
+        // se sepa qué documentos se llegaron a guardar. Solo se crean documentos nuevos: si alguien ha guardado
+        // el mismo día y línea desde la vista previa (entero o por turnos), su registro se conserva y la fila
+        // se cuenta como omitida.
+        async importEntries(user, { type, fileName, rows, onProgress }) {
+            const collectionName = IMPORT_TYPES[type].collection;
+            const importRef = doc(collection(db, pathOf('imports')));
+            const toImport = importableRows(rows);
+            const createdAt = new Date().toISOString();
+            await setDoc(importRef, newImportRecord(user, { type, fileName, rows, createdAt }));
+
+            const docIds = [];
+            try {
+                for (let i = 0; i < toImport.length; i += IMPORT_BATCH_SIZE) {
+                    const chunk = toImport.slice(i, i + IMPORT_BATCH_SIZE);
+                    const written = await runTransaction(db, async (transaction) => {
+                        const snapshots = await Promise.all(chunk.map(row => Promise.all(importRowIds(row).map(id => transaction.get(entryRef(collectionName, id))))));
+                        return chunk.flatMap(({ key, entry }, j) => {
+                            if (snapshots[j].some(snapshot => snapshot.exists())) return [];
+                            transaction.set(entryRef(collectionName, key), importedEntry(user, entry, importRef.id, createdAt));
+                            return [key];
+                        });
+                    });
+                    docIds.push(...written);
+                    await setDoc(importRef, { docIds, importedCount: docIds.length, updatedAt: new Date().toISOString() }, { merge: true });
+                    onProgress?.(i + chunk.length, toImport.length);
+                }
+                await setDoc(importRef, { status: 'completed', skippedCount: rows.length - docIds.length }, { merge: true });
+            } catch (error) {
+                await setDoc(importRef, { status: 'failed', error: error.message }, { merge: true });
+                throw error;
+            }
+            return { importId: importRef.id, importedCount: docIds.length };
+        },
+
+        // Deshace una importación borrando los documentos que creó. Solo se borran los que siguen marcados con
+        // su `importId` (un registro sobrescrito después ya no lo está); se buscan por ese campo y no por
+        // `docIds` porque una importación cortada a mitad puede haber guardado un bloque sin llegar a anotarlo.
+        // Cada borrado queda en la auditoría para poder revertirlo como cualquier otro.
+        async rollbackImport(user, importRecord) {
+            const imported = await getDocs(query(collection(db, pathOf(importRecord.collection)), where('importId', '==', importRecord.id)));
+            const ids = imported.docs.map(d => d.id);
+            // Cada borrado son dos escrituras: el documento y su entrada de auditoría.
+            const chunkSize = IMPORT_BATCH_SIZE / 2;
+            for (let i = 0; i < ids.length; i += chunkSize) {
+                await runTransaction(db, async (transaction) => {
+                    const refs = ids.slice(i, i + chunkSize).map(id => entryRef(importRecord.collection, id));
+                    const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+                    snapshots.forEach((snapshot, j) => {
+                        if (!snapshot.exists() || snapshot.data().importId !== importRecord.id) return;
+                        transaction.delete(refs[j]);
+                        addAuditEntry(transaction, auditRecord(user, {
+                            collectionName: importRecord.collection,
+                            docId: snapshot.id,
+                            action: 'delete',
+                            before: snapshot.data(),
+                        }));
+                    });
+                });
+            }
+            await setDoc(doc(db, pathOf('imports'), importRecord.id), rolledBackFields(user), { merge: true });
+        },
+    };
+}
+
+// Base de datos IndexedDB del modo local: un único almacén con los documentos de todas las colecciones,
+// una base de datos por planta.
+const localDbName = (plantId) => (plantId === DEFAULT_PLANT_ID ? `consumos:${appId}` : `consumos:${appId}:${plantId}`);
+const LOCAL_STORE = 'documents';
+
+const openLocalStore = (plantId) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(localDbName(plantId), 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(LOCAL_STORE, { keyPath: 'path' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runLocalStore = (store, mode, work) => store.then(idb => new Promise((resolve, reject) => {
+    const transaction = idb.transaction(LOCAL_STORE, mode);
+    const request = work(transaction.objectStore(LOCAL_STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+}));
+
+// Repositorio local para el modo de demostración y las pruebas. Con `persist` los datos se guardan en
+// IndexedDB y sobreviven a recargas; sin él (o sin IndexedDB) viven solo en memoria. `initialData`
+// precarga documentos con la forma { [collectionName]: [{ id, ...campos }] }. Cada planta tiene sus propios datos.
+function createLocalRepository({ persist = typeof indexedDB !== 'undefined', initialData = {}, plantId = DEFAULT_PLANT_ID } = {}) {
+    const collections = new Map();
+    const listeners = new Set();
+    const store = persist ? openLocalStore(plantId) : null;
+
+    const docsOf = (collectionName) => {
+        if (!collections.has(collectionName)) collections.set(collectionName, new Map());
+        return collections.get(collectionName);
+    };
+    const entriesOf = (collectionName) => [...docsOf(collectionName)].map(([id, data]) => ({ id, ...data }));
+    // Mismo orden que Firestore: por el campo indicado y, a igualdad, por id, ambos descendentes.
+    const sortedBy = (entries, field) => entries.sort((a, b) => String(b[field]).localeCompare(String(a[field])) || b.id.localeCompare(a.id));
+    const newId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    Object.entries(initialData).forEach(([collectionName, entries]) => {
+        entries.forEach(({ id, ...data }) => docsOf(collectionName).set(id, data));
+    });
+
+    // Los datos guardados en IndexedDB se cargan antes de la primera notificación y de la primera escritura.
+    const loaded = store
+        ? runLocalStore(store, 'readonly', objectStore => objectStore.getAll())
+            .then(records => records.forEach(({ collectionName, id, data }) => docsOf(collectionName).set(id, data)))
+            .catch(err => console.error("Error al cargar los datos locales:", err))
+        : Promise.resolve();
+
+    // Aplica una lista de cambios [{ collectionName, id, data }] (data null para borrar) de una vez.
+    const commit = async (changes) => {
+        changes.forEach(({ collectionName, id, data }) => (data ? docsOf(collectionName).set(id, data) : docsOf(collectionName).delete(id)));
+        listeners.forEach(listener => listener());
+        if (!store) return;
+        await runLocalStore(store, 'readwrite', objectStore => {
+            changes.forEach(({ collectionName, id, data }) => {
+                const path = `${collectionName}/${id}`;
+                if (data) objectStore.put({ path, collectionName, id, data });
+                else objectStore.delete(path);
+            });
+        });
+    };
+
+    const watch = (compute, onChange) => {
+        const listener = () => onChange(compute());
+        listeners.add(listener);
+        loaded.then(() => listeners.has(listener) && listener());
+        return () => listeners.delete(listener);
+    };
+
+    return {
+        plantId,
+
+        watchRange(collectionName, from, to, onChange) {
+            const field = ENTRY_DATE_FIELDS[collectionName];
+            return watch(() => sortedBy(entriesOf(collectionName).filter(d => d[field] >= from && d[field] <= to), field), onChange);
+        },
+
+        watchPage(collectionName, { line, after, pageSize }, onChange) {
+            const field = ENTRY_DATE_FIELDS[collectionName];
+            return watch(() => {
+                const entries = sortedBy(entriesOf(collectionName).filter(d => d.line === line), field);
+                const start = after ? entries.findIndex(d => d[field] < after.value || (d[field] === after.value && d.id < after.id)) : 0;
+                const page = start < 0 ? [] : entries.slice(start, start + pageSize);
+                const last = page[page.length - 1];
+                return {
+                    entries: page,
+                    hasNext: start >= 0 && entries.length > start + pageSize,
+                    cursor: last ? { value: last[field], id: last.id } : null,
+                };
+            }, onChange);
+        },
+
+        watchAuditLog(count, onChange) {
+            return watch(() => sortedBy(entriesOf('auditLog'), 'changedAt').slice(0, count), onChange);
+        },
+
+        watchImports(count, onChange) {
+            return watch(() => sortedBy(entriesOf('imports'), 'createdAt').slice(0, count), onChange);
+        },
+
+        async upsert(user, collectionName, { docId, entry, mode = 'create', mergeFn = ENTRY_MERGERS[collectionName], conflictIds = [] }) {
+            await loaded;
+            if (conflictIds.some(id => docsOf(collectionName).has(id))) throw new ShiftConflictError(Boolean(entry.shift));
+            const { after, audit } = resolveUpsert(user, collectionName, docId, docsOf(collectionName).get(docId) || null, entry, mode, mergeFn);
+            await commit([
+                { collectionName, id: docId, data: after },
+                ...(audit ? [{ collectionName: 'auditLog', id: newId(), data: audit }] : []),
+            ]);
+        },
+
+        async update(user, collectionName, entry, changes, action = 'update') {
+            await loaded;
+            const after = updatedEntry(user, entry, changes);
+            await commit([
+                { collectionName, id: entry.id, data: after },
+                { collectionName: 'auditLog', id: newId(), data: auditRecord(user, { collectionName, docId: entry.id, action, before: stripId(entry), after }) },
+            ]);
+        },
+
+        async remove(user, collectionName, entry) {
+            await loaded;
+            await commit([
+                { collectionName, id: entry.id, data: null },
+                { collectionName: 'auditLog', id: newId(), data: auditRecord(user, { collectionName, docId: entry.id, action: 'delete', before: stripId(entry) }) },
+            ]);
+        },
+
+        async revert(user, auditEntry) {
+            await loaded;
+            const stored = docsOf('auditLog').get(auditEntry.id);
+            if (stored?.revertedAt) {
+                throw new Error('Este cambio ya ha sido revertido.');
+            }
+            const current = docsOf(auditEntry.collection).get(auditEntry.docId) || null;
+            if (!sameFields(current, auditEntry.after)) {
+                throw new Error(STALE_REVERT_MESSAGE);
+            }
+            await commit([
+                { collectionName: auditEntry.collection, id: auditEntry.docId, data: auditEntry.before },
+                { collectionName: 'auditLog', id: auditEntry.id, data: { ...stored, revertedAt: new Date().toISOString(), revertedBy: authorOf(user) } },
+                { collectionName: 'auditLog', id: newId(), data: auditRecord(user, {
+                    collectionName: auditEntry.collection,
+                    docId: auditEntry.docId,
+                    action: 'revert',
+                    before: current,
+                    after: auditEntry.before,
+                    revertOf: auditEntry.id,
+                }) },
+            ]);
+        },
+
+        // Mismo reparto en bloques que en Firestore, para que las pruebas recorran el mismo camino.
+        async importEntries(user, { type, fileName, rows, onProgress }) {
+            await loaded;
+            const collectionName = IMPORT_TYPES[type].collection;
+            const importId = newId();
+            const toImport = importableRows(rows);
+            const createdAt = new Date().toISOString();
+            let record = newImportRecord(user, { type, fileName, rows, createdAt });
+            const saveRecord = (changes) => {
+                record = { ...record, ...changes };
+                return commit([{ collectionName: 'imports', id: importId, data: record }]);
+            };
+            await saveRecord({});
+
+            const docIds = [];
+            try {
+                for (let i = 0; i < toImport.length; i += IMPORT_BATCH_SIZE) {
+                    const chunk = toImport.slice(i, i + IMPORT_BATCH_SIZE).filter(row => !importRowIds(row).some(id => docsOf(collectionName).has(id)));
+                    await commit(chunk.map(({ key, entry }) => ({ collectionName, id: key, data: importedEntry(user, entry, importId, createdAt) })));
+                    docIds.push(...chunk.map(({ key }) => key));
+                    await saveRecord({ docIds: [...docIds], importedCount: docIds.length, updatedAt: new Date().toISOString() });
+                    onProgress?.(Math.min(i + IMPORT_BATCH_SIZE, toImport.length), toImport.length);
+                }
+                await saveRecord({ status: 'completed', skippedCount: rows.length - docIds.length });
+            } catch (error) {
+                await saveRecord({ status: 'failed', error: error.message });
+                throw error;
+            }
+            return { importId, importedCount: docIds.length };
+        },
+
+        async rollbackImport(user, importRecord) {
+            await loaded;
+            const docs = docsOf(importRecord.collection);
+            const ids = [...docs].filter(([, data]) => data.importId === importRecord.id).map(([id]) => id);
+            await commit([
+                ...ids.flatMap(id => [
+                    { collectionName: importRecord.collection, id, data: null },
+                    { collectionName: 'auditLog', id: newId(), data: auditRecord(user, { collectionName: importRecord.collection, docId: id, action: 'delete', before: docs.get(id) }) },
+                ]),
+                { collectionName: 'imports', id: importRecord.id, data: { ...docsOf('imports').get(importRecord.id), ...rolledBackFields(user) } },
+            ]);
+        },
+    };
+}
+
+// Marca un registro como revisado y aprobado por un supervisor.
+const approveEntry = (repository, user, collectionName, entry) =>
+    repository.update(user, collectionName, entry, { approvedAt: new Date().toISOString(), approvedBy: authorOf(user) }, 'approve');
+
+// Filas de comparación para el aviso de duplicado ({ label, existing, incoming }).
+const entryComparisonRows = ({ t }, collectionName, existing, incoming, plantConfig) => {
+    if (collectionName === 'womackEntries') {
+        return [
+            { label: t('Agua'), existing: withUnit(existing.waterConsumption, 'water', existing.waterUnit), incoming: withUnit(incoming.waterConsumption, 'water', incoming.waterUnit) },
+            { label: t('Aceite Total'), existing: withUnit(existing.oilConsumptionTotal, 'oil', existing.oilUnit), incoming: withUnit(incoming.oilConsumptionTotal, 'oil', incoming.oilUnit) },
+            { label: t('Aceite Parcial'), existing: withUnit(existing.oilConsumptionPartial, 'oil', existing.oilUnit), incoming: withUnit(incoming.oilConsumptionPartial, 'oil', incoming.oilUnit) },
+            { label: t('Operario'), existing: existing.operator || '–', incoming: incoming.operator || '–' },
+        ];
+    }
+    if (collectionName === 'productionEntries') {
+        return [{ label: t('Latas'), existing: existing.cans, incoming: incoming.cans }];
+    }
+    const machineIds = [...new Set([...existing.readings, ...incoming.readings].map(r => r.machineId))].sort((a, b) => a - b);
+    const readingOf = (entry, machineId) => {
+        const reading = entry.readings.find(r => r.machineId === machineId);
+        return reading && (reading.cans ?? withUnit(reading.consumption, 'oil', reading.unit));
+    };
+    return machineIds.map(machineId => ({
+        label: machineName(plantConfig, machineId),
+        existing: readingOf(existing, machineId),
+        incoming: readingOf(incoming, machineId),
+    }));
+};
+
+// Lista los campos que difieren entre dos versiones de un registro.
+// Las lecturas de bodymaker se comparan máquina a máquina.
+function diffEntries(before, after) {
+    const flatten = (entry) => {
+        if (!entry) return {};
+        const { readings, createdAt, updatedAt, ...rest } = entry;
+        // Los objetos de autoría (createdBy, approvedBy...) no se comparan campo a campo.
+        const fields = Object.fromEntries(Object.entries(rest).filter(([, value]) => value === null || typeof value !== 'object'));
+        (readings || []).forEach(r => { fields[`BM ${r.machineId}`] = r.consumption ?? r.cans; });
+        return fields;
+    };
+    const oldFields = flatten(before);
+    const newFields = flatten(after);
+    return [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])]
+        .filter(field => oldFields[field] !== newFields[field])
+        .map(field => ({ field, from: oldFields[field], to: newFields[field] }));
+}
+
+
+// --- HELPERS DE EXPORTACIÓN (CSV / XLSX) ---
+// Los ficheros se generan con formato español: fechas dd/mm/aaaa, coma decimal y ';' como separador CSV,
+// que es lo que espera Excel configurado en español.
+
+const formatDateEs = (isoDate) => {
+    const [year, month, day] = isoDate.split('-');
+    return `${day}/${month}/${year}`;
+};
+
+const formatNumberEs = (value) => (typeof value === 'number'
+    ? value.toLocaleString('es-ES', { maximumFractionDigits: 3, useGrouping: false })
+    : value ?? '');
+
+// Fecha local (sin desplazamiento horario) para que Excel muestre el mismo día guardado.
+const isoToLocalDate = (isoDate) => {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+const toCsv = (headers, rows) => {
+    const escape = (value) => {
+        const text = String(value);
+        return /[;"\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [headers, ...rows].map(row => row.map(escape).join(';'));
+    // BOM para que Excel detecte UTF-8 y muestre bien las tildes.
+    return '\uFEFF' + lines.join('\r\n');
+};
+
+const downloadBlob = (content, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const WOMACK_EXPORT_HEADERS = ['Fecha', 'Línea', 'Turno', 'Operario', 'Agua (m³)', 'Aceite Total (L)', 'Aceite Parcial (L)', 'Registrado por'];
+const BODYMAKER_EXPORT_HEADERS = ['Semana de', 'Línea', 'Máquina', 'Consumo Aceite (L)', 'Registrado por'];
+const SUMMARY_EXPORT_HEADERS = ['Línea', 'Días con registro', 'Agua (m³)', 'Aceite Total Womack (L)', 'Aceite Parcial Womack (L)', 'Aceite Bodymakers (L)'];
+
+// Los ficheros exportados van siempre en español, sea cual sea el idioma de la interfaz.
+const EXPORT_I18N = createI18n('es');
+
+// Filas de exportación con los valores sin formatear; cada formato de salida los presenta a su manera.
+const womackExportRows = (entries, plantConfig) => entries.map(d => [
+    d.date,
+    getLine(plantConfig, d.line)?.name || `Línea ${d.line}`,
+    shiftName(EXPORT_I18N, plantConfig, d.shift),
+    d.operator || '',
+    d.waterConsumption,
+    d.oilConsumptionTotal,
+    d.oilConsumptionPartial,
+    displayNameOf(d.createdBy),
+]);
+
+// Las lecturas de bodymaker se aplanan a una fila por semana y máquina.
+const flattenBodymakerReadings = (entries, machineId = null) => entries.flatMap(d => d.readings
+    .filter(r => machineId === null || r.machineId === machineId)
+    .map(r => ({ ...r, id: `${d.id}-${r.machineId}`, weekStartDate: d.weekStartDate, line: d.line, createdBy: d.createdBy })));
+
+const bodymakerExportRows = (readings, plantConfig) => readings.map(r => [
+    r.weekStartDate,
+    getLine(plantConfig, r.line)?.name || `Línea ${r.line}`,
+    machineName(plantConfig, r.machineId),
+    r.consumption,
+    displayNameOf(r.createdBy),
+]);
+
+// Totales por línea del periodo exportado.
+const summaryExportRows = (womackEntries, bodymakerReadings, plantConfig) => plantConfig.lines.map(l => {
+    const womack = womackEntries.filter(d => d.line === l.id);
+    const sum = (items, field) => items.reduce((acc, item) => acc + (Number(item[field]) || 0), 0);
+    return [
+        l.name,
+        new Set(womack.map(d => d.date)).size,
+        sum(womack, 'waterConsumption'),
+        sum(womack, 'oilConsumptionTotal'),
+        sum(womack, 'oilConsumptionPartial'),
+        sum(bodymakerReadings.filter(r => r.line === l.id), 'consumption'),
+    ];
+});
+
+// Convierte filas con fechas ISO en la primera columna a una hoja con fechas y números reales de Excel.
+const buildSheet = (headers, rows, { dateColumn = 0 } = {}) => {
+    const data = rows.map(row => row.map((value, i) => (i === dateColumn && typeof value === 'string' ? isoToLocalDate(value) : value)));
+    const sheet = XLSX.utils.aoa_to_sheet([headers, ...data], { cellDates: true, dateNF: 'dd/mm/yyyy' });
+    Object.keys(sheet).filter(ref => !ref.startsWith('!')).forEach(ref => {
+        if (sheet[ref].t === 'n') sheet[ref].z = '#,##0.##';
+    });
+    sheet['!cols'] = headers.map(h => ({ wch: Math.max(12, h.length + 2) }));
+    return sheet;
+};
+
+
+// --- HELPERS DE IMPORTACIÓN DE HISTÓRICOS ---
+
+// Número máximo de operaciones por batch de Firestore (el límite es 500; dejamos margen).
+const IMPORT_BATCH_SIZE = 400;
+
+// Lunes (AAAA-MM-DD) de la semana a la que pertenece una fecha.
+const weekStartOf = (isoDate) => {
+    const d = new Date(isoDate + 'T00:00:00Z');
+    const day = d.getUTCDay();
+    d.setUTCDate(d.getUTCDate() - day + (day === 0 ? -6 : 1));
+    return d.toISOString().split('T')[0];
+};
+
+// Parser CSV mínimo con soporte de comillas. Detecta ';' o ',' como separador a partir de la cabecera.
+const parseCsv = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field); field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row); row = []; field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(cell => String(cell).trim() !== ''));
+};
+
+// Lee un fichero CSV o XLSX y devuelve la cabecera y las filas de la primera hoja.
+const readSpreadsheetFile = async (file) => {
+    let table;
+    if (/\.csv$/i.test(file.name)) {
+        table = parseCsv((await file.text()).replace(/^\uFEFF/, ''));
+    } else {
+        const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+            .filter(r => r.some(cell => String(cell).trim() !== ''));
+    }
+    const [headers = [], ...rows] = table;
+    return { headers: headers.map(h => String(h).trim()), rows };
+};
+
+// Acepta fechas de Excel (Date o número de serie), dd/mm/aaaa y AAAA-MM-DD. Devuelve AAAA-MM-DD o null.
+const parseImportDate = (value) => {
+    if (value instanceof Date && !isNaN(value)) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    if (typeof value === 'number') {
+        const parsed = XLSX.SSF.parse_date_code(value);
+        return parsed ? `${parsed.y}-${String(parsed.m).padStart(2, '0')}-${String(parsed.d).padStart(2, '0')}` : null;
+    }
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (match) {
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        return `${year}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+    return null;
+};
+
+// Acepta números con coma decimal y punto de miles ("1.234,5"). Devuelve null si la celda está vacía.
+const parseImportNumber = (value) => {
+    if (typeof value === 'number') return value;
+    let text = String(value).trim();
+    if (text === '') return null;
+    if (text.includes(',')) text = text.replace(/\./g, '').replace(',', '.');
+    const number = Number(text);
+    return isNaN(number) ? NaN : number;
+};
+
+// La línea puede venir como número, nombre ("Línea 1") o abreviatura ("L1").
+const parseImportLine = (value, plantConfig) => {
+    const text = String(value).trim().toLowerCase();
+    const line = plantConfig.lines.find(l =>
+        String(l.id) === text || l.name.toLowerCase() === text || l.shortName.toLowerCase() === text);
+    return line ? line.id : null;
+};
+
+const normalizeHeader = (header) => header.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]/g, '');
+
+// Propone la columna cuyo encabezado coincide con alguno de los candidatos.
+const guessColumn = (headers, candidates) => {
+    const normalized = headers.map(normalizeHeader);
+    const index = normalized.findIndex(h => candidates.some(c => h === c || h.startsWith(c)));
+    return index >= 0 ? String(index) : '';
+};
+
+// Tipos de datos importables: colección de destino y si son semanales con una columna por máquina.
+const IMPORT_TYPES = {
+    womack: { label: 'Womack (diario)', collection: 'womackEntries', weekly: false },
+    bodymaker: { label: 'Bodymakers (semanal)', collection: 'bodymakerEntries', weekly: true },
+    production: { label: 'Producción por línea (diario)', collection: 'productionEntries', weekly: false },
+    bodymakerProduction: { label: 'Producción por bodymaker (semanal)', collection: 'bodymakerProductionEntries', weekly: true },
+};
+
+const WEEK_IMPORT_FIELDS = [
+    { key: 'date', label: 'Semana (lunes)', candidates: ['semanade', 'semana', 'week', 'fecha'] },
+    { key: 'line', label: 'Línea', candidates: ['linea', 'line'] },
+];
+
+const IMPORT_FIELDS = {
+    womack: [
+        { key: 'date', label: 'Fecha', candidates: ['fecha', 'date', 'dia'] },
+        { key: 'line', label: 'Línea', candidates: ['linea', 'line'] },
+        { key: 'water', label: 'Agua (m³)', candidates: ['agua', 'water', 'consumoagua'] },
+        { key: 'oilTotal', label: 'Aceite Total (L)', candidates: ['aceitetotal', 'oiltotal', 'consumoaceitetotal'] },
+        { key: 'oilPartial', label: 'Aceite Parcial (L)', candidates: ['aceiteparcial', 'oilpartial', 'consumoaceiteparcial'] },
+    ],
+    bodymaker: WEEK_IMPORT_FIELDS,
+    production: [
+        { key: 'date', label: 'Fecha', candidates: ['fecha', 'date', 'dia'] },
+        { key: 'line', label: 'Línea', candidates: ['linea', 'line'] },
+        { key: 'cans', label: 'Latas producidas', candidates: ['latas', 'cans', 'produccion', 'latasproducidas'] },
+    ],
+    bodymakerProduction: WEEK_IMPORT_FIELDS,
+};
+
+// Mapeo inicial de columnas a partir de los encabezados del fichero.
+const guessImportMapping = (type, headers, plantConfig) => {
+    const mapping = Object.fromEntries(IMPORT_FIELDS[type].map(f => [f.key, guessColumn(headers, f.candidates)]));
+    if (IMPORT_TYPES[type].weekly) {
+        plantConfig.lines.flatMap(l => l.machines).forEach(m => {
+            mapping[`bm-${m.id}`] = guessColumn(headers, [normalizeHeader(m.name), `bm${m.id}`]);
+        });
+    }
+    return mapping;
+};
+
+// Convierte las filas del fichero en registros, con sus errores de validación y si son duplicados
+// de un registro existente o de otra fila del mismo fichero. Los valores pasan por las mismas reglas
+// que los formularios (`rules`: rangos, decimales y fechas no futuras); los de producción, por las de latas.
+const buildImportRows = (i18n, type, rows, mapping, plantConfig, existingData, rules = DEFAULT_VALIDATION_RULES) => {
+    const { t } = i18n;
+    const cell = (row, key) => (mapping[key] === '' || mapping[key] === undefined ? '' : row[Number(mapping[key])] ?? '');
+    const keyOf = IMPORT_TYPES[type].weekly ? bodymakerEntryKey : womackEntryKey;
+    // Las filas Womack son de día completo: un día con registros por turno ya está registrado.
+    const dayKeyOf = type === 'womack' ? ({ date, line }) => womackEntryKey({ date, line }) : keyOf;
+    // Las lecturas semanales guardan litros de aceite o, en producción, latas.
+    const readingOf = type === 'bodymakerProduction'
+        ? (machineId, value) => ({ machineId, cans: value })
+        : (machineId, value) => ({ machineId, consumption: value, unit: CANONICAL_UNITS.oil });
+    const existingKeys = new Set(existingData.map(dayKeyOf));
+    const seenKeys = new Set();
+
+    return rows.map((row, index) => {
+        const errors = [];
+        const date = parseImportDate(cell(row, 'date'));
+        const dateError = date ? validateDate(i18n, date) : t('Fecha no válida');
+        if (dateError) errors.push(dateError);
+        const line = parseImportLine(cell(row, 'line'), plantConfig);
+        if (line === null) errors.push(t('Línea desconocida'));
+
+        let entry;
+        const addError = (label, message) => message && errors.push(`${label}: ${message}`);
+
+        if (type === 'womack') {
+            const values = Object.fromEntries(Object.keys(WOMACK_FORM_FIELDS).map(f => [f, parseImportNumber(cell(row, f))]));
+            Object.entries(validateWomackValues(i18n, values, rules, CANONICAL_UNITS)).forEach(([f, message]) => addError(t(VALIDATION_FIELD_LABELS[f]), message));
+            entry = {
+                date,
+                line,
+                ...Object.fromEntries(Object.entries(WOMACK_FORM_FIELDS).map(([f, field]) => [field, values[f]])),
+                waterUnit: CANONICAL_UNITS.water,
+                oilUnit: CANONICAL_UNITS.oil,
+            };
+        } else if (type === 'production') {
+            const cans = parseImportNumber(cell(row, 'cans'));
+            addError(t('Latas'), validateNumber(i18n, cans, { min: 0 }, 0));
+            entry = { date, line, cans };
+        } else {
+            const machines = getLine(plantConfig, line)?.machines || [];
+            const readings = [];
+            machines.forEach(m => {
+                const value = parseImportNumber(cell(row, `bm-${m.id}`));
+                if (value === null) return;
+                const message = type === 'bodymakerProduction'
+                    ? validateNumber(i18n, value, { min: 0 }, 0)
+                    : validateNumber(i18n, value, rules.ranges?.bodymaker, rules.decimals, 'oil', CANONICAL_UNITS.oil);
+                if (message) addError(m.name, message);
+                else readings.push(readingOf(m.id, value));
+            });
+            if (line !== null && readings.length === 0) errors.push(t('Sin lecturas de máquinas'));
+            entry = { weekStartDate: date && weekStartOf(date), line, readings };
+        }
+
+        const key = errors.length === 0 ? keyOf(entry) : null;
+        const duplicate = key && (existingKeys.has(key) ? 'existing' : seenKeys.has(key) ? 'file' : null);
+        if (key) seenKeys.add(key);
+        return { rowNumber: index + 2, key, entry, errors, duplicate, ...(key && type === 'womack' && { conflictIds: womackConflictKeys(plantConfig, entry) }) };
+    });
+};
+
+
+// --- HELPERS DEL PANEL: RANGOS, AGREGACIÓN Y ESTADO EN LA URL ---
+
+const DASHBOARD_RANGES = [
+    { id: '7d', label: 'Últimos 7 días', days: 7 },
+    { id: '30d', label: 'Últimos 30 días', days: 30 },
+    { id: '90d', label: 'Últimos 90 días', days: 90 },
+    { id: 'month', label: 'Este mes' },
+    { id: 'custom', label: 'Personalizado' },
+];
+
+const AGGREGATION_LABELS = { day: 'Día', week: 'Semana', month: 'Mes' };
+
+// Vista del panel por defecto. Solo los valores distintos de estos se escriben en la URL.
+const DASHBOARD_DEFAULTS = { range: '7d', from: '', to: '', agg: 'day', line: 'all', machine: 'all' };
+
+// Fecha ISO (AAAA-MM-DD) que existe en el calendario. Las de la URL pueden venir escritas a mano.
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(`${value}T00:00:00Z`))
+    && new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+
+// Fechas (ISO, ambas incluidas) del rango elegido. El rango personalizado sin fechas válidas equivale a 30 días.
+const resolveDateRange = ({ range, from, to }) => {
+    const today = todayIso();
+    if (range === 'month') return { from: `${today.slice(0, 7)}-01`, to: today };
+    if (range === 'custom' && isIsoDate(from) && isIsoDate(to)) return from <= to ? { from, to } : { from: to, to: from };
+    const days = DASHBOARD_RANGES.find(r => r.id === range)?.days || 30;
+    return { from: shiftIsoDate(today, -(days - 1)), to: today };
+};
+
+// Clave del periodo al que pertenece una fecha: el propio día, el lunes de su semana o el mes (AAAA-MM).
+const bucketKey = (isoDate, aggregation) => {
+    if (aggregation === 'week') return weekStartOf(isoDate);
+    if (aggregation === 'month') return isoDate.slice(0, 7);
+    return isoDate;
+};
+
+const bucketLabel = ({ t, locale }, key, aggregation) => {
+    if (aggregation === 'month') {
+        return new Date(`${key}-01T00:00:00Z`).toLocaleDateString(locale, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    }
+    const label = new Date(`${key}T00:00:00Z`).toLocaleDateString(locale, { day: 'numeric', month: 'short', timeZone: 'UTC' });
+    return aggregation === 'week' ? t('Sem. {date}', { date: label }) : label;
+};
+
+// Todos los periodos del rango en orden, también los que no tienen datos, para que los huecos se vean.
+const bucketKeys = (from, to, aggregation) => {
+    const keys = [];
+    for (let date = from; date <= to; date = shiftIsoDate(date, 1)) {
+        const key = bucketKey(date, aggregation);
+        if (keys[keys.length - 1] !== key) keys.push(key);
+    }
+    return keys;
+};
+
+// Totales y medias por registro Womack de cada turno, en el orden del calendario. Los registros sin
+// turno forman el grupo de día completo (`shift: ''`) y los de turnos ya retirados del calendario van
+// al final. Solo se devuelven los grupos con registros. Los datos deben estar en unidades canónicas.
+const womackShiftBreakdown = (i18n, entries, config) => {
+    const calendarIds = shiftsOf(config).map(s => s.id);
+    const retiredIds = [...new Set(entries.map(d => d.shift).filter(id => id && !calendarIds.includes(id)))];
+    return ['', ...calendarIds, ...retiredIds].map(shift => {
+        const items = entries.filter(d => (d.shift || '') === shift);
+        const total = (field) => items.reduce((acc, d) => acc + d[field], 0);
+        return {
+            shift,
+            name: shiftName(i18n, config, shift),
+            count: items.length,
+            water: total('waterConsumption'),
+            oil: total('oilConsumptionTotal'),
+            oilPartial: total('oilConsumptionPartial'),
+            averageWater: items.length ? total('waterConsumption') / items.length : null,
+            averageOil: items.length ? total('oilConsumptionTotal') / items.length : null,
+        };
+    }).filter(group => group.count > 0);
+};
+
+// Estado sincronizado con los parámetros de la URL (con replaceState, sin añadir entradas al historial)
+// para que la vista se pueda compartir copiando el enlace. `defaults` debe ser una constante.
+function useUrlParams(defaults) {
+    const [params, setParams] = useState(() => {
+        const search = new URLSearchParams(window.location.search);
+        return Object.fromEntries(Object.entries(defaults).map(([key, value]) => [key, search.get(key) ?? value]));
+    });
+
+    useEffect(() => {
+        const search = new URLSearchParams(window.location.search);
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === defaults[key]) search.delete(key);
+            else search.set(key, value);
+        });
+        const queryString = search.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`);
+    }, [params, defaults]);
+
+    const updateParams = useCallback((changes) => setParams(p => ({ ...p, ...changes })), []);
+    return [params, updateParams];
+}
+
+
+// --- COMPONENTES PRINCIPALES DE LA APLICACIÓN ---
+
+// --- HELPERS DE INFORMES SEMANALES Y MENSUALES ---
+// Un informe cubre una semana (de lunes a domingo) o un mes natural y se compara con el periodo
+// anterior: la semana o el mes previos. Las lecturas de bodymakers cuentan en el periodo en que
+// empieza su semana.
+
+const REPORT_PERIODS = { week: 'Semanal', month: 'Mensual' };
+
+const reportRange = ({ t, locale, formatDate }, period, anchor) => {
+    if (period === 'month') {
+        const from = `${anchor.slice(0, 7)}-01`;
+        const to = shiftIsoDate(`${shiftIsoDate(from, 32).slice(0, 7)}-01`, -1);
+        const previousTo = shiftIsoDate(from, -1);
+        const monthLabel = (iso) => new Date(`${iso}T00:00:00Z`).toLocaleDateString(locale, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        return { from, to, previousFrom: `${previousTo.slice(0, 7)}-01`, previousTo, label: monthLabel(from), previousLabel: monthLabel(previousTo) };
+    }
+    const from = weekStartOf(anchor);
+    const weekLabel = (start) => t('semana del {from} al {to}', { from: formatDate(start), to: formatDate(shiftIsoDate(start, 6)) });
+    return { from, to: shiftIsoDate(from, 6), previousFrom: shiftIsoDate(from, -7), previousTo: shiftIsoDate(from, -1), label: weekLabel(from), previousLabel: weekLabel(shiftIsoDate(from, -7)) };
+};
+
+const percentChange = (current, previous) => (previous > 0 ? ((current - previous) / previous) * 100 : null);
+
+// Totales por línea (Womack) y por máquina (bodymakers) del periodo y del anterior.
+// Los datos deben estar en unidades canónicas.
+const reportSummary = (womackData, bodymakerData, plantConfig, range) => {
+    const inRange = (date, from, to) => date >= from && date <= to;
+    const womackTotals = (lineId, from, to) => {
+        const entries = womackData.filter(d => d.line === lineId && inRange(d.date, from, to));
+        return {
+            days: new Set(entries.map(d => d.date)).size,
+            water: entries.reduce((acc, d) => acc + d.waterConsumption, 0),
+            oil: entries.reduce((acc, d) => acc + d.oilConsumptionTotal, 0),
+        };
+    };
+    const machineOil = (lineId, machineId, from, to) => bodymakerData
+        .filter(d => d.line === lineId && inRange(d.weekStartDate, from, to))
+        .flatMap(d => d.readings.filter(r => r.machineId === machineId))
+        .reduce((acc, r) => acc + r.consumption, 0);
+
+    return {
+        lines: plantConfig.lines.map(line => ({
+            line,
+            current: womackTotals(line.id, range.from, range.to),
+            previous: womackTotals(line.id, range.previousFrom, range.previousTo),
+        })),
+        machines: plantConfig.lines
+            .flatMap(line => line.machines.map(machine => ({
+                line,
+                machine,
+                oil: machineOil(line.id, machine.id, range.from, range.to),
+                previousOil: machineOil(line.id, machine.id, range.previousFrom, range.previousTo),
+            })))
+            .filter(row => row.oil > 0 || row.previousOil > 0),
+    };
+};
+
+
+// --- HELPERS DE COMPLETITUD Y RECORDATORIOS ---
+// Se espera un registro Womack por línea y día (de día completo o uno por cada turno del calendario) y una
+// lectura por bodymaker en servicio y semana. Estados de cada casilla: 'ok' (registrado), 'pending' (hoy o la
+// semana en curso, aún a tiempo), 'partial' (día cerrado con solo parte de los turnos), 'missing' (periodo ya
+// cerrado sin registro), 'future' e 'inactive' (máquina fuera de servicio).
+
+const COMPLETENESS_WEEKS = [4, 8, 12, 26];
+
+const COMPLETENESS_STATUS = {
+    ok: { label: 'Registrado', color: '#38A169' },
+    pending: { label: 'Pendiente', color: '#D69E2E' },
+    partial: { label: 'Turnos incompletos', color: '#DD6B20' },
+    missing: { label: 'Sin registro', color: ANOMALY_COLOR },
+    future: { label: 'Futuro', color: '#2D3748' },
+    inactive: { label: 'Fuera de servicio', color: '#4A5568' },
+};
+
+// Posición de cada día en la semana, de lunes (0) a domingo (6).
+const WEEKDAY_INDEXES = [0, 1, 2, 3, 4, 5, 6];
+
+// Lunes de las últimas `count` semanas, de la más antigua a la actual.
+const recentWeekStarts = (today, count) => Array.from({ length: count }, (_, i) => shiftIsoDate(weekStartOf(today), -7 * (count - 1 - i)));
+
+// Turnos del calendario que faltan en los registros Womack de un día y línea; ninguno si el día se registró entero.
+const missingShifts = (dayEntries, config) => (dayEntries.some(d => !d.shift)
+    ? []
+    : shiftsOf(config).filter(s => !dayEntries.some(d => d.shift === s.id)));
+
+// Estado de cada día de las semanas indicadas para los registros Womack de una línea.
+const womackCompleteness = (data, lineId, weeks, today, config) => {
+    const lineData = data.filter(d => d.line === lineId);
+    return weeks.map(week => ({
+        week,
+        days: WEEKDAY_INDEXES.map(i => {
+            const date = shiftIsoDate(week, i);
+            const dayEntries = lineData.filter(d => d.date === date);
+            const status = dayEntries.length > 0 && missingShifts(dayEntries, config).length === 0 ? 'ok'
+                : date > today ? 'future' : date === today ? 'pending' : dayEntries.length > 0 ? 'partial' : 'missing';
+            return { date, status };
+        }),
+    }));
+};
+
+// Estado de cada máquina de la línea en cada semana.
+const bodymakerCompleteness = (data, line, weeks, today) => weeks.map(week => {
+    const entry = data.find(d => d.line === line.id && d.weekStartDate === week);
+    const active = activeMachinesForWeek(line, week);
+    return {
+        week,
+        machines: line.machines.map(machine => {
+            if (!active.some(m => m.id === machine.id)) return { machine, status: 'inactive' };
+            if (entry?.readings.some(r => r.machineId === machine.id)) return { machine, status: 'ok' };
+            return { machine, status: week > today ? 'future' : week === weekStartOf(today) ? 'pending' : 'missing' };
+        }),
+    };
+});
+
+// Porcentaje de casillas registradas entre las que ya se podían registrar.
+const completenessRatio = (statuses) => {
+    const due = statuses.filter(s => s === 'ok' || s === 'partial' || s === 'missing');
+    return due.length > 0 ? (due.filter(s => s === 'ok').length / due.length) * 100 : null;
+};
+
+// Recordatorios de lo que falta hoy (Womack) y esta semana (bodymakers) en cada línea.
+// `view` es la pantalla donde se registra.
+const pendingReminders = ({ t, formatDate }, womackData, bodymakerData, plantConfig, today) => plantConfig.lines.flatMap(line => {
+    const reminders = [];
+    const todayEntries = womackData.filter(d => d.line === line.id && d.date === today);
+    const pendingShifts = missingShifts(todayEntries, plantConfig);
+    if (todayEntries.length === 0) {
+        reminders.push({ id: `womack_${line.id}`, view: 'womack', text: t('Womack {line}: falta el registro de hoy.', { line: line.name }) });
+    } else if (pendingShifts.length > 0) {
+        reminders.push({
+            id: `womack_${line.id}`,
+            view: 'womack',
+            text: t('Womack {line}: faltan los turnos {shifts} de hoy.', { line: line.name, shifts: pendingShifts.map(s => s.name).join(', ') }),
+        });
+    }
+    const [currentWeek] = bodymakerCompleteness(bodymakerData, line, [weekStartOf(today)], today);
+    const pendingMachines = currentWeek.machines.filter(m => m.status === 'pending').map(m => m.machine.name);
+    if (pendingMachines.length > 0) {
+        reminders.push({
+            id: `bodymaker_${line.id}`,
+            view: 'bodymaker',
+            text: t('Bodymakers {line}: faltan {machines} en la semana del {date}.', { line: line.name, machines: pendingMachines.join(', '), date: formatDate(currentWeek.week) }),
+        });
+    }
+    return reminders;
+});
+
+
+// --- PRESUPUESTOS Y PREVISIÓN ---
+// El presupuesto anual de agua (m³) y aceite (L) de cada línea se reparte por meses en `config/budgets`:
+// { years: { [año]: { [líneaId]: { water: [12 meses], oil: [12 meses] } } } }, con null en los meses sin
+// presupuesto. El aceite incluye el aceite total de los Womack y el de los bodymakers de la línea; las
+// lecturas semanales cuentan en el mes en que empieza su semana, como en los informes.
+// La previsión proyecta el ritmo diario reciente (recta de mínimos cuadrados de los últimos 28 días de
+// Womack u 8 semanas de bodymakers) en lo que queda del mes en curso y, en los meses siguientes, el ritmo
+// actual corregido con la estacionalidad del año anterior cuando hay datos suficientes de él.
+
+const DEFAULT_BUDGETS = { years: {} };
+
+const BUDGET_METRICS = { water: { label: 'Agua', unit: 'm³' }, oil: { label: 'Aceite', unit: 'L' } };
+
+const FORECAST_WINDOW_DAYS = { womack: 28, bodymaker: 56 };
+
+// Meses con datos que necesita el año anterior para usar su estacionalidad.
+const SEASONAL_MIN_MONTHS = 6;
+
+const MONTH_INDEXES = Array.from({ length: 12 }, (_, i) => i);
+
+const monthKeyOf = (year, month) => `${year}-${String(month + 1).padStart(2, '0')}`;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const daysBetween = (from, to) => Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+
+// Presupuesto de cada mes de una línea y magnitud ('water' u 'oil'); null en los meses sin presupuesto.
+const monthlyBudget = (budgets, year, lineId, metric) => MONTH_INDEXES.map(m => {
+    const value = budgets.years?.[year]?.[lineId]?.[metric]?.[m];
+    return hasValue(value) ? Number(value) : null;
+});
+
+// Muestras de consumo de una línea: [{ date, value, days }], donde `days` es el número de días que cubre.
+// Los registros por turno se suman al día. Los datos deben estar en unidades canónicas.
+const womackSamples = (entries, lineId, field) => {
+    const byDate = new Map();
+    entries.filter(d => d.line === lineId).forEach(d => byDate.set(d.date, (byDate.get(d.date) || 0) + d[field]));
+    return [...byDate].map(([date, value]) => ({ date, value, days: 1 }));
+};
+
+const bodymakerSamples = (entries, lineId) => entries
+    .filter(d => d.line === lineId)
+    .map(d => ({ date: d.weekStartDate, value: d.readings.reduce((acc, r) => acc + r.consumption, 0), days: 7 }));
+
+// Recta de mínimos cuadrados de los puntos [{ x, y }]; horizontal si todos tienen la misma x.
+const linearTrend = (points) => {
+    const meanX = points.reduce((acc, p) => acc + p.x, 0) / points.length;
+    const meanY = points.reduce((acc, p) => acc + p.y, 0) / points.length;
+    const sxx = points.reduce((acc, p) => acc + (p.x - meanX) ** 2, 0);
+    const slope = sxx > 0 ? points.reduce((acc, p) => acc + (p.x - meanX) * (p.y - meanY), 0) / sxx : 0;
+    return { slope, intercept: meanY - slope * meanX };
+};
+
+// Ritmo diario de cada mes de `year` frente a la media del año; 1 en todos si faltan datos.
+const seasonalFactors = (samples, year) => {
+    const rates = MONTH_INDEXES.map(m => {
+        const inMonth = samples.filter(s => s.date.startsWith(monthKeyOf(year, m)));
+        const days = inMonth.reduce((acc, s) => acc + s.days, 0);
+        return days > 0 ? inMonth.reduce((acc, s) => acc + s.value, 0) / days : null;
+    });
+    const known = rates.filter(r => r !== null);
+    const mean = known.reduce((a, b) => a + b, 0) / known.length;
+    if (known.length < SEASONAL_MIN_MONTHS || !(mean > 0)) return MONTH_INDEXES.map(() => 1);
+    return rates.map(r => (r === null ? 1 : r / mean));
+};
+
+// Consumo real y previsto de cada mes de `year` con las muestras hasta `today`: [{ actual, forecast }].
+// La proyección empieza el día siguiente al último cubierto por las muestras; sin muestras en la
+// ventana reciente no se proyecta nada y `projected` es false.
+const forecastMonths = (samples, year, today, windowDays) => {
+    const known = samples.filter(s => s.date <= today);
+    const recent = known.filter(s => s.date > shiftIsoDate(today, -windowDays));
+    const actual = MONTH_INDEXES.map(m => known
+        .filter(s => s.date.startsWith(monthKeyOf(year, m)))
+        .reduce((acc, s) => acc + s.value, 0));
+    if (recent.length === 0) return { projected: false, months: actual.map(value => ({ actual: value, forecast: value })) };
+
+    const trend = linearTrend(recent.map(s => ({ x: daysBetween(today, s.date), y: s.value / s.days })));
+    const rateAt = (date) => Math.max(0, trend.intercept + trend.slope * daysBetween(today, date));
+    const factors = seasonalFactors(known, year - 1);
+    const level = rateAt(today) / factors[Number(today.slice(5, 7)) - 1];
+    const coveredUntil = known.reduce((latest, s) => {
+        const end = shiftIsoDate(s.date, s.days - 1);
+        return end > latest ? end : latest;
+    }, '');
+    const yearStart = `${year}-01-01`;
+    const next = shiftIsoDate(coveredUntil, 1);
+    const projected = MONTH_INDEXES.map(() => 0);
+    for (let date = next > yearStart ? next : yearStart; date <= `${year}-12-31`; date = shiftIsoDate(date, 1)) {
+        const month = Number(date.slice(5, 7)) - 1;
+        // La recta solo se extrapola dentro del mes en curso; después manda el ritmo actual desestacionalizado.
+        projected[month] += date.slice(0, 7) === today.slice(0, 7) ? rateAt(date) : level * factors[month];
+    }
+    return { projected: true, months: actual.map((value, m) => ({ actual: value, forecast: value + projected[m] })) };
+};
+
+// Seguimiento de una línea y magnitud en `year`: por mes, presupuesto, real y previsión con sus
+// acumulados, y los totales del mes en curso y del año. Los datos deben estar en unidades canónicas.
+const budgetTracking = (womackData, bodymakerData, budgets, lineId, metric, year, today) => {
+    const series = metric === 'water'
+        ? [forecastMonths(womackSamples(womackData, lineId, 'waterConsumption'), year, today, FORECAST_WINDOW_DAYS.womack)]
+        : [
+            forecastMonths(womackSamples(womackData, lineId, 'oilConsumptionTotal'), year, today, FORECAST_WINDOW_DAYS.womack),
+            forecastMonths(bodymakerSamples(bodymakerData, lineId), year, today, FORECAST_WINDOW_DAYS.bodymaker),
+        ];
+    const budget = monthlyBudget(budgets, year, lineId, metric);
+    const currentKey = today.slice(0, 7);
+    const sumOf = (m, field) => series.reduce((acc, s) => acc + s.months[m][field], 0);
+
+    let budgetToDate = 0;
+    let actualToDate = 0;
+    let forecastToDate = 0;
+    const months = MONTH_INDEXES.map(m => {
+        const key = monthKeyOf(year, m);
+        const actual = sumOf(m, 'actual');
+        const forecast = sumOf(m, 'forecast');
+        budgetToDate += budget[m] ?? 0;
+        actualToDate += actual;
+        forecastToDate += forecast;
+        return {
+            key,
+            budget: budget[m],
+            actual,
+            forecast,
+            cumulativeBudget: budget.some(hasValue) ? budgetToDate : null,
+            // El real llega hasta el mes en curso y la previsión sale del último mes cerrado para que las líneas se unan.
+            cumulativeActual: key <= currentKey ? actualToDate : null,
+            cumulativeForecast: key >= currentKey || monthKeyOf(year, m + 1) === currentKey ? forecastToDate : null,
+        };
+    });
+    const current = months.find(row => row.key === currentKey) || null;
+    return {
+        months,
+        projected: series.some(s => s.projected),
+        month: current && { budget: current.budget, actual: current.actual, forecast: current.forecast },
+        year: {
+            budget: budget.some(hasValue) ? budgetToDate : null,
+            actual: actualToDate,
+            forecast: forecastToDate,
+        },
+    };
+};
+
+// Avisos cuando la previsión del mes en curso o del año supera su presupuesto.
+const budgetWarnings = ({ t, formatNumber, formatChange }, tracking, label) => {
+    const warnings = [];
+    const over = (forecast, budget) => hasValue(budget) && budget > 0 && forecast > budget;
+    const excess = (forecast, budget) => formatChange(percentChange(forecast, budget));
+    if (tracking.projected && tracking.month && over(tracking.month.forecast, tracking.month.budget)) {
+        warnings.push(t('{label}: la previsión de fin de mes ({forecast}) supera el presupuesto del mes en {excess}.', { label, forecast: formatNumber(Math.round(tracking.month.forecast)), excess: excess(tracking.month.forecast, tracking.month.budget) }));
+    }
+    if (tracking.projected && over(tracking.year.forecast, tracking.year.budget)) {
+        warnings.push(t('{label}: la previsión de fin de año ({forecast}) supera el presupuesto anual en {excess}.', { label, forecast: formatNumber(Math.round(tracking.year.forecast)), excess: excess(tracking.year.forecast, tracking.year.budget) }));
+    }
+    return warnings;
+};
+
+// Reparte un presupuesto anual entre los meses en proporción a sus días.
+const spreadAnnualBudget = (total, year) => {
+    const yearDays = MONTH_INDEXES.reduce((acc, m) => acc + daysInMonth(year, m), 0);
+    return MONTH_INDEXES.map(m => Math.round((total * daysInMonth(year, m) / yearDays) * 100) / 100);
+};
+
+
+// --- MANTENIMIENTO ---
+// Los eventos de mantenimiento (`maintenanceEvents`) se registran por línea y, si afectan a un bodymaker,
+// por máquina: { date, line, machineId (null = el Womack de la línea), type, description, downtimeHours }.
+// Se marcan en los gráficos del panel, y la ficha de cada equipo compara el consumo medio de antes y
+// después de cada evento.
+
+const MAINTENANCE_TYPES = {
+    seal: 'Cambio de retenes/juntas',
+    preventive: 'Mantenimiento preventivo',
+    repair: 'Reparación',
+    adjustment: 'Ajuste',
+    cleaning: 'Limpieza',
+    other: 'Otro',
+};
+
+const MAINTENANCE_COLOR = '#D69E2E';
+
+// Periodos que se promedian a cada lado de un evento: días en Womack y semanas en bodymakers.
+const MAINTENANCE_IMPACT_PERIODS = { womack: 14, bodymaker: 4 };
+
+const isMachineEvent = (event) => hasValue(event.machineId);
+
+// Nombre del equipo al que afecta un evento.
+const maintenanceTargetName = ({ t }, config, { line, machineId }) => (hasValue(machineId)
+    ? machineName(config, machineId)
+    : `Womack ${getLine(config, line)?.name || t('Línea {line}', { line })}`);
+
+// Id de un evento nuevo; el sufijo evita que dos eventos del mismo día y equipo se pisen.
+const maintenanceEventKey = ({ date, line, machineId }) => `${date}_L${line}_${hasValue(machineId) ? `BM${machineId}` : 'W'}_${Date.now().toString(36)}`;
+
+// Serie de consumo de un equipo en orden cronológico: [{ date, value }] por día en Womack (`field`
+// del registro) y por semana en bodymakers. Los datos deben estar en unidades canónicas.
+const womackSeries = (entries, lineId, field) => womackSamples(entries, lineId, field)
+    .map(({ date, value }) => ({ date, value }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+const bodymakerSeries = (entries, machineId) => entries
+    .flatMap(d => d.readings.filter(r => r.machineId === machineId).map(r => ({ date: d.weekStartDate, value: r.consumption })))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// Consumo medio de los `periods` periodos anteriores y posteriores a `eventPeriod` (el día del evento en
+// Womack o el lunes de su semana en bodymakers), que no cuenta en ninguno de los dos lados.
+const maintenanceImpact = (series, eventPeriod, periods) => {
+    const mean = (points) => (points.length ? points.reduce((acc, p) => acc + p.value, 0) / points.length : null);
+    const before = mean(series.filter(p => p.date < eventPeriod).slice(-periods));
+    const after = mean(series.filter(p => p.date > eventPeriod).slice(0, periods));
+    return { before, after, change: before !== null && after !== null ? percentChange(after, before) : null };
+};
+
+// Marcas de mantenimiento de un gráfico por periodos: una por periodo con eventos, con la etiqueta del eje X.
+const maintenanceMarkers = (events, periodOf, labelOf) => [...new Set(events.map(e => periodOf(e.date)))].map(period => ({
+    period,
+    label: labelOf(period),
+    count: events.filter(e => periodOf(e.date) === period).length,
+}));
+
+// Marca vertical de los eventos de mantenimiento en los gráficos.
+const maintenanceMarkerLines = (markers, yAxisId) => markers.map(m => (
+    <ReferenceLine key={m.period} x={m.label} {...(yAxisId && { yAxisId })} stroke={MAINTENANCE_COLOR} strokeDasharray="2 2"
+        label={{ value: m.count > 1 ? `🔧${m.count}` : '🔧', position: 'insideTop', fill: MAINTENANCE_COLOR, fontSize: 12 }} />
+));
+
+// --- COMPARATIVA DE BODYMAKERS ---
+
+// Semanas que promedia la media móvil de la ficha de un bodymaker.
+const ROLLING_AVERAGE_WEEKS = 4;
+
+const meanOf = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+const medianOf = (values) => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Media de los `size` últimos puntos de una serie [{ date, value }] hasta cada uno de ellos, incluido.
+const rollingAverage = (series, size) => series.map((p, i) => ({
+    date: p.date,
+    value: meanOf(series.slice(Math.max(0, i - size + 1), i + 1).map(q => q.value)),
+}));
+
+// Mediana semanal del consumo de las máquinas indicadas: [{ date, value }] por lunes con lecturas.
+const medianSeries = (entries, machines) => {
+    const ids = new Set(machines.map(m => m.id));
+    const byWeek = {};
+    entries.forEach(d => d.readings.filter(r => ids.has(r.machineId)).forEach(r => {
+        byWeek[d.weekStartDate] = [...(byWeek[d.weekStartDate] || []), r.consumption];
+    }));
+    return Object.keys(byWeek).sort().map(date => ({ date, value: medianOf(byWeek[date]) }));
+};
+
+// Consumo semanal medio de un bodymaker en las semanas con lectura desde la de `from`.
+const weeklyMean = (entries, machineId, from) => meanOf(bodymakerSeries(entries, machineId)
+    .filter(p => p.date >= weekStartOf(from))
+    .map(p => p.value));
+
+// Bodymakers que ocupan la misma posición en las demás líneas (BM 13 frente a BM 23).
+const counterpartMachines = (config, lineId, machineId) => {
+    const index = (getLine(config, lineId)?.machines || []).findIndex(m => m.id === machineId);
+    if (index < 0) return [];
+    return config.lines.filter(l => l.id !== lineId).map(l => l.machines[index]).filter(Boolean);
+};
+
+// Máquinas ordenadas de mayor a menor consumo semanal medio desde `from` (puesto 1 = la que más consume),
+// con la desviación de cada una frente a la mediana de esas medias. Las máquinas sin lecturas no puntúan.
+const bodymakerRanking = (entries, machines, from) => {
+    const means = machines
+        .map(machine => ({ machine, mean: weeklyMean(entries, machine.id, from) }))
+        .filter(r => r.mean !== null)
+        .sort((a, b) => b.mean - a.mean);
+    const median = medianOf(means.map(r => r.mean));
+    return means.map((r, i) => ({ ...r, rank: i + 1, deviation: percentChange(r.mean, median) }));
+};
+
+
+// 1. Dashboard principal con gráficos de resumen
+function Dashboard({ db, plantId, plants = [], repository, kpiTargets, plantConfig, prices, user, alerts, anomalies, alertAcks, onNavigate, onOpenMachine }) {
+    const i18n = useI18n();
+    const { t, formatDate, formatNumber, formatKpi } = i18n;
+    const [params, setParams] = useUrlParams(DASHBOARD_DEFAULTS);
+    const { from, to } = resolveDateRange(params);
+    const aggregation = AGGREGATION_LABELS[params.agg] ? params.agg : DASHBOARD_DEFAULTS.agg;
+    // Los bodymakers se registran por semanas: la vista diaria se muestra agrupada por semana.
+    const bodymakerAggregation = aggregation === 'day' ? 'week' : aggregation;
+    const rangeLabel = params.range === 'custom'
+        ? `${formatDate(from)} – ${formatDate(to)}`
+        : t(DASHBOARD_RANGES.find(r => r.id === params.range)?.label || DASHBOARD_RANGES[0].label);
+
+    // Rango visible más el periodo anterior de la misma duración, que usa la comparativa de KPI.
+    const windowFrom = shiftIsoDate(from, -(Math.round((new Date(to) - new Date(from)) / 86400000) + 1));
+    const womackWindow = useEntryWindow(repository, 'womackEntries', windowFrom, to);
+    const bodymakerWindow = useEntryWindow(repository, 'bodymakerEntries', windowFrom, to);
+    const productionData = useEntryWindow(repository, 'productionEntries', windowFrom, to).entries;
+    const bodymakerProductionData = useEntryWindow(repository, 'bodymakerProductionEntries', windowFrom, to).entries;
+    const maintenanceData = useEntryWindow(repository, 'maintenanceEvents', weekStartOf(from), to).entries;
+    const womackData = useMemo(() => womackWindow.entries.map(canonicalWomackEntry), [womackWindow.entries]);
+    const bodymakerData = useMemo(() => bodymakerWindow.entries.map(canonicalBodymakerEntry), [bodymakerWindow.entries]);
+
+    const visibleLines = useMemo(
+        () => plantConfig.lines.filter(l => params.line === 'all' || l.id === Number(params.line)),
+        [plantConfig, params.line]
+    );
+    const machineOptions = useMemo(() => visibleLines.flatMap(l => l.machines), [visibleLines]);
+    const visibleMachines = useMemo(
+        () => machineOptions.filter(m => params.machine === 'all' || m.id === Number(params.machine)),
+        [machineOptions, params.machine]
+    );
+
+    const womackInRange = useMemo(
+        () => womackData.filter(d => d.date >= from && d.date <= to && visibleLines.some(l => l.id === d.line)),
+        [womackData, visibleLines, from, to]
+    );
+
+    const womackChartData = useMemo(() => {
+        const rows = Object.fromEntries(bucketKeys(from, to, aggregation).map(key => [key, { name: bucketLabel(i18n, key, aggregation), anomalies: [] }]));
+
+        womackInRange.forEach(d => {
+            const line = visibleLines.find(l => l.id === d.line);
+            const row = rows[bucketKey(d.date, aggregation)];
+            if (!line || !row) return;
+            row[`${t('Agua')} ${line.shortName}`] = (row[`${t('Agua')} ${line.shortName}`] || 0) + d.waterConsumption;
+            row[`${t('Aceite')} ${line.shortName}`] = (row[`${t('Aceite')} ${line.shortName}`] || 0) + d.oilConsumptionTotal;
+            if (anomalies.has(`womack_${d.id}_water`)) row.anomalies.push(`${t('Agua')} ${line.shortName}`);
+            if (anomalies.has(`womack_${d.id}_oil`)) row.anomalies.push(`${t('Aceite')} ${line.shortName}`);
+        });
+
+        return Object.values(rows);
+    }, [womackInRange, visibleLines, anomalies, from, to, aggregation, i18n, t]);
+
+    // Eventos de mantenimiento de las líneas y máquinas visibles: los del Womack se marcan en los gráficos
+    // de Womack y los de cada bodymaker en la tendencia por máquina.
+    const maintenanceInRange = useMemo(() => maintenanceData
+        .filter(e => visibleLines.some(l => l.id === e.line) && (!isMachineEvent(e) || visibleMachines.some(m => m.id === e.machineId)))
+        .sort((a, b) => a.date.localeCompare(b.date)), [maintenanceData, visibleLines, visibleMachines]);
+    const womackMarkers = useMemo(() => maintenanceMarkers(
+        maintenanceInRange.filter(e => !isMachineEvent(e) && e.date >= from),
+        date => bucketKey(date, aggregation),
+        key => bucketLabel(i18n, key, aggregation)
+    ), [maintenanceInRange, from, aggregation, i18n]);
+    const bodymakerMarkers = useMemo(() => maintenanceMarkers(
+        maintenanceInRange.filter(isMachineEvent),
+        date => bucketKey(weekStartOf(date), bodymakerAggregation),
+        key => bucketLabel(i18n, key, bodymakerAggregation)
+    ), [maintenanceInRange, bodymakerAggregation, i18n]);
+
+    // Semanas del rango: las que empiezan dentro de él o la que contiene su primer día.
+    const bodymakerInRange = useMemo(() => {
+        const firstWeek = weekStartOf(from);
+        return bodymakerData.filter(d => d.weekStartDate >= firstWeek && d.weekStartDate <= to && visibleLines.some(l => l.id === d.line));
+    }, [bodymakerData, visibleLines, from, to]);
+
+    const bodymakerChartData = useMemo(() => {
+        const latestWeekData = {};
+        bodymakerInRange.forEach(d => {
+            const line = d.line;
+            if (!latestWeekData[line] || new Date(d.weekStartDate) > new Date(latestWeekData[line].weekStartDate)) {
+                latestWeekData[line] = d;
+            }
+        });
+        
+        const readingsByLine = visibleLines.map(l => ({ line: l, entry: latestWeekData[l.id], readings: latestWeekData[l.id]?.readings || [] }));
+        const allMachines = [...new Set(readingsByLine.flatMap(({ readings }) => readings.map(r => r.machineId)))]
+            .filter(machineId => params.machine === 'all' || machineId === Number(params.machine))
+            .sort((a, b) => a - b);
+
+        return allMachines.map(machineId => {
+            const row = { name: machineName(plantConfig, machineId), machineId, anomalies: [] };
+            readingsByLine.forEach(({ line, entry, readings }) => {
+                row[`${t('Consumo')} ${line.shortName}`] = readings.find(r => r.machineId === machineId)?.consumption || 0;
+                if (entry && anomalies.has(`bodymaker_${entry.id}_${machineId}`)) row.anomalies.push(`${t('Consumo')} ${line.shortName}`);
+            });
+            return row;
+        });
+    }, [bodymakerInRange, visibleLines, plantConfig, anomalies, params.machine, t]);
+
+    // Tendencia por máquina: una serie por bodymaker (`m<id>`) a lo largo de las semanas o meses del rango.
+    const bodymakerTrendData = useMemo(() => {
+        const rows = Object.fromEntries(bucketKeys(weekStartOf(from), to, bodymakerAggregation).map(key => [key, { name: bucketLabel(i18n, key, bodymakerAggregation), anomalies: [] }]));
+
+        bodymakerInRange.forEach(d => {
+            const row = rows[bucketKey(d.weekStartDate, bodymakerAggregation)];
+            if (!row) return;
+            d.readings.forEach(r => {
+                if (!visibleMachines.some(m => m.id === r.machineId)) return;
+                row[`m${r.machineId}`] = (row[`m${r.machineId}`] || 0) + r.consumption;
+                if (anomalies.has(`bodymaker_${d.id}_${r.machineId}`)) row.anomalies.push(`m${r.machineId}`);
+            });
+        });
+
+        return Object.values(rows);
+    }, [bodymakerInRange, visibleMachines, anomalies, from, to, bodymakerAggregation, i18n]);
+
+    // Consumo por millón de latas de cada línea por periodo de agregación.
+    const womackKpiData = useMemo(() => {
+        const rows = Object.fromEntries(bucketKeys(from, to, aggregation).map(key => [key, { name: bucketLabel(i18n, key, aggregation), pairsByLine: {} }]));
+
+        womackKpiPairs(womackInRange, productionData).forEach(p => {
+            const row = rows[bucketKey(p.date, aggregation)];
+            if (!row) return;
+            row.pairsByLine[p.line] = [...(row.pairsByLine[p.line] || []), p];
+        });
+
+        return Object.values(rows).map(({ name, pairsByLine }) => {
+            const row = { name };
+            visibleLines.filter(l => pairsByLine[l.id]).forEach(l => {
+                row[`${t('Agua')} ${l.shortName}`] = kpiOf(pairsByLine[l.id], 'water');
+                row[`${t('Aceite')} ${l.shortName}`] = kpiOf(pairsByLine[l.id], 'womackOil');
+            });
+            return row;
+        });
+    }, [womackInRange, productionData, visibleLines, from, to, aggregation, i18n, t]);
+
+    // Comparativa entre turnos: consumo medio por registro de cada turno y línea. Solo se muestra si
+    // hay registros por turno en el periodo.
+    const hasShiftEntries = womackInRange.some(d => d.shift);
+    const shiftBreakdowns = useMemo(
+        () => visibleLines.map(line => ({ line, groups: womackShiftBreakdown(i18n, womackInRange.filter(d => d.line === line.id), plantConfig) })),
+        [womackInRange, visibleLines, plantConfig, i18n]
+    );
+    const shiftChartData = useMemo(() => {
+        const rows = new Map();
+        shiftBreakdowns.forEach(({ line, groups }) => groups.forEach(g => {
+            const row = rows.get(g.shift) || { name: g.name, order: shiftOrder(plantConfig, g.shift) };
+            row[`${t('Agua')} ${line.shortName}`] = g.averageWater;
+            row[`${t('Aceite')} ${line.shortName}`] = g.averageOil;
+            rows.set(g.shift, row);
+        }));
+        return [...rows.values()].sort((a, b) => a.order - b.order);
+    }, [shiftBreakdowns, plantConfig, t]);
+
+    const bodymakerKpiInRange = useMemo(
+        () => bodymakerKpiPairs(bodymakerInRange, bodymakerProductionData).filter(p => visibleMachines.some(m => m.id === p.machineId)),
+        [bodymakerInRange, bodymakerProductionData, visibleMachines]
+    );
+
+    // Consumo por millón de latas de cada bodymaker en todo el periodo.
+    const bodymakerKpiData = useMemo(() => visibleMachines
+        .map(m => ({ name: m.name, kpi: kpiOf(bodymakerKpiInRange.filter(p => p.machineId === m.id), 'bodymakerOil') }))
+        .filter(row => row.kpi !== null), [visibleMachines, bodymakerKpiInRange]);
+
+    // KPI del periodo frente al periodo anterior de la misma duración.
+    const kpiSummary = useMemo(() => {
+        const days = Math.round((new Date(to) - new Date(from)) / 86400000) + 1;
+        const previousFrom = shiftIsoDate(from, -days);
+        const isVisible = (d) => visibleLines.some(l => l.id === d.line);
+        const previousWomack = womackKpiPairs(
+            womackData.filter(d => d.date >= previousFrom && d.date < from && isVisible(d)),
+            productionData
+        );
+        const previousBodymaker = bodymakerKpiPairs(
+            bodymakerData.filter(d => d.weekStartDate >= weekStartOf(previousFrom) && d.weekStartDate < weekStartOf(from) && isVisible(d)),
+            bodymakerProductionData
+        ).filter(p => visibleMachines.some(m => m.id === p.machineId));
+        const currentWomack = womackKpiPairs(womackInRange, productionData);
+
+        return {
+            water: { value: kpiOf(currentWomack, 'water'), previous: kpiOf(previousWomack, 'water') },
+            womackOil: { value: kpiOf(currentWomack, 'womackOil'), previous: kpiOf(previousWomack, 'womackOil') },
+            bodymakerOil: { value: kpiOf(bodymakerKpiInRange, 'bodymakerOil'), previous: kpiOf(previousBodymaker, 'bodymakerOil') },
+        };
+    }, [womackData, bodymakerData, womackInRange, bodymakerKpiInRange, productionData, bodymakerProductionData, visibleLines, visibleMachines, from, to]);
+
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+    return (
+        <div className="space-y-8">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+                <div>
+                    <h2 className="text-3xl font-bold text-white">{t('Panel de Control General')}</h2>
+                    <p className="text-gray-400">{t('Resumen de consumos recientes.')}</p>
+                </div>
+                <div className="flex gap-2">
+                    <Button onClick={() => onNavigate('womack')}>{t('Control Womack')}</Button>
+                    <Button onClick={() => onNavigate('bodymaker')}>{t('Control Bodymaker')}</Button>
+                    <Button onClick={() => onNavigate('production')}>{t('Producción')}</Button>
+                    <Button onClick={() => onNavigate('history')} variant="secondary">{t('Histórico')}</Button>
+                    <Button onClick={() => onNavigate('report')} variant="secondary">{t('Informes')}</Button>
+                    <Button onClick={() => onNavigate('completeness')} variant="secondary">{t('Completitud')}</Button>
+                    <Button onClick={() => onNavigate('budget')} variant="secondary">{t('Presupuesto')}</Button>
+                    <Button onClick={() => onNavigate('maintenance')} variant="secondary">{t('Mantenimiento')}</Button>
+                    {plants.length > 1 && <Button onClick={() => onNavigate('plants')} variant="secondary">{t('Comparar plantas')}</Button>}
+                    {hasRole(user, 'supervisor') && <Button onClick={() => onNavigate('import')} variant="secondary">{t('Importar')}</Button>}
+                    {hasRole(user, 'supervisor') && <Button onClick={() => onNavigate('audit')} variant="secondary">{t('Auditoría')}</Button>}
+                    {hasRole(user, 'admin') && <Button onClick={() => onNavigate('config')} variant="secondary">{t('Configuración')}</Button>}
+                    {hasRole(user, 'admin') && <Button onClick={() => onNavigate('thresholds')} variant="secondary">{t('Umbrales y validación')}</Button>}
+                    {hasRole(user, 'admin') && <Button onClick={() => onNavigate('prices')} variant="secondary">{t('Precios')}</Button>}
+                </div>
+            </div>
+
+            <Card>
+                <CardContent>
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="dashboardRange">{t('Periodo')}</Label>
+                            <select id="dashboardRange" value={params.range} onChange={e => setParams({ range: e.target.value, ...(e.target.value === 'custom' ? { from, to } : { from: '', to: '' }) })} className={selectClassName}>
+                                {DASHBOARD_RANGES.map(r => <option key={r.id} value={r.id}>{t(r.label)}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="dashboardAggregation">{t('Agrupar por')}</Label>
+                            <select id="dashboardAggregation" value={aggregation} onChange={e => setParams({ agg: e.target.value })} className={selectClassName}>
+                                {Object.entries(AGGREGATION_LABELS).map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="dashboardLine">{t('Línea')}</Label>
+                            <select id="dashboardLine" value={params.line} onChange={e => setParams({ line: e.target.value, machine: 'all' })} className={selectClassName}>
+                                <option value="all">{t('Todas')}</option>
+                                {plantConfig.lines.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="dashboardMachine">{t('Máquina (bodymakers)')}</Label>
+                            <select id="dashboardMachine" value={params.machine} onChange={e => setParams({ machine: e.target.value })} className={selectClassName}>
+                                <option value="all">{t('Todas')}</option>
+                                {machineOptions.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                            </select>
+                        </div>
+                        {params.range === 'custom' && (
+                            <>
+                                <div className="space-y-2">
+                                    <Label htmlFor="dashboardFrom">{t('Desde')}</Label>
+                                    <Input id="dashboardFrom" type="date" value={from} onChange={e => setParams({ from: e.target.value })} />
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="dashboardTo">{t('Hasta')}</Label>
+                                    <Input id="dashboardTo" type="date" value={to} onChange={e => setParams({ to: e.target.value })} />
+                                </div>
+                            </>
+                        )}
+                    </div>
+                </CardContent>
+            </Card>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Consumo Womack ({range})', { range: rangeLabel })}</CardTitle>
+                        <CardDescription>{t('Consumo de agua y aceite total por {period}.', { period: t(AGGREGATION_LABELS[aggregation]).toLowerCase() })}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <LineChart data={womackChartData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                <XAxis dataKey="name" stroke="#A0AEC0" />
+                                <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatNumber} />
+                                <Legend />
+                                {maintenanceMarkerLines(womackMarkers)}
+                                {visibleLines.map((l, i) => (
+                                    <Line key={`water-${l.id}`} type="monotone" dataKey={`${t('Agua')} ${l.shortName}`} stroke={lineColor('water', i)} dot={<AnomalyDot />} activeDot={{ r: 8 }} />
+                                ))}
+                                {visibleLines.map((l, i) => (
+                                    <Line key={`oil-${l.id}`} type="monotone" dataKey={`${t('Aceite')} ${l.shortName}`} stroke={lineColor('oil', i)} dot={<AnomalyDot />} activeDot={{ r: 8 }} />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Consumo Semanal Bodymakers (Última Semana del Periodo)')}</CardTitle>
+                        <CardDescription>{t('Comparativa de consumo de aceite por máquina. Pulsa una barra para abrir la ficha de la máquina.')}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <BarChart data={bodymakerChartData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                <XAxis dataKey="name" stroke="#A0AEC0" />
+                                <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} />
+                                <Legend />
+                                {visibleLines.map((l, i) => (
+                                    <Bar key={l.id} dataKey={`${t('Consumo')} ${l.shortName}`} fill={lineColor('bodymaker', i)} cursor="pointer"
+                                        onClick={bar => onOpenMachine({ line: l.id, machineId: bar.payload.machineId })}>
+                                        {bodymakerChartData.map(row => (
+                                            <Cell key={row.name} fill={row.anomalies.includes(`${t('Consumo')} ${l.shortName}`) ? ANOMALY_COLOR : lineColor('bodymaker', i)} />
+                                        ))}
+                                    </Bar>
+                                ))}
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+            </div>
+
+            {hasShiftEntries && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Consumo por Turno ({range})', { range: rangeLabel })}</CardTitle>
+                        <CardDescription>{t('Consumo medio por registro de cada turno. Los registros sin turno se muestran como día completo y no son comparables con un turno.')}</CardDescription>
+                    </CardHeader>
+                    <CardContent className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                        <ResponsiveContainer width="100%" height={300}>
+                            <BarChart data={shiftChartData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                <XAxis dataKey="name" stroke="#A0AEC0" />
+                                <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatNumber} />
+                                <Legend />
+                                {visibleLines.map((l, i) => (
+                                    <Bar key={`water-${l.id}`} dataKey={`${t('Agua')} ${l.shortName}`} fill={lineColor('water', i)} />
+                                ))}
+                                {visibleLines.map((l, i) => (
+                                    <Bar key={`oil-${l.id}`} dataKey={`${t('Aceite')} ${l.shortName}`} fill={lineColor('oil', i)} />
+                                ))}
+                            </BarChart>
+                        </ResponsiveContainer>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Línea')}</TableHead>
+                                    <TableHead>{t('Turno')}</TableHead>
+                                    <TableHead>{t('Registros')}</TableHead>
+                                    <TableHead>{t('Agua media (m³)')}</TableHead>
+                                    <TableHead>{t('Aceite medio (L)')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {shiftBreakdowns.flatMap(({ line, groups }) => groups.map(g => (
+                                    <TableRow key={`${line.id}-${g.shift}`}>
+                                        <TableCell>{line.name}</TableCell>
+                                        <TableCell>{g.name}</TableCell>
+                                        <TableCell>{g.count}</TableCell>
+                                        <TableCell>{formatNumber(g.averageWater)}</TableCell>
+                                        <TableCell>{formatNumber(g.averageOil)}</TableCell>
+                                    </TableRow>
+                                )))}
+                            </TableBody>
+                        </Table>
+                    </CardContent>
+                </Card>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {Object.entries(KPI_DEFINITIONS).map(([kpi, { label, unit }]) => (
+                    <KpiTile key={kpi} label={t(label)} unit={t(unit)} {...kpiSummary[kpi]} target={kpiTargets[kpi]} />
+                ))}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Womack por Millón de Latas ({range})', { range: rangeLabel })}</CardTitle>
+                        <CardDescription>{t('Agua (m³/M latas, eje izquierdo) y aceite total (L/M latas, eje derecho) por {period}. Solo días con producción registrada.', { period: t(AGGREGATION_LABELS[aggregation]).toLowerCase() })}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <LineChart data={womackKpiData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                <XAxis dataKey="name" stroke="#A0AEC0" />
+                                <YAxis yAxisId="water" stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <YAxis yAxisId="oil" orientation="right" stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatKpi} />
+                                <Legend />
+                                {hasValue(kpiTargets.water) && <ReferenceLine yAxisId="water" y={kpiTargets.water} stroke={lineColor('water', 0)} strokeDasharray="6 3" label={{ value: t('Objetivo agua'), fill: '#A0AEC0', fontSize: 12 }} />}
+                                {hasValue(kpiTargets.womackOil) && <ReferenceLine yAxisId="oil" y={kpiTargets.womackOil} stroke={lineColor('oil', 0)} strokeDasharray="6 3" label={{ value: t('Objetivo aceite'), fill: '#A0AEC0', fontSize: 12 }} />}
+                                {maintenanceMarkerLines(womackMarkers, 'water')}
+                                {visibleLines.map((l, i) => (
+                                    <Line key={`water-${l.id}`} yAxisId="water" type="monotone" dataKey={`${t('Agua')} ${l.shortName}`} stroke={lineColor('water', i)} connectNulls />
+                                ))}
+                                {visibleLines.map((l, i) => (
+                                    <Line key={`oil-${l.id}`} yAxisId="oil" type="monotone" dataKey={`${t('Aceite')} ${l.shortName}`} stroke={lineColor('oil', i)} connectNulls />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Bodymakers por Millón de Latas ({range})', { range: rangeLabel })}</CardTitle>
+                        <CardDescription>{t('Aceite (L/M latas) de cada máquina en el periodo. En rojo, las que superan el objetivo.')}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <BarChart data={bodymakerKpiData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                <XAxis dataKey="name" stroke="#A0AEC0" />
+                                <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatKpi} />
+                                {hasValue(kpiTargets.bodymakerOil) && <ReferenceLine y={kpiTargets.bodymakerOil} stroke="#A0AEC0" strokeDasharray="6 3" label={{ value: t('Objetivo'), fill: '#A0AEC0', fontSize: 12 }} />}
+                                <Bar dataKey="kpi" name={t('L/M latas')} fill={lineColor('bodymaker', 0)}>
+                                    {bodymakerKpiData.map(row => (
+                                        <Cell key={row.name} fill={hasValue(kpiTargets.bodymakerOil) && row.kpi > kpiTargets.bodymakerOil ? ANOMALY_COLOR : lineColor('bodymaker', 0)} />
+                                    ))}
+                                </Bar>
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+            </div>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Tendencia de Bodymakers por Máquina ({range})', { range: rangeLabel })}</CardTitle>
+                    <CardDescription>{t('Consumo de aceite de cada máquina por {period}. Filtra por línea o máquina para comparar menos series.', { period: t(AGGREGATION_LABELS[bodymakerAggregation]).toLowerCase() })}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <ResponsiveContainer width="100%" height={350}>
+                        <LineChart data={bodymakerTrendData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                            <XAxis dataKey="name" stroke="#A0AEC0" />
+                            <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                            <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatNumber} />
+                            <Legend />
+                            {maintenanceMarkerLines(bodymakerMarkers)}
+                            {visibleMachines.map((m, i) => (
+                                <Line key={m.id} type="monotone" dataKey={`m${m.id}`} name={m.name} stroke={lineColor('machine', i)} dot={<AnomalyDot />} activeDot={{ r: 6 }} />
+                            ))}
+                        </LineChart>
+                    </ResponsiveContainer>
+                </CardContent>
+            </Card>
+
+            {maintenanceInRange.length > 0 && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Mantenimiento en el Periodo')}</CardTitle>
+                        <CardDescription>{t('Eventos marcados con 🔧 en los gráficos. La ficha de cada equipo compara el consumo de antes y después.')}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <MaintenanceTable events={maintenanceInRange} plantConfig={plantConfig} onOpenMachine={onOpenMachine} />
+                    </CardContent>
+                </Card>
+            )}
+
+            <CostPanel
+                womackEntries={womackInRange}
+                bodymakerEntries={bodymakerInRange}
+                prices={prices}
+                lines={visibleLines}
+                machines={visibleMachines}
+                from={from}
+                to={to}
+                aggregation={aggregation}
+                rangeLabel={rangeLabel}
+            />
+
+            <AlertsPanel db={db} plantId={plantId} user={user} alerts={alerts} acks={alertAcks} plantConfig={plantConfig} />
+        </div>
+    );
+}
+
+// KPI del periodo frente al periodo anterior; en rojo si supera el objetivo.
+const KpiTile = ({ label, unit, value, previous, target }) => {
+    const { t, formatKpi, formatChange } = useI18n();
+    const change = value !== null ? percentChange(value, previous) : null;
+    const color = value === null || !hasValue(target) ? 'text-white' : value > target ? 'text-red-400' : 'text-green-400';
+    return (
+        <Card>
+            <CardContent className="space-y-1">
+                <p className="text-sm text-gray-400">{label}</p>
+                <p className={`text-2xl font-bold ${color}`}>{formatKpi(value)} <span className="text-sm font-normal text-gray-400">{unit}</span></p>
+                <p className="text-xs text-gray-500">
+                    {t('Periodo anterior: {value}', { value: formatKpi(previous) })}
+                    {change !== null && ` (${formatChange(change)})`}
+                </p>
+                {hasValue(target) && <p className="text-xs text-gray-500">{t('Objetivo: {value}', { value: `${formatKpi(target)} ${unit}` })}</p>}
+            </CardContent>
+        </Card>
+    );
+};
+
+// Costes del periodo del panel: evolución por periodo y desglose por línea y por máquina.
+const COST_COLORS = { water: '#38B2AC', womackOil: '#F6E05E', bodymakerOil: '#4299E1' };
+
+function CostPanel({ womackEntries, bodymakerEntries, prices, lines, machines, from, to, aggregation, rangeLabel }) {
+    const i18n = useI18n();
+    const { t, formatNumber, formatCurrency } = i18n;
+    const items = useMemo(() => costItems(womackEntries, bodymakerEntries, prices)
+        .filter(i => i.machineId === null || machines.some(m => m.id === i.machineId)),
+    [womackEntries, bodymakerEntries, prices, machines]);
+    const pricedItems = useMemo(() => items.filter(i => i.cost !== null), [items]);
+    const unpricedCount = items.filter(i => i.cost === null && i.quantity > 0).length;
+    const sumCost = (list) => list.reduce((acc, i) => acc + i.cost, 0);
+
+    const periodData = useMemo(() => {
+        const rows = Object.fromEntries(bucketKeys(from, to, aggregation).map(key => [key, { name: bucketLabel(i18n, key, aggregation) }]));
+        pricedItems.forEach(i => {
+            // Las semanas de bodymakers que empiezan antes del rango se imputan a su primer periodo.
+            const row = rows[bucketKey(i.date < from ? from : i.date, aggregation)];
+            if (!row) return;
+            const label = t(COST_CATEGORIES[i.category]);
+            row[label] = (row[label] || 0) + i.cost;
+        });
+        return Object.values(rows);
+    }, [pricedItems, from, to, aggregation, i18n, t]);
+
+    const lineRows = lines.map(l => {
+        const lineItems = pricedItems.filter(i => i.line === l.id);
+        return {
+            line: l,
+            byCategory: Object.keys(COST_CATEGORIES).map(category => sumCost(lineItems.filter(i => i.category === category))),
+            total: sumCost(lineItems),
+        };
+    });
+
+    const machineRows = machines
+        .map(m => {
+            const machineItems = items.filter(i => i.machineId === m.id);
+            return {
+                machine: m,
+                quantity: machineItems.reduce((acc, i) => acc + i.quantity, 0),
+                cost: sumCost(machineItems.filter(i => i.cost !== null)),
+            };
+        })
+        .filter(r => r.quantity > 0);
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>{t('Costes ({range})', { range: rangeLabel })}</CardTitle>
+                <CardDescription>{t('Importes calculados con el precio vigente en la fecha de cada lectura.')}</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-8">
+                {unpricedCount > 0 && (
+                    <p className="text-sm text-amber-400">⚠ {t('{count} lectura(s) sin precio vigente no se incluyen en los costes. Revisa la tabla de precios.', { count: unpricedCount })}</p>
+                )}
+                <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={periodData}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                        <XAxis dataKey="name" stroke="#A0AEC0" />
+                        <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                        <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatCurrency} />
+                        <Legend />
+                        {Object.entries(COST_CATEGORIES).map(([category, label]) => (
+                            <Bar key={category} dataKey={t(label)} stackId="cost" fill={COST_COLORS[category]} />
+                        ))}
+                    </BarChart>
+                </ResponsiveContainer>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>{t('Línea')}</TableHead>
+                                {Object.values(COST_CATEGORIES).map(label => <TableHead key={label} className="text-right">{t(label)}</TableHead>)}
+                                <TableHead className="text-right">{t('Total')}</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {lineRows.map(({ line, byCategory, total }) => (
+                                <TableRow key={line.id}>
+                                    <TableCell>{line.name}</TableCell>
+                                    {byCategory.map((cost, i) => <TableCell key={i} className="text-right">{formatCurrency(cost)}</TableCell>)}
+                                    <TableCell className="text-right font-semibold">{formatCurrency(total)}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>{t('Bodymaker')}</TableHead>
+                                <TableHead className="text-right">{t('Aceite (L)')}</TableHead>
+                                <TableHead className="text-right">{t('Coste')}</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {machineRows.map(({ machine, quantity, cost }) => (
+                                <TableRow key={machine.id}>
+                                    <TableCell>{machine.name}</TableCell>
+                                    <TableCell className="text-right">{formatNumber(quantity)}</TableCell>
+                                    <TableCell className="text-right">{formatCurrency(cost)}</TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
+
+// Panel de alertas de consumo anómalo. Los supervisores las reconocen dejando un comentario.
+const MAX_ALERTS_SHOWN = 20;
+
+// Registro que originó una alerta: línea, tipo de consumo o máquina y fecha.
+const describeAlertSource = ({ t, formatDate }, alert, plantConfig) => {
+    const lineName = getLine(plantConfig, alert.line)?.name || t('Línea {line}', { line: alert.line });
+    return alert.kind === 'womack'
+        ? `Womack ${lineName} · ${t(alert.metric === 'water' ? 'Agua' : 'Aceite')} · ${formatDate(alert.date)}`
+        : `${machineName(plantConfig, alert.machineId)} (${lineName}) · ${t('semana del {date}', { date: formatDate(alert.date) })}`;
+};
+
+function AlertsPanel({ db, plantId, user, alerts, acks, plantConfig }) {
+    const i18n = useI18n();
+    const { t, formatDateTime, formatAlertValue } = i18n;
+    const [comments, setComments] = useState({});
+    const [message, setMessage] = useState(null);
+    // Los reconocimientos se guardan en Firestore: en modo local las alertas solo se consultan.
+    const canAcknowledge = hasRole(user, 'supervisor') && !!db;
+
+    // Primero las pendientes, después las ya reconocidas; dentro de cada grupo, las más recientes.
+    const visibleAlerts = useMemo(() => [...alerts]
+        .sort((a, b) => (!!acks[a.id] - !!acks[b.id]) || b.date.localeCompare(a.date))
+        .slice(0, MAX_ALERTS_SHOWN), [alerts, acks]);
+    const pendingCount = alerts.filter(a => !acks[a.id]).length;
+
+    const handleAcknowledge = async (alert) => {
+        const comment = (comments[alert.id] || '').trim();
+        if (!comment) {
+            setMessage(errorStatus(t('Error: Añade un comentario para reconocer la alerta.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        try {
+            await setDoc(doc(db, collectionPath('alertAcks', plantId), alert.id), {
+                comment,
+                value: alert.value,
+                acknowledgedAt: new Date().toISOString(),
+                acknowledgedBy: authorOf(user),
+            });
+            setComments(c => ({ ...c, [alert.id]: '' }));
+        } catch (error) {
+            console.error("Error al reconocer la alerta:", error);
+            setMessage(errorStatus(t('Error al reconocer la alerta. Inténtalo de nuevo.')));
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>{t('Alertas de Consumo')}</CardTitle>
+                <CardDescription>{t('{count} pendiente(s) de reconocer. Posibles fugas o lecturas erróneas según los umbrales configurados.', { count: pendingCount })}</CardDescription>
+            </CardHeader>
+            <CardContent>
+                {visibleAlerts.length === 0 ? (
+                    <p className="text-sm text-gray-400">{t('No hay lecturas fuera de los umbrales.')}</p>
+                ) : (
+                    <ul className="space-y-4">
+                        {visibleAlerts.map(alert => {
+                            const ack = acks[alert.id];
+                            return (
+                                <li key={alert.id} className={`rounded-lg border p-4 ${ack ? 'border-gray-700' : 'border-red-700 bg-red-900/20'}`}>
+                                    <div className="flex flex-col md:flex-row md:justify-between gap-2">
+                                        <div>
+                                            <p className="font-medium">{describeAlertSource(i18n, alert, plantConfig)}: <span className="text-red-400">{formatAlertValue(alert.value)} {unitLabel(alert.metric === 'water' ? 'water' : 'oil')}</span></p>
+                                            <p className="text-sm text-gray-400">{describeAnomaly(i18n, alert)}</p>
+                                        </div>
+                                        {ack ? (
+                                            <p className="text-sm text-gray-400 md:text-right">
+                                                {t('Reconocida por {name} el {date}', { name: displayNameOf(ack.acknowledgedBy), date: formatDateTime(ack.acknowledgedAt) })}
+                                                <span className="block text-gray-300">“{ack.comment}”</span>
+                                            </p>
+                                        ) : canAcknowledge && (
+                                            <div className="flex gap-2 md:w-96">
+                                                <Input
+                                                    aria-label={t('Comentario')}
+                                                    placeholder={t('Comentario (causa, acción tomada...)')}
+                                                    value={comments[alert.id] || ''}
+                                                    onChange={e => setComments(c => ({ ...c, [alert.id]: e.target.value }))}
+                                                />
+                                                <Button className="px-4" onClick={() => handleAcknowledge(alert)}>{t('Reconocer')}</Button>
+                                            </div>
+                                        )}
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+                <StatusMessage status={message} className="mt-4" />
+            </CardContent>
+        </Card>
+    );
+}
+
+// 2. Componente para el control de los Womack
+function WomackControl({ repository, user, data, plantConfig, anomalies, validationRules, onQueue, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+    const [line, setLine] = useState(plantConfig.lines[0]?.id);
+    const [shift, setShift] = useState('');
+    const [operator, setOperator] = useState(displayNameOf(user));
+    const [water, setWater] = useState('');
+    const [oilTotal, setOilTotal] = useState('');
+    const [oilPartial, setOilPartial] = useState('');
+    const [waterUnit, setWaterUnit] = useStoredUnit('water');
+    const [oilUnit, setOilUnit] = useStoredUnit('oil');
+    const [entryMode, setEntryMode] = useStoredEntryMode('womack');
+    const [meterInputs, setMeterInputs] = useState({});
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [editValues, setEditValues] = useState({});
+    const [editErrors, setEditErrors] = useState({});
+    const [duplicate, setDuplicate] = useState(null);
+    const [errors, setErrors] = useState({});
+    const [confirming, setConfirming] = useState(false);
+    const canEdit = hasRole(user, 'supervisor');
+
+    // Si la línea seleccionada desaparece de la configuración, se pasa a la primera disponible.
+    useEffect(() => {
+        if (!getLine(plantConfig, line) && plantConfig.lines[0]) setLine(plantConfig.lines[0].id);
+    }, [plantConfig, line]);
+
+    // Cualquier cambio en el formulario invalida los errores y la confirmación pendientes.
+    useEffect(() => {
+        setErrors({});
+        setConfirming(false);
+    }, [date, line, shift, water, oilTotal, oilPartial, waterUnit, oilUnit, entryMode, meterInputs]);
+
+    // Si el turno seleccionado desaparece del calendario, se vuelve al día completo.
+    useEffect(() => {
+        if (shift && !shiftsOf(plantConfig).some(s => s.id === shift)) setShift('');
+    }, [plantConfig, shift]);
+
+    // En modo contador, el consumo de cada campo se deduce de la lectura anterior de la línea.
+    const meterResults = useMemo(() => (entryMode === 'meter'
+        ? Object.fromEntries(Object.keys(WOMACK_FORM_FIELDS).map(f => {
+            const kind = WOMACK_FIELD_KINDS[f];
+            const history = womackMeterHistory(data, line, f, plantConfig);
+            const previous = previousMeterReading(history, date, kind, kind === 'water' ? waterUnit : oilUnit, womackMeterSlot(plantConfig, date, shift));
+            return [f, deriveMeterConsumption(i18n, meterInputs[f] || {}, previous, date, 1)];
+        }))
+        : null), [entryMode, meterInputs, data, line, date, shift, plantConfig, waterUnit, oilUnit, i18n]);
+
+    const values = useMemo(() => (meterResults
+        ? Object.fromEntries(Object.entries(meterResults).map(([f, result]) => [f, result.consumption]))
+        : { water, oilTotal, oilPartial }), [meterResults, water, oilTotal, oilPartial]);
+
+    const warnings = useMemo(() => mergeWarnings(
+        womackPlausibilityWarnings(i18n, values, data, line, date, validationRules, { water: waterUnit, oil: oilUnit }, shift),
+        nextMeterWarnings(i18n, meterResults, f => womackMeterHistory(data, line, f, plantConfig), womackMeterSlot(plantConfig, date, shift)),
+    ), [values, meterResults, data, line, date, shift, plantConfig, validationRules, waterUnit, oilUnit, i18n]);
+
+    const setMeterInput = (field, changes) => setMeterInputs(inputs => ({ ...inputs, [field]: { ...inputs[field], ...changes } }));
+
+    const resetForm = () => {
+        setWater('');
+        setOilTotal('');
+        setOilPartial('');
+        setMeterInputs({});
+    };
+
+    const saveEntry = async (entry, mode, docId) => {
+        setIsLoading(true);
+        const conflictIds = womackConflictKeys(plantConfig, entry);
+        try {
+            await repository.upsert(user, 'womackEntries', { docId, entry, mode, conflictIds });
+            setDuplicate(null);
+            setMessage(successStatus(t(mode === 'create' ? '¡Registro guardado con éxito!' : '¡Registro existente sobrescrito con éxito!')));
+            resetForm();
+        } catch (error) {
+            if (error instanceof DuplicateEntryError) {
+                // Otro dispositivo ha guardado el mismo día y línea mientras rellenábamos el formulario.
+                setDuplicate({ existing: error.existing, entry });
+                return;
+            }
+            if (error instanceof ShiftConflictError) {
+                // Otro dispositivo (o un registro fuera de los días cargados) ya tiene el día de la otra forma.
+                setDuplicate(null);
+                setErrors({ shift: t(error.message) });
+                setMessage(errorStatus(t('Error: Revisa los campos marcados.')));
+                return;
+            }
+            if (isOfflineError(error)) {
+                onQueue('womackEntries', docId, entry, mode, conflictIds);
+                setDuplicate(null);
+                setMessage(successStatus(t('Sin conexión: el registro queda pendiente y se sincronizará automáticamente.')));
+                resetForm();
+                return;
+            }
+            console.error("Error al guardar el registro:", error);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setIsLoading(false);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        await submitEntry(false);
+    };
+
+    // `confirmed` indica que el usuario ya ha aceptado los avisos de plausibilidad.
+    const submitEntry = async (confirmed) => {
+        if (!repository) {
+            setMessage(errorStatus(t('Error: No se ha podido conectar con la base de datos.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        // Un mismo día y línea se registra entero o por turnos, nunca de las dos formas. Aquí se avisa con
+        // los días cargados; el repositorio lo vuelve a comprobar al guardar (ShiftConflictError).
+        const sameDay = data.filter(d => d.date === date && d.line === Number(line));
+        const shiftConflict = shift
+            ? sameDay.some(d => !d.shift) && t('Ya hay un registro de día completo para esta fecha y línea.')
+            : sameDay.some(d => d.shift) && t('Ya hay registros por turno para esta fecha y línea.');
+        const validationErrors = {
+            ...validateWomackValues(i18n, { date, ...values }, validationRules, { water: waterUnit, oil: oilUnit }),
+            ...(meterResults && withoutEmpty(Object.fromEntries(Object.entries(meterResults).map(([f, result]) => [f, result.error])))),
+            ...(shiftConflict && { shift: shiftConflict }),
+        };
+        if (Object.keys(validationErrors).length > 0) {
+            setErrors(validationErrors);
+            setMessage(errorStatus(t('Error: Revisa los campos marcados.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        if (!confirmed && Object.keys(warnings).length > 0) {
+            setConfirming(true);
+            return;
+        }
+        setConfirming(false);
+        const entry = {
+            date,
+            line: Number(line),
+            ...(shift && { shift }),
+            ...(operator.trim() && { operator: operator.trim() }),
+            waterConsumption: Number(values.water),
+            oilConsumptionTotal: Number(values.oilTotal),
+            oilConsumptionPartial: Number(values.oilPartial),
+            waterUnit,
+            oilUnit,
+            ...(meterResults && womackMeterFields(meterResults)),
+            createdAt: new Date().toISOString(),
+            createdBy: authorOf(user),
+        };
+        const existing = sameDay.find(d => (d.shift || '') === shift);
+        if (existing) {
+            setDuplicate({ existing, entry });
+            return;
+        }
+        await saveEntry(entry, 'create', womackEntryKey(entry));
+    };
+    
+    const startEdit = (entry) => {
+        setEditingId(entry.id);
+        setEditErrors({});
+        setEditValues({
+            water: String(entry.waterConsumption),
+            oilTotal: String(entry.oilConsumptionTotal),
+            oilPartial: String(entry.oilConsumptionPartial),
+        });
+    };
+
+    const handleSaveEdit = async (entry) => {
+        const units = { water: entry.waterUnit, oil: entry.oilUnit };
+        const validationErrors = validateWomackValues(i18n, editValues, validationRules, units);
+        setEditErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+        const editWarnings = womackPlausibilityWarnings(i18n, editValues, data, entry.line, entry.date, validationRules, units, entry.shift);
+        if (Object.keys(editWarnings).length > 0
+            && !window.confirm(`${describeWarnings(editWarnings, f => t(VALIDATION_FIELD_LABELS[f])).join('\n')}\n\n${t('¿Guardar de todas formas?')}`)) return;
+        try {
+            await repository.update(user, 'womackEntries', entry, {
+                waterConsumption: Number(editValues.water),
+                oilConsumptionTotal: Number(editValues.oilTotal),
+                oilConsumptionPartial: Number(editValues.oilPartial),
+                approvedAt: null,
+                approvedBy: null,
+            });
+            setEditingId(null);
+            setMessage(successStatus(t('¡Registro actualizado con éxito!')));
+        } catch (error) {
+            console.error("Error al actualizar el registro:", error);
+            setMessage(errorStatus(t('Error al actualizar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const handleApprove = async (entry) => {
+        try {
+            await approveEntry(repository, user, 'womackEntries', entry);
+            setMessage(successStatus(t('Registro aprobado.')));
+        } catch (error) {
+            console.error("Error al aprobar el registro:", error);
+            setMessage(errorStatus(t('Error al aprobar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const handleDelete = async (entry) => {
+        const shiftNote = entry.shift ? `, ${shiftName(i18n, plantConfig, entry.shift)}` : '';
+        const meterNote = nextMeterDeleteNote(i18n, Object.keys(entry.meters || {})
+            .map(f => nextMeterReading(womackMeterHistory(data, entry.line, f, plantConfig), womackMeterSlot(plantConfig, entry.date, entry.shift))));
+        if (!window.confirm(t('¿Eliminar el registro del {date} ({line})?', { date: formatDate(entry.date), line: `${t('Línea {line}', { line: entry.line })}${shiftNote}` }) + meterNote)) return;
+        try {
+            await repository.remove(user, 'womackEntries', entry);
+            setMessage(successStatus(t('Registro eliminado.')));
+        } catch (error) {
+            console.error("Error al eliminar el registro:", error);
+            setMessage(errorStatus(t('Error al eliminar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const history = usePagedEntries(repository, 'womackEntries', line, 10);
+    const filteredData = history.entries;
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Control Diario de Womack')}</CardTitle>
+                    <CardDescription>{t('Introduce los consumos diarios de agua y aceite o, en modo contador, las lecturas acumuladas de los contadores.')}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <form onSubmit={handleSubmit} noValidate className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                        <div className="space-y-2">
+                            <Label htmlFor="date">{t('Fecha')}</Label>
+                            <Input id="date" type="date" max={todayIso()} className={fieldStateClass(errors.date)} value={date} onChange={e => setDate(e.target.value)} />
+                            <FieldMessage error={errors.date} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="line">{t('Línea')}</Label>
+                            <LineSelect lines={plantConfig.lines} value={line} onChange={setLine} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="shift">{t('Turno')}</Label>
+                            <ShiftSelect id="shift" shifts={shiftsOf(plantConfig)} value={shift} onChange={setShift} emptyLabel={t(WHOLE_DAY_LABEL)} className={fieldStateClass(errors.shift)} />
+                            <FieldMessage error={errors.shift} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="operator">{t('Operario')}</Label>
+                            <Input id="operator" type="text" placeholder={t('Nombre del operario')} value={operator} onChange={e => setOperator(e.target.value)} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="womackEntryMode">{t('Modo de registro')}</Label>
+                            <select id="womackEntryMode" value={entryMode} onChange={e => setEntryMode(e.target.value)} className="flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                {Object.entries(ENTRY_MODES).map(([mode, label]) => <option key={mode} value={mode}>{t(label)}</option>)}
+                            </select>
+                        </div>
+                        {meterResults ? (
+                            <>
+                                <MeterField id="water" label={t('Contador Agua')} kind="water" unit={waterUnit} stepDays={1} input={meterInputs.water} result={meterResults.water} onChange={changes => setMeterInput('water', changes)} error={errors.water} warning={warnings.water}>
+                                    <UnitSelect id="waterUnit" kind="water" value={waterUnit} onChange={setWaterUnit} />
+                                </MeterField>
+                                <MeterField id="oilTotal" label={t('Contador Aceite Total')} kind="oil" unit={oilUnit} stepDays={1} input={meterInputs.oilTotal} result={meterResults.oilTotal} onChange={changes => setMeterInput('oilTotal', changes)} error={errors.oilTotal} warning={warnings.oilTotal}>
+                                    <UnitSelect id="oilUnit" kind="oil" value={oilUnit} onChange={setOilUnit} />
+                                </MeterField>
+                                <MeterField id="oilPartial" label={t('Contador Aceite Parcial ({unit})', { unit: unitLabel('oil', oilUnit) })} kind="oil" unit={oilUnit} stepDays={1} input={meterInputs.oilPartial} result={meterResults.oilPartial} onChange={changes => setMeterInput('oilPartial', changes)} error={errors.oilPartial} warning={warnings.oilPartial} />
+                            </>
+                        ) : (
+                            <>
+                                <div className="space-y-2">
+                                    <Label htmlFor="water">{t('Consumo Agua')}</Label>
+                                    <div className="flex gap-2">
+                                        <Input id="water" type="number" step="any" placeholder={t('Ej: 150')} className={fieldStateClass(errors.water, warnings.water)} value={water} onChange={e => setWater(e.target.value)} />
+                                        <UnitSelect id="waterUnit" kind="water" value={waterUnit} onChange={setWaterUnit} />
+                                    </div>
+                                    <FieldMessage error={errors.water} warning={warnings.water} />
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="oilTotal">{t('Consumo Aceite Total')}</Label>
+                                    <div className="flex gap-2">
+                                        <Input id="oilTotal" type="number" step="any" placeholder={t('Ej: 50')} className={fieldStateClass(errors.oilTotal, warnings.oilTotal)} value={oilTotal} onChange={e => setOilTotal(e.target.value)} />
+                                        <UnitSelect id="oilUnit" kind="oil" value={oilUnit} onChange={setOilUnit} />
+                                    </div>
+                                    <FieldMessage error={errors.oilTotal} warning={warnings.oilTotal} />
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="oilPartial">{t('Consumo Aceite Parcial ({unit})', { unit: unitLabel('oil', oilUnit) })}</Label>
+                                    <Input id="oilPartial" type="number" step="any" placeholder={t('Ej: 25')} className={fieldStateClass(errors.oilPartial, warnings.oilPartial)} value={oilPartial} onChange={e => setOilPartial(e.target.value)} />
+                                    <FieldMessage error={errors.oilPartial} warning={warnings.oilPartial} />
+                                </div>
+                            </>
+                        )}
+                        <div className="md:col-span-2 lg:col-span-1 flex items-end">
+                            <Button type="submit" className="w-full h-10" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Guardar Registro')}</Button>
+                        </div>
+                    </form>
+                    {confirming && (
+                        <PlausibilityConfirm
+                            warnings={describeWarnings(warnings, f => t(VALIDATION_FIELD_LABELS[f]))}
+                            isLoading={isLoading}
+                            onConfirm={() => submitEntry(true)}
+                            onCancel={() => setConfirming(false)}
+                        />
+                    )}
+                    {duplicate && (
+                        <DuplicateEntryDialog
+                            title={t('Ya existe un registro para el {date} en {line}.', {
+                                date: `${formatDate(duplicate.entry.date)}${duplicate.entry.shift ? ` (${t('turno {shift}', { shift: shiftName(i18n, plantConfig, duplicate.entry.shift) })})` : ''}`,
+                                line: getLine(plantConfig, duplicate.entry.line)?.name || t('Línea {line}', { line: duplicate.entry.line }),
+                            })}
+                            rows={entryComparisonRows(i18n, 'womackEntries', duplicate.existing, duplicate.entry, plantConfig)}
+                            isLoading={isLoading}
+                            onOverwrite={canEdit ? () => saveEntry(duplicate.entry, 'overwrite', duplicate.existing.id) : undefined}
+                            onCancel={() => setDuplicate(null)}
+                        />
+                    )}
+                    <StatusMessage status={message} className="mt-4" />
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Historial Reciente ({line})', { line: getLine(plantConfig, line)?.name })}</CardTitle>
+                </CardHeader>
+                <CardContent>
+                     <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>{t('Fecha')}</TableHead>
+                                <TableHead>{t('Turno')}</TableHead>
+                                <TableHead>{t('Agua')}</TableHead>
+                                <TableHead>{t('Aceite Total')}</TableHead>
+                                <TableHead>{t('Aceite Parcial')}</TableHead>
+                                {canEdit && <TableHead className="text-right">{t('Acciones')}</TableHead>}
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {filteredData.map(d => editingId === d.id ? (
+                                <TableRow key={d.id}>
+                                    <TableCell>{formatDate(d.date)}</TableCell>
+                                    <TableCell><ShiftCell config={plantConfig} entry={d} /></TableCell>
+                                    <TableCell>
+                                        <Input type="number" step="any" aria-label={t('Agua')} className={fieldStateClass(editErrors.water)} value={editValues.water} onChange={e => setEditValues(v => ({ ...v, water: e.target.value }))} />
+                                        <span className="text-xs text-gray-500">{unitLabel('water', d.waterUnit)}</span>
+                                        <FieldMessage error={editErrors.water} />
+                                    </TableCell>
+                                    <TableCell>
+                                        <Input type="number" step="any" aria-label={t('Aceite Total')} className={fieldStateClass(editErrors.oilTotal)} value={editValues.oilTotal} onChange={e => setEditValues(v => ({ ...v, oilTotal: e.target.value }))} />
+                                        <span className="text-xs text-gray-500">{unitLabel('oil', d.oilUnit)}</span>
+                                        <FieldMessage error={editErrors.oilTotal} />
+                                    </TableCell>
+                                    <TableCell>
+                                        <Input type="number" step="any" aria-label={t('Aceite Parcial')} className={fieldStateClass(editErrors.oilPartial)} value={editValues.oilPartial} onChange={e => setEditValues(v => ({ ...v, oilPartial: e.target.value }))} />
+                                        <span className="text-xs text-gray-500">{unitLabel('oil', d.oilUnit)}</span>
+                                        <FieldMessage error={editErrors.oilPartial} />
+                                    </TableCell>
+                                    <TableCell className="text-right">
+                                        <RowEditActions onSave={() => handleSaveEdit(d)} onCancel={() => setEditingId(null)} />
+                                    </TableCell>
+                                </TableRow>
+                            ) : (
+                                <TableRow key={d.id}>
+                                    <TableCell>
+                                        {formatDate(d.date)}
+                                        <EntryMeta entry={d} />
+                                        <MeterNotes notes={describeMeterNotes(i18n, d.meterEvents, d.meterGaps, f => t(VALIDATION_FIELD_LABELS[f]), 1)} />
+                                    </TableCell>
+                                    <TableCell><ShiftCell config={plantConfig} entry={d} /></TableCell>
+                                    <ValueCell value={withUnit(d.waterConsumption, 'water', d.waterUnit)} alert={anomalies.get(`womack_${d.id}_water`)} />
+                                    <ValueCell value={withUnit(d.oilConsumptionTotal, 'oil', d.oilUnit)} alert={anomalies.get(`womack_${d.id}_oil`)} />
+                                    <TableCell>{withUnit(d.oilConsumptionPartial, 'oil', d.oilUnit)}</TableCell>
+                                    {canEdit && (
+                                        <TableCell className="text-right">
+                                            <RowActions onEdit={() => startEdit(d)} onDelete={() => handleDelete(d)} onApprove={d.approvedAt ? undefined : () => handleApprove(d)} />
+                                        </TableCell>
+                                    )}
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                    <PaginationControls {...history} />
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 3. Componente para el control de las Bodymakers
+function BodymakerControl({ repository, user, data, plantConfig, anomalies, validationRules, onQueue, onOpenMachine, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const getMonday = (d) => {
+        d = new Date(d);
+        const day = d.getDay(),
+            diff = d.getDate() - day + (day === 0 ? -6 : 1); // adjust when day is sunday
+        return new Date(d.setDate(diff));
+    };
+
+    const [week, setWeek] = useState(getMonday(new Date()).toISOString().split('T')[0]);
+    const [line, setLine] = useState(plantConfig.lines[0]?.id);
+    const [oilUnit, setOilUnit] = useStoredUnit('oil');
+    const [entryMode, setEntryMode] = useStoredEntryMode('bodymaker');
+    const [meterInputs, setMeterInputs] = useState({});
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [editingId, setEditingId] = useState(null);
+    const [editValues, setEditValues] = useState({});
+    const [editErrors, setEditErrors] = useState({});
+    const [duplicate, setDuplicate] = useState(null);
+    const [errors, setErrors] = useState({});
+    const [confirming, setConfirming] = useState(false);
+    const canEdit = hasRole(user, 'supervisor');
+    
+    useEffect(() => {
+        if (!getLine(plantConfig, line) && plantConfig.lines[0]) setLine(plantConfig.lines[0].id);
+    }, [plantConfig, line]);
+
+    const currentLine = getLine(plantConfig, line);
+    // Máquinas de la línea en servicio durante la semana seleccionada.
+    const machines = useMemo(() => activeMachinesForWeek(currentLine, week), [currentLine, week]);
+    const machineIdsKey = machines.map(m => m.id).join(',');
+    
+    const [consumptions, setConsumptions] = useState(
+        machines.reduce((acc, machine) => ({ ...acc, [machine.id]: '' }), {})
+    );
+
+    useEffect(() => {
+        setConsumptions(machineIdsKey.split(',').filter(Boolean).reduce((acc, machineId) => ({ ...acc, [machineId]: '' }), {}));
+        setMeterInputs({});
+        setDuplicate(null);
+    }, [line, machineIdsKey]);
+
+
+    // Cualquier cambio en el formulario invalida los errores y la confirmación pendientes.
+    useEffect(() => {
+        setErrors({});
+        setConfirming(false);
+    }, [week, line, consumptions, oilUnit, entryMode, meterInputs]);
+
+    // En modo contador, el consumo de cada máquina se deduce de su lectura de la semana anterior.
+    const meterResults = useMemo(() => (entryMode === 'meter'
+        ? Object.fromEntries(machines.map(machine => {
+            const previous = previousMeterReading(bodymakerMeterHistory(data, line, machine.id), week, 'oil', oilUnit);
+            return [machine.id, deriveMeterConsumption(i18n, meterInputs[machine.id] || {}, previous, week, 7)];
+        }))
+        : null), [entryMode, machines, meterInputs, data, line, week, oilUnit, i18n]);
+
+    const values = useMemo(() => (meterResults
+        ? Object.fromEntries(Object.entries(meterResults).map(([machineId, result]) => [machineId, result.consumption]))
+        : consumptions), [meterResults, consumptions]);
+
+    const warnings = useMemo(() => mergeWarnings(
+        bodymakerPlausibilityWarnings(i18n, values, data, line, week, validationRules, () => oilUnit),
+        nextMeterWarnings(i18n, meterResults, machineId => bodymakerMeterHistory(data, line, Number(machineId)), week),
+    ), [values, meterResults, data, line, week, validationRules, oilUnit, i18n]);
+    const machineLabel = (machineId) => machineName(plantConfig, Number(machineId));
+
+    const handleConsumptionChange = (machineId, value) => {
+        setConsumptions(prev => ({ ...prev, [machineId]: value }));
+    };
+
+    const setMeterInput = (machineId, changes) => setMeterInputs(inputs => ({ ...inputs, [machineId]: { ...inputs[machineId], ...changes } }));
+
+    const resetForm = () => {
+        setConsumptions(machines.reduce((acc, machine) => ({ ...acc, [machine.id]: '' }), {}));
+        setMeterInputs({});
+    };
+
+    const saveEntry = async (entry, mode, docId) => {
+        setIsLoading(true);
+        try {
+            await repository.upsert(user, 'bodymakerEntries', { docId, entry, mode });
+            setDuplicate(null);
+            setMessage(successStatus(t({
+                create: '¡Registros semanales guardados con éxito!',
+                overwrite: '¡Semana existente sobrescrita con éxito!',
+                merge: '¡Lecturas fusionadas con la semana existente!',
+            }[mode])));
+            resetForm();
+        } catch (error) {
+            if (error instanceof DuplicateEntryError) {
+                // Otro dispositivo ha guardado la misma semana y línea mientras rellenábamos el formulario.
+                setDuplicate({ existing: error.existing, entry });
+                return;
+            }
+            if (isOfflineError(error)) {
+                onQueue('bodymakerEntries', docId, entry, mode);
+                setDuplicate(null);
+                setMessage(successStatus(t('Sin conexión: las lecturas quedan pendientes y se sincronizarán automáticamente.')));
+                resetForm();
+                return;
+            }
+            console.error("Error al guardar registros:", error);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setIsLoading(false);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        await submitEntry(false);
+    };
+
+    // `confirmed` indica que el usuario ya ha aceptado los avisos de plausibilidad.
+    const submitEntry = async (confirmed) => {
+        if (!repository) {
+            setMessage(errorStatus(t('Error: No se ha podido conectar con la base de datos.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        const validationErrors = {
+            ...validateBodymakerValues(i18n, values, validationRules, () => oilUnit),
+            ...(meterResults && withoutEmpty(Object.fromEntries(Object.entries(meterResults).map(([machineId, result]) => [machineId, result.error])))),
+            ...withoutEmpty({ week: validateDate(i18n, week) }),
+        };
+        if (Object.keys(validationErrors).length > 0) {
+            setErrors(validationErrors);
+            setMessage(errorStatus(t('Error: Revisa los campos marcados.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        const readings = readingsFromValues(values, () => oilUnit)
+            .map(r => (meterResults ? { ...r, ...bodymakerMeterFields(meterResults[r.machineId]) } : r));
+        if (readings.length === 0) {
+            setMessage(errorStatus(t('Error: Debes seleccionar una semana e introducir al menos un consumo.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        if (!confirmed && Object.keys(warnings).length > 0) {
+            setConfirming(true);
+            return;
+        }
+        setConfirming(false);
+        const entry = {
+            weekStartDate: week,
+            line: Number(line),
+            readings: readings,
+            createdAt: new Date().toISOString(),
+            createdBy: authorOf(user),
+        };
+        const existing = data.find(d => d.weekStartDate === entry.weekStartDate && d.line === entry.line);
+        if (existing) {
+            setDuplicate({ existing, entry });
+            return;
+        }
+        await saveEntry(entry, 'create', bodymakerEntryKey(entry));
+    };
+
+    const startEdit = (entry) => {
+        setEditingId(entry.id);
+        setEditErrors({});
+        setEditValues(historyMachines.reduce((acc, machine) => {
+            const reading = entry.readings.find(r => r.machineId === machine.id);
+            return { ...acc, [machine.id]: reading ? String(reading.consumption) : '' };
+        }, {}));
+    };
+
+    const handleSaveEdit = async (entry) => {
+        // Cada lectura conserva la unidad con que se registró; las nuevas se añaden en la unidad canónica.
+        const unitOf = (machineId) => entry.readings.find(r => r.machineId === Number(machineId))?.unit || CANONICAL_UNITS.oil;
+        const validationErrors = validateBodymakerValues(i18n, editValues, validationRules, unitOf);
+        setEditErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+        // Las lecturas conservan los datos de contador con que se registraron.
+        const readings = readingsFromValues(editValues, unitOf)
+            .map(r => ({ ...entry.readings.find(original => original.machineId === r.machineId), ...r }));
+
+        if (readings.length === 0) {
+            setMessage(errorStatus(t('Error: El registro debe conservar al menos un consumo. Usa "Eliminar" para borrarlo.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        const editWarnings = bodymakerPlausibilityWarnings(i18n, editValues, data, entry.line, entry.weekStartDate, validationRules, unitOf);
+        if (Object.keys(editWarnings).length > 0
+            && !window.confirm(`${describeWarnings(editWarnings, machineLabel).join('\n')}\n\n${t('¿Guardar de todas formas?')}`)) return;
+        try {
+            await repository.update(user, 'bodymakerEntries', entry, { readings, approvedAt: null, approvedBy: null });
+            setEditingId(null);
+            setMessage(successStatus(t('¡Registro semanal actualizado con éxito!')));
+        } catch (error) {
+            console.error("Error al actualizar registros:", error);
+            setMessage(errorStatus(t('Error al actualizar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const handleApprove = async (entry) => {
+        try {
+            await approveEntry(repository, user, 'bodymakerEntries', entry);
+            setMessage(successStatus(t('Registro semanal aprobado.')));
+        } catch (error) {
+            console.error("Error al aprobar registros:", error);
+            setMessage(errorStatus(t('Error al aprobar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const handleDelete = async (entry) => {
+        const meterNote = nextMeterDeleteNote(i18n, entry.readings.filter(r => hasValue(r.meter))
+            .map(r => nextMeterReading(bodymakerMeterHistory(data, entry.line, r.machineId), entry.weekStartDate)));
+        if (!window.confirm(t('¿Eliminar los registros de la semana del {date} ({line})?', { date: formatDate(entry.weekStartDate), line: t('Línea {line}', { line: entry.line }) }) + meterNote)) return;
+        try {
+            await repository.remove(user, 'bodymakerEntries', entry);
+            setMessage(successStatus(t('Registro semanal eliminado.')));
+        } catch (error) {
+            console.error("Error al eliminar registros:", error);
+            setMessage(errorStatus(t('Error al eliminar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const history = usePagedEntries(repository, 'bodymakerEntries', line, 5);
+    const filteredData = history.entries;
+
+    // Columnas del historial: máquinas activas en alguna de las semanas mostradas o con lecturas en ellas,
+    // para que las máquinas dadas de baja sigan viéndose en las semanas en que funcionaban.
+    const historyMachines = useMemo(() => (currentLine?.machines || []).filter(m =>
+        filteredData.some(d => activeMachinesForWeek({ machines: [m] }, d.weekStartDate).length > 0 || d.readings.some(r => r.machineId === m.id))
+    ), [currentLine, filteredData]);
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Control Semanal de Bodymakers')}</CardTitle>
+                    <CardDescription>{t('Introduce los consumos de aceite para cada máquina de la línea o, en modo contador, las lecturas acumuladas de sus contadores.')}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <form onSubmit={handleSubmit} noValidate className="space-y-6">
+                        <div className="flex flex-col md:flex-row gap-6">
+                            <div className="space-y-2 flex-1">
+                                <Label htmlFor="week">{t('Inicio de Semana (Lunes)')}</Label>
+                                <Input id="week" type="date" max={todayIso()} className={fieldStateClass(errors.week)} value={week} onChange={e => e.target.value && setWeek(getMonday(e.target.value).toISOString().split('T')[0])} />
+                                <FieldMessage error={errors.week} />
+                            </div>
+                            <div className="space-y-2 flex-1">
+                                <Label htmlFor="line">{t('Línea')}</Label>
+                                <LineSelect
+                                    lines={plantConfig.lines}
+                                    value={line}
+                                    onChange={setLine}
+                                    describe={(l) => l.machines.length ? `${l.name} (${l.machines[0].name}-${l.machines[l.machines.length - 1].name})` : l.name}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="bodymakerUnit">{t('Unidad')}</Label>
+                                <UnitSelect id="bodymakerUnit" kind="oil" value={oilUnit} onChange={setOilUnit} />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="bodymakerEntryMode">{t('Modo de registro')}</Label>
+                                <select id="bodymakerEntryMode" value={entryMode} onChange={e => setEntryMode(e.target.value)} className="h-10 rounded-md border border-gray-600 bg-gray-900 px-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                    {Object.entries(ENTRY_MODES).map(([mode, label]) => <option key={mode} value={mode}>{t(label)}</option>)}
+                                </select>
+                            </div>
+                        </div>
+
+                        {meterResults ? (
+                            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                                {machines.map(machine => (
+                                    <MeterField
+                                        key={machine.id}
+                                        id={`bm-${machine.id}`}
+                                        label={`${machine.name} (${unitLabel('oil', oilUnit)})`}
+                                        kind="oil"
+                                        unit={oilUnit}
+                                        stepDays={7}
+                                        input={meterInputs[machine.id]}
+                                        result={meterResults[machine.id]}
+                                        onChange={changes => setMeterInput(machine.id, changes)}
+                                        error={errors[machine.id]}
+                                        warning={warnings[machine.id]}
+                                    />
+                                ))}
+                            </div>
+                        ) : (
+                            <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-8 gap-4">
+                                {machines.map(machine => (
+                                    <div key={machine.id} className="space-y-2">
+                                        <Label htmlFor={`bm-${machine.id}`}>{machine.name}</Label>
+                                        <Input
+                                            id={`bm-${machine.id}`}
+                                            type="number"
+                                            step="any"
+                                            placeholder={unitLabel('oil', oilUnit)}
+                                            className={fieldStateClass(errors[machine.id], warnings[machine.id])}
+                                            value={consumptions[machine.id] || ''}
+                                            onChange={(e) => handleConsumptionChange(machine.id, e.target.value)}
+                                        />
+                                        <FieldMessage error={errors[machine.id]} warning={warnings[machine.id]} />
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        <div className="flex justify-end">
+                            <Button type="submit" className="w-full md:w-auto h-10 px-8" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Guardar Semana')}</Button>
+                        </div>
+                    </form>
+                    {confirming && (
+                        <PlausibilityConfirm
+                            warnings={describeWarnings(warnings, machineLabel)}
+                            isLoading={isLoading}
+                            onConfirm={() => submitEntry(true)}
+                            onCancel={() => setConfirming(false)}
+                        />
+                    )}
+                    {duplicate && (
+                        <DuplicateEntryDialog
+                            title={t('Ya existen lecturas para la semana del {date} en {line}.', { date: formatDate(duplicate.entry.weekStartDate), line: currentLine?.name })}
+                            rows={entryComparisonRows(i18n, 'bodymakerEntries', duplicate.existing, duplicate.entry, plantConfig)}
+                            isLoading={isLoading}
+                            onOverwrite={canEdit ? () => saveEntry(duplicate.entry, 'overwrite', duplicate.existing.id) : undefined}
+                            onMerge={canEdit ? () => saveEntry(duplicate.entry, 'merge', duplicate.existing.id) : undefined}
+                            onCancel={() => setDuplicate(null)}
+                        />
+                    )}
+                    <StatusMessage status={message} className="mt-4" />
+                </CardContent>
+            </Card>
+
+             <Card>
+                <CardHeader>
+                    <CardTitle>{t('Historial Semanal Reciente ({line})', { line: currentLine?.name })}</CardTitle>
+                </CardHeader>
+                <CardContent>
+                     <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>{t('Semana de')}</TableHead>
+                                {historyMachines.map(m => (
+                                    <TableHead key={m.id}>
+                                        {onOpenMachine
+                                            ? <button type="button" className="underline decoration-dotted hover:text-white" title={t('Ver ficha')} onClick={() => onOpenMachine({ line, machineId: m.id })}>{m.name}</button>
+                                            : m.name}
+                                    </TableHead>
+                                ))}
+                                {canEdit && <TableHead className="text-right">{t('Acciones')}</TableHead>}
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {filteredData.map(d => editingId === d.id ? (
+                                <TableRow key={d.id}>
+                                    <TableCell>{formatDate(d.weekStartDate)}</TableCell>
+                                    {historyMachines.map(machine => (
+                                        <TableCell key={machine.id} className="px-1">
+                                            <Input
+                                                type="number"
+                                                step="any"
+                                                aria-label={machine.name}
+                                                className={`min-w-[4.5rem] ${fieldStateClass(editErrors[machine.id])}`}
+                                                value={editValues[machine.id] || ''}
+                                                onChange={(e) => setEditValues(v => ({ ...v, [machine.id]: e.target.value }))}
+                                            />
+                                            <FieldMessage error={editErrors[machine.id]} />
+                                        </TableCell>
+                                    ))}
+                                    <TableCell className="text-right">
+                                        <RowEditActions onSave={() => handleSaveEdit(d)} onCancel={() => setEditingId(null)} />
+                                    </TableCell>
+                                </TableRow>
+                            ) : (
+                                <TableRow key={d.id}>
+                                    <TableCell>
+                                        {formatDate(d.weekStartDate)}
+                                        <EntryMeta entry={d} />
+                                        <MeterNotes notes={describeMeterNotes(i18n, 
+                                            Object.fromEntries(d.readings.filter(r => r.meterEvent).map(r => [r.machineId, r.meterEvent])),
+                                            Object.fromEntries(d.readings.filter(r => r.meterGap).map(r => [r.machineId, r.meterGap])),
+                                            machineLabel,
+                                            7
+                                        )} />
+                                    </TableCell>
+                                    {historyMachines.map(machine => {
+                                        const reading = d.readings.find(r => r.machineId === machine.id);
+                                        return <ValueCell key={machine.id} value={reading ? withUnit(reading.consumption, 'oil', reading.unit) : '–'} alert={anomalies.get(`bodymaker_${d.id}_${machine.id}`)} />
+                                    })}
+                                    {canEdit && (
+                                        <TableCell className="text-right">
+                                            <RowActions onEdit={() => startEdit(d)} onDelete={() => handleDelete(d)} onApprove={d.approvedAt ? undefined : () => handleApprove(d)} />
+                                        </TableCell>
+                                    )}
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                    <PaginationControls {...history} />
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 4. Registro de auditoría: revisión y reversión de cambios por parte del supervisor
+const AUDIT_COLLECTION_LABELS = {
+    womackEntries: 'Womack',
+    bodymakerEntries: 'Bodymaker',
+    productionEntries: 'Producción línea',
+    bodymakerProductionEntries: 'Producción bodymaker',
+    maintenanceEvents: 'Mantenimiento',
+};
+const AUDIT_ACTION_LABELS = { update: 'Edición', overwrite: 'Sobrescritura', merge: 'Fusión', approve: 'Aprobación', delete: 'Eliminación', revert: 'Reversión' };
+
+function AuditLog({ repository, user, onBack }) {
+    const { t, formatDate, formatDateTime } = useI18n();
+    const [entries, setEntries] = useState([]);
+    const [message, setMessage] = useState(null);
+    const [revertingId, setRevertingId] = useState(null);
+
+    useEffect(() => {
+        if (!repository) return;
+        return repository.watchAuditLog(100, setEntries, (err) => {
+            console.error("Error fetching audit log:", err);
+        });
+    }, [repository]);
+
+    const describeEntry = (entry) => {
+        const source = entry.after || entry.before || {};
+        const period = source.date || source.weekStartDate || '';
+        const collectionLabel = AUDIT_COLLECTION_LABELS[entry.collection] ? t(AUDIT_COLLECTION_LABELS[entry.collection]) : entry.collection;
+        return `${collectionLabel} · ${period && formatDate(period)} · ${t('Línea {line}', { line: source.line ?? '?' })}`;
+    };
+
+    const handleRevert = async (entry) => {
+        if (!window.confirm(t('¿Revertir este cambio y restaurar los valores anteriores?'))) return;
+        setRevertingId(entry.id);
+        try {
+            await repository.revert(user, entry);
+            setMessage(successStatus(t('Cambio revertido con éxito.')));
+        } catch (error) {
+            console.error("Error al revertir el cambio:", error);
+            setMessage(errorStatus(t('Error al revertir: {error}', { error: t(error.message) })));
+        } finally {
+            setRevertingId(null);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Registro de Auditoría')}</CardTitle>
+                    <CardDescription>{t('Últimos 100 cambios sobre los registros de consumo. Las ediciones y eliminaciones pueden revertirse.')}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <StatusMessage status={message} className="mb-4" />
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>{t('Fecha')}</TableHead>
+                                <TableHead>{t('Usuario')}</TableHead>
+                                <TableHead>{t('Acción')}</TableHead>
+                                <TableHead>{t('Registro')}</TableHead>
+                                <TableHead>{t('Cambios')}</TableHead>
+                                <TableHead className="text-right">{t('Acciones')}</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {entries.map(entry => (
+                                <TableRow key={entry.id}>
+                                    <TableCell className="whitespace-nowrap">{formatDateTime(entry.changedAt)}</TableCell>
+                                    <TableCell className="text-xs text-gray-400">{displayNameOf(entry.changedBy)}</TableCell>
+                                    <TableCell>{AUDIT_ACTION_LABELS[entry.action] ? t(AUDIT_ACTION_LABELS[entry.action]) : entry.action}</TableCell>
+                                    <TableCell className="whitespace-nowrap">{describeEntry(entry)}</TableCell>
+                                    <TableCell>
+                                        <ul className="space-y-1 text-xs">
+                                            {diffEntries(entry.before, entry.after).map(({ field, from, to }) => (
+                                                <li key={field}>
+                                                    <span className="text-gray-400">{field}:</span>{' '}
+                                                    <span className="text-red-400 line-through">{from ?? '–'}</span>{' → '}
+                                                    <span className="text-green-400">{to ?? '–'}</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </TableCell>
+                                    <TableCell className="text-right">
+                                        {entry.revertedAt ? (
+                                            <span className="text-xs text-gray-500">{t('Revertido {date}', { date: formatDateTime(entry.revertedAt) })}</span>
+                                        ) : entry.action !== 'revert' && (
+                                            <Button variant="secondary" className="h-8 px-3" disabled={revertingId === entry.id} onClick={() => handleRevert(entry)}>
+                                                {t(revertingId === entry.id ? 'Revirtiendo...' : 'Revertir')}
+                                            </Button>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 5. Administración de la configuración de planta (líneas, máquinas y turnos)
+function PlantConfigEditor({ db, plantId, user, plantConfig, onBack }) {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(plantConfig);
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => { setDraft(plantConfig); }, [plantConfig]);
+
+    const updateLine = (lineId, changes) => {
+        setDraft(d => ({ ...d, lines: d.lines.map(l => (l.id === lineId ? { ...l, ...changes } : l)) }));
+    };
+
+    const updateMachine = (lineId, index, changes) => {
+        setDraft(d => ({
+            ...d,
+            lines: d.lines.map(l => (l.id === lineId ? { ...l, machines: l.machines.map((m, i) => (i === index ? { ...m, ...changes } : m)) } : l)),
+        }));
+    };
+
+    const addLine = () => {
+        const id = Math.max(0, ...draft.lines.map(l => l.id)) + 1;
+        setDraft(d => ({ ...d, lines: [...d.lines, { id, name: t('Línea {line}', { line: id }), shortName: `L${id}`, machines: [] }] }));
+    };
+
+    const removeLine = (line) => {
+        if (!window.confirm(t('¿Quitar {name} de la configuración? Los registros existentes no se borran.', { name: line.name }))) return;
+        setDraft(d => ({ ...d, lines: d.lines.filter(l => l.id !== line.id) }));
+    };
+
+    const addMachine = (line) => {
+        const allIds = draft.lines.flatMap(l => l.machines.map(m => m.id));
+        const lineIds = line.machines.map(m => m.id);
+        const id = lineIds.length ? Math.max(...lineIds) + 1 : line.id * 10 + 1;
+        const machineId = allIds.includes(id) ? Math.max(...allIds) + 1 : id;
+        updateLine(line.id, { machines: [...line.machines, { id: machineId, name: `BM ${machineId}`, activeFrom: '', activeTo: '' }] });
+    };
+
+    const removeMachine = (line, index) => {
+        updateLine(line.id, { machines: line.machines.filter((_, i) => i !== index) });
+    };
+
+    const shifts = shiftsOf(draft);
+
+    const updateShift = (index, changes) => {
+        setDraft(d => ({ ...d, shifts: shiftsOf(d).map((s, i) => (i === index ? { ...s, ...changes } : s)) }));
+    };
+
+    // El código del turno forma parte de la clave de los registros, así que no se edita: se numera tras el mayor.
+    const addShift = () => {
+        const numbers = shifts.map(s => Number(String(s.id).replace(/^T/, '')) || 0);
+        const id = `T${Math.max(0, ...numbers) + 1}`;
+        setDraft(d => ({ ...d, shifts: [...shiftsOf(d), { id, name: t('Turno {number}', { number: id.slice(1) }), start: '', end: '' }] }));
+    };
+
+    const removeShift = (shift) => {
+        if (!window.confirm(t('¿Quitar el turno {name}? Los registros existentes no se borran.', { name: shift.name }))) return;
+        setDraft(d => ({ ...d, shifts: shiftsOf(d).filter(s => s.id !== shift.id) }));
+    };
+
+    // Comprueba que la configuración sea coherente antes de guardarla.
+    const validate = (config) => {
+        if (config.lines.length === 0) return t('Error: Debe existir al menos una línea.');
+        const machineIds = config.lines.flatMap(l => l.machines.map(m => m.id));
+        if (new Set(machineIds).size !== machineIds.length) return t('Error: Hay máquinas con el mismo número en varias posiciones.');
+        if (config.lines.some(l => !l.name.trim() || !l.shortName.trim())) return t('Error: Todas las líneas necesitan nombre y abreviatura.');
+        if (config.lines.some(l => l.machines.some(m => !m.id || !m.name.trim()))) return t('Error: Todas las máquinas necesitan número y nombre.');
+        if (config.lines.some(l => l.machines.some(m => m.activeFrom && m.activeTo && m.activeFrom > m.activeTo))) return t('Error: La fecha de baja de una máquina es anterior a su fecha de alta.');
+        if (shiftsOf(config).some(s => !s.name.trim() || !s.start || !s.end)) return t('Error: Todos los turnos necesitan nombre, hora de inicio y hora de fin.');
+        return null;
+    };
+
+    const handleSave = async () => {
+        const validationError = validate(draft);
+        if (validationError) {
+            setMessage(errorStatus(validationError));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        setIsLoading(true);
+        try {
+            await setDoc(doc(db, collectionPath('config', plantId), 'plant'), {
+                lines: draft.lines,
+                shifts,
+                updatedAt: new Date().toISOString(),
+                updatedBy: authorOf(user),
+            });
+            setMessage(successStatus(t('¡Configuración guardada con éxito!')));
+        } catch (error) {
+            console.error("Error al guardar la configuración:", error);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setIsLoading(false);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Configuración de Planta')}</CardTitle>
+                    <CardDescription>{t('Líneas, bodymakers y turnos que aparecen en los formularios, historiales y gráficos. Para retirar una máquina indica su fecha de baja en lugar de borrarla.')}</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-8">
+                    {draft.lines.map(line => (
+                        <div key={line.id} className="space-y-4 rounded-lg border border-gray-700 p-4">
+                            <div className="flex flex-col md:flex-row gap-4 md:items-end">
+                                <div className="space-y-2 flex-1">
+                                    <Label htmlFor={`line-name-${line.id}`}>{t('Nombre de la línea {line}', { line: line.id })}</Label>
+                                    <Input id={`line-name-${line.id}`} value={line.name} onChange={e => updateLine(line.id, { name: e.target.value })} />
+                                </div>
+                                <div className="space-y-2 md:w-32">
+                                    <Label htmlFor={`line-short-${line.id}`}>{t('Abreviatura')}</Label>
+                                    <Input id={`line-short-${line.id}`} value={line.shortName} onChange={e => updateLine(line.id, { shortName: e.target.value })} />
+                                </div>
+                                <Button variant="danger" className="h-10 px-4" onClick={() => removeLine(line)}>{t('Quitar línea')}</Button>
+                            </div>
+                            <Table>
+                                <TableHeader>
+                                    <TableRow>
+                                        <TableHead>{t('Número')}</TableHead>
+                                        <TableHead>{t('Nombre')}</TableHead>
+                                        <TableHead>{t('Alta')}</TableHead>
+                                        <TableHead>{t('Baja')}</TableHead>
+                                        <TableHead className="text-right">{t('Acciones')}</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {line.machines.map((machine, index) => (
+                                        <TableRow key={index}>
+                                            <TableCell className="px-1"><Input type="number" aria-label={t('Número')} value={machine.id} onChange={e => updateMachine(line.id, index, { id: Number(e.target.value) })} /></TableCell>
+                                            <TableCell className="px-1"><Input aria-label={t('Nombre')} value={machine.name} onChange={e => updateMachine(line.id, index, { name: e.target.value })} /></TableCell>
+                                            <TableCell className="px-1"><Input type="date" aria-label={t('Alta')} value={machine.activeFrom} onChange={e => updateMachine(line.id, index, { activeFrom: e.target.value })} /></TableCell>
+                                            <TableCell className="px-1"><Input type="date" aria-label={t('Baja')} value={machine.activeTo} onChange={e => updateMachine(line.id, index, { activeTo: e.target.value })} /></TableCell>
+                                            <TableCell className="text-right">
+                                                <Button variant="ghost" className="h-8 px-3" onClick={() => removeMachine(line, index)}>{t('Quitar')}</Button>
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                            <Button variant="secondary" onClick={() => addMachine(line)} className="h-8 px-3">+ {t('Añadir bodymaker')}</Button>
+                        </div>
+                    ))}
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <div>
+                            <h3 className="font-semibold text-white">{t('Calendario de turnos')}</h3>
+                            <p className="text-sm text-gray-400">{t('Turnos que se ofrecen en el registro Womack. Un turno que termina antes de empezar cruza la medianoche y se registra con la fecha de inicio.')}</p>
+                        </div>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Código')}</TableHead>
+                                    <TableHead>{t('Nombre')}</TableHead>
+                                    <TableHead>{t('Inicio')}</TableHead>
+                                    <TableHead>{t('Fin')}</TableHead>
+                                    <TableHead className="text-right">{t('Acciones')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {shifts.map((shift, index) => (
+                                    <TableRow key={shift.id}>
+                                        <TableCell>{shift.id}</TableCell>
+                                        <TableCell className="px-1"><Input aria-label={t('Nombre del turno {shift}', { shift: shift.id })} value={shift.name} onChange={e => updateShift(index, { name: e.target.value })} /></TableCell>
+                                        <TableCell className="px-1"><Input type="time" aria-label={t('Inicio del turno {shift}', { shift: shift.id })} value={shift.start} onChange={e => updateShift(index, { start: e.target.value })} /></TableCell>
+                                        <TableCell className="px-1"><Input type="time" aria-label={t('Fin del turno {shift}', { shift: shift.id })} value={shift.end} onChange={e => updateShift(index, { end: e.target.value })} /></TableCell>
+                                        <TableCell className="text-right">
+                                            <Button variant="ghost" className="h-8 px-3" onClick={() => removeShift(shift)}>{t('Quitar')}</Button>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        <Button variant="secondary" onClick={addShift} className="h-8 px-3">+ {t('Añadir turno')}</Button>
+                    </div>
+                    <div className="flex flex-col sm:flex-row justify-between gap-4">
+                        <Button variant="secondary" onClick={addLine} className="h-10 px-4">+ {t('Añadir línea')}</Button>
+                        <Button onClick={handleSave} className="h-10 px-8" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Guardar Configuración')}</Button>
+                    </div>
+                    <StatusMessage status={message} />
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 6. Pantalla de acceso con correo y contraseña
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-credential': 'Correo o contraseña incorrectos.',
+    'auth/wrong-password': 'Correo o contraseña incorrectos.',
+    'auth/user-not-found': 'Correo o contraseña incorrectos.',
+    'auth/invalid-email': 'El correo no tiene un formato válido.',
+    'auth/email-already-in-use': 'Ya existe una cuenta con ese correo.',
+    'auth/weak-password': 'La contraseña debe tener al menos 6 caracteres.',
+    'auth/too-many-requests': 'Demasiados intentos. Espera unos minutos.',
+};
+
+function LoginView({ auth }) {
+    const { t } = useI18n();
+    const [mode, setMode] = useState('signIn');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [displayName, setDisplayName] = useState('');
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!email || (mode !== 'reset' && !password) || (mode === 'signUp' && !displayName)) {
+            setMessage(errorStatus(t('Error: Todos los campos son obligatorios.')));
+            return;
+        }
+        setIsLoading(true);
+        setMessage(null);
+        try {
+            if (mode === 'signIn') {
+                await signInWithEmailAndPassword(auth, email, password);
+            } else if (mode === 'signUp') {
+                const credential = await createUserWithEmailAndPassword(auth, email, password);
+                await updateProfile(credential.user, { displayName });
+            } else {
+                await sendPasswordResetEmail(auth, email);
+                setMessage(successStatus(t('Te hemos enviado un correo para restablecer la contraseña.')));
+                setMode('signIn');
+            }
+        } catch (error) {
+            console.error("Error de autenticación:", error);
+            setMessage(errorStatus(`Error: ${t(AUTH_ERROR_MESSAGES[error.code] || 'No se ha podido completar la operación.')}`));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const titles = { signIn: 'Iniciar Sesión', signUp: 'Crear Cuenta', reset: 'Restablecer Contraseña' };
+
+    return (
+        <div className="flex justify-center">
+            <Card className="w-full max-w-md">
+                <CardHeader>
+                    <CardTitle>{t(titles[mode])}</CardTitle>
+                    <CardDescription>{t('Accede con tu cuenta para registrar y consultar consumos.')}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        {mode === 'signUp' && (
+                            <div className="space-y-2">
+                                <Label htmlFor="displayName">{t('Nombre')}</Label>
+                                <Input id="displayName" value={displayName} onChange={e => setDisplayName(e.target.value)} />
+                            </div>
+                        )}
+                        <div className="space-y-2">
+                            <Label htmlFor="email">{t('Correo electrónico')}</Label>
+                            <Input id="email" type="email" autoComplete="username" value={email} onChange={e => setEmail(e.target.value)} />
+                        </div>
+                        {mode !== 'reset' && (
+                            <div className="space-y-2">
+                                <Label htmlFor="password">{t('Contraseña')}</Label>
+                                <Input id="password" type="password" autoComplete={mode === 'signUp' ? 'new-password' : 'current-password'} value={password} onChange={e => setPassword(e.target.value)} />
+                            </div>
+                        )}
+                        <Button type="submit" className="w-full h-10" disabled={isLoading}>{t(isLoading ? 'Enviando...' : titles[mode])}</Button>
+                    </form>
+                    <StatusMessage status={message} className="mt-4" />
+                    <div className="mt-6 flex justify-between text-sm">
+                        {mode === 'signIn' ? (
+                            <>
+                                <Button variant="ghost" className="px-2 h-8" onClick={() => setMode('signUp')}>{t('Crear cuenta')}</Button>
+                                <Button variant="ghost" className="px-2 h-8" onClick={() => setMode('reset')}>{t('¿Olvidaste la contraseña?')}</Button>
+                            </>
+                        ) : (
+                            <Button variant="ghost" className="px-2 h-8" onClick={() => setMode('signIn')}>← {t('Volver a iniciar sesión')}</Button>
+                        )}
+                    </div>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 7. Perfil del usuario y, para administradores, gestión de roles, plantas y acceso a cada planta
+
+// Preferencias de avisos del perfil (`notifications`). Las aplica la función de `functions/` al enviar los
+// resúmenes programados y las alertas inmediatas de las plantas a las que el usuario tiene acceso.
+const DIGEST_FREQUENCIES = { none: 'Sin resumen', daily: 'Diario', weekly: 'Semanal (los lunes)' };
+const WEBHOOK_FORMATS = { slack: 'Slack', teams: 'Microsoft Teams', json: 'JSON genérico' };
+const DEFAULT_NOTIFICATIONS = { digest: 'none', alerts: false, email: true, webhookUrl: '', webhookFormat: 'slack' };
+
+function NotificationPreferences({ db, user }) {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(() => ({ ...DEFAULT_NOTIFICATIONS, ...user.notifications }));
+    const [webhookError, setWebhookError] = useState(null);
+    const [message, setMessage] = useState(null);
+    const update = (field, value) => setDraft(d => ({ ...d, [field]: value }));
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const webhookUrl = draft.webhookUrl.trim();
+        const error = webhookUrl && !/^https:\/\/\S+$/.test(webhookUrl) ? t('La URL debe empezar por https://.') : null;
+        setWebhookError(error);
+        if (error) return;
+        try {
+            await setDoc(doc(db, collectionPath('users'), user.uid), { notifications: { ...draft, webhookUrl } }, { merge: true });
+            setMessage(successStatus(t('¡Preferencias de avisos guardadas!')));
+        } catch (err) {
+            console.error("Error al guardar los avisos:", err);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>{t('Avisos')}</CardTitle>
+                <CardDescription>{t('Resumen de consumos y alertas de las lecturas fuera de los umbrales de tus plantas, por correo o en un canal de Teams o Slack mediante un webhook.')}</CardDescription>
+            </CardHeader>
+            <CardContent>
+                <form onSubmit={handleSave} className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div className="space-y-2">
+                            <Label htmlFor="notificationDigest">{t('Resumen de consumos')}</Label>
+                            <select id="notificationDigest" value={draft.digest} onChange={e => update('digest', e.target.value)} className={selectClassName}>
+                                {Object.entries(DIGEST_FREQUENCIES).map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-3 md:pt-6">
+                            <label className="flex items-center gap-2 text-sm">
+                                <input type="checkbox" checked={draft.alerts} onChange={e => update('alerts', e.target.checked)} />
+                                {t('Alertas inmediatas al registrar una lectura fuera de los umbrales')}
+                            </label>
+                            <label className="flex items-center gap-2 text-sm">
+                                <input type="checkbox" checked={draft.email && !!user.email} disabled={!user.email} onChange={e => update('email', e.target.checked)} />
+                                {user.email ? t('Enviar por correo a {email}', { email: user.email }) : t('Enviar por correo (tu cuenta no tiene correo)')}
+                            </label>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="notificationWebhook">{t('URL del webhook (opcional)')}</Label>
+                            <Input id="notificationWebhook" type="url" placeholder="https://..." value={draft.webhookUrl} onChange={e => update('webhookUrl', e.target.value)} />
+                            <FieldMessage error={webhookError} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="notificationWebhookFormat">{t('Formato del webhook')}</Label>
+                            <select id="notificationWebhookFormat" value={draft.webhookFormat} onChange={e => update('webhookFormat', e.target.value)} className={selectClassName}>
+                                {Object.entries(WEBHOOK_FORMATS).map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <Button type="submit" className="h-10 px-8">{t('Guardar Avisos')}</Button>
+                </form>
+                <StatusMessage status={message} className="mt-4" />
+            </CardContent>
+        </Card>
+    );
+}
+
+function UserProfile({ db, auth, user, plants, onBack }) {
+    const { t } = useI18n();
+    const [displayName, setDisplayName] = useState(user.displayName || '');
+    const [users, setUsers] = useState([]);
+    const [message, setMessage] = useState(null);
+    const [newPlantId, setNewPlantId] = useState('');
+    const [newPlantName, setNewPlantName] = useState('');
+    const [plantErrors, setPlantErrors] = useState({});
+    const isAdmin = hasRole(user, 'admin');
+
+    useEffect(() => {
+        if (!db || !isAdmin) return;
+        const unsubscribe = onSnapshot(query(collection(db, collectionPath('users'))), (snapshot) => {
+            setUsers(snapshot.docs
+                .map(doc => ({ uid: doc.id, ...doc.data() }))
+                .sort((a, b) => displayNameOf(a).localeCompare(displayNameOf(b))));
+        }, (err) => {
+            console.error("Error fetching users:", err);
+        });
+        return () => unsubscribe();
+    }, [db, isAdmin]);
+
+    const handleSaveProfile = async (e) => {
+        e.preventDefault();
+        if (!displayName.trim()) {
+            setMessage(errorStatus(t('Error: El nombre es obligatorio.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        try {
+            await setDoc(doc(db, collectionPath('users'), user.uid), { displayName: displayName.trim() }, { merge: true });
+            if (auth.currentUser) await updateProfile(auth.currentUser, { displayName: displayName.trim() });
+            setMessage(successStatus(t('¡Perfil actualizado con éxito!')));
+        } catch (error) {
+            console.error("Error al actualizar el perfil:", error);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const handleRoleChange = async (target, role) => {
+        if (target.uid === user.uid && !window.confirm(t('¿Seguro que quieres cambiar tu propio rol? Podrías perder el acceso a esta pantalla.'))) return;
+        try {
+            await setDoc(doc(db, collectionPath('users'), target.uid), { role }, { merge: true });
+            setMessage(successStatus(t('Rol de {name} actualizado.', { name: displayNameOf(target) })));
+        } catch (error) {
+            console.error("Error al cambiar el rol:", error);
+            setMessage(errorStatus(t('Error al cambiar el rol. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    // Da o quita acceso a una planta. Los perfiles sin `plants` solo tenían acceso a la original.
+    const handlePlantAccessChange = async (target, plantId, granted) => {
+        const current = target.plants || [DEFAULT_PLANT_ID];
+        const next = granted ? [...current, plantId] : current.filter(id => id !== plantId);
+        try {
+            await setDoc(doc(db, collectionPath('users'), target.uid), { plants: next }, { merge: true });
+            setMessage(successStatus(t('Plantas de {name} actualizadas.', { name: displayNameOf(target) })));
+        } catch (error) {
+            console.error("Error al cambiar las plantas:", error);
+            setMessage(errorStatus(t('Error al cambiar las plantas. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    // Crea una planta o, con el id de una existente, le cambia el nombre.
+    const handleSavePlant = async (e) => {
+        e.preventDefault();
+        const id = newPlantId.trim();
+        const validationErrors = withoutEmpty({
+            id: PLANT_ID_PATTERN.test(id) ? null : t('Solo minúsculas, números y guiones (máx. 30).'),
+            name: newPlantName.trim() ? null : t('Campo obligatorio.'),
+        });
+        setPlantErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+        try {
+            await setDoc(doc(db, collectionPath('plants'), id), { name: newPlantName.trim(), updatedAt: new Date().toISOString(), updatedBy: authorOf(user) }, { merge: true });
+            setMessage(successStatus(t('Planta {name} guardada.', { name: newPlantName.trim() })));
+            setNewPlantId('');
+            setNewPlantName('');
+        } catch (error) {
+            console.error("Error al guardar la planta:", error);
+            setMessage(errorStatus(t('Error al guardar la planta. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Mi Perfil')}</CardTitle>
+                    <CardDescription>{user.email} · {ROLE_LABELS[user.role] ? t(ROLE_LABELS[user.role]) : user.role}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <form onSubmit={handleSaveProfile} className="flex flex-col md:flex-row gap-6 md:items-end">
+                        <div className="space-y-2 flex-1">
+                            <Label htmlFor="profileName">{t('Nombre visible en los registros')}</Label>
+                            <Input id="profileName" value={displayName} onChange={e => setDisplayName(e.target.value)} />
+                        </div>
+                        <Button type="submit" className="h-10 px-8">{t('Guardar Perfil')}</Button>
+                    </form>
+                    <StatusMessage status={message} className="mt-4" />
+                </CardContent>
+            </Card>
+
+            {db && <NotificationPreferences db={db} user={user} />}
+
+            {isAdmin && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Usuarios y Roles')}</CardTitle>
+                        <CardDescription>{t('Los operarios registran consumos, los supervisores editan y aprueban, y los administradores gestionan la configuración.')}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Nombre')}</TableHead>
+                                    <TableHead>{t('Correo')}</TableHead>
+                                    <TableHead>{t('Rol')}</TableHead>
+                                    {plants.length > 1 && <TableHead>{t('Plantas')}</TableHead>}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {users.map(u => (
+                                    <TableRow key={u.uid}>
+                                        <TableCell>{displayNameOf(u)}</TableCell>
+                                        <TableCell>{u.email || '–'}</TableCell>
+                                        <TableCell>
+                                            <select aria-label={t('Rol de {name}', { name: displayNameOf(u) })} value={u.role} onChange={e => handleRoleChange(u, e.target.value)} className="flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                                {[PENDING_ROLE, ...ROLES].map(role => <option key={role} value={role}>{t(ROLE_LABELS[role])}</option>)}
+                                            </select>
+                                        </TableCell>
+                                        {plants.length > 1 && (
+                                            <TableCell>
+                                                {hasRole(u, 'admin') ? (
+                                                    <span className="text-gray-400">{t('Todas')}</span>
+                                                ) : (
+                                                    <div className="flex flex-wrap gap-x-4 gap-y-1">
+                                                        {plants.map(p => (
+                                                            <label key={p.id} className="flex items-center gap-2 whitespace-nowrap">
+                                                                <input type="checkbox" checked={(u.plants || [DEFAULT_PLANT_ID]).includes(p.id)} onChange={e => handlePlantAccessChange(u, p.id, e.target.checked)} />
+                                                                {p.name}
+                                                            </label>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </TableCell>
+                                        )}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </CardContent>
+                </Card>
+            )}
+
+            {isAdmin && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Plantas')}</CardTitle>
+                        <CardDescription>{t('Cada planta tiene sus propios registros y su propia configuración. Los administradores acceden a todas; el resto de usuarios, a las que se les asignen arriba.')}</CardDescription>
+                    </CardHeader>
+                    <CardContent className="space-y-6">
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Id')}</TableHead>
+                                    <TableHead>{t('Nombre')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {plants.map(p => (
+                                    <TableRow key={p.id}>
+                                        <TableCell className="font-mono text-gray-400">{p.id}</TableCell>
+                                        <TableCell>{p.name}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        <form onSubmit={handleSavePlant} noValidate className="flex flex-col md:flex-row gap-6 md:items-start">
+                            <div className="space-y-2 flex-1">
+                                <Label htmlFor="plantId">{t('Id de la planta')}</Label>
+                                <Input id="plantId" placeholder={t('Ej: sevilla')} className={fieldStateClass(plantErrors.id)} value={newPlantId} onChange={e => setNewPlantId(e.target.value)} />
+                                <FieldMessage error={plantErrors.id} />
+                            </div>
+                            <div className="space-y-2 flex-1">
+                                <Label htmlFor="plantName">{t('Nombre')}</Label>
+                                <Input id="plantName" placeholder={t('Ej: Planta Sevilla')} className={fieldStateClass(plantErrors.name)} value={newPlantName} onChange={e => setNewPlantName(e.target.value)} />
+                                <FieldMessage error={plantErrors.name} />
+                            </div>
+                            <Button type="submit" className="h-10 px-8 md:mt-6">{t('Guardar Planta')}</Button>
+                        </form>
+                        <p className="text-xs text-gray-500">{t('El id no se puede cambiar después: forma parte de la ruta de los datos. Para renombrar una planta, guarda su id con el nombre nuevo.')}</p>
+                    </CardContent>
+                </Card>
+            )}
+        </div>
+    );
+}
+
+// 8. Histórico completo con filtros y exportación a CSV/XLSX
+function HistoryView({ repository, plantConfig, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDate, formatNumber } = i18n;
+    const today = new Date().toISOString().split('T')[0];
+    const [tab, setTab] = useState('womack');
+    const [from, setFrom] = useState(today.slice(0, 8) + '01');
+    const [to, setTo] = useState(today);
+    const [line, setLine] = useState('all');
+    const [machine, setMachine] = useState('all');
+    const [shift, setShift] = useState('all');
+
+    // Sin fecha inicial se descarga todo el histórico hasta la fecha final.
+    const womackWindow = useEntryWindow(repository, 'womackEntries', from, to || today);
+    const bodymakerWindow = useEntryWindow(repository, 'bodymakerEntries', from, to || today);
+    const womackData = useMemo(() => womackWindow.entries.map(canonicalWomackEntry), [womackWindow.entries]);
+    const bodymakerData = useMemo(() => bodymakerWindow.entries.map(canonicalBodymakerEntry), [bodymakerWindow.entries]);
+
+    const lineFilter = line === 'all' ? null : Number(line);
+    const machineFilter = machine === 'all' ? null : Number(machine);
+    // `shift` es 'all', '' (solo día completo) o el código de un turno.
+    const womackRows = useMemo(() => womackData
+        .filter(d => (!from || d.date >= from) && (!to || d.date <= to) && (lineFilter === null || d.line === lineFilter))
+        .filter(d => shift === 'all' || (d.shift || '') === shift)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.line - b.line || shiftOrder(plantConfig, a.shift) - shiftOrder(plantConfig, b.shift)),
+    [womackData, from, to, lineFilter, shift, plantConfig]);
+
+    const shiftTotals = useMemo(() => womackShiftBreakdown(i18n, womackRows, plantConfig), [womackRows, plantConfig, i18n]);
+
+    const bodymakerRows = useMemo(() => flattenBodymakerReadings(bodymakerData
+        .filter(d => (!from || d.weekStartDate >= from) && (!to || d.weekStartDate <= to) && (lineFilter === null || d.line === lineFilter))
+        .sort((a, b) => a.weekStartDate.localeCompare(b.weekStartDate) || a.line - b.line), machineFilter),
+    [bodymakerData, from, to, lineFilter, machineFilter]);
+
+    const machineOptions = plantConfig.lines
+        .filter(l => lineFilter === null || l.id === lineFilter)
+        .flatMap(l => l.machines);
+
+    const fileSuffix = `${from || 'inicio'}_${to || today}`;
+
+    const handleExportCsv = () => {
+        const [headers, rows] = tab === 'womack'
+            ? [WOMACK_EXPORT_HEADERS, womackExportRows(womackRows, plantConfig)]
+            : [BODYMAKER_EXPORT_HEADERS, bodymakerExportRows(bodymakerRows, plantConfig)];
+        const formatted = rows.map(([date, ...rest]) => [formatDateEs(date), ...rest.map(formatNumberEs)]);
+        downloadBlob(toCsv(headers, formatted), `consumos-${tab}_${fileSuffix}.csv`, 'text/csv;charset=utf-8');
+    };
+
+    const handleExportXlsx = () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, buildSheet(SUMMARY_EXPORT_HEADERS, summaryExportRows(womackRows, bodymakerRows, plantConfig), { dateColumn: -1 }), 'Resumen');
+        XLSX.utils.book_append_sheet(workbook, buildSheet(WOMACK_EXPORT_HEADERS, womackExportRows(womackRows, plantConfig)), 'Womack');
+        XLSX.utils.book_append_sheet(workbook, buildSheet(BODYMAKER_EXPORT_HEADERS, bodymakerExportRows(bodymakerRows, plantConfig)), 'Bodymakers');
+        XLSX.writeFile(workbook, `consumos_${fileSuffix}.xlsx`);
+    };
+
+    const MAX_VISIBLE_ROWS = 500;
+    const visibleWomack = womackRows.slice(0, MAX_VISIBLE_ROWS);
+    const visibleBodymaker = bodymakerRows.slice(0, MAX_VISIBLE_ROWS);
+    const totalRows = tab === 'womack' ? womackRows.length : bodymakerRows.length;
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Histórico de Consumos')}</CardTitle>
+                    <CardDescription>{t('Filtra el histórico completo y expórtalo. El fichero Excel incluye una hoja de resumen con los totales por línea.')}</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="historyFrom">{t('Desde')}</Label>
+                            <Input id="historyFrom" type="date" value={from} onChange={e => setFrom(e.target.value)} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="historyTo">{t('Hasta')}</Label>
+                            <Input id="historyTo" type="date" value={to} onChange={e => setTo(e.target.value)} />
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="historyLine">{t('Línea')}</Label>
+                            <select id="historyLine" value={line} onChange={e => { setLine(e.target.value); setMachine('all'); }} className={selectClassName}>
+                                <option value="all">{t('Todas')}</option>
+                                {plantConfig.lines.map(l => <option key={l.id} value={l.id}>{l.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="historyMachine">{t('Máquina (bodymakers)')}</Label>
+                            <select id="historyMachine" value={machine} onChange={e => setMachine(e.target.value)} className={selectClassName}>
+                                <option value="all">{t('Todas')}</option>
+                                {machineOptions.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="historyShift">{t('Turno (Womack)')}</Label>
+                            <select id="historyShift" value={shift} onChange={e => setShift(e.target.value)} className={selectClassName}>
+                                <option value="all">{t('Todos')}</option>
+                                <option value="">{t(WHOLE_DAY_LABEL)}</option>
+                                {shiftsOf(plantConfig).map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <div className="flex flex-col sm:flex-row justify-between gap-4">
+                        <div className="flex gap-2">
+                            <Button variant={tab === 'womack' ? 'primary' : 'secondary'} onClick={() => setTab('womack')}>Womack ({womackRows.length})</Button>
+                            <Button variant={tab === 'bodymaker' ? 'primary' : 'secondary'} onClick={() => setTab('bodymaker')}>Bodymakers ({bodymakerRows.length})</Button>
+                        </div>
+                        <div className="flex gap-2">
+                            <Button variant="secondary" className="px-4" onClick={handleExportCsv} disabled={totalRows === 0}>{t('Exportar CSV')}</Button>
+                            <Button className="px-4" onClick={handleExportXlsx} disabled={womackRows.length + bodymakerRows.length === 0}>{t('Exportar Excel')}</Button>
+                        </div>
+                    </div>
+                    {totalRows > MAX_VISIBLE_ROWS && (
+                        <p className="text-sm text-gray-400">{t('Mostrando los primeros {shown} de {total} registros. La exportación incluye todos.', { shown: MAX_VISIBLE_ROWS, total: totalRows })}</p>
+                    )}
+                    {tab === 'womack' && shiftTotals.some(g => g.shift) && (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Turno')}</TableHead>
+                                    <TableHead>{t('Registros')}</TableHead>
+                                    <TableHead>{t('Agua (m³)')}</TableHead>
+                                    <TableHead>{t('Aceite Total (L)')}</TableHead>
+                                    <TableHead>{t('Aceite Parcial (L)')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {shiftTotals.map(g => (
+                                    <TableRow key={g.shift}>
+                                        <TableCell>{g.name}</TableCell>
+                                        <TableCell>{g.count}</TableCell>
+                                        <TableCell>{formatNumber(g.water)}</TableCell>
+                                        <TableCell>{formatNumber(g.oil)}</TableCell>
+                                        <TableCell>{formatNumber(g.oilPartial)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    )}
+                    {tab === 'womack' ? (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    {WOMACK_EXPORT_HEADERS.map(h => <TableHead key={h}>{t(h)}</TableHead>)}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {visibleWomack.map(d => (
+                                    <TableRow key={d.id}>
+                                        <TableCell>{formatDate(d.date)}</TableCell>
+                                        <TableCell>{getLine(plantConfig, d.line)?.name || d.line}</TableCell>
+                                        <TableCell>{shiftName(i18n, plantConfig, d.shift)}</TableCell>
+                                        <TableCell>{d.operator || '–'}</TableCell>
+                                        <TableCell>{formatNumber(d.waterConsumption)}</TableCell>
+                                        <TableCell>{formatNumber(d.oilConsumptionTotal)}</TableCell>
+                                        <TableCell>{formatNumber(d.oilConsumptionPartial)}</TableCell>
+                                        <TableCell className="text-xs text-gray-400">{displayNameOf(d.createdBy)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    {BODYMAKER_EXPORT_HEADERS.map(h => <TableHead key={h}>{t(h)}</TableHead>)}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {visibleBodymaker.map(r => (
+                                    <TableRow key={r.id}>
+                                        <TableCell>{formatDate(r.weekStartDate)}</TableCell>
+                                        <TableCell>{getLine(plantConfig, r.line)?.name || r.line}</TableCell>
+                                        <TableCell>{machineName(plantConfig, r.machineId)}</TableCell>
+                                        <TableCell>{formatNumber(r.consumption)}</TableCell>
+                                        <TableCell className="text-xs text-gray-400">{displayNameOf(r.createdBy)}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    )}
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 9. Asistente de importación de históricos desde CSV/XLSX
+const IMPORT_STEPS = ['Fichero', 'Columnas', 'Revisión', 'Resultado'];
+const IMPORT_STATUS_LABELS = { 'in-progress': 'En curso', completed: 'Completada', failed: 'Fallida', rolledBack: 'Deshecha' };
+
+// Una importación que lleva este tiempo 'en curso' sin guardar ningún bloque se da por interrumpida
+// (se cerró la pestaña o se perdió la conexión antes de marcarla como fallida) y se puede deshacer.
+const IMPORT_STALE_MS = 15 * 60 * 1000;
+
+const isStaleImport = (record, now = Date.now()) => record.status === 'in-progress'
+    && now - new Date(record.updatedAt || record.createdAt).getTime() > IMPORT_STALE_MS;
+
+const canRollbackImport = (record, now = Date.now()) => record.status === 'completed' || record.status === 'failed' || isStaleImport(record, now);
+
+function ImportWizard({ repository, user, plantConfig, validationRules, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDate, formatDateTime } = i18n;
+    const [step, setStep] = useState(0);
+    const [type, setType] = useState('womack');
+    const [file, setFile] = useState(null);
+    const [table, setTable] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [result, setResult] = useState(null);
+    const [progress, setProgress] = useState(null);
+    const [imports, setImports] = useState([]);
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        if (!repository) return;
+        return repository.watchImports(20, setImports, (err) => {
+            console.error("Error fetching imports:", err);
+        });
+    }, [repository]);
+
+    // Para detectar duplicados solo se descargan los registros existentes entre la primera y la última fecha del fichero.
+    const importSpan = useMemo(() => {
+        if (!table || step < 2) return null;
+        const dates = buildImportRows(i18n, type, table.rows, mapping, plantConfig, [])
+            .map(r => r.entry.date || r.entry.weekStartDate)
+            .filter(Boolean)
+            .sort();
+        return dates.length > 0 ? { from: dates[0], to: dates[dates.length - 1] } : null;
+    }, [table, step, type, mapping, plantConfig, i18n]);
+    const existing = useEntryWindow(importSpan ? repository : null, IMPORT_TYPES[type].collection, importSpan?.from, importSpan?.to);
+
+    const previewRows = useMemo(() => {
+        if (!table || step < 2) return [];
+        return buildImportRows(i18n, type, table.rows, mapping, plantConfig, existing.entries, validationRules);
+    }, [table, step, type, mapping, plantConfig, existing.entries, validationRules, i18n]);
+
+    const validCount = previewRows.filter(r => r.errors.length === 0 && !r.duplicate).length;
+    const errorCount = previewRows.filter(r => r.errors.length > 0).length;
+    const duplicateCount = previewRows.filter(r => r.duplicate).length;
+
+    const showError = (text) => {
+        setMessage(errorStatus(text));
+        setTimeout(() => setMessage(null), 3000);
+    };
+
+    const handleReadFile = async () => {
+        if (!file) {
+            showError(t('Error: Selecciona un fichero CSV o Excel.'));
+            return;
+        }
+        setIsLoading(true);
+        try {
+            const parsed = await readSpreadsheetFile(file);
+            if (parsed.rows.length === 0) {
+                showError(t('Error: El fichero no contiene filas de datos.'));
+                return;
+            }
+            setTable(parsed);
+            setMapping(guessImportMapping(type, parsed.headers, plantConfig));
+            setStep(1);
+        } catch (error) {
+            console.error("Error al leer el fichero:", error);
+            showError(t('Error al leer el fichero. Comprueba que sea un CSV o XLSX válido.'));
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleCommit = async () => {
+        if (!window.confirm(t('Se importarán {count} registros. ¿Continuar?', { count: validCount }))) return;
+        setIsLoading(true);
+        setProgress({ done: 0, total: validCount });
+        try {
+            const summary = await repository.importEntries(user, {
+                type,
+                fileName: file.name,
+                rows: previewRows,
+                onProgress: (done, total) => setProgress({ done, total }),
+            });
+            setResult({ ...summary, skippedCount: previewRows.length - summary.importedCount });
+            setStep(3);
+        } catch (error) {
+            console.error("Error al importar:", error);
+            showError(t('Error al importar. Los registros guardados pueden deshacerse desde el historial de importaciones.'));
+        } finally {
+            setIsLoading(false);
+            setProgress(null);
+        }
+    };
+
+    const handleRollback = async (importRecord) => {
+        if (!window.confirm(t('¿Deshacer la importación de "{fileName}"? Se borrarán {count} registros.', { fileName: importRecord.fileName, count: importRecord.docIds?.length || 0 }))) return;
+        setIsLoading(true);
+        try {
+            await repository.rollbackImport(user, importRecord);
+            setMessage(successStatus(t('Importación deshecha.')));
+        } catch (error) {
+            console.error("Error al deshacer la importación:", error);
+            setMessage(errorStatus(t('Error al deshacer la importación. Inténtalo de nuevo.')));
+        } finally {
+            setIsLoading(false);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const reset = () => {
+        setStep(0);
+        setFile(null);
+        setTable(null);
+        setResult(null);
+    };
+
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+    const mappingFields = !IMPORT_TYPES[type].weekly
+        ? IMPORT_FIELDS[type]
+        : [...IMPORT_FIELDS[type], ...plantConfig.lines.flatMap(l => l.machines.map(m => ({ key: `bm-${m.id}`, label: `${m.name} (${l.shortName})` })))];
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Importar Histórico')}</CardTitle>
+                    <CardDescription>{t('Paso {step} de {total}: {name}', { step: step + 1, total: IMPORT_STEPS.length, name: t(IMPORT_STEPS[step]) })}</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                    {step === 0 && (
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 items-end">
+                            <div className="space-y-2">
+                                <Label htmlFor="importType">{t('Tipo de datos')}</Label>
+                                <select id="importType" value={type} onChange={e => setType(e.target.value)} className={selectClassName}>
+                                    {Object.entries(IMPORT_TYPES).map(([id, importType]) => <option key={id} value={id}>{t(importType.label)}</option>)}
+                                </select>
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="importFile">{t('Fichero CSV o XLSX')}</Label>
+                                <Input id="importFile" type="file" accept=".csv,.xlsx,.xls" onChange={e => setFile(e.target.files[0] || null)} />
+                            </div>
+                            <Button className="h-10" onClick={handleReadFile} disabled={isLoading}>{t(isLoading ? 'Leyendo...' : 'Siguiente')}</Button>
+                        </div>
+                    )}
+
+                    {step === 1 && (
+                        <>
+                            <p className="text-sm text-gray-400">{t('Indica qué columna del fichero corresponde a cada campo. Las máquinas sin columna se ignoran.')}</p>
+                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                                {mappingFields.map(field => (
+                                    <div key={field.key} className="space-y-2">
+                                        <Label htmlFor={`map-${field.key}`}>{t(field.label)}</Label>
+                                        <select id={`map-${field.key}`} value={mapping[field.key] ?? ''} onChange={e => setMapping(m => ({ ...m, [field.key]: e.target.value }))} className={selectClassName}>
+                                            <option value="">{t('— Sin columna —')}</option>
+                                            {table.headers.map((h, i) => <option key={i} value={i}>{h || t('Columna {number}', { number: i + 1 })}</option>)}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+                            <div className="flex justify-between">
+                                <Button variant="secondary" onClick={() => setStep(0)}>← {t('Atrás')}</Button>
+                                <Button onClick={() => setStep(2)} disabled={!mapping.date || !mapping.line}>{t('Revisar filas')}</Button>
+                            </div>
+                        </>
+                    )}
+
+                    {step === 2 && (
+                        <>
+                            <div className="flex flex-wrap gap-4 text-sm">
+                                <span className="text-green-400">{t('{count} listas para importar', { count: validCount })}</span>
+                                <span className="text-yellow-400">{t('{count} duplicadas (se omiten)', { count: duplicateCount })}</span>
+                                <span className="text-red-400">{t('{count} con errores (se omiten)', { count: errorCount })}</span>
+                            </div>
+                            <Table className="max-h-96">
+                                <TableHeader>
+                                    <TableRow>
+                                        <TableHead>{t('Fila')}</TableHead>
+                                        <TableHead>{t(IMPORT_TYPES[type].weekly ? 'Semana de' : 'Fecha')}</TableHead>
+                                        <TableHead>{t('Línea')}</TableHead>
+                                        <TableHead>{t('Valores')}</TableHead>
+                                        <TableHead>{t('Estado')}</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {previewRows.map(r => (
+                                        <TableRow key={r.rowNumber} className={r.errors.length ? 'text-red-300' : r.duplicate ? 'text-yellow-300' : ''}>
+                                            <TableCell>{r.rowNumber}</TableCell>
+                                            <TableCell>{(r.entry.date || r.entry.weekStartDate) ? formatDate(r.entry.date || r.entry.weekStartDate) : '–'}</TableCell>
+                                            <TableCell>{getLine(plantConfig, r.entry.line)?.name || '–'}</TableCell>
+                                            <TableCell className="text-xs">
+                                                {type === 'womack'
+                                                    ? `${t('Agua')} ${withUnit(r.entry.waterConsumption, 'water', r.entry.waterUnit) ?? '–'} · ${t('Aceite')} ${withUnit(r.entry.oilConsumptionTotal, 'oil', r.entry.oilUnit) ?? '–'} / ${withUnit(r.entry.oilConsumptionPartial, 'oil', r.entry.oilUnit) ?? '–'}`
+                                                    : type === 'production'
+                                                    ? t('{count} latas', { count: r.entry.cans ?? '–' })
+                                                    : r.entry.readings.map(rd => `${machineName(plantConfig, rd.machineId)}: ${rd.cans ?? withUnit(rd.consumption, 'oil', rd.unit)}`).join(' · ')}
+                                            </TableCell>
+                                            <TableCell className="text-xs">
+                                                {r.errors.length ? r.errors.join(', ')
+                                                    : r.duplicate === 'existing' ? t('Ya existe un registro')
+                                                    : r.duplicate === 'file' ? t('Repetida en el fichero')
+                                                    : 'OK'}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                            <div className="flex justify-between items-center">
+                                <Button variant="secondary" onClick={() => setStep(1)} disabled={isLoading}>← {t('Atrás')}</Button>
+                                {progress && <span className="text-sm text-gray-400">{t('Guardando {done} de {total}...', progress)}</span>}
+                                <Button onClick={handleCommit} disabled={isLoading || existing.loading || validCount === 0}>{isLoading ? t('Importando...') : t('Importar {count} registros', { count: validCount })}</Button>
+                            </div>
+                        </>
+                    )}
+
+                    {step === 3 && result && (
+                        <div className="space-y-4">
+                            <p className="text-green-400">{t('¡Importación completada! Se han guardado {imported} registros y se han omitido {skipped}.', { imported: result.importedCount, skipped: result.skippedCount })}</p>
+                            <Button onClick={reset}>{t('Importar otro fichero')}</Button>
+                        </div>
+                    )}
+                    <StatusMessage status={message} />
+                </CardContent>
+            </Card>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Importaciones Recientes')}</CardTitle>
+                    <CardDescription>{t('Cada importación puede deshacerse en bloque.')}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <Table>
+                        <TableHeader>
+                            <TableRow>
+                                <TableHead>{t('Fecha')}</TableHead>
+                                <TableHead>{t('Fichero')}</TableHead>
+                                <TableHead>{t('Tipo')}</TableHead>
+                                <TableHead>{t('Registros')}</TableHead>
+                                <TableHead>{t('Usuario')}</TableHead>
+                                <TableHead>{t('Estado')}</TableHead>
+                                <TableHead className="text-right">{t('Acciones')}</TableHead>
+                            </TableRow>
+                        </TableHeader>
+                        <TableBody>
+                            {imports.map(imp => (
+                                <TableRow key={imp.id}>
+                                    <TableCell className="whitespace-nowrap">{formatDateTime(imp.createdAt)}</TableCell>
+                                    <TableCell>{imp.fileName}</TableCell>
+                                    <TableCell>{IMPORT_TYPES[imp.type] ? t(IMPORT_TYPES[imp.type].label) : imp.type}</TableCell>
+                                    <TableCell>{imp.importedCount} / {imp.rowCount}</TableCell>
+                                    <TableCell className="text-xs text-gray-400">{displayNameOf(imp.createdBy)}</TableCell>
+                                    <TableCell>{isStaleImport(imp) ? t('Interrumpida') : IMPORT_STATUS_LABELS[imp.status] ? t(IMPORT_STATUS_LABELS[imp.status]) : imp.status}</TableCell>
+                                    <TableCell className="text-right">
+                                        {canRollbackImport(imp) && (
+                                            <Button variant="danger" className="h-8 px-3" disabled={isLoading} onClick={() => handleRollback(imp)}>{t('Deshacer')}</Button>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 10. Cola de registros pendientes de sincronizar (modo sin conexión)
+const QUEUE_STATUS_LABELS = { pending: 'Pendiente', syncing: 'Sincronizando...', conflict: 'Conflicto', error: 'Error' };
+const QUEUE_STATUS_CLASSES = { pending: 'text-yellow-300', syncing: 'text-indigo-300', conflict: 'text-orange-400', error: 'text-red-400' };
+
+function PendingQueuePanel({ queue, isOnline, user, plantConfig, onResolve, onSync }) {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const [expanded, setExpanded] = useState(false);
+    const canEdit = hasRole(user, 'supervisor');
+    const conflicts = queue.filter(i => i.status === 'conflict');
+
+    if (queue.length === 0 && isOnline) return null;
+
+    const describe = (item) => {
+        const lineName = getLine(plantConfig, item.entry.line)?.name || t('Línea {line}', { line: item.entry.line });
+        const kind = AUDIT_COLLECTION_LABELS[item.collectionName] ? t(AUDIT_COLLECTION_LABELS[item.collectionName]) : item.collectionName;
+        return item.entry.date
+            ? `${kind} · ${formatDate(item.entry.date)} · ${lineName}`
+            : `${kind} · ${t('semana del {date}', { date: formatDate(item.entry.weekStartDate) })} · ${lineName}`;
+    };
+
+    return (
+        <Card className="mb-8">
+            <CardContent className="py-4 space-y-4">
+                <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-2">
+                    <p className="text-sm">
+                        <span className={`inline-block h-2 w-2 rounded-full mr-2 ${isOnline ? 'bg-green-400' : 'bg-red-400'}`} />
+                        {t(isOnline ? 'Conectado' : 'Sin conexión')}
+                        {queue.length > 0 && <span className="text-gray-400"> · {t('{count} registro(s) sin sincronizar', { count: queue.length })}{conflicts.length > 0 && t(', {count} con conflicto', { count: conflicts.length })}</span>}
+                    </p>
+                    {queue.length > 0 && (
+                        <div className="flex gap-2">
+                            <Button variant="secondary" className="h-8 px-3" onClick={onSync} disabled={!isOnline}>{t('Sincronizar ahora')}</Button>
+                            <Button variant="ghost" className="h-8 px-3" onClick={() => setExpanded(e => !e)}>{t(expanded ? 'Ocultar' : 'Ver cola')}</Button>
+                        </div>
+                    )}
+                </div>
+                {(expanded || conflicts.length > 0) && queue.length > 0 && (
+                    <ul className="space-y-3 text-sm">
+                        {queue.map(item => (
+                            <li key={item.id} className="border-t border-gray-700 pt-3">
+                                <div className="flex justify-between gap-4">
+                                    <span>{describe(item)}</span>
+                                    <span className={QUEUE_STATUS_CLASSES[item.status]}>{t(QUEUE_STATUS_LABELS[item.status])}</span>
+                                </div>
+                                {item.status === 'error' && (
+                                    <div className="flex justify-between items-center gap-4">
+                                        <p className="text-xs text-red-400">{t(item.error)}</p>
+                                        <Button variant="ghost" className="h-8 px-3" onClick={() => onResolve(item.id, 'discard')}>{t('Descartar')}</Button>
+                                    </div>
+                                )}
+                                {item.status === 'conflict' && (
+                                    <DuplicateEntryDialog
+                                        title={t('Mientras estabas sin conexión se guardó otro registro con la misma clave.')}
+                                        rows={entryComparisonRows(i18n, item.collectionName, item.existing, item.entry, plantConfig)}
+                                        onOverwrite={canEdit ? () => onResolve(item.id, 'overwrite') : undefined}
+                                        onMerge={canEdit && ENTRY_MERGERS[item.collectionName] ? () => onResolve(item.id, 'merge') : undefined}
+                                        onCancel={() => onResolve(item.id, 'discard')}
+                                    />
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+// 11. Administración de los umbrales de alerta de consumo, de las reglas de validación de los formularios
+// y de los objetivos de consumo por millón de latas
+const THRESHOLD_CRITERIA_LABELS = { absolute: 'Máximo absoluto', deviationPct: '% sobre la media', zScore: 'Desv. típicas (z)' };
+
+// Fila de tres criterios de una regla. Con `inherited`, los campos vacíos muestran el valor heredado.
+const ThresholdRuleInputs = ({ idPrefix, rule = {}, inherited, onChange }) => {
+    const { t } = useI18n();
+    return (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            {THRESHOLD_CRITERIA.map(c => (
+                <div key={c} className="space-y-2">
+                    <Label htmlFor={`${idPrefix}-${c}`}>{t(THRESHOLD_CRITERIA_LABELS[c])}</Label>
+                    <Input
+                        id={`${idPrefix}-${c}`}
+                        type="number"
+                        step="any"
+                        min="0"
+                        placeholder={inherited ? (hasValue(inherited[c]) ? t('Heredado: {value}', { value: inherited[c] }) : t('Heredado: sin límite')) : t('Sin límite')}
+                        value={hasValue(rule[c]) ? rule[c] : ''}
+                        onChange={e => onChange({ ...rule, [c]: e.target.value === '' ? null : Number(e.target.value) })}
+                    />
+                </div>
+            ))}
+        </div>
+    );
+};
+
+function ThresholdsEditor({ db, plantId, user, thresholds, validationRules, kpiTargets, plantConfig, onBack }) {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(thresholds);
+    const [rulesDraft, setRulesDraft] = useState(validationRules);
+    const [targetsDraft, setTargetsDraft] = useState(kpiTargets);
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => { setDraft(thresholds); }, [thresholds]);
+    useEffect(() => { setRulesDraft(validationRules); }, [validationRules]);
+    useEffect(() => { setTargetsDraft(kpiTargets); }, [kpiTargets]);
+
+    const setRange = (field, changes) => setRulesDraft(r => ({ ...r, ranges: { ...r.ranges, [field]: { ...r.ranges?.[field], ...changes } } }));
+    const numberOrNull = (raw) => (raw === '' ? null : Number(raw));
+
+    const womackDefault = draft.womack?.default || {};
+    const bodymakerDefault = draft.bodymaker?.default || {};
+
+    const setWomackDefault = (metric, rule) => setDraft(d => ({ ...d, womack: { ...d.womack, default: { ...d.womack?.default, [metric]: rule } } }));
+    const setWomackLine = (lineId, metric, rule) => setDraft(d => ({
+        ...d,
+        womack: { ...d.womack, lines: { ...d.womack?.lines, [lineId]: { ...d.womack?.lines?.[lineId], [metric]: rule } } },
+    }));
+    const setBodymakerDefault = (rule) => setDraft(d => ({ ...d, bodymaker: { ...d.bodymaker, default: rule } }));
+    const setBodymakerMachine = (machineId, rule) => setDraft(d => ({
+        ...d,
+        bodymaker: { ...d.bodymaker, machines: { ...d.bodymaker?.machines, [machineId]: rule } },
+    }));
+
+    const handleSave = async () => {
+        const windowSize = Number(draft.windowSize);
+        if (!Number.isInteger(windowSize) || windowSize < MIN_ANOMALY_HISTORY) {
+            setMessage(errorStatus(t('Error: La media móvil necesita al menos {count} lecturas.', { count: MIN_ANOMALY_HISTORY })));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        const decimals = Number(rulesDraft.decimals);
+        const ranges = Object.keys(VALIDATION_FIELD_LABELS).map(f => rulesDraft.ranges?.[f] || {});
+        if (!Number.isInteger(decimals) || decimals < 0 || ranges.some(r => hasValue(r.min) && hasValue(r.max) && r.min > r.max)) {
+            setMessage(errorStatus(t('Error: Revisa los decimales y que ningún mínimo supere a su máximo.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        if (Object.keys(KPI_DEFINITIONS).some(k => hasValue(targetsDraft[k]) && !(targetsDraft[k] > 0))) {
+            setMessage(errorStatus(t('Error: Los objetivos de consumo específico deben ser mayores que cero.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        setIsLoading(true);
+        try {
+            const updatedAt = new Date().toISOString();
+            const batch = writeBatch(db);
+            batch.set(doc(db, collectionPath('config', plantId), 'thresholds'), {
+                windowSize,
+                womack: { default: womackDefault, lines: draft.womack?.lines || {} },
+                bodymaker: { default: bodymakerDefault, machines: draft.bodymaker?.machines || {} },
+                updatedAt,
+                updatedBy: authorOf(user),
+            });
+            batch.set(doc(db, collectionPath('config', plantId), 'validation'), {
+                decimals,
+                plausibilityFactor: numberOrNull(rulesDraft.plausibilityFactor ?? ''),
+                ranges: rulesDraft.ranges,
+                updatedAt,
+                updatedBy: authorOf(user),
+            });
+            batch.set(doc(db, collectionPath('config', plantId), 'kpiTargets'), {
+                ...Object.fromEntries(Object.keys(KPI_DEFINITIONS).map(k => [k, targetsDraft[k] ?? null])),
+                updatedAt,
+                updatedBy: authorOf(user),
+            });
+            await batch.commit();
+            setMessage(successStatus(t('¡Umbrales, reglas de validación y objetivos guardados con éxito!')));
+        } catch (error) {
+            console.error("Error al guardar los umbrales:", error);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setIsLoading(false);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Umbrales de Alerta y Validación')}</CardTitle>
+                    <CardDescription>{t('Una lectura genera una alerta si supera cualquiera de los criterios rellenados. Las desviaciones se calculan frente a la media de las lecturas anteriores. Deja un campo vacío para no aplicarlo o, en las reglas por línea y máquina, para heredar el valor general.')}</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-8">
+                    <div className="space-y-2 md:w-64">
+                        <Label htmlFor="threshold-window">{t('Lecturas para la media móvil')}</Label>
+                        <Input id="threshold-window" type="number" min={MIN_ANOMALY_HISTORY} value={draft.windowSize} onChange={e => setDraft(d => ({ ...d, windowSize: e.target.value }))} />
+                    </div>
+
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <h3 className="text-lg font-semibold">{t('Womack (lectura diaria por línea)')}</h3>
+                        {[['water', 'Agua (m³)'], ['oil', 'Aceite total (L)']].map(([metric, label]) => (
+                            <div key={metric} className="space-y-2">
+                                <p className="text-sm text-gray-400">{t('{label} · general', { label: t(label) })}</p>
+                                <ThresholdRuleInputs idPrefix={`womack-default-${metric}`} rule={womackDefault[metric]} onChange={rule => setWomackDefault(metric, rule)} />
+                            </div>
+                        ))}
+                        {plantConfig.lines.map(line => (
+                            <div key={line.id} className="space-y-4 border-t border-gray-700 pt-4">
+                                <p className="font-medium">{line.name}</p>
+                                {[['water', 'Agua'], ['oil', 'Aceite total']].map(([metric, label]) => (
+                                    <div key={metric} className="space-y-2">
+                                        <p className="text-sm text-gray-400">{t(label)}</p>
+                                        <ThresholdRuleInputs
+                                            idPrefix={`womack-${line.id}-${metric}`}
+                                            rule={draft.womack?.lines?.[line.id]?.[metric]}
+                                            inherited={womackDefault[metric] || {}}
+                                            onChange={rule => setWomackLine(line.id, metric, rule)}
+                                        />
+                                    </div>
+                                ))}
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <h3 className="text-lg font-semibold">{t('Bodymakers (consumo semanal de aceite, L)')}</h3>
+                        <div className="space-y-2">
+                            <p className="text-sm text-gray-400">{t('General')}</p>
+                            <ThresholdRuleInputs idPrefix="bodymaker-default" rule={bodymakerDefault} onChange={setBodymakerDefault} />
+                        </div>
+                        {plantConfig.lines.flatMap(line => line.machines).map(machine => (
+                            <div key={machine.id} className="space-y-2 border-t border-gray-700 pt-4">
+                                <p className="font-medium">{machine.name}</p>
+                                <ThresholdRuleInputs
+                                    idPrefix={`bodymaker-${machine.id}`}
+                                    rule={draft.bodymaker?.machines?.[machine.id]}
+                                    inherited={bodymakerDefault}
+                                    onChange={rule => setBodymakerMachine(machine.id, rule)}
+                                />
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <h3 className="text-lg font-semibold">{t('Validación de formularios')}</h3>
+                        <p className="text-sm text-gray-400">{t('Los valores fuera de rango o con más decimales de los permitidos no se pueden guardar. Si un valor multiplica por el factor indicado el de la semana anterior, se pide confirmación antes de guardarlo (vacío = sin aviso).')}</p>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 md:w-1/2">
+                            <div className="space-y-2">
+                                <Label htmlFor="validation-decimals">{t('Decimales admitidos')}</Label>
+                                <Input id="validation-decimals" type="number" min="0" value={rulesDraft.decimals ?? ''} onChange={e => setRulesDraft(r => ({ ...r, decimals: e.target.value }))} />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="validation-factor">{t('Factor de aviso')}</Label>
+                                <Input id="validation-factor" type="number" step="any" min="1" value={rulesDraft.plausibilityFactor ?? ''} onChange={e => setRulesDraft(r => ({ ...r, plausibilityFactor: e.target.value }))} />
+                            </div>
+                        </div>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Campo')}</TableHead>
+                                    <TableHead>{t('Mínimo')}</TableHead>
+                                    <TableHead>{t('Máximo')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {Object.entries(VALIDATION_FIELD_LABELS).map(([field, label]) => (
+                                    <TableRow key={field}>
+                                        <TableCell>{t(label)}</TableCell>
+                                        <TableCell className="px-1"><Input type="number" step="any" aria-label={t('Mínimo {field}', { field: t(label) })} placeholder={t('Sin límite')} value={rulesDraft.ranges?.[field]?.min ?? ''} onChange={e => setRange(field, { min: numberOrNull(e.target.value) })} /></TableCell>
+                                        <TableCell className="px-1"><Input type="number" step="any" aria-label={t('Máximo {field}', { field: t(label) })} placeholder={t('Sin límite')} value={rulesDraft.ranges?.[field]?.max ?? ''} onChange={e => setRange(field, { max: numberOrNull(e.target.value) })} /></TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <h3 className="text-lg font-semibold">{t('Objetivos de consumo por millón de latas')}</h3>
+                        <p className="text-sm text-gray-400">{t('Se dibujan como referencia en los gráficos de consumo específico del panel (vacío = sin objetivo).')}</p>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                            {Object.entries(KPI_DEFINITIONS).map(([kpi, { label, unit }]) => (
+                                <div key={kpi} className="space-y-2">
+                                    <Label htmlFor={`kpi-target-${kpi}`}>{t(label)} ({t(unit)})</Label>
+                                    <Input id={`kpi-target-${kpi}`} type="number" step="any" min="0" placeholder={t('Sin objetivo')} value={targetsDraft[kpi] ?? ''} onChange={e => setTargetsDraft(targets => ({ ...targets, [kpi]: numberOrNull(e.target.value) }))} />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="flex justify-end">
+                        <Button onClick={handleSave} className="h-10 px-8" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Guardar Umbrales')}</Button>
+                    </div>
+                    <StatusMessage status={message} />
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 12. Administración de la tabla de precios de agua y lubricantes
+function PricesEditor({ db, plantId, user, prices, plantConfig, onBack }) {
+    const { t } = useI18n();
+    const [draft, setDraft] = useState(prices);
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => { setDraft(prices); }, [prices]);
+
+    const lubricants = draft.lubricants || [];
+    const numberOrEmpty = (raw) => (raw === '' ? '' : Number(raw));
+
+    const updateList = (key, index, changes) => setDraft(d => ({ ...d, [key]: d[key].map((item, i) => (i === index ? { ...item, ...changes } : item)) }));
+    const removeFromList = (key, index) => setDraft(d => ({ ...d, [key]: d[key].filter((_, i) => i !== index) }));
+    const addToList = (key, item) => setDraft(d => ({ ...d, [key]: [...(d[key] || []), item] }));
+
+    const addLubricant = () => {
+        const next = Math.max(0, ...lubricants.map(l => Number(String(l.id).replace(/\D/g, '')) || 0)) + 1;
+        addToList('lubricants', { id: `lubricant${next}`, name: t('Lubricante {number}', { number: next }) });
+    };
+
+    const setUsage = (lineId, kind, lubricant) => setDraft(d => ({
+        ...d,
+        usage: { ...d.usage, [lineId]: { ...d.usage?.[lineId], [kind]: lubricant } },
+    }));
+
+    // Comprueba que la tabla de precios sea coherente antes de guardarla.
+    const validate = (config) => {
+        const tariffs = [...config.water, ...config.oil];
+        if (tariffs.some(tariff => !tariff.from || tariff.price === '' || !(Number(tariff.price) >= 0))) return t('Error: Cada precio necesita fecha de inicio y un importe válido.');
+        if (new Set(config.water.map(tariff => tariff.from)).size !== config.water.length) return t('Error: Hay dos precios del agua con la misma fecha de inicio.');
+        if (new Set(config.oil.map(tariff => `${tariff.lubricant}_${tariff.from}`)).size !== config.oil.length) return t('Error: Hay dos precios del mismo lubricante con la misma fecha de inicio.');
+        if (config.lubricants.some(l => !l.name.trim())) return t('Error: Todos los lubricantes necesitan nombre.');
+        const lubricantIds = new Set(config.lubricants.map(l => l.id));
+        const usedIds = [...config.oil.map(tariff => tariff.lubricant), ...Object.values(config.usage).flatMap(u => Object.values(u))];
+        if (usedIds.some(id => id && !lubricantIds.has(id))) return t('Error: Hay precios o líneas que usan un lubricante eliminado.');
+        return null;
+    };
+
+    const handleSave = async () => {
+        // El lubricante de cada línea se guarda explícitamente, también el que se hereda por defecto.
+        const usage = Object.fromEntries(plantConfig.lines.map(l => [l.id, Object.fromEntries(Object.keys(DEFAULT_LUBRICANTS).map(kind => [kind, lubricantFor(draft, l.id, kind)]))]));
+        const config = { water: draft.water || [], lubricants, oil: draft.oil || [], usage };
+        const validationError = validate(config);
+        if (validationError) {
+            setMessage(errorStatus(validationError));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        setIsLoading(true);
+        try {
+            await setDoc(doc(db, collectionPath('config', plantId), 'prices'), {
+                ...config,
+                water: config.water.map(tariff => ({ from: tariff.from, price: Number(tariff.price) })),
+                oil: config.oil.map(tariff => ({ lubricant: tariff.lubricant, from: tariff.from, price: Number(tariff.price) })),
+                updatedAt: new Date().toISOString(),
+                updatedBy: authorOf(user),
+            });
+            setMessage(successStatus(t('¡Precios guardados con éxito!')));
+        } catch (error) {
+            console.error("Error al guardar los precios:", error);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setIsLoading(false);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+    const lubricantOptions = lubricants.map(l => <option key={l.id} value={l.id}>{l.name}</option>);
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Tabla de Precios')}</CardTitle>
+                    <CardDescription>{t('Cada precio rige desde su fecha de inicio hasta el siguiente del mismo concepto. Los costes del panel usan el precio vigente en la fecha de cada lectura.')}</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-8">
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <h3 className="text-lg font-semibold">{t('Agua (€/m³)')}</h3>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Desde')}</TableHead>
+                                    <TableHead>{t('Precio (€/m³)')}</TableHead>
+                                    <TableHead className="text-right">{t('Acciones')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {(draft.water || []).map((tariff, index) => (
+                                    <TableRow key={index}>
+                                        <TableCell className="px-1"><Input type="date" aria-label={t('Desde')} value={tariff.from} onChange={e => updateList('water', index, { from: e.target.value })} /></TableCell>
+                                        <TableCell className="px-1"><Input type="number" step="any" min="0" aria-label={t('Precio')} value={tariff.price} onChange={e => updateList('water', index, { price: numberOrEmpty(e.target.value) })} /></TableCell>
+                                        <TableCell className="text-right"><Button variant="ghost" className="h-8 px-3" onClick={() => removeFromList('water', index)}>{t('Quitar')}</Button></TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        <Button variant="secondary" className="h-8 px-3" onClick={() => addToList('water', { from: todayIso(), price: '' })}>+ {t('Añadir precio')}</Button>
+                    </div>
+
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <h3 className="text-lg font-semibold">{t('Lubricantes')}</h3>
+                        {lubricants.map((lubricant, index) => (
+                            <div key={lubricant.id} className="flex gap-2">
+                                <Input aria-label={t('Nombre del lubricante')} value={lubricant.name} onChange={e => updateList('lubricants', index, { name: e.target.value })} />
+                                <Button variant="ghost" className="h-10 px-3" onClick={() => removeFromList('lubricants', index)}>{t('Quitar')}</Button>
+                            </div>
+                        ))}
+                        <Button variant="secondary" className="h-8 px-3" onClick={addLubricant}>+ {t('Añadir lubricante')}</Button>
+                    </div>
+
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <h3 className="text-lg font-semibold">{t('Aceite (€/L)')}</h3>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Lubricante')}</TableHead>
+                                    <TableHead>{t('Desde')}</TableHead>
+                                    <TableHead>{t('Precio (€/L)')}</TableHead>
+                                    <TableHead className="text-right">{t('Acciones')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {(draft.oil || []).map((tariff, index) => (
+                                    <TableRow key={index}>
+                                        <TableCell className="px-1">
+                                            <select aria-label={t('Lubricante')} value={tariff.lubricant} onChange={e => updateList('oil', index, { lubricant: e.target.value })} className={selectClassName}>{lubricantOptions}</select>
+                                        </TableCell>
+                                        <TableCell className="px-1"><Input type="date" aria-label={t('Desde')} value={tariff.from} onChange={e => updateList('oil', index, { from: e.target.value })} /></TableCell>
+                                        <TableCell className="px-1"><Input type="number" step="any" min="0" aria-label={t('Precio')} value={tariff.price} onChange={e => updateList('oil', index, { price: numberOrEmpty(e.target.value) })} /></TableCell>
+                                        <TableCell className="text-right"><Button variant="ghost" className="h-8 px-3" onClick={() => removeFromList('oil', index)}>{t('Quitar')}</Button></TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        <Button variant="secondary" className="h-8 px-3" onClick={() => addToList('oil', { lubricant: lubricants[0]?.id || '', from: todayIso(), price: '' })} disabled={lubricants.length === 0}>+ {t('Añadir precio')}</Button>
+                    </div>
+
+                    <div className="space-y-4 rounded-lg border border-gray-700 p-4">
+                        <h3 className="text-lg font-semibold">{t('Lubricante por línea')}</h3>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Línea')}</TableHead>
+                                    <TableHead>{t('Womack')}</TableHead>
+                                    <TableHead>{t('Bodymakers')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {plantConfig.lines.map(line => (
+                                    <TableRow key={line.id}>
+                                        <TableCell>{line.name}</TableCell>
+                                        {Object.keys(DEFAULT_LUBRICANTS).map(kind => (
+                                            <TableCell key={kind} className="px-1">
+                                                <select aria-label={t('Lubricante {kind} de {line}', { kind, line: line.name })} value={lubricantFor(draft, line.id, kind)} onChange={e => setUsage(line.id, kind, e.target.value)} className={selectClassName}>{lubricantOptions}</select>
+                                            </TableCell>
+                                        ))}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </div>
+
+                    <div className="flex justify-end">
+                        <Button onClick={handleSave} className="h-10 px-8" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Guardar Precios')}</Button>
+                    </div>
+                    <StatusMessage status={message} />
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 13. Registro de producción (latas) por línea y día y por bodymaker y semana
+function ProductionControl({ repository, user, data, bodymakerData, plantConfig, onQueue, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDate, formatNumber } = i18n;
+    const [date, setDate] = useState(todayIso());
+    const [week, setWeek] = useState(weekStartOf(todayIso()));
+    const [line, setLine] = useState(plantConfig.lines[0]?.id);
+    const [cans, setCans] = useState('');
+    const [machineCans, setMachineCans] = useState({});
+    const [errors, setErrors] = useState({});
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [duplicate, setDuplicate] = useState(null);
+    const canEdit = hasRole(user, 'supervisor');
+
+    useEffect(() => {
+        if (!getLine(plantConfig, line) && plantConfig.lines[0]) setLine(plantConfig.lines[0].id);
+    }, [plantConfig, line]);
+
+    const currentLine = getLine(plantConfig, line);
+    const machines = useMemo(() => activeMachinesForWeek(currentLine, week), [currentLine, week]);
+
+    useEffect(() => {
+        setErrors({});
+        setDuplicate(null);
+    }, [date, week, line, cans, machineCans]);
+
+    const resetForm = (collectionName) => (collectionName === 'productionEntries' ? setCans('') : setMachineCans({}));
+
+    const saveEntry = async (collectionName, entry, mode, docId) => {
+        setIsLoading(true);
+        try {
+            await repository.upsert(user, collectionName, { docId, entry, mode });
+            setDuplicate(null);
+            setMessage(successStatus(t({
+                create: '¡Producción guardada con éxito!',
+                overwrite: '¡Registro existente sobrescrito con éxito!',
+                merge: '¡Producción fusionada con la semana existente!',
+            }[mode])));
+            resetForm(collectionName);
+        } catch (error) {
+            if (error instanceof DuplicateEntryError) {
+                setDuplicate({ collectionName, existing: error.existing, entry });
+                return;
+            }
+            if (isOfflineError(error)) {
+                onQueue(collectionName, docId, entry, mode);
+                setDuplicate(null);
+                setMessage(successStatus(t('Sin conexión: la producción queda pendiente y se sincronizará automáticamente.')));
+                resetForm(collectionName);
+                return;
+            }
+            console.error("Error al guardar la producción:", error);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setIsLoading(false);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    // Valida, detecta duplicados y guarda; `existing` es el registro con la misma clave, si lo hay.
+    const submit = async (collectionName, entry, validationErrors, existing, docId) => {
+        if (Object.keys(validationErrors).length > 0) {
+            setErrors(validationErrors);
+            setMessage(errorStatus(t('Error: Revisa los campos marcados.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        if (existing) {
+            setDuplicate({ collectionName, existing, entry });
+            return;
+        }
+        await saveEntry(collectionName, entry, 'create', docId);
+    };
+
+    const handleLineSubmit = async (e) => {
+        e.preventDefault();
+        const validationErrors = withoutEmpty({ date: validateDate(i18n, date), cans: validateNumber(i18n, cans, { min: 0 }, 0) });
+        const entry = { date, line: Number(line), cans: Number(cans), createdAt: new Date().toISOString(), createdBy: authorOf(user) };
+        const existing = data.find(d => d.date === entry.date && d.line === entry.line);
+        await submit('productionEntries', entry, validationErrors, existing, womackEntryKey(entry));
+    };
+
+    const handleWeekSubmit = async (e) => {
+        e.preventDefault();
+        const filled = Object.entries(machineCans).filter(([, raw]) => !isBlank(raw));
+        const validationErrors = withoutEmpty({
+            week: validateDate(i18n, week),
+            ...Object.fromEntries(filled.map(([machineId, raw]) => [machineId, validateNumber(i18n, raw, { min: 0 }, 0)])),
+        });
+        if (filled.length === 0) validationErrors.week = validationErrors.week || t('Introduce la producción de al menos una máquina.');
+        const entry = {
+            weekStartDate: week,
+            line: Number(line),
+            readings: filled.map(([machineId, raw]) => ({ machineId: Number(machineId), cans: Number(raw) })),
+            createdAt: new Date().toISOString(),
+            createdBy: authorOf(user),
+        };
+        const existing = bodymakerData.find(d => d.weekStartDate === entry.weekStartDate && d.line === entry.line);
+        await submit('bodymakerProductionEntries', entry, validationErrors, existing, bodymakerEntryKey(entry));
+    };
+
+    const handleDelete = async (collectionName, entry, question) => {
+        if (!window.confirm(question)) return;
+        try {
+            await repository.remove(user, collectionName, entry);
+            setMessage(successStatus(t('Registro de producción eliminado.')));
+        } catch (error) {
+            console.error("Error al eliminar la producción:", error);
+            setMessage(errorStatus(t('Error al eliminar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const dailyHistory = usePagedEntries(repository, 'productionEntries', line, 10);
+    const weeklyHistory = usePagedEntries(repository, 'bodymakerProductionEntries', line, 5);
+    const recentDays = dailyHistory.entries;
+    const recentWeeks = weeklyHistory.entries;
+
+    const historyMachines = useMemo(() => (currentLine?.machines || []).filter(m =>
+        machines.some(active => active.id === m.id) || recentWeeks.some(d => d.readings.some(r => r.machineId === m.id))
+    ), [currentLine, machines, recentWeeks]);
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Registro de Producción')}</CardTitle>
+                    <CardDescription>{t('Latas fabricadas por línea y día y por bodymaker y semana. Se usan para calcular el consumo por millón de latas.')}</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-8">
+                    <div className="space-y-2 md:w-1/3">
+                        <Label htmlFor="line">{t('Línea')}</Label>
+                        <LineSelect lines={plantConfig.lines} value={line} onChange={setLine} />
+                    </div>
+
+                    <form onSubmit={handleLineSubmit} noValidate className="space-y-4">
+                        <h3 className="text-lg font-semibold text-white">{t('Producción diaria de la línea')}</h3>
+                        <div className="flex flex-col md:flex-row gap-6 md:items-start">
+                            <div className="space-y-2 flex-1">
+                                <Label htmlFor="productionDate">{t('Fecha')}</Label>
+                                <Input id="productionDate" type="date" max={todayIso()} className={fieldStateClass(errors.date)} value={date} onChange={e => setDate(e.target.value)} />
+                                <FieldMessage error={errors.date} />
+                            </div>
+                            <div className="space-y-2 flex-1">
+                                <Label htmlFor="productionCans">{t('Latas')}</Label>
+                                <Input id="productionCans" type="number" step="1" min="0" placeholder={t('Ej: 1250000')} className={fieldStateClass(errors.cans)} value={cans} onChange={e => setCans(e.target.value)} />
+                                <FieldMessage error={errors.cans} />
+                            </div>
+                            <Button type="submit" className="md:mt-7 h-10 px-8" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Guardar Día')}</Button>
+                        </div>
+                    </form>
+
+                    <form onSubmit={handleWeekSubmit} noValidate className="space-y-4">
+                        <h3 className="text-lg font-semibold text-white">{t('Producción semanal por bodymaker')}</h3>
+                        <div className="space-y-2 md:w-1/3">
+                            <Label htmlFor="productionWeek">{t('Inicio de Semana (Lunes)')}</Label>
+                            <Input id="productionWeek" type="date" max={todayIso()} className={fieldStateClass(errors.week)} value={week} onChange={e => e.target.value && setWeek(weekStartOf(e.target.value))} />
+                            <FieldMessage error={errors.week} />
+                        </div>
+                        <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-8 gap-4">
+                            {machines.map(machine => (
+                                <div key={machine.id} className="space-y-2">
+                                    <Label htmlFor={`production-bm-${machine.id}`}>{machine.name}</Label>
+                                    <Input
+                                        id={`production-bm-${machine.id}`}
+                                        type="number"
+                                        step="1"
+                                        min="0"
+                                        placeholder={t('latas')}
+                                        className={fieldStateClass(errors[machine.id])}
+                                        value={machineCans[machine.id] || ''}
+                                        onChange={e => setMachineCans(prev => ({ ...prev, [machine.id]: e.target.value }))}
+                                    />
+                                    <FieldMessage error={errors[machine.id]} />
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex justify-end">
+                            <Button type="submit" className="w-full md:w-auto h-10 px-8" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Guardar Semana')}</Button>
+                        </div>
+                    </form>
+
+                    {duplicate && (
+                        <DuplicateEntryDialog
+                            title={duplicate.collectionName === 'productionEntries'
+                                ? t('Ya existe producción del {date} en {line}.', { date: formatDate(duplicate.entry.date), line: currentLine?.name })
+                                : t('Ya existe producción de la semana del {date} en {line}.', { date: formatDate(duplicate.entry.weekStartDate), line: currentLine?.name })}
+                            rows={entryComparisonRows(i18n, duplicate.collectionName, duplicate.existing, duplicate.entry, plantConfig)}
+                            isLoading={isLoading}
+                            onOverwrite={canEdit ? () => saveEntry(duplicate.collectionName, duplicate.entry, 'overwrite', duplicate.existing.id) : undefined}
+                            onMerge={canEdit && duplicate.collectionName === 'bodymakerProductionEntries'
+                                ? () => saveEntry(duplicate.collectionName, duplicate.entry, 'merge', duplicate.existing.id)
+                                : undefined}
+                            onCancel={() => setDuplicate(null)}
+                        />
+                    )}
+                    <StatusMessage status={message} />
+                </CardContent>
+            </Card>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Producción Diaria Reciente ({line})', { line: currentLine?.name })}</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Fecha')}</TableHead>
+                                    <TableHead>{t('Latas')}</TableHead>
+                                    {canEdit && <TableHead className="text-right">{t('Acciones')}</TableHead>}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {recentDays.map(d => (
+                                    <TableRow key={d.id}>
+                                        <TableCell>{formatDate(d.date)}<EntryMeta entry={d} /></TableCell>
+                                        <TableCell>{formatNumber(d.cans)}</TableCell>
+                                        {canEdit && (
+                                            <TableCell className="text-right">
+                                                <Button variant="danger" className="h-8 px-3" onClick={() => handleDelete('productionEntries', d, t('¿Eliminar la producción del {date} (Línea {line})?', { date: formatDate(d.date), line: d.line }))}>{t('Eliminar')}</Button>
+                                            </TableCell>
+                                        )}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        <PaginationControls {...dailyHistory} />
+                    </CardContent>
+                </Card>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Producción Semanal Reciente ({line})', { line: currentLine?.name })}</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Semana de')}</TableHead>
+                                    {historyMachines.map(m => <TableHead key={m.id}>{m.name}</TableHead>)}
+                                    {canEdit && <TableHead className="text-right">{t('Acciones')}</TableHead>}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {recentWeeks.map(d => (
+                                    <TableRow key={d.id}>
+                                        <TableCell>{formatDate(d.weekStartDate)}<EntryMeta entry={d} /></TableCell>
+                                        {historyMachines.map(m => {
+                                            const reading = d.readings.find(r => r.machineId === m.id);
+                                            return <TableCell key={m.id}>{reading ? formatNumber(reading.cans) : '–'}</TableCell>;
+                                        })}
+                                        {canEdit && (
+                                            <TableCell className="text-right">
+                                                <Button variant="danger" className="h-8 px-3" onClick={() => handleDelete('bodymakerProductionEntries', d, t('¿Eliminar la producción de la semana del {date} (Línea {line})?', { date: formatDate(d.weekStartDate), line: d.line }))}>{t('Eliminar')}</Button>
+                                            </TableCell>
+                                        )}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                        <PaginationControls {...weeklyHistory} />
+                    </CardContent>
+                </Card>
+            </div>
+        </div>
+    );
+}
+
+// 14. Informe semanal o mensual listo para imprimir o descargar en PDF
+// El informe se maqueta en claro y con tamaños fijos para que la impresión y la captura del PDF
+// salgan igual en cualquier pantalla. Todo se genera en el navegador.
+const REPORT_CHART_WIDTH = 720;
+
+const ReportTable = ({ headers, rows, footer }) => (
+    <table className="w-full text-sm border-collapse">
+        <thead>
+            <tr className="border-b-2 border-gray-300">
+                {headers.map((h, i) => <th key={h} className={`py-2 px-2 font-semibold ${i === 0 ? 'text-left' : 'text-right'}`}>{h}</th>)}
+            </tr>
+        </thead>
+        <tbody>
+            {rows.map(row => (
+                <tr key={row[0]} className="border-b border-gray-200">
+                    {row.map((cell, i) => <td key={i} className={`py-1 px-2 ${i === 0 ? 'text-left' : 'text-right'}`}>{cell}</td>)}
+                </tr>
+            ))}
+        </tbody>
+        {footer && (
+            <tfoot>
+                <tr className="border-t-2 border-gray-300 font-semibold">
+                    {footer.map((cell, i) => <td key={i} className={`py-1 px-2 ${i === 0 ? 'text-left' : 'text-right'}`}>{cell}</td>)}
+                </tr>
+            </tfoot>
+        )}
+    </table>
+);
+
+function ReportView({ repository, plantConfig, thresholds, alertAcks, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDateTime, formatNumber, formatAlertValue, formatChange } = i18n;
+    const [period, setPeriod] = useState('week');
+    // Por defecto, la semana anterior completa: el informe se prepara los lunes.
+    const [anchor, setAnchor] = useState(() => shiftIsoDate(weekStartOf(todayIso()), -7));
+    const [isExporting, setIsExporting] = useState(false);
+    const [message, setMessage] = useState(null);
+    const reportRef = useRef(null);
+
+    const range = useMemo(() => reportRange(i18n, period, anchor), [period, anchor, i18n]);
+
+    // Periodo anterior más las lecturas previas que usa la detección de alertas como referencia.
+    const windowFrom = shiftIsoDate(range.previousFrom, -7 * windowSizeOf(thresholds));
+    const womackWindow = useEntryWindow(repository, 'womackEntries', windowFrom, range.to);
+    const bodymakerWindow = useEntryWindow(repository, 'bodymakerEntries', windowFrom, range.to);
+    const womackData = useMemo(() => womackWindow.entries.map(canonicalWomackEntry), [womackWindow.entries]);
+    const bodymakerData = useMemo(() => bodymakerWindow.entries.map(canonicalBodymakerEntry), [bodymakerWindow.entries]);
+    const alerts = useMemo(() => detectAnomalies(womackData, bodymakerData, plantConfig, thresholds), [womackData, bodymakerData, plantConfig, thresholds]);
+
+    const summary = useMemo(() => reportSummary(womackData, bodymakerData, plantConfig, range), [womackData, bodymakerData, plantConfig, range]);
+
+    const womackChartData = useMemo(() => {
+        const rows = Object.fromEntries(bucketKeys(range.from, range.to, 'day').map(key => [key, { name: bucketLabel(i18n, key, 'day') }]));
+        womackData.forEach(d => {
+            const line = getLine(plantConfig, d.line);
+            const row = rows[d.date];
+            if (!line || !row) return;
+            // Los registros por turno de un mismo día se suman.
+            const water = `${t('Agua')} ${line.shortName}`;
+            const oil = `${t('Aceite')} ${line.shortName}`;
+            row[water] = (row[water] || 0) + d.waterConsumption;
+            row[oil] = (row[oil] || 0) + d.oilConsumptionTotal;
+        });
+        return Object.values(rows);
+    }, [womackData, plantConfig, range, i18n, t]);
+
+    const bodymakerChartData = useMemo(
+        () => summary.machines.map(row => ({ name: row.machine.name, [t('Periodo')]: row.oil, [t('Anterior')]: row.previousOil })),
+        [summary, t]
+    );
+
+    const periodAlerts = useMemo(
+        () => alerts.filter(a => a.date >= range.from && a.date <= range.to).sort((a, b) => a.date.localeCompare(b.date)),
+        [alerts, range]
+    );
+
+    const lineTotals = summary.lines.reduce((acc, { current, previous }) => ({
+        water: acc.water + current.water,
+        previousWater: acc.previousWater + previous.water,
+        oil: acc.oil + current.oil,
+        previousOil: acc.previousOil + previous.oil,
+    }), { water: 0, previousWater: 0, oil: 0, previousOil: 0 });
+    const machineTotals = summary.machines.reduce((acc, row) => ({ oil: acc.oil + row.oil, previousOil: acc.previousOil + row.previousOil }), { oil: 0, previousOil: 0 });
+
+    const handleDownloadPdf = async () => {
+        setIsExporting(true);
+        try {
+            // Se cargan bajo demanda para no engordar el arranque de la aplicación.
+            const [{ jsPDF }, { default: html2canvas }] = await Promise.all([import('jspdf'), import('html2canvas')]);
+            const canvas = await html2canvas(reportRef.current, { scale: 2, backgroundColor: '#ffffff' });
+            const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+            const pageWidth = pdf.internal.pageSize.getWidth();
+            const pageHeight = pdf.internal.pageSize.getHeight();
+            const imageHeight = (canvas.height * pageWidth) / canvas.width;
+            const image = canvas.toDataURL('image/png');
+            // La captura se reparte en páginas A4 desplazando la misma imagen hacia arriba en cada una.
+            for (let offset = 0; offset < imageHeight; offset += pageHeight) {
+                if (offset > 0) pdf.addPage();
+                pdf.addImage(image, 'PNG', 0, -offset, pageWidth, imageHeight);
+            }
+            pdf.save(`informe_${period === 'week' ? 'semanal' : 'mensual'}_${range.from}.pdf`);
+        } catch (error) {
+            console.error("Error al generar el PDF:", error);
+            setMessage(errorStatus(t('Error al generar el PDF. Inténtalo de nuevo.')));
+            setTimeout(() => setMessage(null), 3000);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Informes')}</CardTitle>
+                    <CardDescription>{t('Informe de consumos de una semana o un mes, comparado con el periodo anterior, para imprimir o descargar en PDF.')}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <div className="flex flex-col md:flex-row gap-4 md:items-end">
+                        <div className="space-y-2 md:w-48">
+                            <Label htmlFor="reportPeriod">{t('Tipo de informe')}</Label>
+                            <select id="reportPeriod" value={period} onChange={e => setPeriod(e.target.value)} className={selectClassName}>
+                                {Object.entries(REPORT_PERIODS).map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-2 md:w-56">
+                            <Label htmlFor="reportAnchor">{t(period === 'week' ? 'Semana (cualquier día)' : 'Mes')}</Label>
+                            {period === 'week' ? (
+                                <Input id="reportAnchor" type="date" max={todayIso()} value={range.from} onChange={e => e.target.value && setAnchor(e.target.value)} />
+                            ) : (
+                                <Input id="reportAnchor" type="month" max={todayIso().slice(0, 7)} value={range.from.slice(0, 7)} onChange={e => e.target.value && setAnchor(`${e.target.value}-01`)} />
+                            )}
+                        </div>
+                        <div className="flex gap-2 md:ml-auto">
+                            <Button variant="secondary" onClick={() => window.print()}>{t('Imprimir')}</Button>
+                            <Button onClick={handleDownloadPdf} disabled={isExporting}>{t(isExporting ? 'Generando...' : 'Descargar PDF')}</Button>
+                        </div>
+                    </div>
+                    <StatusMessage status={message} className="mt-4" />
+                </CardContent>
+            </Card>
+
+            <div className="overflow-x-auto">
+                <div ref={reportRef} className="report-printable mx-auto bg-white text-gray-900 p-8 space-y-8" style={{ width: REPORT_CHART_WIDTH + 64 }}>
+                    <header className="border-b-2 border-gray-800 pb-4">
+                        <h2 className="text-2xl font-bold">{t(period === 'week' ? 'Informe semanal de consumos' : 'Informe mensual de consumos')}</h2>
+                        <p className="text-lg">{t('Periodo: {range}', { range: range.label })}</p>
+                        <p className="text-sm text-gray-600">{t('Comparado con: {range} · Generado el {date}', { range: range.previousLabel, date: formatDateTime(Date.now()) })}</p>
+                    </header>
+
+                    <section className="space-y-3">
+                        <h3 className="text-lg font-semibold">{t('Womack por línea')}</h3>
+                        <ReportTable
+                            headers={['Línea', 'Días', 'Agua (m³)', 'Anterior', 'Var.', 'Aceite (L)', 'Anterior', 'Var.'].map(h => t(h))}
+                            rows={summary.lines.map(({ line, current, previous }) => [
+                                line.name,
+                                current.days,
+                                formatNumber(current.water),
+                                formatNumber(previous.water),
+                                formatChange(percentChange(current.water, previous.water)),
+                                formatNumber(current.oil),
+                                formatNumber(previous.oil),
+                                formatChange(percentChange(current.oil, previous.oil)),
+                            ])}
+                            footer={[
+                                t('Total'), '',
+                                formatNumber(lineTotals.water), formatNumber(lineTotals.previousWater), formatChange(percentChange(lineTotals.water, lineTotals.previousWater)),
+                                formatNumber(lineTotals.oil), formatNumber(lineTotals.previousOil), formatChange(percentChange(lineTotals.oil, lineTotals.previousOil)),
+                            ]}
+                        />
+                        <LineChart width={REPORT_CHART_WIDTH} height={260} data={womackChartData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#CBD5E0" />
+                            <XAxis dataKey="name" stroke="#4A5568" />
+                            <YAxis stroke="#4A5568" tickFormatter={formatNumber} />
+                            <Legend />
+                            {plantConfig.lines.map((l, i) => (
+                                <Line key={`water-${l.id}`} isAnimationActive={false} type="monotone" dataKey={`${t('Agua')} ${l.shortName}`} stroke={lineColor('water', i)} />
+                            ))}
+                            {plantConfig.lines.map((l, i) => (
+                                <Line key={`oil-${l.id}`} isAnimationActive={false} type="monotone" dataKey={`${t('Aceite')} ${l.shortName}`} stroke={lineColor('oil', i)} />
+                            ))}
+                        </LineChart>
+                    </section>
+
+                    <section className="space-y-3">
+                        <h3 className="text-lg font-semibold">{t('Bodymakers por máquina')}</h3>
+                        {summary.machines.length === 0 ? (
+                            <p className="text-sm text-gray-600">{t('Sin lecturas de bodymakers en el periodo ni en el anterior.')}</p>
+                        ) : (
+                            <>
+                                <ReportTable
+                                    headers={['Máquina', 'Línea', 'Aceite (L)', 'Anterior', 'Var.'].map(h => t(h))}
+                                    rows={summary.machines.map(row => [
+                                        row.machine.name,
+                                        row.line.name,
+                                        formatNumber(row.oil),
+                                        formatNumber(row.previousOil),
+                                        formatChange(percentChange(row.oil, row.previousOil)),
+                                    ])}
+                                    footer={[t('Total'), '', formatNumber(machineTotals.oil), formatNumber(machineTotals.previousOil), formatChange(percentChange(machineTotals.oil, machineTotals.previousOil))]}
+                                />
+                                <BarChart width={REPORT_CHART_WIDTH} height={260} data={bodymakerChartData}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#CBD5E0" />
+                                    <XAxis dataKey="name" stroke="#4A5568" />
+                                    <YAxis stroke="#4A5568" tickFormatter={formatNumber} />
+                                    <Legend />
+                                    <Bar isAnimationActive={false} dataKey={t('Anterior')} fill="#A0AEC0" />
+                                    <Bar isAnimationActive={false} dataKey={t('Periodo')} fill={lineColor('bodymaker', 0)} />
+                                </BarChart>
+                            </>
+                        )}
+                    </section>
+
+                    <section className="space-y-3">
+                        <h3 className="text-lg font-semibold">{t('Alertas del periodo ({count})', { count: periodAlerts.length })}</h3>
+                        {periodAlerts.length === 0 ? (
+                            <p className="text-sm text-gray-600">{t('No hubo lecturas fuera de los umbrales.')}</p>
+                        ) : (
+                            <ul className="space-y-2 text-sm">
+                                {periodAlerts.map(alert => {
+                                    const ack = alertAcks[alert.id];
+                                    return (
+                                        <li key={alert.id} className="border-l-4 pl-3" style={{ borderColor: ack ? '#A0AEC0' : ANOMALY_COLOR }}>
+                                            <p className="font-medium">{describeAlertSource(i18n, alert, plantConfig)}: {formatAlertValue(alert.value)} {unitLabel(alert.metric === 'water' ? 'water' : 'oil')}</p>
+                                            <p className="text-gray-600">{describeAnomaly(i18n, alert)}</p>
+                                            <p className="text-gray-600">
+                                                {ack ? t('Reconocida por {name}: “{comment}”', { name: displayNameOf(ack.acknowledgedBy), comment: ack.comment }) : t('Pendiente de reconocer')}
+                                            </p>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        )}
+                    </section>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// 15. Completitud de los registros: calendario por línea para Womack y semanas × máquinas para bodymakers
+const CompletenessCell = ({ status, title }) => {
+    const { t } = useI18n();
+    return (
+        <span className="block h-6 w-6 rounded" style={{ backgroundColor: COMPLETENESS_STATUS[status].color }} title={`${title} · ${t(COMPLETENESS_STATUS[status].label)}`} />
+    );
+};
+
+const CompletenessLegend = () => {
+    const { t } = useI18n();
+    return (
+        <div className="flex flex-wrap gap-4 text-xs text-gray-400">
+            {Object.entries(COMPLETENESS_STATUS).map(([status, { label, color }]) => (
+                <span key={status} className="flex items-center gap-1">
+                    <span className="inline-block h-3 w-3 rounded" style={{ backgroundColor: color }} />
+                    {t(label)}
+                </span>
+            ))}
+        </div>
+    );
+};
+
+function CompletenessView({ repository, plantConfig, onNavigate, onBack }) {
+    const i18n = useI18n();
+    const { t, locale, formatDate, weekdayInitial } = i18n;
+    const [weekCount, setWeekCount] = useState(COMPLETENESS_WEEKS[1]);
+    const today = todayIso();
+    const weeks = useMemo(() => recentWeekStarts(today, weekCount), [today, weekCount]);
+    const womackData = useEntryWindow(repository, 'womackEntries', weeks[0], today).entries;
+    const bodymakerData = useEntryWindow(repository, 'bodymakerEntries', weeks[0], today).entries;
+
+    const womackByLine = useMemo(
+        () => plantConfig.lines.map(line => ({ line, rows: womackCompleteness(womackData, line.id, weeks, today, plantConfig) })),
+        [womackData, plantConfig, weeks, today]
+    );
+    const bodymakerByLine = useMemo(
+        () => plantConfig.lines.map(line => ({ line, rows: bodymakerCompleteness(bodymakerData, line, weeks, today) })),
+        [bodymakerData, plantConfig, weeks, today]
+    );
+
+    const ratioLabel = (statuses) => {
+        const ratio = completenessRatio(statuses);
+        return ratio === null ? '–' : t('{ratio} % completo', { ratio: ratio.toLocaleString(locale, { maximumFractionDigits: 0 }) });
+    };
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Completitud de Registros')}</CardTitle>
+                    <CardDescription>{t('Días sin registro Womack y máquinas sin lectura semanal. Pasa el ratón por una casilla para ver la fecha.')}</CardDescription>
+                </CardHeader>
+                <CardContent className="flex flex-col md:flex-row gap-4 md:items-end md:justify-between">
+                    <div className="space-y-2 md:w-48">
+                        <Label htmlFor="completenessWeeks">{t('Periodo')}</Label>
+                        <select id="completenessWeeks" value={weekCount} onChange={e => setWeekCount(Number(e.target.value))} className="flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                            {COMPLETENESS_WEEKS.map(count => <option key={count} value={count}>{t('Últimas {count} semanas', { count })}</option>)}
+                        </select>
+                    </div>
+                    <CompletenessLegend />
+                </CardContent>
+            </Card>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                {womackByLine.map(({ line, rows }) => (
+                    <Card key={line.id}>
+                        <CardHeader>
+                            <CardTitle>Womack {line.name}</CardTitle>
+                            <CardDescription>{ratioLabel(rows.flatMap(r => r.days.map(d => d.status)))}</CardDescription>
+                        </CardHeader>
+                        <CardContent>
+                            <table className="text-xs text-gray-400">
+                                <thead>
+                                    <tr>
+                                        <th className="pr-3 text-left font-medium">{t('Semana')}</th>
+                                        {WEEKDAY_INDEXES.map(i => <th key={i} className="px-1 font-medium">{weekdayInitial(shiftIsoDate(weeks[0], i))}</th>)}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map(({ week, days }) => (
+                                        <tr key={week}>
+                                            <td className="pr-3 whitespace-nowrap">{bucketLabel(i18n, week, 'week')}</td>
+                                            {days.map(({ date, status }) => (
+                                                <td key={date} className="p-1">
+                                                    {status === 'missing' || status === 'pending' || status === 'partial' ? (
+                                                        <button type="button" className="block" onClick={() => onNavigate('womack')} aria-label={t('Registrar {date}', { date: formatDate(date) })}>
+                                                            <CompletenessCell status={status} title={formatDate(date)} />
+                                                        </button>
+                                                    ) : (
+                                                        <CompletenessCell status={status} title={formatDate(date)} />
+                                                    )}
+                                                </td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </CardContent>
+                    </Card>
+                ))}
+            </div>
+
+            {bodymakerByLine.map(({ line, rows }) => (
+                <Card key={line.id}>
+                    <CardHeader>
+                        <CardTitle>Bodymakers {line.name}</CardTitle>
+                        <CardDescription>{ratioLabel(rows.flatMap(r => r.machines.map(m => m.status)))}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Semana')}</TableHead>
+                                    {line.machines.map(m => <TableHead key={m.id} className="text-center">{m.name}</TableHead>)}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {rows.map(({ week, machines }) => (
+                                    <TableRow key={week}>
+                                        <TableCell className="py-2 whitespace-nowrap">{bucketLabel(i18n, week, 'week')}</TableCell>
+                                        {machines.map(({ machine, status }) => (
+                                            <TableCell key={machine.id} className="py-2">
+                                                <span className="flex justify-center"><CompletenessCell status={status} title={`${machine.name} · ${t('semana del {date}', { date: formatDate(week) })}`} /></span>
+                                            </TableCell>
+                                        ))}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
                     </CardContent>
                 </Card>
+            ))}
+        </div>
+    );
+}
+
+// 16. Recordatorios de lo que queda por registrar hoy y esta semana, al abrir la aplicación
+// Se pueden ocultar hasta el día siguiente; se recuerda en la sesión del navegador.
+function RemindersPanel({ reminders, onNavigate }) {
+    const { t } = useI18n();
+    const storageKey = `remindersDismissed:${todayIso()}`;
+    const [dismissed, setDismissed] = useState(() => sessionStorage.getItem(storageKey) === '1');
+
+    if (dismissed || reminders.length === 0) return null;
+
+    const handleDismiss = () => {
+        sessionStorage.setItem(storageKey, '1');
+        setDismissed(true);
+    };
+
+    return (
+        <div className="mb-8 rounded-xl border border-amber-600 bg-amber-900/20 p-4">
+            <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+                <div className="space-y-2">
+                    <p className="font-medium text-amber-300">{t('Registros pendientes')}</p>
+                    <ul className="space-y-1 text-sm text-gray-300">
+                        {reminders.map(reminder => (
+                            <li key={reminder.id}>
+                                {reminder.text}{' '}
+                                <button type="button" className="text-indigo-300 underline" onClick={() => onNavigate(reminder.view)}>{t('Registrar')}</button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+                <div className="flex gap-2">
+                    <Button variant="secondary" className="h-8 px-3" onClick={() => onNavigate('completeness')}>{t('Ver completitud')}</Button>
+                    <Button variant="ghost" className="h-8 px-3" onClick={handleDismiss}>{t('Ocultar hoy')}</Button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// 17. Seguimiento del presupuesto: real frente a presupuesto acumulado y previsión de fin de mes y de año
+function BudgetView({ repository, budgets, plantConfig, user, onNavigate, onBack }) {
+    const i18n = useI18n();
+    const { t, formatNumber, formatChange } = i18n;
+    const today = todayIso();
+    const currentYear = Number(today.slice(0, 4));
+    const [year, setYear] = useState(currentYear);
+    const [line, setLine] = useState(plantConfig.lines[0]?.id);
+
+    useEffect(() => {
+        if (!getLine(plantConfig, line) && plantConfig.lines[0]) setLine(plantConfig.lines[0].id);
+    }, [plantConfig, line]);
+
+    // El año anterior entero da la estacionalidad de la previsión.
+    const yearEnd = `${year}-12-31`;
+    const windowFrom = `${year - 1}-01-01`;
+    const windowTo = yearEnd < today ? yearEnd : today;
+    const womackWindow = useEntryWindow(repository, 'womackEntries', windowFrom, windowTo);
+    const bodymakerWindow = useEntryWindow(repository, 'bodymakerEntries', windowFrom, windowTo);
+    const womackData = useMemo(() => womackWindow.entries.map(canonicalWomackEntry), [womackWindow.entries]);
+    const bodymakerData = useMemo(() => bodymakerWindow.entries.map(canonicalBodymakerEntry), [bodymakerWindow.entries]);
+
+    const trackings = useMemo(() => plantConfig.lines.map(l => ({
+        line: l,
+        metrics: Object.fromEntries(Object.keys(BUDGET_METRICS).map(metric => (
+            [metric, budgetTracking(womackData, bodymakerData, budgets, l.id, metric, year, today)]
+        ))),
+    })), [womackData, bodymakerData, budgets, plantConfig, year, today]);
+
+    const warnings = trackings.flatMap(({ line: l, metrics }) => Object.entries(metrics).flatMap(([metric, tracking]) => (
+        budgetWarnings(i18n, tracking, `${t(BUDGET_METRICS[metric].label)} ${l.name}`)
+    )));
+    const selected = trackings.find(tracking => tracking.line.id === line);
+    const years = [currentYear - 2, currentYear - 1, currentYear, currentYear + 1];
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+    const formatAmount = (value) => (hasValue(value) ? formatNumber(Math.round(value)) : '–');
+
+    return (
+        <div className="space-y-8">
+            <div className="flex flex-col sm:flex-row justify-between gap-4">
+                <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+                {hasRole(user, 'admin') && <Button onClick={() => onNavigate('budgetConfig')} variant="secondary">{t('Editar presupuesto')}</Button>}
             </div>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Presupuesto y Previsión')}</CardTitle>
+                    <CardDescription>{t('Consumo real frente al presupuesto de cada línea y previsión de fin de mes y de año según el ritmo reciente. El aceite incluye Womack y bodymakers.')}</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="budgetYear">{t('Año')}</Label>
+                            <select id="budgetYear" value={year} onChange={e => setYear(Number(e.target.value))} className={selectClassName}>
+                                {years.map(y => <option key={y} value={y}>{y}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="line">{t('Línea (gráficos)')}</Label>
+                            <LineSelect lines={plantConfig.lines} value={line} onChange={setLine} />
+                        </div>
+                    </div>
+                    {warnings.length > 0 && (
+                        <div className="rounded-lg border border-red-600 bg-red-900/30 p-4">
+                            <p className="font-semibold text-red-300">{t('Previsión por encima del presupuesto')}</p>
+                            <ul className="mt-2 list-disc pl-5 text-sm text-gray-300 space-y-1">
+                                {warnings.map(w => <li key={w}>{w}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    {womackWindow.loading || bodymakerWindow.loading ? (
+                        <p className="text-center text-gray-400">{t('Cargando datos...')}</p>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Línea')}</TableHead>
+                                    <TableHead>{t('Magnitud')}</TableHead>
+                                    <TableHead>{t('Presupuesto anual')}</TableHead>
+                                    <TableHead>{t('Real {year}', { year })}</TableHead>
+                                    <TableHead>{t('Previsión fin de año')}</TableHead>
+                                    <TableHead>{t('Desviación')}</TableHead>
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {trackings.flatMap(({ line: l, metrics }) => Object.entries(metrics).map(([metric, tracking]) => {
+                                    const deviation = hasValue(tracking.year.budget) ? percentChange(tracking.year.forecast, tracking.year.budget) : null;
+                                    return (
+                                        <TableRow key={`${l.id}-${metric}`}>
+                                            <TableCell>{l.name}</TableCell>
+                                            <TableCell>{t(BUDGET_METRICS[metric].label)} ({BUDGET_METRICS[metric].unit})</TableCell>
+                                            <TableCell>{formatAmount(tracking.year.budget)}</TableCell>
+                                            <TableCell>{formatAmount(tracking.year.actual)}</TableCell>
+                                            <TableCell>{tracking.projected ? formatAmount(tracking.year.forecast) : '–'}</TableCell>
+                                            <TableCell className={deviation > 0 ? 'text-red-400' : 'text-green-400'}>{tracking.projected ? formatChange(deviation) : '–'}</TableCell>
+                                        </TableRow>
+                                    );
+                                }))}
+                            </TableBody>
+                        </Table>
+                    )}
+                </CardContent>
+            </Card>
+
+            {selected && (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                    {Object.entries(selected.metrics).map(([metric, tracking]) => (
+                        <Card key={metric}>
+                            <CardHeader>
+                                <CardTitle>{t('{metric} acumulado {line} ({year})', { metric: t(BUDGET_METRICS[metric].label), line: selected.line.name, year })}</CardTitle>
+                                <CardDescription>
+                                    {t('Real y previsión acumulados frente al presupuesto ({unit}).', { unit: BUDGET_METRICS[metric].unit })}
+                                    {tracking.month && ` ${t('Fin de mes previsto: {forecast} de {budget}.', { forecast: formatAmount(tracking.month.forecast), budget: formatAmount(tracking.month.budget) })}`}
+                                </CardDescription>
+                            </CardHeader>
+                            <CardContent>
+                                <ResponsiveContainer width="100%" height={300}>
+                                    <LineChart data={tracking.months.map(row => ({
+                                        name: bucketLabel(i18n, row.key, 'month'),
+                                        [t('Presupuesto')]: row.cumulativeBudget,
+                                        [t('Real')]: row.cumulativeActual,
+                                        [t('Previsión')]: tracking.projected ? row.cumulativeForecast : null,
+                                    }))}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                        <XAxis dataKey="name" stroke="#A0AEC0" />
+                                        <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                        <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatAmount} />
+                                        <Legend />
+                                        <Line type="monotone" dataKey={t('Presupuesto')} stroke="#A0AEC0" strokeDasharray="6 3" dot={false} />
+                                        <Line type="monotone" dataKey={t('Real')} stroke={lineColor(metric, 0)} />
+                                        <Line type="monotone" dataKey={t('Previsión')} stroke={lineColor(metric, 0)} strokeDasharray="3 3" />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            </CardContent>
+                        </Card>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// 18. Administración del presupuesto mensual de agua y aceite de cada línea
+function BudgetEditor({ db, plantId, user, budgets, plantConfig, onBack }) {
+    const i18n = useI18n();
+    const { t, formatNumber } = i18n;
+    const [year, setYear] = useState(Number(todayIso().slice(0, 4)));
+    const [draft, setDraft] = useState({});
+    const [annual, setAnnual] = useState({});
+    const [message, setMessage] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        setDraft(Object.fromEntries(plantConfig.lines.map(l => [l.id, Object.fromEntries(Object.keys(BUDGET_METRICS).map(metric => (
+            [metric, monthlyBudget(budgets, year, l.id, metric).map(value => value ?? '')]
+        )))])));
+        setAnnual({});
+    }, [budgets, plantConfig, year]);
+
+    const numberOrEmpty = (raw) => (raw === '' ? '' : Number(raw));
+
+    const updateMonth = (lineId, metric, month, value) => setDraft(d => ({
+        ...d,
+        [lineId]: { ...d[lineId], [metric]: d[lineId][metric].map((v, m) => (m === month ? value : v)) },
+    }));
+
+    const spread = (lineId, metric) => {
+        const total = Number(annual[`${lineId}-${metric}`]);
+        if (!(total >= 0)) return;
+        setDraft(d => ({ ...d, [lineId]: { ...d[lineId], [metric]: spreadAnnualBudget(total, year) } }));
+    };
+
+    const handleSave = async () => {
+        const values = Object.values(draft).flatMap(metrics => Object.values(metrics).flat());
+        if (values.some(v => v !== '' && !(Number(v) >= 0))) {
+            setMessage(errorStatus(t('Error: Los importes del presupuesto deben ser números positivos.')));
+            setTimeout(() => setMessage(null), 3000);
+            return;
+        }
+        setIsLoading(true);
+        try {
+            const yearBudget = Object.fromEntries(Object.entries(draft).map(([lineId, metrics]) => [lineId, Object.fromEntries(Object.entries(metrics).map(([metric, months]) => (
+                [metric, months.map(v => (v === '' ? null : Number(v)))]
+            )))]));
+            await setDoc(doc(db, collectionPath('config', plantId), 'budgets'), {
+                years: { ...budgets.years, [year]: yearBudget },
+                updatedAt: new Date().toISOString(),
+                updatedBy: authorOf(user),
+            });
+            setMessage(successStatus(t('¡Presupuesto guardado con éxito!')));
+        } catch (error) {
+            console.error("Error al guardar el presupuesto:", error);
+            setMessage(errorStatus(t('Error al guardar. Inténtalo de nuevo.')));
+        } finally {
+            setIsLoading(false);
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const currentYear = Number(todayIso().slice(0, 4));
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver')}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Presupuesto de Consumos')}</CardTitle>
+                    <CardDescription>{t('Presupuesto mensual de agua (m³) y aceite (L, Womack y bodymakers) de cada línea. Un importe anual se puede repartir entre los meses en proporción a sus días.')}</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-8">
+                    <div className="space-y-2 md:w-48">
+                        <Label htmlFor="budgetEditorYear">{t('Año')}</Label>
+                        <select id="budgetEditorYear" value={year} onChange={e => setYear(Number(e.target.value))} className={selectClassName}>
+                            {[currentYear - 1, currentYear, currentYear + 1].map(y => <option key={y} value={y}>{y}</option>)}
+                        </select>
+                    </div>
+                    {plantConfig.lines.filter(l => draft[l.id]).map(l => (
+                        <div key={l.id} className="space-y-4 rounded-lg border border-gray-700 p-4">
+                            <h3 className="text-lg font-semibold">{l.name}</h3>
+                            {Object.entries(BUDGET_METRICS).map(([metric, { label, unit }]) => (
+                                <div key={metric} className="space-y-2">
+                                    <div className="flex flex-col sm:flex-row sm:items-end gap-2">
+                                        <p className="flex-1 text-sm text-gray-300">
+                                            {t(label)} ({unit}) · {t('Total')}: {formatNumber(draft[l.id][metric].reduce((acc, v) => acc + (Number(v) || 0), 0))}
+                                        </p>
+                                        <Input type="number" step="any" min="0" aria-label={t('Presupuesto anual de {metric} de {line}', { metric: t(label).toLowerCase(), line: l.name })} placeholder={t('Importe anual')} className="sm:w-40" value={annual[`${l.id}-${metric}`] ?? ''} onChange={e => setAnnual(a => ({ ...a, [`${l.id}-${metric}`]: e.target.value }))} />
+                                        <Button variant="secondary" className="h-10 px-3" onClick={() => spread(l.id, metric)} disabled={isBlank(annual[`${l.id}-${metric}`])}>{t('Repartir')}</Button>
+                                    </div>
+                                    <div className="grid grid-cols-3 sm:grid-cols-6 lg:grid-cols-12 gap-2">
+                                        {MONTH_INDEXES.map(m => (
+                                            <div key={m} className="space-y-1">
+                                                <span className="block text-xs text-gray-500">{bucketLabel(i18n, monthKeyOf(year, m), 'month')}</span>
+                                                <Input type="number" step="any" min="0" aria-label={`${t(label)} ${l.name} ${bucketLabel(i18n, monthKeyOf(year, m), 'month')}`} className="px-2" value={draft[l.id][metric][m]} onChange={e => updateMonth(l.id, metric, m, numberOrEmpty(e.target.value))} />
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    ))}
+                    <div className="flex justify-end">
+                        <Button onClick={handleSave} className="h-10 px-8" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Guardar Presupuesto')}</Button>
+                    </div>
+                    <StatusMessage status={message} />
+                </CardContent>
+            </Card>
         </div>
     );
 }
 
-// 2. Componente para el control de los Womack
-function WomackControl({ db, data, onBack }) {
-    const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
-    const [line, setLine] = useState(1);
-    const [water, setWater] = useState('');
-    const [oilTotal, setOilTotal] = useState('');
-    const [oilPartial, setOilPartial] = useState('');
-    const [message, setMessage] = useState('');
+// Tabla de eventos de mantenimiento. Con `onDelete` (supervisores) se pueden eliminar.
+const MaintenanceTable = ({ events, plantConfig, onOpenMachine, onDelete }) => {
+    const i18n = useI18n();
+    const { t, formatDate, formatNumber } = i18n;
+    return (
+        <Table>
+            <TableHeader>
+                <TableRow>
+                    <TableHead>{t('Fecha')}</TableHead>
+                    <TableHead>{t('Equipo')}</TableHead>
+                    <TableHead>{t('Tipo')}</TableHead>
+                    <TableHead>{t('Parada (h)')}</TableHead>
+                    <TableHead>{t('Descripción')}</TableHead>
+                    <TableHead className="text-right">{t('Acciones')}</TableHead>
+                </TableRow>
+            </TableHeader>
+            <TableBody>
+                {events.map(e => (
+                    <TableRow key={e.id}>
+                        <TableCell className="whitespace-nowrap">
+                            {formatDate(e.date)}
+                            <EntryMeta entry={e} />
+                        </TableCell>
+                        <TableCell>{maintenanceTargetName(i18n, plantConfig, e)}</TableCell>
+                        <TableCell>{MAINTENANCE_TYPES[e.type] ? t(MAINTENANCE_TYPES[e.type]) : e.type}</TableCell>
+                        <TableCell>{formatNumber(e.downtimeHours)}</TableCell>
+                        <TableCell className="text-gray-300">{e.description}</TableCell>
+                        <TableCell className="text-right whitespace-nowrap">
+                            {onOpenMachine && <Button variant="ghost" className="h-8 px-3" onClick={() => onOpenMachine({ line: e.line, machineId: e.machineId ?? null })}>{t('Ver ficha')}</Button>}
+                            {onDelete && <Button variant="ghost" className="h-8 px-3 text-red-400" onClick={() => onDelete(e)}>{t('Eliminar')}</Button>}
+                        </TableCell>
+                    </TableRow>
+                ))}
+            </TableBody>
+        </Table>
+    );
+};
+
+// 19. Registro de eventos de mantenimiento por línea y máquina
+const MAINTENANCE_HISTORY_DAYS = 365;
+
+function MaintenanceView({ repository, user, plantConfig, onOpenMachine, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDate } = i18n;
+    const [date, setDate] = useState(todayIso());
+    const [line, setLine] = useState(plantConfig.lines[0]?.id);
+    const [target, setTarget] = useState('womack');
+    const [type, setType] = useState('preventive');
+    const [downtime, setDowntime] = useState('');
+    const [description, setDescription] = useState('');
+    const [errors, setErrors] = useState({});
+    const [message, setMessage] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
+    const canDelete = hasRole(user, 'supervisor');
+
+    useEffect(() => {
+        if (!getLine(plantConfig, line) && plantConfig.lines[0]) setLine(plantConfig.lines[0].id);
+    }, [plantConfig, line]);
+
+    const today = todayIso();
+    const events = useEntryWindow(repository, 'maintenanceEvents', shiftIsoDate(today, -MAINTENANCE_HISTORY_DAYS), today).entries;
+    const machines = getLine(plantConfig, line)?.machines || [];
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        if (!db) {
-            setMessage('Error: No se ha podido conectar con la base de datos.');
-            setTimeout(() => setMessage(''), 3000);
-            return;
-        }
-        if (!date || !line || !water || !oilTotal || !oilPartial) {
-            setMessage('Error: Todos los campos son obligatorios.');
-            setTimeout(() => setMessage(''), 3000);
+        const validationErrors = withoutEmpty({
+            date: validateDate(i18n, date),
+            downtime: validateNumber(i18n, downtime, { min: 0 }, 2),
+            description: description.trim() ? null : t('Campo obligatorio.'),
+        });
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) {
+            setMessage(errorStatus(t('Error: Revisa los campos marcados.')));
+            setTimeout(() => setMessage(null), 3000);
             return;
         }
+        const entry = {
+            date,
+            line: Number(line),
+            machineId: target === 'womack' ? null : Number(target),
+            type,
+            description: description.trim(),
+            downtimeHours: Number(downtime),
+            createdAt: new Date().toISOString(),
+            createdBy: authorOf(user),
+        };
         setIsLoading(true);
         try {
-            const womackCollection = collection(db, `artifacts/${appId}/public/data/womackEntries`);
-            await addDoc(womackCollection, {
-                date,
-                line: Number(line),
-                waterConsumption: Number(water),
-                oilConsumptionTotal: Number(oilTotal),
-                oilConsumptionPartial: Number(oilPartial),
-                createdAt: new Date().toISOString(),
-            });
-            setMessage('¡Registro guardado con éxito!');
-            // Limpiar formulario
-            setWater('');
-            setOilTotal('');
-            setOilPartial('');
+            await repository.upsert(user, 'maintenanceEvents', { docId: maintenanceEventKey(entry), entry });
+            setMessage(successStatus(t('¡Evento registrado con éxito!')));
+            setDowntime('');
+            setDescription('');
         } catch (error) {
-            console.error("Error al guardar el registro:", error);
-            setMessage('Error al guardar. Inténtalo de nuevo.');
+            console.error("Error al registrar el evento:", error);
+            setMessage(errorStatus(t(isOfflineError(error) ? 'Error: Sin conexión. Los eventos de mantenimiento necesitan conexión para guardarse.' : 'Error al guardar. Inténtalo de nuevo.')));
         } finally {
             setIsLoading(false);
-            setTimeout(() => setMessage(''), 3000);
+            setTimeout(() => setMessage(null), 3000);
         }
     };
-    
-    const filteredData = useMemo(() => {
-        return [...data]
-          .filter(d => d.line === line)
-          .sort((a,b) => new Date(b.date) - new Date(a.date))
-          .slice(0, 10);
-    }, [data, line]);
+
+    const handleDelete = async (event) => {
+        if (!window.confirm(t('¿Eliminar el evento del {date} ({target})?', { date: formatDate(event.date), target: maintenanceTargetName(i18n, plantConfig, event) }))) return;
+        try {
+            await repository.remove(user, 'maintenanceEvents', event);
+            setMessage(successStatus(t('Evento eliminado.')));
+        } catch (error) {
+            console.error("Error al eliminar el evento:", error);
+            setMessage(errorStatus(t('Error al eliminar. Inténtalo de nuevo.')));
+        } finally {
+            setTimeout(() => setMessage(null), 3000);
+        }
+    };
+
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
 
     return (
         <div className="space-y-8">
-            <Button onClick={onBack} variant="secondary">← Volver al Panel</Button>
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
             <Card>
                 <CardHeader>
-                    <CardTitle>Control Diario de Womack</CardTitle>
-                    <CardDescription>Introduce los consumos diarios de agua y aceite.</CardDescription>
+                    <CardTitle>{t('Registro de Mantenimiento')}</CardTitle>
+                    <CardDescription>{t('Anota los cambios de retenes, reparaciones y demás intervenciones para explicar los cambios de consumo.')}</CardDescription>
                 </CardHeader>
                 <CardContent>
-                    <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                    <form onSubmit={handleSubmit} noValidate className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                        <div className="space-y-2">
+                            <Label htmlFor="maintenanceDate">{t('Fecha')}</Label>
+                            <Input id="maintenanceDate" type="date" max={today} className={fieldStateClass(errors.date)} value={date} onChange={e => setDate(e.target.value)} />
+                            <FieldMessage error={errors.date} />
+                        </div>
                         <div className="space-y-2">
-                            <Label htmlFor="date">Fecha</Label>
-                            <Input id="date" type="date" value={date} onChange={e => setDate(e.target.value)} />
+                            <Label htmlFor="line">{t('Línea')}</Label>
+                            <LineSelect lines={plantConfig.lines} value={line} onChange={value => { setLine(value); setTarget('womack'); }} />
                         </div>
                         <div className="space-y-2">
-                            <Label htmlFor="line">Línea</Label>
-                             <select id="line" value={line} onChange={e => setLine(Number(e.target.value))} className="flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
-                                <option value={1}>Línea 1</option>
-                                <option value={2}>Línea 2</option>
+                            <Label htmlFor="maintenanceTarget">{t('Equipo')}</Label>
+                            <select id="maintenanceTarget" value={target} onChange={e => setTarget(e.target.value)} className={selectClassName}>
+                                <option value="womack">{t('Womack')}</option>
+                                {machines.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
                             </select>
                         </div>
                         <div className="space-y-2">
-                            <Label htmlFor="water">Consumo Agua</Label>
-                            <Input id="water" type="number" placeholder="Ej: 150" value={water} onChange={e => setWater(e.target.value)} />
+                            <Label htmlFor="maintenanceType">{t('Tipo')}</Label>
+                            <select id="maintenanceType" value={type} onChange={e => setType(e.target.value)} className={selectClassName}>
+                                {Object.entries(MAINTENANCE_TYPES).map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+                            </select>
                         </div>
                         <div className="space-y-2">
-                            <Label htmlFor="oilTotal">Consumo Aceite Total</Label>
-                            <Input id="oilTotal" type="number" placeholder="Ej: 50" value={oilTotal} onChange={e => setOilTotal(e.target.value)} />
+                            <Label htmlFor="maintenanceDowntime">{t('Parada (horas)')}</Label>
+                            <Input id="maintenanceDowntime" type="number" step="any" min="0" placeholder={t('Ej: 1.5')} className={fieldStateClass(errors.downtime)} value={downtime} onChange={e => setDowntime(e.target.value)} />
+                            <FieldMessage error={errors.downtime} />
                         </div>
                         <div className="space-y-2">
-                            <Label htmlFor="oilPartial">Consumo Aceite Parcial</Label>
-                            <Input id="oilPartial" type="number" placeholder="Ej: 25" value={oilPartial} onChange={e => setOilPartial(e.target.value)} />
+                            <Label htmlFor="maintenanceDescription">{t('Descripción')}</Label>
+                            <Input id="maintenanceDescription" type="text" placeholder={t('Ej: Cambio de retén del pistón')} className={fieldStateClass(errors.description)} value={description} onChange={e => setDescription(e.target.value)} />
+                            <FieldMessage error={errors.description} />
                         </div>
-                        <div className="md:col-span-2 lg:col-span-1 flex items-end">
-                            <Button type="submit" className="w-full h-10" disabled={isLoading}>{isLoading ? 'Guardando...' : 'Guardar Registro'}</Button>
+                        <div className="md:col-span-2 lg:col-span-3 flex justify-end">
+                            <Button type="submit" className="h-10 px-8" disabled={isLoading}>{t(isLoading ? 'Guardando...' : 'Registrar Evento')}</Button>
                         </div>
                     </form>
-                    {message && <p className={`mt-4 text-center text-sm ${message.includes('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>}
+                    <StatusMessage status={message} className="mt-4" />
                 </CardContent>
             </Card>
 
             <Card>
                 <CardHeader>
-                    <CardTitle>Historial Reciente (Línea {line})</CardTitle>
+                    <CardTitle>{t('Eventos del Último Año')}</CardTitle>
                 </CardHeader>
                 <CardContent>
-                     <Table>
-                        <TableHeader>
-                            <TableRow>
-                                <TableHead>Fecha</TableHead>
-                                <TableHead>Agua</TableHead>
-                                <TableHead>Aceite Total</TableHead>
-                                <TableHead>Aceite Parcial</TableHead>
-                            </TableRow>
-                        </TableHeader>
-                        <TableBody>
-                            {filteredData.map(d => (
-                                <TableRow key={d.id}>
-                                    <TableCell>{new Date(d.date+'T00:00:00').toLocaleDateString('es-ES', {timeZone: 'UTC'})}</TableCell>
-                                    <TableCell>{d.waterConsumption}</TableCell>
-                                    <TableCell>{d.oilConsumptionTotal}</TableCell>
-                                    <TableCell>{d.oilConsumptionPartial}</TableCell>
-                                </TableRow>
-                            ))}
-                        </TableBody>
-                    </Table>
+                    <MaintenanceTable events={events} plantConfig={plantConfig} onOpenMachine={onOpenMachine} onDelete={canDelete ? handleDelete : undefined} />
                 </CardContent>
             </Card>
         </div>
     );
 }
 
-// 3. Componente para el control de las Bodymakers
-function BodymakerControl({ db, data, onBack }) {
-    const getMonday = (d) => {
-        d = new Date(d);
-        const day = d.getDay(),
-            diff = d.getDate() - day + (day === 0 ? -6 : 1); // adjust when day is sunday
-        return new Date(d.setDate(diff));
-    };
+// 20. Ficha de un equipo (Womack de una línea o bodymaker): consumo con los eventos de mantenimiento
+// marcados y comparación del consumo medio antes y después de cada evento. En los bodymakers, además, su
+// media móvil y su comparativa con las demás máquinas de la línea y con sus homólogas de las otras líneas
+const MACHINE_DETAIL_RANGES = [90, 180, 365, 0];
+// Inicio de «Todo el histórico» (rango 0): anterior a cualquier registro.
+const FULL_HISTORY_FROM = '2000-01-01';
 
-    const [week, setWeek] = useState(getMonday(new Date()).toISOString().split('T')[0]);
-    const [line, setLine] = useState(1);
-    const [message, setMessage] = useState('');
-    const [isLoading, setIsLoading] = useState(false);
-    
-    const machines = useMemo(() => (line === 1 ? Array.from({ length: 8 }, (_, i) => 11 + i) : Array.from({ length: 8 }, (_, i) => 21 + i)), [line]);
-    
-    const [consumptions, setConsumptions] = useState(
-        machines.reduce((acc, machineId) => ({ ...acc, [machineId]: '' }), {})
+const MACHINE_DETAIL_METRICS = {
+    womack: [
+        { id: 'water', label: 'Agua', unit: 'm³', field: 'waterConsumption', kind: 'water' },
+        { id: 'oil', label: 'Aceite', unit: 'L', field: 'oilConsumptionTotal', kind: 'oil' },
+    ],
+    bodymaker: [{ id: 'oil', label: 'Aceite', unit: 'L', kind: 'bodymaker' }],
+};
+
+// Dato resumen de la comparativa de un bodymaker: un valor o un cambio porcentual (en rojo si consume más).
+const BenchmarkStat = ({ label, value, change }) => {
+    const { formatChange } = useI18n();
+    return (
+        <div className="rounded-md border border-gray-700 p-3 space-y-1">
+            <p className="text-sm text-gray-400">{label}</p>
+            {change === undefined
+                ? <p className="text-xl font-bold">{value}</p>
+                : <p className={`text-xl font-bold ${change < 0 ? 'text-green-400' : change > 0 ? 'text-red-400' : ''}`}>{formatChange(change)}</p>}
+        </div>
     );
+};
 
-    useEffect(() => {
-        setConsumptions(machines.reduce((acc, machineId) => ({ ...acc, [machineId]: '' }), {}));
-    }, [line, machines]);
+function MachineDetailView({ repository, plantConfig, target, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDate, formatNumber, formatAlertValue, formatChange } = i18n;
+    const [line, setLine] = useState(target?.line ?? plantConfig.lines[0]?.id);
+    const [machineId, setMachineId] = useState(target?.machineId ?? null);
+    const [days, setDays] = useState(180);
 
+    const isWomack = machineId === null;
+    const kind = isWomack ? 'womack' : 'bodymaker';
+    const today = todayIso();
+    const from = days ? shiftIsoDate(today, -(days - 1)) : FULL_HISTORY_FROM;
+    // Se cargan periodos de más para poder promediar antes de los primeros eventos del rango.
+    const dataFrom = shiftIsoDate(from, -7 * MAINTENANCE_IMPACT_PERIODS.bodymaker);
+    const womackWindow = useEntryWindow(isWomack ? repository : null, 'womackEntries', dataFrom, today);
+    const bodymakerWindow = useEntryWindow(isWomack ? null : repository, 'bodymakerEntries', dataFrom, today);
+    const maintenanceData = useEntryWindow(repository, 'maintenanceEvents', from, today).entries;
 
-    const handleConsumptionChange = (machineId, value) => {
-        setConsumptions(prev => ({ ...prev, [machineId]: value }));
-    };
+    const lineConfig = getLine(plantConfig, line);
+    const lineMachines = useMemo(() => lineConfig?.machines || [], [lineConfig]);
+    const bodymakerEntries = useMemo(() => bodymakerWindow.entries.map(canonicalBodymakerEntry), [bodymakerWindow.entries]);
+    const metrics = MACHINE_DETAIL_METRICS[kind];
+    const series = useMemo(() => Object.fromEntries(metrics.map(metric => [metric.id, isWomack
+        ? womackSeries(womackWindow.entries.map(canonicalWomackEntry), line, metric.field)
+        : bodymakerSeries(bodymakerEntries, machineId)])),
+    [metrics, isWomack, womackWindow.entries, bodymakerEntries, line, machineId]);
 
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        if (!db) {
-            setMessage('Error: No se ha podido conectar con la base de datos.');
-            setTimeout(() => setMessage(''), 3000);
-            return;
-        }
-        const readings = Object.entries(consumptions)
-            .map(([machineId, consumption]) => ({
-                machineId: Number(machineId),
-                consumption: Number(consumption)
-            }))
-            .filter(r => r.consumption > 0);
+    // Series de referencia del bodymaker: su media móvil, la mediana de su línea y sus homólogos.
+    const counterparts = useMemo(() => (isWomack ? [] : counterpartMachines(plantConfig, line, machineId)), [isWomack, plantConfig, line, machineId]);
+    const rollingLabel = t('Media móvil ({weeks} sem.)', { weeks: ROLLING_AVERAGE_WEEKS });
+    const references = useMemo(() => (isWomack ? [] : [
+        { key: rollingLabel, series: rollingAverage(series.oil, ROLLING_AVERAGE_WEEKS), color: lineColor('bodymaker', 0), dashed: true },
+        { key: t('Mediana de la línea'), series: medianSeries(bodymakerEntries, lineMachines), color: '#A0AEC0', dashed: true },
+        ...counterparts.map((m, i) => ({ key: m.name, series: bodymakerSeries(bodymakerEntries, m.id), color: lineColor('bodymaker', i + 1) })),
+    ]), [isWomack, rollingLabel, series, bodymakerEntries, lineMachines, counterparts, t]);
+    const ranking = useMemo(() => (isWomack ? [] : bodymakerRanking(bodymakerEntries, lineMachines, from)), [isWomack, bodymakerEntries, lineMachines, from]);
 
-        if (!week || readings.length === 0) {
-            setMessage('Error: Debes seleccionar una semana e introducir al menos un consumo.');
-            setTimeout(() => setMessage(''), 3000);
-            return;
-        }
-        setIsLoading(true);
-        try {
-            const bodymakerCollection = collection(db, `artifacts/${appId}/public/data/bodymakerEntries`);
-            await addDoc(bodymakerCollection, {
-                weekStartDate: week,
-                line: Number(line),
-                readings: readings,
-                createdAt: new Date().toISOString(),
-            });
-            setMessage('¡Registros semanales guardados con éxito!');
-            setConsumptions(machines.reduce((acc, machineId) => ({ ...acc, [machineId]: '' }), {}));
-        } catch (error) {
-            console.error("Error al guardar registros:", error);
-            setMessage('Error al guardar. Inténtalo de nuevo.');
-        } finally {
-            setIsLoading(false);
-            setTimeout(() => setMessage(''), 3000);
-        }
-    };
+    const events = useMemo(() => maintenanceData
+        .filter(e => e.line === line && (e.machineId ?? null) === machineId)
+        .sort((a, b) => a.date.localeCompare(b.date)), [maintenanceData, line, machineId]);
+
+    const aggregation = isWomack ? 'day' : 'week';
+    const periodOf = (date) => (isWomack ? date : weekStartOf(date));
+    const chartData = useMemo(() => {
+        // Con todo el histórico, el gráfico empieza en la primera lectura del equipo.
+        const firstDate = days ? from : metrics.map(metric => series[metric.id][0]?.date).filter(Boolean).sort()[0] || today;
+        const rows = Object.fromEntries(bucketKeys(isWomack ? firstDate : weekStartOf(firstDate), today, aggregation).map(key => [key, { name: bucketLabel(i18n, key, aggregation) }]));
+        metrics.forEach(metric => series[metric.id].forEach(p => {
+            if (rows[p.date]) rows[p.date][t(metric.label)] = p.value;
+        }));
+        references.forEach(reference => reference.series.forEach(p => {
+            if (rows[p.date]) rows[p.date][reference.key] = p.value;
+        }));
+        return Object.values(rows);
+    }, [metrics, series, references, isWomack, days, from, today, aggregation, i18n, t]);
+    const markers = maintenanceMarkers(events, periodOf, key => bucketLabel(i18n, key, aggregation));
 
-    const filteredData = useMemo(() => {
-        return [...data]
-          .filter(d => d.line === line)
-          .sort((a,b) => new Date(b.weekStartDate) - new Date(a.weekStartDate))
-          .slice(0, 5);
-    }, [data, line]);
+    const current = ranking.find(r => r.machine.id === machineId);
+    const rolling = references[0]?.series.slice(-1)[0]?.value ?? null;
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+    const periodsLabel = periodCountLabel(i18n, MAINTENANCE_IMPACT_PERIODS[kind], isWomack ? 1 : 7);
 
     return (
         <div className="space-y-8">
-            <Button onClick={onBack} variant="secondary">← Volver al Panel</Button>
+            <Button onClick={onBack} variant="secondary">← {t('Volver')}</Button>
             <Card>
                 <CardHeader>
-                    <CardTitle>Control Semanal de Bodymakers</CardTitle>
-                    <CardDescription>Introduce los consumos de aceite para cada máquina de la línea.</CardDescription>
+                    <CardTitle>{t('Ficha de {target}', { target: maintenanceTargetName(i18n, plantConfig, { line, machineId }) })}</CardTitle>
+                    <CardDescription>{t(isWomack ? 'Consumo diario con los eventos de mantenimiento marcados con 🔧.' : 'Consumo semanal con los eventos de mantenimiento marcados con 🔧.')}</CardDescription>
                 </CardHeader>
-                <CardContent>
-                    <form onSubmit={handleSubmit} className="space-y-6">
-                        <div className="flex flex-col md:flex-row gap-6">
-                            <div className="space-y-2 flex-1">
-                                <Label htmlFor="week">Inicio de Semana (Lunes)</Label>
-                                <Input id="week" type="date" value={week} onChange={e => setWeek(getMonday(e.target.value).toISOString().split('T')[0])} />
-                            </div>
-                            <div className="space-y-2 flex-1">
-                                <Label htmlFor="line">Línea</Label>
-                                <select id="line" value={line} onChange={e => setLine(Number(e.target.value))} className="flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
-                                    <option value={1}>Línea 1 (BM 11-18)</option>
-                                    <option value={2}>Línea 2 (BM 21-28)</option>
-                                </select>
-                            </div>
+                <CardContent className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="line">{t('Línea')}</Label>
+                            <LineSelect lines={plantConfig.lines} value={line} onChange={value => { setLine(value); setMachineId(null); }} />
                         </div>
-
-                        <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-8 gap-4">
-                            {machines.map(machineId => (
-                                <div key={machineId} className="space-y-2">
-                                    <Label htmlFor={`bm-${machineId}`}>BM {machineId}</Label>
-                                    <Input
-                                        id={`bm-${machineId}`}
-                                        type="number"
-                                        placeholder="Litros"
-                                        value={consumptions[machineId] || ''}
-                                        onChange={(e) => handleConsumptionChange(machineId, e.target.value)}
-                                    />
-                                </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="machineDetailTarget">{t('Equipo')}</Label>
+                            <select id="machineDetailTarget" value={machineId ?? 'womack'} onChange={e => setMachineId(e.target.value === 'womack' ? null : Number(e.target.value))} className={selectClassName}>
+                                <option value="womack">{t('Womack')}</option>
+                                {(lineConfig?.machines || []).map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                            </select>
+                        </div>
+                        <div className="space-y-2">
+                            <Label htmlFor="machineDetailRange">{t('Periodo')}</Label>
+                            <select id="machineDetailRange" value={days} onChange={e => setDays(Number(e.target.value))} className={selectClassName}>
+                                {MACHINE_DETAIL_RANGES.map(d => <option key={d} value={d}>{d ? t('Últimos {count} días', { count: d }) : t('Todo el histórico')}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                    <ResponsiveContainer width="100%" height={320}>
+                        <LineChart data={chartData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                            <XAxis dataKey="name" stroke="#A0AEC0" />
+                            <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                            <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatNumber} />
+                            <Legend />
+                            {maintenanceMarkerLines(markers)}
+                            {metrics.map(metric => (
+                                <Line key={metric.id} type="monotone" dataKey={t(metric.label)} stroke={lineColor(metric.kind, 0)} connectNulls />
                             ))}
+                            {references.map(reference => (
+                                <Line key={reference.key} type="monotone" dataKey={reference.key} stroke={reference.color} strokeDasharray={reference.dashed ? '5 5' : undefined} dot={false} connectNulls />
+                            ))}
+                        </LineChart>
+                    </ResponsiveContainer>
+                </CardContent>
+            </Card>
+
+            {!isWomack && (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Comparativa con la Línea')}</CardTitle>
+                        <CardDescription>{t('Consumo semanal medio de cada bodymaker de {line} en el periodo, de mayor a menor: las primeras posiciones son las candidatas a revisar antes.', { line: lineConfig?.name || t('Línea {line}', { line }) })}</CardDescription>
+                    </CardHeader>
+                    <CardContent className="space-y-6">
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            <BenchmarkStat label={t('Puesto en la línea')} value={current ? t('{rank} de {total}', { rank: current.rank, total: ranking.length }) : '–'} />
+                            <BenchmarkStat label={t('Media semanal (L)')} value={current ? formatAlertValue(current.mean) : '–'} />
+                            <BenchmarkStat label={`${rollingLabel} (L)`} value={rolling === null ? '–' : formatAlertValue(rolling)} />
+                            <BenchmarkStat label={t('Frente a la mediana')} change={current?.deviation ?? null} />
+                            {counterparts.map(m => {
+                                const counterpartMean = weeklyMean(bodymakerEntries, m.id, from);
+                                return <BenchmarkStat key={m.id} label={t('Frente a {machine}', { machine: m.name })} change={current && counterpartMean !== null ? percentChange(current.mean, counterpartMean) : null} />;
+                            })}
                         </div>
+                        {ranking.length === 0 ? (
+                            <p className="text-sm text-gray-400">{t('No hay lecturas de los bodymakers de esta línea en el periodo.')}</p>
+                        ) : (
+                            <Table>
+                                <TableHeader>
+                                    <TableRow>
+                                        <TableHead>{t('Puesto')}</TableHead>
+                                        <TableHead>{t('Máquina')}</TableHead>
+                                        <TableHead>{t('Media semanal (L)')}</TableHead>
+                                        <TableHead>{t('Frente a la mediana')}</TableHead>
+                                        <TableHead className="text-right">{t('Acciones')}</TableHead>
+                                    </TableRow>
+                                </TableHeader>
+                                <TableBody>
+                                    {ranking.map(r => (
+                                        <TableRow key={r.machine.id} className={r.machine.id === machineId ? 'bg-gray-700/50' : ''}>
+                                            <TableCell>{r.rank}</TableCell>
+                                            <TableCell>{r.machine.name}</TableCell>
+                                            <TableCell>{formatAlertValue(r.mean)}</TableCell>
+                                            <TableCell className={r.deviation < 0 ? 'text-green-400' : r.deviation > 0 ? 'text-red-400' : ''}>{formatChange(r.deviation)}</TableCell>
+                                            <TableCell className="text-right">
+                                                {r.machine.id !== machineId && <Button variant="ghost" className="h-8 px-3" onClick={() => setMachineId(r.machine.id)}>{t('Ver ficha')}</Button>}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
 
-                        <div className="flex justify-end">
-                            <Button type="submit" className="w-full md:w-auto h-10 px-8" disabled={isLoading}>{isLoading ? 'Guardando...' : 'Guardar Semana'}</Button>
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Consumo Antes y Después de Cada Evento')}</CardTitle>
+                    <CardDescription>{t(isWomack
+                        ? 'Media de {periods} con lectura a cada lado del evento, sin contar el día del propio evento.'
+                        : 'Media de {periods} con lectura a cada lado del evento, sin contar la semana del propio evento.', { periods: periodsLabel })}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    {events.length === 0 ? (
+                        <p className="text-sm text-gray-400">{t('No hay eventos de mantenimiento de este equipo en el periodo.')}</p>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Fecha')}</TableHead>
+                                    <TableHead>{t('Tipo')}</TableHead>
+                                    <TableHead>{t('Parada (h)')}</TableHead>
+                                    {metrics.map(metric => (
+                                        <React.Fragment key={metric.id}>
+                                            <TableHead>{t('{metric} antes ({unit})', { metric: t(metric.label), unit: metric.unit })}</TableHead>
+                                            <TableHead>{t('{metric} después ({unit})', { metric: t(metric.label), unit: metric.unit })}</TableHead>
+                                            <TableHead>{t('Cambio')}</TableHead>
+                                        </React.Fragment>
+                                    ))}
+                                </TableRow>
+                            </TableHeader>
+                            <TableBody>
+                                {events.map(e => (
+                                    <TableRow key={e.id}>
+                                        <TableCell className="whitespace-nowrap">
+                                            {formatDate(e.date)}
+                                            <span className="block text-xs text-gray-500">{e.description}</span>
+                                        </TableCell>
+                                        <TableCell>{MAINTENANCE_TYPES[e.type] ? t(MAINTENANCE_TYPES[e.type]) : e.type}</TableCell>
+                                        <TableCell>{formatNumber(e.downtimeHours)}</TableCell>
+                                        {metrics.map(metric => {
+                                            const impact = maintenanceImpact(series[metric.id], periodOf(e.date), MAINTENANCE_IMPACT_PERIODS[kind]);
+                                            return (
+                                                <React.Fragment key={metric.id}>
+                                                    <TableCell>{impact.before === null ? '–' : formatAlertValue(impact.before)}</TableCell>
+                                                    <TableCell>{impact.after === null ? '–' : formatAlertValue(impact.after)}</TableCell>
+                                                    <TableCell className={impact.change < 0 ? 'text-green-400' : impact.change > 0 ? 'text-red-400' : ''}>{formatChange(impact.change)}</TableCell>
+                                                </React.Fragment>
+                                            );
+                                        })}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    )}
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
+
+// 21. Comparativa entre plantas: los gráficos del panel con una serie por planta en lugar de por línea
+const PLANT_COMPARISON_DEFAULTS = { range: DASHBOARD_DEFAULTS.range, from: '', to: '', agg: DASHBOARD_DEFAULTS.agg };
+
+// Totales del rango de una planta y sus KPI. Los consumos deben estar en unidades canónicas.
+const plantComparisonSummary = ({ womack, bodymaker, production, bodymakerProduction }) => {
+    const sum = (items, value) => items.reduce((acc, item) => acc + value(item), 0);
+    const womackPairs = womackKpiPairs(womack, production);
+    const bodymakerPairs = bodymakerKpiPairs(bodymaker, bodymakerProduction);
+    return {
+        water: sum(womack, d => d.waterConsumption),
+        womackOil: sum(womack, d => d.oilConsumptionTotal),
+        bodymakerOil: sum(bodymaker, d => sum(d.readings, r => r.consumption)),
+        cans: sum(production, p => Number(p.cans) || 0),
+        kpis: {
+            water: kpiOf(womackPairs, 'water'),
+            womackOil: kpiOf(womackPairs, 'womackOil'),
+            bodymakerOil: kpiOf(bodymakerPairs, 'bodymakerOil'),
+        },
+    };
+};
+
+function PlantComparisonView({ plants, repositoryOf, onBack }) {
+    const i18n = useI18n();
+    const { t, formatDate, formatNumber, formatKpi } = i18n;
+    const [params, setParams] = useUrlParams(PLANT_COMPARISON_DEFAULTS);
+    const { from, to } = resolveDateRange(params);
+    const aggregation = AGGREGATION_LABELS[params.agg] ? params.agg : PLANT_COMPARISON_DEFAULTS.agg;
+    const rangeLabel = params.range === 'custom'
+        ? `${formatDate(from)} – ${formatDate(to)}`
+        : t(DASHBOARD_RANGES.find(r => r.id === params.range)?.label || DASHBOARD_RANGES[0].label);
+
+    const repositories = useMemo(() => plants.map(p => repositoryOf(p.id)), [plants, repositoryOf]);
+    const womackWindows = useEntryWindows(repositories, 'womackEntries', from, to);
+    const bodymakerWindows = useEntryWindows(repositories, 'bodymakerEntries', from, to);
+    const productionWindows = useEntryWindows(repositories, 'productionEntries', from, to);
+    const bodymakerProductionWindows = useEntryWindows(repositories, 'bodymakerProductionEntries', from, to);
+
+    const plantData = useMemo(() => plants.map((plant, i) => ({
+        plant,
+        womack: womackWindows[i].entries.map(canonicalWomackEntry),
+        bodymaker: bodymakerWindows[i].entries.map(canonicalBodymakerEntry),
+        production: productionWindows[i].entries,
+        bodymakerProduction: bodymakerProductionWindows[i].entries,
+    })), [plants, womackWindows, bodymakerWindows, productionWindows, bodymakerProductionWindows]);
+    const summaries = useMemo(() => plantData.map(data => ({ plant: data.plant, ...plantComparisonSummary(data) })), [plantData]);
+
+    const womackChartData = useMemo(() => {
+        const rows = Object.fromEntries(bucketKeys(from, to, aggregation).map(key => [key, { name: bucketLabel(i18n, key, aggregation) }]));
+        plantData.forEach(({ plant, womack }) => womack.forEach(d => {
+            const row = rows[bucketKey(d.date, aggregation)];
+            if (!row) return;
+            const water = `${t('Agua')} ${plant.name}`;
+            const oil = `${t('Aceite')} ${plant.name}`;
+            row[water] = (row[water] || 0) + d.waterConsumption;
+            row[oil] = (row[oil] || 0) + d.oilConsumptionTotal;
+        }));
+        return Object.values(rows);
+    }, [plantData, from, to, aggregation, i18n, t]);
+
+    const womackKpiData = useMemo(() => {
+        const rows = Object.fromEntries(bucketKeys(from, to, aggregation).map(key => [key, { name: bucketLabel(i18n, key, aggregation) }]));
+        plantData.forEach(({ plant, womack, production }) => {
+            const pairsByKey = {};
+            womackKpiPairs(womack, production).forEach(p => {
+                const key = bucketKey(p.date, aggregation);
+                pairsByKey[key] = [...(pairsByKey[key] || []), p];
+            });
+            Object.entries(pairsByKey).forEach(([key, pairs]) => {
+                if (!rows[key]) return;
+                rows[key][`${t('Agua')} ${plant.name}`] = kpiOf(pairs, 'water');
+                rows[key][`${t('Aceite')} ${plant.name}`] = kpiOf(pairs, 'womackOil');
+            });
+        });
+        return Object.values(rows);
+    }, [plantData, from, to, aggregation, i18n, t]);
+
+    const bodymakerKpiData = summaries
+        .map(({ plant, kpis }, i) => ({ name: plant.name, kpi: kpis.bodymakerOil, color: lineColor('bodymaker', i) }))
+        .filter(row => row.kpi !== null);
+
+    const isLoading = [womackWindows, bodymakerWindows, productionWindows, bodymakerProductionWindows].some(windows => windows.some(w => w.loading));
+    const selectClassName = "flex h-10 w-full rounded-md border border-gray-600 bg-gray-900 px-3 py-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+    return (
+        <div className="space-y-8">
+            <Button onClick={onBack} variant="secondary">← {t('Volver al Panel')}</Button>
+            <div>
+                <h2 className="text-3xl font-bold text-white">{t('Comparativa entre Plantas')}</h2>
+                <p className="text-gray-400">{t('Consumos y consumo específico de cada planta a la que tienes acceso.')}</p>
+            </div>
+
+            <Card>
+                <CardContent>
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="comparisonRange">{t('Periodo')}</Label>
+                            <select id="comparisonRange" value={params.range} onChange={e => setParams({ range: e.target.value, ...(e.target.value === 'custom' ? { from, to } : { from: '', to: '' }) })} className={selectClassName}>
+                                {DASHBOARD_RANGES.map(r => <option key={r.id} value={r.id}>{t(r.label)}</option>)}
+                            </select>
                         </div>
-                    </form>
-                    {message && <p className={`mt-4 text-center text-sm ${message.includes('Error') ? 'text-red-400' : 'text-green-400'}`}>{message}</p>}
+                        <div className="space-y-2">
+                            <Label htmlFor="comparisonAggregation">{t('Agrupar por')}</Label>
+                            <select id="comparisonAggregation" value={aggregation} onChange={e => setParams({ agg: e.target.value })} className={selectClassName}>
+                                {Object.entries(AGGREGATION_LABELS).map(([id, label]) => <option key={id} value={id}>{t(label)}</option>)}
+                            </select>
+                        </div>
+                        {params.range === 'custom' && (
+                            <>
+                                <div className="space-y-2">
+                                    <Label htmlFor="comparisonFrom">{t('Desde')}</Label>
+                                    <Input id="comparisonFrom" type="date" value={from} onChange={e => setParams({ from: e.target.value })} />
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="comparisonTo">{t('Hasta')}</Label>
+                                    <Input id="comparisonTo" type="date" value={to} onChange={e => setParams({ to: e.target.value })} />
+                                </div>
+                            </>
+                        )}
+                    </div>
                 </CardContent>
             </Card>
 
-             <Card>
+            <Card>
                 <CardHeader>
-                    <CardTitle>Historial Semanal Reciente (Línea {line})</CardTitle>
+                    <CardTitle>{t('Resumen por Planta ({range})', { range: rangeLabel })}</CardTitle>
+                    <CardDescription>{t('Totales del periodo y consumo por millón de latas (solo días y semanas con producción registrada).')}</CardDescription>
                 </CardHeader>
                 <CardContent>
-                     <Table>
-                        <TableHeader>
-                            <TableRow>
-                                <TableHead>Semana de</TableHead>
-                                {machines.map(id => <TableHead key={id}>BM {id}</TableHead>)}
-                            </TableRow>
-                        </TableHeader>
-                        <TableBody>
-                            {filteredData.map(d => (
-                                <TableRow key={d.id}>
-                                    <TableCell>{new Date(d.weekStartDate+'T00:00:00').toLocaleDateString('es-ES', {timeZone: 'UTC'})}</TableCell>
-                                    {machines.map(machineId => {
-                                        const reading = d.readings.find(r => r.machineId === machineId);
-                                        return <TableCell key={machineId}>{reading ? reading.consumption : '–'}</TableCell>
-                                    })}
+                    {isLoading ? (
+                        <p className="text-sm text-gray-400">{t('Cargando datos...')}</p>
+                    ) : (
+                        <Table>
+                            <TableHeader>
+                                <TableRow>
+                                    <TableHead>{t('Planta')}</TableHead>
+                                    <TableHead>{t('Agua (m³)')}</TableHead>
+                                    <TableHead>{t('Aceite Womack (L)')}</TableHead>
+                                    <TableHead>{t('Aceite bodymakers (L)')}</TableHead>
+                                    <TableHead>{t('Latas')}</TableHead>
+                                    {Object.entries(KPI_DEFINITIONS).map(([kpi, { label, unit }]) => <TableHead key={kpi}>{t(label)} ({t(unit)})</TableHead>)}
                                 </TableRow>
-                            ))}
-                        </TableBody>
-                    </Table>
+                            </TableHeader>
+                            <TableBody>
+                                {summaries.map(({ plant, water, womackOil, bodymakerOil, cans, kpis }) => (
+                                    <TableRow key={plant.id}>
+                                        <TableCell className="font-medium">{plant.name}</TableCell>
+                                        <TableCell>{formatNumber(water)}</TableCell>
+                                        <TableCell>{formatNumber(womackOil)}</TableCell>
+                                        <TableCell>{formatNumber(bodymakerOil)}</TableCell>
+                                        <TableCell>{formatNumber(cans)}</TableCell>
+                                        {Object.keys(KPI_DEFINITIONS).map(kpi => <TableCell key={kpi}>{formatKpi(kpis[kpi])}</TableCell>)}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    )}
+                </CardContent>
+            </Card>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Consumo Womack por Planta ({range})', { range: rangeLabel })}</CardTitle>
+                        <CardDescription>{t('Agua y aceite total de todas las líneas de cada planta por {period}.', { period: t(AGGREGATION_LABELS[aggregation]).toLowerCase() })}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <LineChart data={womackChartData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                <XAxis dataKey="name" stroke="#A0AEC0" />
+                                <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatNumber} />
+                                <Legend />
+                                {plants.map((p, i) => (
+                                    <Line key={`water-${p.id}`} type="monotone" dataKey={`${t('Agua')} ${p.name}`} stroke={lineColor('water', i)} />
+                                ))}
+                                {plants.map((p, i) => (
+                                    <Line key={`oil-${p.id}`} type="monotone" dataKey={`${t('Aceite')} ${p.name}`} stroke={lineColor('oil', i)} />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{t('Womack por Millón de Latas ({range})', { range: rangeLabel })}</CardTitle>
+                        <CardDescription>{t('Agua (m³/M latas, eje izquierdo) y aceite total (L/M latas, eje derecho) de cada planta por {period}.', { period: t(AGGREGATION_LABELS[aggregation]).toLowerCase() })}</CardDescription>
+                    </CardHeader>
+                    <CardContent>
+                        <ResponsiveContainer width="100%" height={300}>
+                            <LineChart data={womackKpiData}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                                <XAxis dataKey="name" stroke="#A0AEC0" />
+                                <YAxis yAxisId="water" stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <YAxis yAxisId="oil" orientation="right" stroke="#A0AEC0" tickFormatter={formatNumber} />
+                                <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatKpi} />
+                                <Legend />
+                                {plants.map((p, i) => (
+                                    <Line key={`water-${p.id}`} yAxisId="water" type="monotone" dataKey={`${t('Agua')} ${p.name}`} stroke={lineColor('water', i)} connectNulls />
+                                ))}
+                                {plants.map((p, i) => (
+                                    <Line key={`oil-${p.id}`} yAxisId="oil" type="monotone" dataKey={`${t('Aceite')} ${p.name}`} stroke={lineColor('oil', i)} connectNulls />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </CardContent>
+                </Card>
+            </div>
+
+            <Card>
+                <CardHeader>
+                    <CardTitle>{t('Bodymakers por Millón de Latas ({range})', { range: rangeLabel })}</CardTitle>
+                    <CardDescription>{t('Aceite (L/M latas) de todos los bodymakers de cada planta en el periodo.')}</CardDescription>
+                </CardHeader>
+                <CardContent>
+                    <ResponsiveContainer width="100%" height={300}>
+                        <BarChart data={bodymakerKpiData}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="#4A5568" />
+                            <XAxis dataKey="name" stroke="#A0AEC0" />
+                            <YAxis stroke="#A0AEC0" tickFormatter={formatNumber} />
+                            <Tooltip contentStyle={{ backgroundColor: '#1A202C', border: '1px solid #4A5568' }} formatter={formatKpi} />
+                            <Bar dataKey="kpi" name={t('L/M latas')}>
+                                {bodymakerKpiData.map(row => <Cell key={row.name} fill={row.color} />)}
+                            </Bar>
+                        </BarChart>
+                    </ResponsiveContainer>
                 </CardContent>
             </Card>
         </div>
@@ -522,93 +7517,261 @@ function BodymakerControl({ db, data, onBack }) {
 
 // Componente principal que renderiza toda la aplicación
 export default function App() {
-    const { db, user, isAuthReady, error } = useFirebaseAuth();
-    const [view, setView] = useState('dashboard');
-    const [womackData, setWomackData] = useState([]);
-    const [bodymakerData, setBodymakerData] = useState([]);
-    const [loading, setLoading] = useState(true);
-
-    // Efecto para cargar los datos de Womack desde Firestore en tiempo real
-    useEffect(() => {
-        if (!isAuthReady || !db) {
-            if(isAuthReady) setLoading(false);
-            return;
+    const { auth, db, user: authUser, isAuthReady, error } = useFirebaseAuth();
+    // A partir de aquí `user` es el perfil de Firestore (uid, nombre, correo y rol).
+    const profile = useUserProfile(db, authUser);
+    const user = LOCAL_DATA_SOURCE ? DEMO_PROFILE : profile;
+    const isSignedIn = isAuthReady && !!user;
+    // El idioma llega a las vistas por `I18nContext` (ver más abajo); al cambiarlo no se pierde lo que estaba escrito.
+    const [language, selectLanguage] = useLanguage(db, user);
+    const i18n = useMemo(() => createI18n(language), [language]);
+    const { t } = i18n;
+    useEffect(() => { document.documentElement.lang = language; }, [language]);
+    // Plantas a las que tiene acceso el usuario y planta activa, elegida en la cabecera.
+    const { plants: allPlants, loading: plantsLoading } = usePlants(db, isSignedIn);
+    const plants = useMemo(() => accessiblePlants(user, allPlants), [user, allPlants]);
+    const [plantId, selectPlant] = useSelectedPlant(plants);
+    // Un repositorio por planta, creado la primera vez que se usa y reutilizado después para que la
+    // caché de suscripciones siga sirviendo al volver a una planta.
+    const repositoryOf = useMemo(() => {
+        const repositories = new Map();
+        return (id) => {
+            if (!repositories.has(id)) {
+                repositories.set(id, LOCAL_DATA_SOURCE ? createLocalRepository({ plantId: id }) : createFirestoreRepository(db, id));
+            }
+            return repositories.get(id);
         };
+    }, [db]);
+    const repository = (LOCAL_DATA_SOURCE || db) && plantId ? repositoryOf(plantId) : null;
+    const plantConfig = usePlantConfig(db, plantId, isSignedIn);
+    const offlineQueue = useOfflineQueue(repository, user, plantId);
+    const thresholds = useThresholds(db, plantId, isSignedIn);
+    const alertAcks = useAlertAcks(db, plantId, isSignedIn);
+    const validationRules = useValidationRules(db, plantId, isSignedIn);
+    const prices = usePrices(db, plantId, isSignedIn);
+    const kpiTargets = useKpiTargets(db, plantId, isSignedIn);
+    const budgets = useBudgets(db, plantId, isSignedIn);
+    const [view, setView] = useState('dashboard');
+    // Equipo mostrado en la ficha de máquina ({ line, machineId }; machineId null es el Womack de la línea)
+    // y vista a la que se vuelve desde la ficha.
+    const [machineTarget, setMachineTarget] = useState(null);
+    const openMachine = (target) => {
+        setMachineTarget({ ...target, returnTo: view });
+        setView('machine');
+    };
 
-        const womackCollection = collection(db, `artifacts/${appId}/public/data/womackEntries`);
-        const q = query(womackCollection);
-        
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setWomackData(data);
-            setLoading(false);
-        }, (err) => {
-            console.error("Error fetching Womack data:", err);
-            setLoading(false);
-        });
+    // Ventana reciente siempre suscrita: la usan los formularios (duplicados, plausibilidad y contadores),
+    // las alertas y los recordatorios. Las demás vistas piden su propio rango a la misma caché.
+    const today = todayIso();
+    const recentFrom = shiftIsoDate(today, -RECENT_WINDOW_DAYS);
+    const entries = isSignedIn ? repository : null;
+    const womack = useEntryWindow(entries, 'womackEntries', recentFrom, today);
+    const bodymaker = useEntryWindow(entries, 'bodymakerEntries', recentFrom, today);
+    const production = useEntryWindow(entries, 'productionEntries', recentFrom, today);
+    const bodymakerProduction = useEntryWindow(entries, 'bodymakerProductionEntries', recentFrom, today);
+    const womackData = womack.entries;
+    const bodymakerData = bodymaker.entries;
+    const loading = womack.loading;
 
-        return () => unsubscribe();
-    }, [isAuthReady, db]);
+    // Datos en unidades canónicas para gráficos, alertas, exportaciones y costes.
+    // Los formularios trabajan con los datos tal como se guardaron.
+    const womackCanonical = useMemo(() => womackData.map(canonicalWomackEntry), [womackData]);
+    const bodymakerCanonical = useMemo(() => bodymakerData.map(canonicalBodymakerEntry), [bodymakerData]);
 
-    // Efecto para cargar los datos de Bodymaker desde Firestore en tiempo real
-    useEffect(() => {
-        if (!isAuthReady || !db) return;
-        
-        const bodymakerCollection = collection(db, `artifacts/${appId}/public/data/bodymakerEntries`);
-        const q = query(bodymakerCollection);
-        
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const data = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setBodymakerData(data);
-        }, (err) => {
-            console.error("Error fetching Bodymaker data:", err);
-        });
+    // Alertas de consumo recalculadas con cada cambio en los datos o en los umbrales.
+    const alerts = useMemo(() => detectAnomalies(womackCanonical, bodymakerCanonical, plantConfig, thresholds), [womackCanonical, bodymakerCanonical, plantConfig, thresholds]);
+    const anomalies = useMemo(() => new Map(alerts.map(a => [a.id, a])), [alerts]);
+    const reminders = useMemo(() => pendingReminders(i18n, womackData, bodymakerData, plantConfig, today), [i18n, womackData, bodymakerData, plantConfig, today]);
 
-        return () => unsubscribe();
-    }, [isAuthReady, db]);
-    
     if (error) {
         return (
             <div className="min-h-screen bg-gray-900 text-white font-sans p-4 sm:p-6 lg:p-8 flex justify-center items-center">
                 <div className="bg-red-900/50 border border-red-500 rounded-xl p-8 text-center">
-                    <h2 className="text-2xl font-bold mb-4">Error de Configuración</h2>
+                    <h2 className="text-2xl font-bold mb-4">{t('Error de Configuración')}</h2>
                     <p>{error}</p>
-                    <p className="mt-4 text-sm text-gray-400">Asegúrate de haber configurado correctamente la variable de entorno `REACT_APP_FIREBASE_CONFIG` en Vercel.</p>
+                    <p className="mt-4 text-sm text-gray-400">{t('Asegúrate de haber configurado correctamente la variable de entorno `REACT_APP_FIREBASE_CONFIG` en Vercel.')}</p>
                 </div>
             </div>
         )
     }
 
+    const handleSignOut = async () => {
+        setView('dashboard');
+        closeAllSubscriptions();
+        await signOut(auth);
+    };
+
+    // Cada planta tiene su propia configuración y sus propias líneas: al cambiar se vuelve al panel.
+    const handlePlantChange = (id) => {
+        selectPlant(id);
+        setMachineTarget(null);
+        setView('dashboard');
+    };
+
     const renderView = () => {
-        if (loading) {
-            return <div className="flex justify-center items-center h-64"><div className="text-center text-white text-xl">Cargando datos...</div></div>
+        if (!isAuthReady || loading || plantsLoading) {
+            return <div className="flex justify-center items-center h-64"><div className="text-center text-white text-xl">{t('Cargando datos...')}</div></div>
+        }
+        if (!authUser && !LOCAL_DATA_SOURCE) {
+            return <LoginView auth={auth} />;
+        }
+        if (!user) {
+            return <div className="flex justify-center items-center h-64"><div className="text-center text-white text-xl">{t('Cargando perfil...')}</div></div>
+        }
+        if (!hasRole(user, 'operator')) {
+            return <div className="flex justify-center items-center h-64"><div className="text-center text-gray-300 text-lg">{t('Tu cuenta está pendiente de que un administrador le asigne un rol.')}</div></div>
+        }
+        if (!plantId) {
+            return <div className="flex justify-center items-center h-64"><div className="text-center text-gray-300 text-lg">{t('Tu usuario no tiene acceso a ninguna planta. Pide acceso a un administrador.')}</div></div>
         }
         
         switch (view) {
             case 'womack':
-                return <WomackControl db={db} data={womackData} onBack={() => setView('dashboard')} />;
+                return <WomackControl repository={repository} user={user} data={womackData} plantConfig={plantConfig} anomalies={anomalies} validationRules={validationRules} onQueue={offlineQueue.enqueue} onBack={() => setView('dashboard')} />;
             case 'bodymaker':
-                return <BodymakerControl db={db} data={bodymakerData} onBack={() => setView('dashboard')} />;
+                return <BodymakerControl repository={repository} user={user} data={bodymakerData} plantConfig={plantConfig} anomalies={anomalies} validationRules={validationRules} onQueue={offlineQueue.enqueue} onOpenMachine={openMachine} onBack={() => setView('dashboard')} />;
+            case 'production':
+                return <ProductionControl repository={repository} user={user} data={production.entries} bodymakerData={bodymakerProduction.entries} plantConfig={plantConfig} onQueue={offlineQueue.enqueue} onBack={() => setView('dashboard')} />;
+            case 'audit':
+                if (!hasRole(user, 'supervisor')) return null;
+                return <AuditLog repository={repository} user={user} onBack={() => setView('dashboard')} />;
+            case 'config':
+                if (!hasRole(user, 'admin')) return null;
+                return <PlantConfigEditor db={db} plantId={plantId} user={user} plantConfig={plantConfig} onBack={() => setView('dashboard')} />;
+            case 'prices':
+                if (!hasRole(user, 'admin')) return null;
+                return <PricesEditor db={db} plantId={plantId} user={user} prices={prices} plantConfig={plantConfig} onBack={() => setView('dashboard')} />;
+            case 'thresholds':
+                if (!hasRole(user, 'admin')) return null;
+                return <ThresholdsEditor db={db} plantId={plantId} user={user} thresholds={thresholds} validationRules={validationRules} kpiTargets={kpiTargets} plantConfig={plantConfig} onBack={() => setView('dashboard')} />;
+            case 'budget':
+                return <BudgetView repository={repository} budgets={budgets} plantConfig={plantConfig} user={user} onNavigate={setView} onBack={() => setView('dashboard')} />;
+            case 'budgetConfig':
+                if (!hasRole(user, 'admin') || !db) return null;
+                return <BudgetEditor db={db} plantId={plantId} user={user} budgets={budgets} plantConfig={plantConfig} onBack={() => setView('budget')} />;
+            case 'maintenance':
+                return <MaintenanceView repository={repository} user={user} plantConfig={plantConfig} onOpenMachine={openMachine} onBack={() => setView('dashboard')} />;
+            case 'machine': {
+                const target = machineTarget || { line: plantConfig.lines[0]?.id, machineId: null };
+                return <MachineDetailView key={`${target.line}_${target.machineId}`} repository={repository} plantConfig={plantConfig} target={target} onBack={() => setView(target.returnTo || 'dashboard')} />;
+            }
+            case 'history':
+                return <HistoryView repository={repository} plantConfig={plantConfig} onBack={() => setView('dashboard')} />;
+            case 'completeness':
+                return <CompletenessView repository={repository} plantConfig={plantConfig} onNavigate={setView} onBack={() => setView('dashboard')} />;
+            case 'report':
+                return <ReportView repository={repository} plantConfig={plantConfig} thresholds={thresholds} alertAcks={alertAcks} onBack={() => setView('dashboard')} />;
+            case 'import':
+                if (!hasRole(user, 'supervisor')) return null;
+                return <ImportWizard repository={repository} user={user} plantConfig={plantConfig} validationRules={validationRules} onBack={() => setView('dashboard')} />;
+            case 'profile':
+                return <UserProfile db={db} auth={auth} user={user} plants={allPlants} onBack={() => setView('dashboard')} />;
+            case 'plants':
+                if (plants.length < 2) return null;
+                return <PlantComparisonView plants={plants} repositoryOf={repositoryOf} onBack={() => setView('dashboard')} />;
             case 'dashboard':
             default:
-                return <Dashboard womackData={womackData} bodymakerData={bodymakerData} onNavigate={setView} />;
+                return <Dashboard db={db} plantId={plantId} plants={plants} repository={repository} kpiTargets={kpiTargets} plantConfig={plantConfig} prices={prices} user={user} alerts={alerts} anomalies={anomalies} alertAcks={alertAcks} onNavigate={setView} onOpenMachine={openMachine} />;
         }
     };
 
     return (
-        <div className="min-h-screen bg-gray-900 text-white font-sans p-4 sm:p-6 lg:p-8">
-            <header className="mb-8">
-                <div className="max-w-7xl mx-auto">
-                    <h1 className="text-3xl sm:text-4xl font-extrabold tracking-tight text-white flex items-center gap-3">
-                        <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-indigo-400 h-8 w-8 sm:h-10 sm:w-10"><path d="m12 14 4-4"/><path d="M3.34 19a10 10 0 1 1 17.32 0"/></svg>
-                        <span className="truncate">Control de consumo de agua y aceites Frontend</span>
-                    </h1>
-                    {user && <p className="text-xs text-gray-500 mt-1">ID de Sesión: {user.uid}</p>}
-                </div>
-            </header>
-            <main className="max-w-7xl mx-auto">
-                {renderView()}
-            </main>
-        </div>
+        <I18nContext.Provider value={i18n}>
+            <div className="min-h-screen bg-gray-900 text-white font-sans p-4 sm:p-6 lg:p-8">
+                <header className="mb-8">
+                    <div className="max-w-7xl mx-auto flex flex-col sm:flex-row justify-between sm:items-center gap-4">
+                        <h1 className="text-3xl sm:text-4xl font-extrabold tracking-tight text-white flex items-center gap-3">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="text-indigo-400 h-8 w-8 sm:h-10 sm:w-10"><path d="m12 14 4-4"/><path d="M3.34 19a10 10 0 1 1 17.32 0"/></svg>
+                            <span className="truncate">{t('Control de consumo de agua y aceites Frontend')}</span>
+                        </h1>
+                        <div className="flex items-center gap-3 text-sm">
+                            <select aria-label={t('Idioma')} value={language} onChange={e => selectLanguage(e.target.value)} className="h-8 rounded-md border border-gray-600 bg-gray-900 px-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                {Object.entries(LANGUAGES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                            </select>
+                            {user && (
+                                <>
+                                    {plants.length > 1 && (
+                                        <select aria-label={t('Planta')} value={plantId} onChange={e => handlePlantChange(e.target.value)} className="h-8 rounded-md border border-gray-600 bg-gray-900 px-2 text-sm text-white focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                                            {plants.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                                        </select>
+                                    )}
+                                    {plants.length === 1 && allPlants.length > 1 && <span className="text-gray-300">{plants[0].name}</span>}
+                                    <span className="text-gray-300">{displayNameOf(user)} <span className="text-xs text-gray-500">· {ROLE_LABELS[user.role] ? t(ROLE_LABELS[user.role]) : user.role}</span></span>
+                                    {!LOCAL_DATA_SOURCE && (
+                                        <>
+                                            <Button variant="ghost" className="h-8 px-3" onClick={() => setView('profile')}>{t('Mi perfil')}</Button>
+                                            <Button variant="secondary" className="h-8 px-3" onClick={handleSignOut}>{t('Cerrar sesión')}</Button>
+                                        </>
+                                    )}
+                                </>
+                            )}
+                        </div>
+                    </div>
+                </header>
+                <main className="max-w-7xl mx-auto">
+                    {user && (
+                        <PendingQueuePanel
+                            queue={offlineQueue.queue}
+                            isOnline={offlineQueue.isOnline}
+                            user={user}
+                            plantConfig={plantConfig}
+                            onResolve={offlineQueue.resolve}
+                            onSync={offlineQueue.sync}
+                        />
+                    )}
+                    {user && !loading && view === 'dashboard' && <RemindersPanel reminders={reminders} onNavigate={setView} />}
+                    {/* Al cambiar de planta se vuelven a montar las vistas para no arrastrar estado de la anterior. */}
+                    <React.Fragment key={plantId}>{renderView()}</React.Fragment>
+                </main>
+            </div>
+        </I18nContext.Provider>
     );
 }
+
+// Piezas que ejercitan las pruebas de `App.test.js` con el repositorio local.
+export {
+    createLocalRepository,
+    DuplicateEntryError,
+    ShiftConflictError,
+    womackConflictKeys,
+    parseCsv,
+    guessImportMapping,
+    buildImportRows,
+    IMPORT_BATCH_SIZE,
+    ImportWizard,
+    womackCompleteness,
+    pendingReminders,
+    WomackControl,
+    BodymakerControl,
+    MaintenanceView,
+    PlantComparisonView,
+    Dashboard,
+    DEFAULT_PLANT_CONFIG,
+    DEFAULT_VALIDATION_RULES,
+    DEFAULT_THRESHOLDS,
+    DEFAULT_KPI_TARGETS,
+    DEFAULT_PRICES,
+    budgetTracking,
+    costItems,
+    maintenanceImpact,
+    bodymakerRanking,
+    counterpartMachines,
+    rollingAverage,
+    accessiblePlants,
+    womackKpiPairs,
+    kpiOf,
+    detectAnomalies,
+    reportRange,
+    reportSummary,
+    resolveDateRange,
+    shiftIsoDate,
+    todayIso,
+    createI18n,
+    I18nContext,
+    subscribeWindow,
+    closeAllSubscriptions,
+    useOfflineQueue,
+    deriveMeterConsumption,
+    previousMeterReading,
+    nextMeterReading,
+};
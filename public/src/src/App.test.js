@@ -0,0 +1,735 @@
+// Pruebas de los formularios, las agregaciones y el panel contra el repositorio local, sin Firebase.
+// Se ejecutan con `npm test`.
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import {
+    createLocalRepository,
+    DuplicateEntryError,
+    ShiftConflictError,
+    womackConflictKeys,
+    parseCsv,
+    guessImportMapping,
+    buildImportRows,
+    IMPORT_BATCH_SIZE,
+    ImportWizard,
+    womackCompleteness,
+    pendingReminders,
+    WomackControl,
+    BodymakerControl,
+    MaintenanceView,
+    PlantComparisonView,
+    Dashboard,
+    DEFAULT_PLANT_CONFIG,
+    DEFAULT_VALIDATION_RULES,
+    DEFAULT_THRESHOLDS,
+    DEFAULT_KPI_TARGETS,
+    DEFAULT_PRICES,
+    budgetTracking,
+    costItems,
+    maintenanceImpact,
+    bodymakerRanking,
+    counterpartMachines,
+    rollingAverage,
+    accessiblePlants,
+    womackKpiPairs,
+    kpiOf,
+    detectAnomalies,
+    reportRange,
+    reportSummary,
+    resolveDateRange,
+    shiftIsoDate,
+    todayIso,
+    createI18n,
+    I18nContext,
+    subscribeWindow,
+    closeAllSubscriptions,
+    useOfflineQueue,
+    deriveMeterConsumption,
+    previousMeterReading,
+    nextMeterReading,
+} from './App';
+
+const supervisor = { uid: 'sup', email: 'sup@example.com', displayName: 'Sup', role: 'supervisor' };
+
+const womackEntry = (date, line, water, oil = 50) => ({
+    id: `${date}_L${line}`,
+    date,
+    line,
+    waterConsumption: water,
+    oilConsumptionTotal: oil,
+    oilConsumptionPartial: oil / 2,
+    waterUnit: 'm3',
+    oilUnit: 'L',
+    createdBy: supervisor,
+});
+
+// Registros de un repositorio entre dos fechas, leídos una vez.
+const readRange = (repository, collectionName, from, to) => new Promise(resolve => {
+    const unsubscribe = repository.watchRange(collectionName, from, to, (entries) => {
+        unsubscribe();
+        resolve(entries);
+    });
+});
+
+const readPage = (repository, collectionName, options) => new Promise(resolve => {
+    const unsubscribe = repository.watchPage(collectionName, options, (page) => {
+        unsubscribe();
+        resolve(page);
+    });
+});
+
+const readAuditLog = (repository) => new Promise(resolve => {
+    const unsubscribe = repository.watchAuditLog(100, (entries) => {
+        unsubscribe();
+        resolve(entries);
+    });
+});
+
+describe('repositorio local', () => {
+    test('crea registros y detecta duplicados', async () => {
+        const repository = createLocalRepository({ persist: false });
+        const { id, ...entry } = womackEntry('2024-05-06', 1, 150);
+        await repository.upsert(supervisor, 'womackEntries', { docId: id, entry });
+        await expect(repository.upsert(supervisor, 'womackEntries', { docId: id, entry })).rejects.toBeInstanceOf(DuplicateEntryError);
+
+        await repository.upsert(supervisor, 'womackEntries', { docId: id, entry: { ...entry, waterConsumption: 160 }, mode: 'overwrite' });
+        const [saved] = await readRange(repository, 'womackEntries', '2024-05-01', '2024-05-31');
+        expect(saved.waterConsumption).toBe(160);
+        const [audit] = await readAuditLog(repository);
+        expect(audit).toMatchObject({ action: 'overwrite', docId: id, before: { waterConsumption: 150 } });
+    });
+
+    test('no guarda un día completo y turnos a la vez para la misma fecha y línea', async () => {
+        const repository = createLocalRepository({ persist: false });
+        const { id, ...wholeDay } = womackEntry('2024-05-06', 1, 150);
+        const byShift = { ...wholeDay, shift: 'T2' };
+        const save = (entry) => repository.upsert(supervisor, 'womackEntries', {
+            docId: `${id}${entry.shift ? `_${entry.shift}` : ''}`, entry, conflictIds: womackConflictKeys(DEFAULT_PLANT_CONFIG, entry),
+        });
+
+        await save(wholeDay);
+        await expect(save(byShift)).rejects.toThrow(new ShiftConflictError(true));
+
+        await repository.remove(supervisor, 'womackEntries', { id, ...wholeDay });
+        await save(byShift);
+        await expect(save(wholeDay)).rejects.toThrow(new ShiftConflictError(false));
+        expect(await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06')).toMatchObject([{ shift: 'T2' }]);
+    });
+
+    test('fusiona lecturas semanales sin pisar las ya guardadas', async () => {
+        const repository = createLocalRepository({ persist: false, initialData: {
+            bodymakerEntries: [{ id: '2024-05-06_L1', weekStartDate: '2024-05-06', line: 1, readings: [{ machineId: 11, consumption: 4 }] }],
+        } });
+        await repository.upsert(supervisor, 'bodymakerEntries', {
+            docId: '2024-05-06_L1',
+            entry: { weekStartDate: '2024-05-06', line: 1, readings: [{ machineId: 11, consumption: 9 }, { machineId: 12, consumption: 5 }] },
+            mode: 'merge',
+        });
+        const [saved] = await readRange(repository, 'bodymakerEntries', '2024-05-06', '2024-05-06');
+        expect(saved.readings).toEqual([{ machineId: 11, consumption: 4 }, { machineId: 12, consumption: 5 }]);
+    });
+
+    test('ordena por fecha descendente y pagina con cursores', async () => {
+        const dates = ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-04', '2024-05-05'];
+        const repository = createLocalRepository({ persist: false, initialData: {
+            womackEntries: [...dates.map(d => womackEntry(d, 1, 100)), womackEntry('2024-05-03', 2, 100)],
+        } });
+
+        const inRange = await readRange(repository, 'womackEntries', '2024-05-02', '2024-05-04');
+        expect(inRange.map(d => d.id)).toEqual(['2024-05-04_L1', '2024-05-03_L2', '2024-05-03_L1', '2024-05-02_L1']);
+
+        const first = await readPage(repository, 'womackEntries', { line: 1, after: null, pageSize: 2 });
+        expect(first.entries.map(d => d.date)).toEqual(['2024-05-05', '2024-05-04']);
+        expect(first.hasNext).toBe(true);
+        const second = await readPage(repository, 'womackEntries', { line: 1, after: first.cursor, pageSize: 2 });
+        expect(second.entries.map(d => d.date)).toEqual(['2024-05-03', '2024-05-02']);
+        const last = await readPage(repository, 'womackEntries', { line: 1, after: second.cursor, pageSize: 2 });
+        expect(last.entries.map(d => d.date)).toEqual(['2024-05-01']);
+        expect(last.hasNext).toBe(false);
+    });
+
+    test('un borrado se puede revertir una sola vez', async () => {
+        const entry = womackEntry('2024-05-06', 1, 150);
+        const repository = createLocalRepository({ persist: false, initialData: { womackEntries: [entry] } });
+        await repository.remove(supervisor, 'womackEntries', entry);
+        expect(await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06')).toEqual([]);
+
+        const [deletion] = await readAuditLog(repository);
+        await repository.revert(supervisor, deletion);
+        const [restored] = await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06');
+        expect(restored.waterConsumption).toBe(150);
+        await expect(repository.revert(supervisor, deletion)).rejects.toThrow('Este cambio ya ha sido revertido.');
+    });
+
+    test('no revierte un cambio si el registro se ha editado después', async () => {
+        const entry = womackEntry('2024-05-06', 1, 150);
+        const repository = createLocalRepository({ persist: false, initialData: { womackEntries: [entry] } });
+        await repository.update(supervisor, 'womackEntries', entry, { waterConsumption: 160 });
+        const [edited] = await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06');
+        await repository.update(supervisor, 'womackEntries', edited, { waterConsumption: 170 });
+        const auditLog = await readAuditLog(repository);
+        const editTo = (water) => auditLog.find(a => a.after.waterConsumption === water);
+
+        await expect(repository.revert(supervisor, editTo(160))).rejects.toThrow('El registro ha cambiado desde entonces');
+        const [saved] = await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06');
+        expect(saved.waterConsumption).toBe(170);
+
+        await repository.revert(supervisor, editTo(170));
+        const [reverted] = await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06');
+        expect(reverted.waterConsumption).toBe(160);
+    });
+});
+
+describe('importaciones', () => {
+    const readImports = (repository) => new Promise(resolve => {
+        const unsubscribe = repository.watchImports(20, (imports) => {
+            unsubscribe();
+            resolve(imports);
+        });
+    });
+
+    // Filas de la vista previa ya validadas, una por día a partir de `from`.
+    const previewRows = (from, count) => Array.from({ length: count }, (_, i) => {
+        const { id, ...entry } = womackEntry(shiftIsoDate(from, i), 1, 100 + i);
+        return { rowNumber: i + 2, key: id, entry, errors: [], duplicate: null };
+    });
+
+    test('lee el fichero y marca las filas con errores o duplicadas', () => {
+        const [headers, ...rows] = parseCsv([
+            'Fecha;Línea;Agua;Aceite total;Aceite parcial',
+            '06/05/2024;L1;"1.234,5";50;25',
+            '06/05/2024;L1;10;5;2',
+            '07/05/2024;L9;10;5;2',
+            '08/05/2024;Línea 2;;5;2',
+            '2024-05-05;1;10;5;2',
+            '09/05/2024;L1;10,123;5;8',
+            `${shiftIsoDate(todayIso(), 1)};L1;10;5;2`,
+        ].join('\n'));
+        const mapping = guessImportMapping('womack', headers, DEFAULT_PLANT_CONFIG);
+        const built = buildImportRows(createI18n('es'), 'womack', rows, mapping, DEFAULT_PLANT_CONFIG, [womackEntry('2024-05-05', 1, 90)]);
+
+        expect(built[0]).toMatchObject({ key: '2024-05-06_L1', errors: [], duplicate: null, entry: { waterConsumption: 1234.5, oilConsumptionTotal: 50 } });
+        expect(built[1].duplicate).toBe('file');
+        expect(built[2].errors).toEqual(['Línea desconocida']);
+        expect(built[3].errors).toEqual(['Agua: Campo obligatorio.']);
+        expect(built[4]).toMatchObject({ rowNumber: 6, duplicate: 'existing' });
+        // Mismas reglas que el formulario: decimales, parcial ≤ total y fechas no futuras.
+        expect(built[5].errors).toEqual(['Agua: Como máximo 2 decimales.', 'Aceite parcial: El consumo parcial no puede superar el total.']);
+        expect(built[6].errors).toEqual(['La fecha no puede ser futura.']);
+    });
+
+    test('un día con registros por turno cuenta como existente al importar el día completo', async () => {
+        const byShift = { ...womackEntry('2024-05-06', 1, 40), id: '2024-05-06_L1_T2', shift: 'T2' };
+        const [headers, ...rows] = parseCsv('Fecha;Línea;Agua;Aceite total;Aceite parcial\n06/05/2024;L1;10;5;2\n07/05/2024;L1;10;5;2');
+        const built = buildImportRows(createI18n('es'), 'womack', rows, guessImportMapping('womack', headers, DEFAULT_PLANT_CONFIG), DEFAULT_PLANT_CONFIG, [byShift]);
+        expect(built.map(r => r.duplicate)).toEqual(['existing', null]);
+
+        // Un turno guardado después de la vista previa también hace omitir la fila.
+        const repository = createLocalRepository({ persist: false, initialData: { womackEntries: [{ ...byShift, id: '2024-05-07_L1_T1', date: '2024-05-07', shift: 'T1' }] } });
+        const summary = await repository.importEntries(supervisor, { type: 'womack', fileName: 'turnos.csv', rows: built });
+        expect(summary.importedCount).toBe(0);
+        expect(await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-07')).toMatchObject([{ id: '2024-05-07_L1_T1' }]);
+    });
+
+    test('guarda por bloques y respeta lo guardado después de la vista previa', async () => {
+        const repository = createLocalRepository({ persist: false });
+        const rows = previewRows('2023-01-01', IMPORT_BATCH_SIZE + 1);
+        const { id, ...savedMeanwhile } = womackEntry('2023-01-01', 1, 7);
+        await repository.upsert(supervisor, 'womackEntries', { docId: id, entry: savedMeanwhile });
+        const onProgress = jest.fn();
+
+        const summary = await repository.importEntries(supervisor, { type: 'womack', fileName: 'historico.csv', rows, onProgress });
+
+        expect(summary.importedCount).toBe(IMPORT_BATCH_SIZE);
+        expect(onProgress.mock.calls).toEqual([[IMPORT_BATCH_SIZE, IMPORT_BATCH_SIZE + 1], [IMPORT_BATCH_SIZE + 1, IMPORT_BATCH_SIZE + 1]]);
+        const [record] = await readImports(repository);
+        expect(record).toMatchObject({ id: summary.importId, status: 'completed', rowCount: IMPORT_BATCH_SIZE + 1, importedCount: IMPORT_BATCH_SIZE, skippedCount: 1 });
+        expect(record.docIds).not.toContain(id);
+        const saved = await readRange(repository, 'womackEntries', '2023-01-01', '2024-12-31');
+        expect(saved).toHaveLength(IMPORT_BATCH_SIZE + 1);
+        expect(saved.find(d => d.id === id)).not.toHaveProperty('importId');
+        expect(saved.find(d => d.id === '2023-01-02_L1')).toMatchObject({ importId: summary.importId, createdBy: { uid: 'sup' } });
+    });
+
+    test('una importación interrumpida se puede deshacer, también los bloques que no llegó a anotar', async () => {
+        const record = { type: 'womack', collection: 'womackEntries', fileName: 'corte.csv', rowCount: 2, importedCount: 0, docIds: [], status: 'in-progress' };
+        const stale = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+        const repository = createLocalRepository({ persist: false, initialData: {
+            imports: [
+                { ...record, id: 'cortada', createdAt: stale, updatedAt: stale },
+                { ...record, id: 'en-curso', fileName: 'ahora.csv', createdAt: new Date().toISOString() },
+            ],
+            womackEntries: [{ ...womackEntry('2024-05-06', 1, 150), importId: 'cortada' }],
+        } });
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        render(<ImportWizard repository={repository} user={supervisor} plantConfig={DEFAULT_PLANT_CONFIG} validationRules={DEFAULT_VALIDATION_RULES} onBack={jest.fn()} />);
+
+        expect(await screen.findByText('Interrumpida')).toBeTruthy();
+        expect(screen.getByText('En curso')).toBeTruthy();
+        fireEvent.click(screen.getByRole('button', { name: 'Deshacer' }));
+
+        expect(await screen.findByText('Importación deshecha.')).toBeTruthy();
+        expect(await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06')).toEqual([]);
+        window.confirm.mockRestore();
+    });
+
+    test('deshacer una importación borra solo sus registros que no se han modificado después', async () => {
+        const repository = createLocalRepository({ persist: false });
+        const first = await repository.importEntries(supervisor, { type: 'womack', fileName: 'mayo.csv', rows: previewRows('2024-05-01', 2) });
+        await repository.importEntries(supervisor, { type: 'womack', fileName: 'junio.csv', rows: previewRows('2024-06-01', 1) });
+        const [edited] = await readRange(repository, 'womackEntries', '2024-05-02', '2024-05-02');
+        await repository.upsert(supervisor, 'womackEntries', { docId: edited.id, entry: { ...edited, waterConsumption: 5, importId: undefined }, mode: 'overwrite' });
+
+        const record = (await readImports(repository)).find(r => r.id === first.importId);
+        await repository.rollbackImport(supervisor, record);
+
+        const remaining = await readRange(repository, 'womackEntries', '2024-01-01', '2024-12-31');
+        expect(remaining.map(d => d.id)).toEqual(['2024-06-01_L1', '2024-05-02_L1']);
+        const deletions = (await readAuditLog(repository)).filter(a => a.action === 'delete');
+        expect(deletions).toMatchObject([{ docId: '2024-05-01_L1', before: { importId: first.importId } }]);
+        expect((await readImports(repository)).find(r => r.id === first.importId)).toMatchObject({ status: 'rolledBack', rolledBackBy: { uid: 'sup' } });
+    });
+});
+
+describe('cola sin conexión', () => {
+    const QueueProbe = ({ repository, user }) => {
+        const { queue } = useOfflineQueue(repository, user);
+        return <span data-testid="queue">{queue.length}</span>;
+    };
+
+    afterEach(() => localStorage.clear());
+
+    test('solo sincroniza los registros pendientes de quien los escribió', async () => {
+        const operator = { uid: 'op', email: 'op@example.com', displayName: 'Op', role: 'operator' };
+        const { id, ...entry } = womackEntry('2024-05-06', 1, 150);
+        localStorage.setItem('pendingEntries:default-consumo-app', JSON.stringify([
+            { id: 'q1', uid: operator.uid, plantId: 'default', collectionName: 'womackEntries', docId: id, entry: { ...entry, createdBy: operator }, mode: 'create', status: 'pending' },
+        ]));
+        const repository = createLocalRepository({ persist: false });
+
+        const { rerender } = render(<QueueProbe repository={repository} user={supervisor} />);
+        expect(screen.getByTestId('queue').textContent).toBe('0');
+        expect(await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06')).toEqual([]);
+        expect(JSON.parse(localStorage.getItem('pendingEntries:default-consumo-app'))).toHaveLength(1);
+
+        rerender(<QueueProbe repository={repository} user={operator} />);
+        await waitFor(() => expect(screen.getByTestId('queue').textContent).toBe('0'));
+        const [synced] = await readRange(repository, 'womackEntries', '2024-05-06', '2024-05-06');
+        expect(synced.createdBy.uid).toBe('op');
+    });
+});
+
+describe('suscripciones', () => {
+    // Cuenta las escuchas que abre y cierra el repositorio.
+    const countWatches = (repository) => {
+        const counts = { opened: 0, closed: 0 };
+        const watchRange = repository.watchRange;
+        repository.watchRange = (...args) => {
+            counts.opened += 1;
+            const unsubscribe = watchRange(...args);
+            return () => {
+                counts.closed += 1;
+                unsubscribe();
+            };
+        };
+        return counts;
+    };
+
+    afterEach(() => {
+        closeAllSubscriptions();
+        jest.useRealTimers();
+    });
+
+    test('dos plantas con la misma ventana no comparten ni se cierran la suscripción', () => {
+        jest.useFakeTimers();
+        const north = createLocalRepository({ persist: false, plantId: 'north' });
+        const south = createLocalRepository({ persist: false, plantId: 'south' });
+        const northWatches = countWatches(north);
+        const southWatches = countWatches(south);
+
+        const releaseNorth = subscribeWindow(north, 'womackEntries', '2024-05-01', '2024-05-31', () => {});
+        subscribeWindow(south, 'womackEntries', '2024-05-01', '2024-05-31', () => {});
+        releaseNorth();
+        jest.advanceTimersByTime(10 * 60 * 1000);
+        expect(northWatches).toEqual({ opened: 1, closed: 1 });
+
+        // La de la otra planta sigue en la caché: se reutiliza y se cierra al cerrar todas.
+        subscribeWindow(south, 'womackEntries', '2024-05-06', '2024-05-12', () => {});
+        expect(southWatches).toEqual({ opened: 1, closed: 0 });
+        closeAllSubscriptions();
+        expect(southWatches).toEqual({ opened: 1, closed: 1 });
+    });
+});
+
+describe('modo contador', () => {
+    const i18n = createI18n('es');
+    const previous = { date: '2024-05-05', value: 95000, capacity: null };
+
+    test('resta la lectura anterior y marca los días sin lectura', () => {
+        expect(deriveMeterConsumption(i18n, { meter: '95100' }, previous, '2024-05-06', 1)).toMatchObject({ consumption: '100', event: null, gap: null });
+        expect(deriveMeterConsumption(i18n, { meter: '95100' }, previous, '2024-05-08', 1)).toMatchObject({ consumption: '100', gap: { since: '2024-05-05', missing: 2 } });
+        expect(deriveMeterConsumption(i18n, { meter: '10' }, null, '2024-05-06', 1).error).toBe('Sin lectura anterior del contador: indica el consumo del periodo.');
+        expect(deriveMeterConsumption(i18n, { meter: '10', consumption: '4' }, null, '2024-05-06', 1)).toMatchObject({ consumption: '4', meter: 10 });
+    });
+
+    test('una vuelta necesita la capacidad del contador, indicada o de una vuelta anterior', () => {
+        const rollover = { ...previous, value: 99900 };
+        expect(deriveMeterConsumption(i18n, { meter: '200' }, rollover, '2024-05-06', 1)).toMatchObject({
+            consumption: '', event: { type: 'rollover' }, error: 'Indica la capacidad del contador (la lectura en la que vuelve a cero).',
+        });
+        expect(deriveMeterConsumption(i18n, { meter: '200', capacity: '100000' }, rollover, '2024-05-06', 1)).toMatchObject({ consumption: '300', event: { type: 'rollover', capacity: 100000 } });
+        expect(deriveMeterConsumption(i18n, { meter: '200' }, { ...rollover, capacity: 100000 }, '2024-05-06', 1).consumption).toBe('300');
+        expect(deriveMeterConsumption(i18n, { meter: '200', capacity: '99000' }, rollover, '2024-05-06', 1).error)
+            .toBe('La capacidad del contador debe ser mayor que la lectura anterior y que la actual.');
+        // Con ceros a la izquierda (00950) la lectura no dice la capacidad: la indicada manda.
+        expect(deriveMeterConsumption(i18n, { meter: '50', event: 'rollover', capacity: '100000' }, { ...previous, value: 950 }, '2024-05-06', 1).consumption).toBe('99100');
+    });
+
+    test('una sustitución suma lo que quedaba en el contador retirado y lo consumido con el nuevo', () => {
+        const replaced = { ...previous, value: 5000 };
+        expect(deriveMeterConsumption(i18n, { meter: '30', event: 'replacement', oldFinal: '5020' }, replaced, '2024-05-06', 1)).toMatchObject({
+            consumption: '50', event: { type: 'replacement', oldFinal: 5020, newInitial: 0 },
+        });
+        expect(deriveMeterConsumption(i18n, { meter: '30', event: 'replacement', newInitial: '10' }, replaced, '2024-05-06', 1).consumption).toBe('20');
+        expect(deriveMeterConsumption(i18n, { meter: '30', event: 'replacement', oldFinal: '4000' }, replaced, '2024-05-06', 1).error)
+            .toBe('La lectura final del contador retirado no puede ser menor que la anterior.');
+        expect(deriveMeterConsumption(i18n, { meter: '30', event: 'replacement', newInitial: '40' }, replaced, '2024-05-06', 1).error)
+            .toBe('La lectura inicial del contador nuevo debe estar entre 0 y la lectura actual.');
+    });
+
+    test('recuerda la capacidad de la última vuelta hasta que se sustituye el contador', () => {
+        const readings = [
+            { date: '2024-05-01', meter: 99990, unit: 'L' },
+            { date: '2024-05-02', meter: 20, unit: 'L', event: { type: 'rollover', capacity: 100000 } },
+            { date: '2024-05-03', meter: 50, unit: 'L' },
+        ];
+        expect(previousMeterReading(readings, '2024-05-04', 'oil', 'L')).toEqual({ date: '2024-05-03', value: 50, capacity: 100000 });
+        expect(previousMeterReading(readings, '2024-05-02', 'oil', 'L')).toEqual({ date: '2024-05-01', value: 99990, capacity: null });
+
+        const replaced = [...readings, { date: '2024-05-04', meter: 5, unit: 'L', event: { type: 'replacement', oldFinal: null, newInitial: 0 } }];
+        expect(previousMeterReading(replaced, '2024-05-05', 'oil', 'L').capacity).toBeNull();
+    });
+
+    test('encuentra la lectura siguiente a una intercalada o borrada', () => {
+        const readings = [{ date: '2024-05-01', meter: 100 }, { date: '2024-05-02' }, { date: '2024-05-04', meter: 130 }];
+        expect(nextMeterReading(readings, '2024-05-01')).toMatchObject({ date: '2024-05-04' });
+        expect(nextMeterReading(readings, '2024-05-04')).toBeNull();
+    });
+});
+
+describe('agregaciones', () => {
+    test('consumo por millón de latas de los días con producción', () => {
+        const pairs = womackKpiPairs(
+            [womackEntry('2024-05-06', 1, 150), womackEntry('2024-05-07', 1, 300)],
+            [{ date: '2024-05-06', line: 1, cans: 1500000 }]
+        );
+        expect(pairs).toHaveLength(1);
+        expect(kpiOf(pairs, 'water')).toBeCloseTo(100);
+    });
+
+    test('suma los turnos del día antes de compararlos con la producción', () => {
+        const pairs = womackKpiPairs(
+            [
+                { ...womackEntry('2024-05-06', 1, 60), id: '2024-05-06_L1_T1', shift: 'T1' },
+                { ...womackEntry('2024-05-06', 1, 90), id: '2024-05-06_L1_T2', shift: 'T2' },
+            ],
+            [{ date: '2024-05-06', line: 1, cans: 1500000 }]
+        );
+        expect(pairs).toEqual([{ date: '2024-05-06', line: 1, cans: 1500000, water: 150, womackOil: 100 }]);
+    });
+
+    test('un día por turnos solo está completo con todos los turnos del calendario', () => {
+        const today = '2024-05-08';
+        const shiftEntry = (date, shift) => ({ ...womackEntry(date, 1, 40), id: `${date}_L1_${shift}`, shift });
+        const data = [
+            womackEntry('2024-05-06', 1, 120),
+            ...['T1', 'T2', 'T3'].map(shift => shiftEntry('2024-05-07', shift)),
+            shiftEntry('2024-05-05', 'T1'),
+            shiftEntry(today, 'T1'),
+        ];
+        const [previousWeek, week] = womackCompleteness(data, 1, ['2024-04-29', '2024-05-06'], today, DEFAULT_PLANT_CONFIG);
+        expect(previousWeek.days[6]).toEqual({ date: '2024-05-05', status: 'partial' });
+        expect(week.days.slice(0, 4).map(d => d.status)).toEqual(['ok', 'ok', 'pending', 'future']);
+
+        const [reminder] = pendingReminders(createI18n('es'), data, [], { ...DEFAULT_PLANT_CONFIG, lines: [DEFAULT_PLANT_CONFIG.lines[0]] }, today)
+            .filter(r => r.view === 'womack');
+        expect(reminder.text).toBe('Womack Línea 1: faltan los turnos Tarde, Noche de hoy.');
+        expect(pendingReminders(createI18n('es'), [...data, shiftEntry(today, 'T2'), shiftEntry(today, 'T3')], [], DEFAULT_PLANT_CONFIG, today)
+            .filter(r => r.id === 'womack_1')).toEqual([]);
+    });
+
+    test('marca como alerta un consumo muy por encima de la media', () => {
+        const data = ['2024-05-01', '2024-05-02', '2024-05-03', '2024-05-04', '2024-05-05']
+            .map(d => womackEntry(d, 1, 100))
+            .concat(womackEntry('2024-05-06', 1, 400));
+        const alerts = detectAnomalies(data, [], DEFAULT_PLANT_CONFIG, DEFAULT_THRESHOLDS);
+        expect(alerts.map(a => a.id)).toEqual(['womack_2024-05-06_L1_water']);
+    });
+
+    test('cada consumo se valora con la tarifa vigente en su fecha', () => {
+        const prices = { ...DEFAULT_PRICES, water: [{ from: '2024-01-01', price: 2 }, { from: '2024-05-05', price: 3 }] };
+        const water = costItems([womackEntry('2024-05-04', 1, 10), womackEntry('2024-05-06', 1, 10)], [], prices)
+            .filter(item => item.category === 'water');
+        expect(water.map(item => item.cost)).toEqual([20, 30]);
+    });
+
+    test('el rango personalizado ignora fechas no válidas de la URL', () => {
+        const fallback = { from: shiftIsoDate(todayIso(), -29), to: todayIso() };
+        expect(resolveDateRange({ range: 'custom', from: '2024-05-10', to: '2024-05-01' })).toEqual({ from: '2024-05-01', to: '2024-05-10' });
+        expect(resolveDateRange({ range: 'custom', from: 'ayer', to: '2024-05-01' })).toEqual(fallback);
+        expect(resolveDateRange({ range: 'custom', from: '2024-02-31', to: '2024-05-01' })).toEqual(fallback);
+        expect(resolveDateRange({ range: 'custom', from: '2024-13-01', to: '2024-05-01' })).toEqual(fallback);
+    });
+
+    test('el informe semanal compara con la semana anterior', () => {
+        const range = reportRange(createI18n('es'), 'week', '2024-05-08');
+        const summary = reportSummary(
+            [womackEntry('2024-05-06', 1, 150), womackEntry('2024-05-07', 1, 150), womackEntry('2024-04-30', 1, 100)],
+            [],
+            DEFAULT_PLANT_CONFIG,
+            range
+        );
+        const line1 = summary.lines.find(l => l.line.id === 1);
+        expect(line1.current).toMatchObject({ days: 2, water: 300 });
+        expect(line1.previous).toMatchObject({ days: 1, water: 100 });
+    });
+
+    test('proyecta el ritmo reciente hasta fin de mes y de año frente al presupuesto', () => {
+        // 10 m³ diarios del 18 de abril al 15 de mayo.
+        const data = Array.from({ length: 28 }, (_, i) => womackEntry(shiftIsoDate('2024-04-18', i), 1, 10));
+        const budgets = { years: { 2024: { 1: { water: Array(12).fill(200) } } } };
+        const tracking = budgetTracking(data, [], budgets, 1, 'water', 2024, '2024-05-15');
+
+        expect(tracking.projected).toBe(true);
+        expect(tracking.month.actual).toBeCloseTo(150);
+        expect(tracking.month.forecast).toBeCloseTo(310);
+        expect(tracking.year.budget).toBe(2400);
+        expect(tracking.year.forecast).toBeCloseTo(130 + 310 + 214 * 10);
+        expect(tracking.months[3]).toMatchObject({ cumulativeActual: 130, cumulativeForecast: 130, cumulativeBudget: 800 });
+        expect(tracking.months[5].cumulativeActual).toBeNull();
+    });
+
+    test('compara el consumo medio antes y después de un mantenimiento sin contar su periodo', () => {
+        const series = [4, 4, 5, 9, 3, 3].map((value, i) => ({ date: shiftIsoDate('2024-04-01', 7 * i), value }));
+        const impact = maintenanceImpact(series, '2024-04-22', 2);
+
+        expect(impact).toEqual({ before: 4.5, after: 3, change: expect.any(Number) });
+        expect(impact.change).toBeCloseTo(-33.33);
+        expect(maintenanceImpact(series.slice(0, 3), '2024-04-22', 2).change).toBeNull();
+    });
+
+    test('ordena los bodymakers de la línea por consumo medio y los compara con la mediana', () => {
+        const week = (weekStartDate, readings) => ({ id: `${weekStartDate}_L1`, line: 1, weekStartDate, readings });
+        const entries = [
+            week('2024-04-01', [{ machineId: 11, consumption: 4 }, { machineId: 12, consumption: 6 }, { machineId: 13, consumption: 2 }]),
+            week('2024-04-08', [{ machineId: 11, consumption: 4 }, { machineId: 12, consumption: 10 }]),
+        ];
+        const machines = DEFAULT_PLANT_CONFIG.lines[0].machines;
+        const ranking = bodymakerRanking(entries, machines, '2024-04-01');
+
+        expect(ranking.map(r => [r.machine.id, r.rank, r.mean])).toEqual([[12, 1, 8], [11, 2, 4], [13, 3, 2]]);
+        expect(ranking[0].deviation).toBe(100);
+        expect(bodymakerRanking(entries, machines, '2024-04-08').map(r => r.machine.id)).toEqual([12, 11]);
+        expect(counterpartMachines(DEFAULT_PLANT_CONFIG, 1, 13).map(m => m.id)).toEqual([23]);
+        expect(rollingAverage([2, 4, 9].map((value, i) => ({ date: `2024-04-0${i + 1}`, value })), 2).map(p => p.value)).toEqual([2, 3, 6.5]);
+    });
+});
+
+describe('formularios', () => {
+    const renderWomack = (repository, data = []) => render(
+        <WomackControl repository={repository} user={supervisor} data={data} plantConfig={DEFAULT_PLANT_CONFIG} anomalies={new Map()}
+            validationRules={DEFAULT_VALIDATION_RULES} onQueue={jest.fn()} onBack={jest.fn()} />
+    );
+
+    test('el formulario Womack guarda el registro y lo muestra en el historial', async () => {
+        const repository = createLocalRepository({ persist: false });
+        renderWomack(repository);
+        fireEvent.change(screen.getByLabelText('Consumo Agua'), { target: { value: '150' } });
+        fireEvent.change(screen.getByLabelText('Consumo Aceite Total'), { target: { value: '50' } });
+        fireEvent.change(screen.getByLabelText(/Consumo Aceite Parcial/), { target: { value: '25' } });
+        fireEvent.click(screen.getByText('Guardar Registro'));
+
+        expect((await screen.findByText('¡Registro guardado con éxito!')).className).toContain('text-green-400');
+        const [saved] = await readRange(repository, 'womackEntries', todayIso(), todayIso());
+        expect(saved).toMatchObject({ line: 1, waterConsumption: 150, oilConsumptionTotal: 50, oilConsumptionPartial: 25, createdBy: { uid: 'sup' } });
+        expect(await screen.findByText(/^150/)).toBeTruthy();
+    });
+
+    test('el formulario Womack guarda el turno y el operario en un registro propio', async () => {
+        const existing = { ...womackEntry(todayIso(), 1, 40), id: `${todayIso()}_L1_T1`, shift: 'T1' };
+        const repository = createLocalRepository({ persist: false, initialData: { womackEntries: [existing] } });
+        renderWomack(repository, [existing]);
+        fireEvent.change(screen.getByLabelText('Turno'), { target: { value: 'T2' } });
+        fireEvent.change(screen.getByLabelText('Operario'), { target: { value: 'Ana' } });
+        fireEvent.change(screen.getByLabelText('Consumo Agua'), { target: { value: '50' } });
+        fireEvent.change(screen.getByLabelText('Consumo Aceite Total'), { target: { value: '20' } });
+        fireEvent.change(screen.getByLabelText(/Consumo Aceite Parcial/), { target: { value: '10' } });
+        fireEvent.click(screen.getByText('Guardar Registro'));
+
+        expect(await screen.findByText('¡Registro guardado con éxito!')).toBeTruthy();
+        const saved = await readRange(repository, 'womackEntries', todayIso(), todayIso());
+        expect(saved.find(d => d.shift === 'T2')).toMatchObject({ id: `${todayIso()}_L1_T2`, operator: 'Ana', waterConsumption: 50 });
+    });
+
+    test('el formulario Womack no mezcla día completo y turnos en la misma fecha', async () => {
+        const existing = womackEntry(todayIso(), 1, 120);
+        const repository = createLocalRepository({ persist: false, initialData: { womackEntries: [existing] } });
+        renderWomack(repository, [existing]);
+        fireEvent.change(screen.getByLabelText('Turno'), { target: { value: 'T1' } });
+        fireEvent.change(screen.getByLabelText('Consumo Agua'), { target: { value: '50' } });
+        fireEvent.change(screen.getByLabelText('Consumo Aceite Total'), { target: { value: '20' } });
+        fireEvent.change(screen.getByLabelText(/Consumo Aceite Parcial/), { target: { value: '10' } });
+        fireEvent.click(screen.getByText('Guardar Registro'));
+
+        expect(await screen.findByText('Ya hay un registro de día completo para esta fecha y línea.')).toBeTruthy();
+        expect(await readRange(repository, 'womackEntries', todayIso(), todayIso())).toHaveLength(1);
+    });
+
+    test('el formulario Womack no mezcla día completo y turnos aunque el registro no esté cargado', async () => {
+        const existing = { ...womackEntry(todayIso(), 1, 40), id: `${todayIso()}_L1_T1`, shift: 'T1' };
+        const repository = createLocalRepository({ persist: false, initialData: { womackEntries: [existing] } });
+        renderWomack(repository);
+        fireEvent.change(screen.getByLabelText('Consumo Agua'), { target: { value: '150' } });
+        fireEvent.change(screen.getByLabelText('Consumo Aceite Total'), { target: { value: '50' } });
+        fireEvent.change(screen.getByLabelText(/Consumo Aceite Parcial/), { target: { value: '25' } });
+        fireEvent.click(screen.getByText('Guardar Registro'));
+
+        expect(await screen.findByText('Ya hay registros por turno para esta fecha y línea.')).toBeTruthy();
+        expect(await readRange(repository, 'womackEntries', todayIso(), todayIso())).toHaveLength(1);
+    });
+
+    test('el formulario Womack no guarda con campos vacíos', async () => {
+        const repository = createLocalRepository({ persist: false });
+        renderWomack(repository);
+        fireEvent.click(screen.getByText('Guardar Registro'));
+
+        expect((await screen.findByText('Error: Revisa los campos marcados.')).className).toContain('text-red-400');
+        expect(await readRange(repository, 'womackEntries', '0000-01-01', '9999-12-31')).toEqual([]);
+    });
+
+    test('el formulario Womack avisa si el día ya está registrado', async () => {
+        const existing = womackEntry(todayIso(), 1, 120);
+        const repository = createLocalRepository({ persist: false, initialData: { womackEntries: [existing] } });
+        renderWomack(repository, [existing]);
+        fireEvent.change(screen.getByLabelText('Consumo Agua'), { target: { value: '150' } });
+        fireEvent.change(screen.getByLabelText('Consumo Aceite Total'), { target: { value: '50' } });
+        fireEvent.change(screen.getByLabelText(/Consumo Aceite Parcial/), { target: { value: '25' } });
+        fireEvent.click(screen.getByText('Guardar Registro'));
+
+        expect(await screen.findByText(/Sobrescribir/)).toBeTruthy();
+        const [saved] = await readRange(repository, 'womackEntries', todayIso(), todayIso());
+        expect(saved.waterConsumption).toBe(120);
+    });
+
+    test('el formulario de bodymakers guarda las lecturas de la semana', async () => {
+        const repository = createLocalRepository({ persist: false });
+        render(
+            <BodymakerControl repository={repository} user={supervisor} data={[]} plantConfig={DEFAULT_PLANT_CONFIG} anomalies={new Map()}
+                validationRules={DEFAULT_VALIDATION_RULES} onQueue={jest.fn()} onBack={jest.fn()} />
+        );
+        fireEvent.change(screen.getByLabelText('BM 11'), { target: { value: '4' } });
+        fireEvent.click(screen.getByText('Guardar Semana'));
+
+        await waitFor(async () => {
+            const [saved] = await readRange(repository, 'bodymakerEntries', '0000-01-01', '9999-12-31');
+            expect(saved).toMatchObject({ line: 1, readings: [{ machineId: 11, consumption: 4 }] });
+        });
+    });
+});
+
+describe('idioma', () => {
+    test('el formulario Womack se muestra y valida en inglés', async () => {
+        const repository = createLocalRepository({ persist: false });
+        render(
+            <I18nContext.Provider value={createI18n('en')}>
+                <WomackControl repository={repository} user={supervisor} data={[]} plantConfig={DEFAULT_PLANT_CONFIG} anomalies={new Map()}
+                    validationRules={DEFAULT_VALIDATION_RULES} onQueue={jest.fn()} onBack={jest.fn()} />
+            </I18nContext.Provider>
+        );
+        expect(screen.getByText('Daily Womack Control')).toBeTruthy();
+        fireEvent.click(screen.getByText('Save Entry'));
+
+        expect(await screen.findByText('Error: Check the highlighted fields.')).toBeTruthy();
+        expect(screen.getAllByText('Required field.').length).toBeGreaterThan(0);
+    });
+
+    test('al cambiar de idioma se traducen los textos sin perder lo escrito', async () => {
+        const repository = createLocalRepository({ persist: false, initialData: { womackEntries: [womackEntry('2024-05-06', 1, 120)] } });
+        const form = (language) => (
+            <I18nContext.Provider value={createI18n(language)}>
+                <WomackControl repository={repository} user={supervisor} data={[]} plantConfig={DEFAULT_PLANT_CONFIG} anomalies={new Map()}
+                    validationRules={DEFAULT_VALIDATION_RULES} onQueue={jest.fn()} onBack={jest.fn()} />
+            </I18nContext.Provider>
+        );
+        const { rerender } = render(form('es'));
+        // El historial llega después del primer render: se espera a que aparezca antes de seguir.
+        expect(await screen.findByText('06/05/2024')).toBeTruthy();
+        fireEvent.change(screen.getByLabelText('Consumo Agua'), { target: { value: '150' } });
+
+        rerender(form('en'));
+        expect(screen.getByText('Daily Womack Control')).toBeTruthy();
+        expect(screen.getByLabelText('Water Consumption').value).toBe('150');
+    });
+});
+
+describe('mantenimiento', () => {
+    test('registra un evento de un bodymaker y lo lista', async () => {
+        const repository = createLocalRepository({ persist: false });
+        render(<MaintenanceView repository={repository} user={supervisor} plantConfig={DEFAULT_PLANT_CONFIG} onOpenMachine={jest.fn()} onBack={jest.fn()} />);
+        fireEvent.change(screen.getByLabelText('Equipo'), { target: { value: '11' } });
+        fireEvent.change(screen.getByLabelText('Tipo'), { target: { value: 'seal' } });
+        fireEvent.change(screen.getByLabelText('Parada (horas)'), { target: { value: '1.5' } });
+        fireEvent.change(screen.getByLabelText('Descripción'), { target: { value: 'Cambio de retén del pistón' } });
+        fireEvent.click(screen.getByText('Registrar Evento'));
+
+        expect(await screen.findByText('¡Evento registrado con éxito!')).toBeTruthy();
+        const [saved] = await readRange(repository, 'maintenanceEvents', todayIso(), todayIso());
+        expect(saved).toMatchObject({ line: 1, machineId: 11, type: 'seal', downtimeHours: 1.5, createdBy: { uid: 'sup' } });
+        expect(await screen.findByText('Cambio de retén del pistón')).toBeTruthy();
+    });
+});
+
+describe('plantas', () => {
+    const plants = [{ id: 'default', name: 'Planta Norte' }, { id: 'south', name: 'Planta Sur' }];
+
+    test('cada usuario ve solo sus plantas; los administradores, todas', () => {
+        expect(accessiblePlants({ role: 'operator' }, plants).map(p => p.id)).toEqual(['default']);
+        expect(accessiblePlants({ role: 'supervisor', plants: ['south'] }, plants).map(p => p.id)).toEqual(['south']);
+        expect(accessiblePlants({ role: 'admin', plants: [] }, plants)).toEqual(plants);
+    });
+
+    test('compara los consumos del periodo entre plantas', async () => {
+        const day = shiftIsoDate(todayIso(), -1);
+        const repositories = {
+            default: createLocalRepository({ persist: false, initialData: {
+                womackEntries: [womackEntry(day, 1, 150)],
+                productionEntries: [{ id: `${day}_L1`, date: day, line: 1, cans: 2000000 }],
+            } }),
+            south: createLocalRepository({ persist: false, plantId: 'south', initialData: { womackEntries: [womackEntry(day, 1, 90), womackEntry(day, 2, 30)] } }),
+        };
+        render(<PlantComparisonView plants={plants} repositoryOf={id => repositories[id]} onBack={jest.fn()} />);
+
+        const south = await screen.findByRole('row', { name: /Planta Sur/ });
+        expect(within(south).getByText('120')).toBeTruthy();
+        const north = screen.getByRole('row', { name: /Planta Norte/ });
+        expect(within(north).getByText('150')).toBeTruthy();
+        expect(within(north).getByText('75')).toBeTruthy();
+    });
+});
+
+describe('panel', () => {
+    test('muestra el consumo por millón de latas del periodo', async () => {
+        const day = shiftIsoDate(todayIso(), -1);
+        const repository = createLocalRepository({ persist: false, initialData: {
+            womackEntries: [womackEntry(day, 1, 150)],
+            productionEntries: [{ id: `${day}_L1`, date: day, line: 1, cans: 1000000 }],
+        } });
+        render(
+            <Dashboard db={null} repository={repository} kpiTargets={DEFAULT_KPI_TARGETS} plantConfig={DEFAULT_PLANT_CONFIG} prices={DEFAULT_PRICES}
+                user={supervisor} alerts={[]} anomalies={new Map()} alertAcks={{}} onNavigate={jest.fn()} />
+        );
+
+        expect(screen.getByText('Agua Womack')).toBeTruthy();
+        expect(await screen.findByText(/^150/)).toBeTruthy();
+    });
+});
@@ -0,0 +1,144 @@
+// Detección de alertas de consumo, común a la aplicación y a las funciones de Firebase (`functions/`):
+// unidades canónicas, umbrales por defecto y evaluación de cada serie frente a su media móvil.
+// Está en CommonJS y sin dependencias para que Node la cargue tal cual. Las funciones usan una copia
+// que genera el script `sync:alerts` de `functions/package.json` antes de probar, emular o desplegar.
+
+// --- UNIDADES ---
+// Cada lectura guarda la unidad en que se introdujo: `waterUnit`/`oilUnit` en los registros Womack
+// y `unit` en cada lectura de bodymaker. Gráficos, alertas, exportaciones y costes trabajan con los
+// valores convertidos a la unidad canónica (agua en m³, aceite en L). Los registros sin unidad
+// (anteriores a este cambio) están en la unidad canónica.
+
+const UNITS = {
+    water: { m3: { label: 'm³', factor: 1 }, L: { label: 'L', factor: 0.001 } },
+    oil: { L: { label: 'L', factor: 1 }, gal: { label: 'gal', factor: 3.78541 } },
+};
+const CANONICAL_UNITS = { water: 'm3', oil: 'L' };
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+const unitFactor = (kind, unit) => UNITS[kind][unit]?.factor ?? 1;
+
+// Convierte a la unidad canónica, redondeando para no arrastrar errores de coma flotante.
+const toCanonical = (kind, value, unit) => Math.round((Number(value) || 0) * unitFactor(kind, unit) * 1e6) / 1e6;
+
+const canonicalWomackEntry = (entry) => ({
+    ...entry,
+    waterConsumption: toCanonical('water', entry.waterConsumption, entry.waterUnit),
+    oilConsumptionTotal: toCanonical('oil', entry.oilConsumptionTotal, entry.oilUnit),
+    oilConsumptionPartial: toCanonical('oil', entry.oilConsumptionPartial, entry.oilUnit),
+    waterUnit: CANONICAL_UNITS.water,
+    oilUnit: CANONICAL_UNITS.oil,
+});
+
+const canonicalBodymakerEntry = (entry) => ({
+    ...entry,
+    readings: (entry.readings || []).map(r => ({ ...r, consumption: toCanonical('oil', r.consumption, r.unit), unit: CANONICAL_UNITS.oil })),
+});
+
+// --- UMBRALES Y DETECCIÓN DE ANOMALÍAS ---
+// Cada regla admite tres criterios, todos opcionales (vacío = no se aplica):
+// - absolute: valor máximo admitido.
+// - deviationPct: % máximo por encima de la media móvil de las lecturas anteriores.
+// - zScore: desviaciones típicas máximas por encima de esa media.
+// Las reglas por línea (Womack) o por máquina (bodymaker) sustituyen solo los criterios que rellenan.
+
+const DEFAULT_THRESHOLDS = {
+    windowSize: 8,
+    womack: {
+        default: {
+            water: { absolute: null, deviationPct: 50, zScore: 3 },
+            oil: { absolute: null, deviationPct: 50, zScore: 3 },
+        },
+        lines: {},
+    },
+    bodymaker: {
+        default: { absolute: null, deviationPct: 100, zScore: 3 },
+        machines: {},
+    },
+};
+
+// Lecturas anteriores mínimas para calcular desviaciones respecto a la media.
+const MIN_ANOMALY_HISTORY = 3;
+
+const THRESHOLD_CRITERIA = ['absolute', 'deviationPct', 'zScore'];
+
+const mergeRule = (base = {}, override = {}) => Object.fromEntries(THRESHOLD_CRITERIA.map(c => [c, hasValue(override?.[c]) ? Number(override[c]) : base[c]]));
+
+const windowSizeOf = (thresholds) => Number(thresholds?.windowSize) || DEFAULT_THRESHOLDS.windowSize;
+
+// Evalúa una serie cronológica [{ value, ... }] y devuelve los puntos que incumplen la regla,
+// con la media de la ventana anterior y los motivos.
+const evaluateSeries = (points, rule, windowSize) => points.flatMap((point, i) => {
+    const previous = points.slice(Math.max(0, i - windowSize), i).map(p => p.value);
+    const reasons = [];
+    let mean = null;
+    if (hasValue(rule.absolute) && point.value > rule.absolute) {
+        reasons.push({ type: 'absolute', limit: rule.absolute });
+    }
+    if (previous.length >= MIN_ANOMALY_HISTORY) {
+        mean = previous.reduce((a, b) => a + b, 0) / previous.length;
+        const std = Math.sqrt(previous.reduce((acc, v) => acc + (v - mean) ** 2, 0) / previous.length);
+        const deviationPct = mean > 0 ? ((point.value - mean) / mean) * 100 : 0;
+        if (hasValue(rule.deviationPct) && deviationPct > rule.deviationPct) {
+            reasons.push({ type: 'deviation', value: deviationPct, limit: rule.deviationPct });
+        }
+        const z = std > 0 ? (point.value - mean) / std : 0;
+        if (hasValue(rule.zScore) && z > rule.zScore) {
+            reasons.push({ type: 'zScore', value: z, limit: rule.zScore });
+        }
+    }
+    return reasons.length ? [{ ...point, mean, reasons }] : [];
+});
+
+// Recorre los registros (ya en unidades canónicas) de las líneas y máquinas de `plantConfig` y devuelve
+// las alertas. Los ids son estables para poder guardar su reconocimiento:
+// `womack_<registro>_<water|oil>` y `bodymaker_<registro>_<máquina>`.
+const detectAnomalies = (womackData, bodymakerData, plantConfig, thresholds) => {
+    const windowSize = windowSizeOf(thresholds);
+    const alerts = [];
+
+    plantConfig.lines.forEach(line => {
+        // Cada turno se compara con el histórico del mismo turno, y los registros de día completo entre sí.
+        const lineEntries = womackData.filter(d => d.line === line.id);
+        [...new Set(lineEntries.map(d => d.shift || ''))].forEach(shift => {
+            const series = lineEntries.filter(d => (d.shift || '') === shift).sort((a, b) => a.date.localeCompare(b.date));
+            [['water', 'waterConsumption'], ['oil', 'oilConsumptionTotal']].forEach(([metric, field]) => {
+                const rule = mergeRule(mergeRule({}, thresholds.womack?.default?.[metric]), thresholds.womack?.lines?.[line.id]?.[metric]);
+                const points = series.map(d => ({ entryId: d.id, date: d.date, value: Number(d[field]) || 0 }));
+                evaluateSeries(points, rule, windowSize).forEach(p => alerts.push({
+                    ...p, id: `womack_${p.entryId}_${metric}`, kind: 'womack', metric, line: line.id, shift: shift || null,
+                }));
+            });
+        });
+
+        const weeks = bodymakerData.filter(d => d.line === line.id).sort((a, b) => a.weekStartDate.localeCompare(b.weekStartDate));
+        line.machines.forEach(machine => {
+            const rule = mergeRule(mergeRule({}, thresholds.bodymaker?.default), thresholds.bodymaker?.machines?.[machine.id]);
+            const points = weeks.flatMap(d => {
+                const reading = d.readings.find(r => r.machineId === machine.id);
+                return reading ? [{ entryId: d.id, date: d.weekStartDate, value: Number(reading.consumption) || 0 }] : [];
+            });
+            evaluateSeries(points, rule, windowSize).forEach(p => alerts.push({
+                ...p, id: `bodymaker_${p.entryId}_${machine.id}`, kind: 'bodymaker', metric: 'oil', line: line.id, machineId: machine.id,
+            }));
+        });
+    });
+
+    return alerts.sort((a, b) => b.date.localeCompare(a.date));
+};
+
+module.exports = {
+    UNITS,
+    CANONICAL_UNITS,
+    hasValue,
+    unitFactor,
+    toCanonical,
+    canonicalWomackEntry,
+    canonicalBodymakerEntry,
+    DEFAULT_THRESHOLDS,
+    MIN_ANOMALY_HISTORY,
+    THRESHOLD_CRITERIA,
+    windowSizeOf,
+    detectAnomalies,
+};
@@ -0,0 +1,13 @@
+// Preparación del entorno de Jest (jsdom) que carga `react-scripts test` antes de cada suite.
+import { TextEncoder, TextDecoder } from 'util';
+import { ReadableStream } from 'stream/web';
+
+// El SDK de Firebase para Node carga APIs web que jsdom no define.
+Object.assign(global, { TextEncoder, TextDecoder, ReadableStream });
+
+// recharts mide su contenedor con ResizeObserver, que jsdom tampoco implementa.
+global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+};
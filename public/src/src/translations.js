@@ -0,0 +1,654 @@
+// Traducciones de la interfaz. La clave es el texto original en español, tal como aparece en `App.js`
+// dentro de `t()`, y los `{marcadores}` se sustituyen por los valores de cada llamada. Un texto sin
+// traducción se muestra en español.
+// Al añadir o cambiar un texto en la aplicación hay que añadir aquí su traducción con la misma clave.
+
+export const en = {
+    // --- Componentes comunes ---
+    'Página {page}': 'Page {page}',
+    'Aprobar': 'Approve',
+    'Editar': 'Edit',
+    'Eliminar': 'Delete',
+    'Guardar': 'Save',
+    'Cancelar': 'Cancel',
+    'Descartar': 'Discard',
+    'Anterior': 'Previous',
+    'Siguiente': 'Next',
+    'Algunos valores son muy superiores a los de la semana anterior. ¿Son correctos?': 'Some values are much higher than the previous week. Are they correct?',
+    'Revisar valores': 'Review values',
+    'Confirmar y guardar': 'Confirm and save',
+    'Contador': 'Meter',
+    'Anterior: {value} ({date})': 'Previous: {value} ({date})',
+    'Consumo: {value}': 'Consumption: {value}',
+    'Consumo {label}': '{label} consumption',
+    'Sin lectura anterior: consumo ({unit})': 'No previous reading: consumption ({unit})',
+    'Motivo de la bajada de {label}': 'Reason for the {label} drop',
+    'Lectura final del contador retirado': 'Final reading of the removed meter',
+    'Final del retirado (opcional)': 'Removed meter final (optional)',
+    'Lectura inicial del contador nuevo': 'Initial reading of the new meter',
+    'Capacidad del contador': 'Meter capacity',
+    'Capacidad: {value}': 'Capacity: {value}',
+    'Capacidad (p. ej. {value})': 'Capacity (e.g. {value})',
+    'Inicial del nuevo (0)': 'New meter initial (0)',
+    '{count} sin lectura: el consumo abarca todo el intervalo.': '{count} without a reading: the consumption covers the whole interval.',
+    'Aprobado por {name}': 'Approved by {name}',
+    'Aprobado': 'Approved',
+    'Unidad': 'Unit',
+    'Campo': 'Field',
+    'Guardado': 'Saved',
+    'Nuevo': 'New',
+    'Fusionar lecturas que faltan': 'Merge missing readings',
+    'Sobrescribir': 'Overwrite',
+    'Solo un supervisor puede modificar el registro existente.': 'Only a supervisor can change the existing entry.',
+    'Volver': 'Back',
+    'Volver al Panel': 'Back to Dashboard',
+    'Atrás': 'Back',
+    'Acciones': 'Actions',
+    'Guardando...': 'Saving...',
+    'Cargando datos...': 'Loading data...',
+
+    // --- Alertas, validación y contadores ---
+    'supera el límite de {limit}': 'exceeds the limit of {limit}',
+    '+{value}% sobre la media ({mean})': '+{value}% above the average ({mean})',
+    'z = {value} (límite {limit})': 'z = {value} (limit {limit})',
+    'Campo obligatorio.': 'Required field.',
+    'Debe ser un número.': 'Must be a number.',
+    'Como máximo {decimals} decimales.': 'At most {decimals} decimal places.',
+    'Debe ser mayor o igual que {limit}.': 'Must be greater than or equal to {limit}.',
+    'Debe ser menor o igual que {limit}.': 'Must be less than or equal to {limit}.',
+    'La fecha no puede ser futura.': 'The date cannot be in the future.',
+    'El consumo parcial no puede superar el total.': 'The partial consumption cannot exceed the total.',
+    '{ratio}× el valor de la semana anterior ({reference}).': '{ratio}× the previous week\'s value ({reference}).',
+    'Sin lectura anterior del contador: indica el consumo del periodo.': 'No previous meter reading: enter the consumption for the period.',
+    'La lectura final del contador retirado no puede ser menor que la anterior.': 'The final reading of the removed meter cannot be lower than the previous one.',
+    'La lectura inicial del contador nuevo debe estar entre 0 y la lectura actual.': 'The initial reading of the new meter must be between 0 and the current reading.',
+    'Indica la capacidad del contador (la lectura en la que vuelve a cero).': 'Enter the meter capacity (the reading at which it rolls over to zero).',
+    'La capacidad del contador debe ser mayor que la lectura anterior y que la actual.': 'The meter capacity must be greater than both the previous and the current reading.',
+    'Hay una lectura posterior del contador ({date}): su consumo se calculó sin esta y habrá que revisarlo.': 'There is a later meter reading ({date}): its consumption was calculated without this one and will need reviewing.',
+    'El consumo de la lectura de contador del {date} se calculó a partir de esta y habrá que revisarlo.': 'The consumption of the meter reading of {date} was calculated from this one and will need reviewing.',
+    '{count} sin lectura desde el {date}': '{count} without a reading since {date}',
+    '{count} semana': '{count} week',
+    '{count} semanas': '{count} weeks',
+    '{count} día': '{count} day',
+    '{count} días': '{count} days',
+    'Consumo': 'Consumption',
+    'Lectura de contador': 'Meter reading',
+    'Vuelta del contador': 'Meter rollover',
+    'Contador sustituido': 'Meter replaced',
+    'Máximo absoluto': 'Absolute maximum',
+    '% sobre la media': '% above the average',
+    'Desv. típicas (z)': 'Std. deviations (z)',
+
+    // --- Registros y repositorio ---
+    'Ya existe un registro para esta fecha y línea.': 'An entry already exists for this date and line.',
+    'Sin conexión con el servidor.': 'No connection to the server.',
+    'Este cambio ya ha sido revertido.': 'This change has already been reverted.',
+    'El registro ha cambiado desde entonces; no se puede revertir sin perder los cambios posteriores.': 'The entry has changed since then; it cannot be reverted without losing the later changes.',
+    'Agua': 'Water',
+    'Aceite': 'Oil',
+    'Aceite Total': 'Total Oil',
+    'Aceite Parcial': 'Partial Oil',
+    'Aceite total': 'Total oil',
+    'Aceite parcial': 'Partial oil',
+    'Consumo bodymaker': 'Bodymaker consumption',
+    'Operario': 'Operator',
+    'Supervisor': 'Supervisor',
+    'Administrador': 'Administrator',
+    'Latas': 'Cans',
+    'latas': 'cans',
+    'Línea {line}': 'Line {line}',
+    'Día completo': 'Whole day',
+
+    // --- Importación de ficheros ---
+    'Fecha no válida': 'Invalid date',
+    'Línea desconocida': 'Unknown line',
+    'Sin lecturas de máquinas': 'No machine readings',
+    'Fichero': 'File',
+    'Columnas': 'Columns',
+    'Revisión': 'Review',
+    'Resultado': 'Result',
+    'En curso': 'In progress',
+    'Completada': 'Completed',
+    'Fallida': 'Failed',
+    'Deshecha': 'Undone',
+    'Interrumpida': 'Interrupted',
+    'Womack (diario)': 'Womack (daily)',
+    'Bodymakers (semanal)': 'Bodymakers (weekly)',
+    'Producción por línea (diario)': 'Production per line (daily)',
+    'Producción por bodymaker (semanal)': 'Production per bodymaker (weekly)',
+    'Semana (lunes)': 'Week (Monday)',
+    'Latas producidas': 'Cans produced',
+    'Error: Selecciona un fichero CSV o Excel.': 'Error: Select a CSV or Excel file.',
+    'Error: El fichero no contiene filas de datos.': 'Error: The file contains no data rows.',
+    'Error al leer el fichero. Comprueba que sea un CSV o XLSX válido.': 'Error reading the file. Check that it is a valid CSV or XLSX file.',
+    'Se importarán {count} registros. ¿Continuar?': '{count} entries will be imported. Continue?',
+    'Error al importar. Los registros guardados pueden deshacerse desde el historial de importaciones.': 'Error importing. The saved entries can be undone from the import history.',
+    '¿Deshacer la importación de "{fileName}"? Se borrarán {count} registros.': 'Undo the import of "{fileName}"? {count} entries will be deleted.',
+    'Importación deshecha.': 'Import undone.',
+    'Error al deshacer la importación. Inténtalo de nuevo.': 'Error undoing the import. Please try again.',
+    'Importar Histórico': 'Import History',
+    'Paso {step} de {total}: {name}': 'Step {step} of {total}: {name}',
+    'Tipo de datos': 'Data type',
+    'Fichero CSV o XLSX': 'CSV or XLSX file',
+    'Leyendo...': 'Reading...',
+    'Indica qué columna del fichero corresponde a cada campo. Las máquinas sin columna se ignoran.': 'Choose which file column matches each field. Machines without a column are ignored.',
+    '— Sin columna —': '— No column —',
+    'Columna {number}': 'Column {number}',
+    'Revisar filas': 'Review rows',
+    '{count} listas para importar': '{count} ready to import',
+    '{count} duplicadas (se omiten)': '{count} duplicates (skipped)',
+    '{count} con errores (se omiten)': '{count} with errors (skipped)',
+    'Fila': 'Row',
+    'Valores': 'Values',
+    'Estado': 'Status',
+    '{count} latas': '{count} cans',
+    'Ya existe un registro': 'An entry already exists',
+    'Repetida en el fichero': 'Repeated in the file',
+    'Guardando {done} de {total}...': 'Saving {done} of {total}...',
+    'Importando...': 'Importing...',
+    'Importar {count} registros': 'Import {count} entries',
+    '¡Importación completada! Se han guardado {imported} registros y se han omitido {skipped}.': 'Import complete! {imported} entries were saved and {skipped} were skipped.',
+    'Importar otro fichero': 'Import another file',
+    'Importaciones Recientes': 'Recent Imports',
+    'Cada importación puede deshacerse en bloque.': 'Each import can be undone as a whole.',
+    'Tipo': 'Type',
+    'Deshacer': 'Undo',
+
+    // --- Panel principal ---
+    'Sem. {date}': 'Wk. {date}',
+    'semana del {from} al {to}': 'week from {from} to {to}',
+    'semana del {date}': 'week of {date}',
+    'Últimos 7 días': 'Last 7 days',
+    'Últimos 30 días': 'Last 30 days',
+    'Últimos 90 días': 'Last 90 days',
+    'Este mes': 'This month',
+    'Personalizado': 'Custom',
+    'Día': 'Day',
+    'Semana': 'Week',
+    'Mes': 'Month',
+    'Panel de Control General': 'General Dashboard',
+    'Resumen de consumos recientes.': 'Summary of recent consumption.',
+    'Control Womack': 'Womack Control',
+    'Control Bodymaker': 'Bodymaker Control',
+    'Producción': 'Production',
+    'Histórico': 'History',
+    'Informes': 'Reports',
+    'Completitud': 'Completeness',
+    'Presupuesto': 'Budget',
+    'Mantenimiento': 'Maintenance',
+    'Comparar plantas': 'Compare plants',
+    'Importar': 'Import',
+    'Auditoría': 'Audit',
+    'Configuración': 'Settings',
+    'Umbrales y validación': 'Thresholds and validation',
+    'Precios': 'Prices',
+    'Periodo': 'Period',
+    'Agrupar por': 'Group by',
+    'Línea': 'Line',
+    'Todas': 'All',
+    'Máquina (bodymakers)': 'Machine (bodymakers)',
+    'Desde': 'From',
+    'Hasta': 'To',
+    'Consumo Womack ({range})': 'Womack Consumption ({range})',
+    'Consumo de agua y aceite total por {period}.': 'Water and total oil consumption by {period}.',
+    'Consumo Semanal Bodymakers (Última Semana del Periodo)': 'Weekly Bodymaker Consumption (Last Week of the Period)',
+    'Comparativa de consumo de aceite por máquina. Pulsa una barra para abrir la ficha de la máquina.': 'Oil consumption by machine. Click a bar to open the machine details.',
+    'Consumo por Turno ({range})': 'Consumption by Shift ({range})',
+    'Consumo medio por registro de cada turno. Los registros sin turno se muestran como día completo y no son comparables con un turno.': 'Average consumption per entry for each shift. Entries without a shift are shown as a whole day and are not comparable with a shift.',
+    'Turno': 'Shift',
+    'Registros': 'Entries',
+    'Agua media (m³)': 'Average water (m³)',
+    'Aceite medio (L)': 'Average oil (L)',
+    'Womack por Millón de Latas ({range})': 'Womack per Million Cans ({range})',
+    'Agua (m³/M latas, eje izquierdo) y aceite total (L/M latas, eje derecho) por {period}. Solo días con producción registrada.': 'Water (m³/M cans, left axis) and total oil (L/M cans, right axis) by {period}. Only days with recorded production.',
+    'Objetivo agua': 'Water target',
+    'Objetivo aceite': 'Oil target',
+    'Bodymakers por Millón de Latas ({range})': 'Bodymakers per Million Cans ({range})',
+    'Aceite (L/M latas) de cada máquina en el periodo. En rojo, las que superan el objetivo.': 'Oil (L/M cans) of each machine in the period. Machines above the target are shown in red.',
+    'Objetivo': 'Target',
+    'L/M latas': 'L/M cans',
+    'm³/M latas': 'm³/M cans',
+    'Agua Womack': 'Womack water',
+    'Aceite Womack': 'Womack oil',
+    'Aceite bodymakers': 'Bodymaker oil',
+    'Tendencia de Bodymakers por Máquina ({range})': 'Bodymaker Trend by Machine ({range})',
+    'Consumo de aceite de cada máquina por {period}. Filtra por línea o máquina para comparar menos series.': 'Oil consumption of each machine by {period}. Filter by line or machine to compare fewer series.',
+    'Mantenimiento en el Periodo': 'Maintenance in the Period',
+    'Eventos marcados con 🔧 en los gráficos. La ficha de cada equipo compara el consumo de antes y después.': 'Events marked with 🔧 in the charts. Each equipment page compares consumption before and after.',
+    'Periodo anterior: {value}': 'Previous period: {value}',
+    'Objetivo: {value}': 'Target: {value}',
+    'Costes ({range})': 'Costs ({range})',
+    'Importes calculados con el precio vigente en la fecha de cada lectura.': 'Amounts calculated with the price in force on the date of each reading.',
+    '{count} lectura(s) sin precio vigente no se incluyen en los costes. Revisa la tabla de precios.': '{count} reading(s) without a price in force are not included in the costs. Check the price table.',
+    'Total': 'Total',
+    'Bodymaker': 'Bodymaker',
+    'Aceite (L)': 'Oil (L)',
+    'Coste': 'Cost',
+
+    // --- Alertas de consumo ---
+    'Error: Añade un comentario para reconocer la alerta.': 'Error: Add a comment to acknowledge the alert.',
+    'Error al reconocer la alerta. Inténtalo de nuevo.': 'Error acknowledging the alert. Please try again.',
+    'Alertas de Consumo': 'Consumption Alerts',
+    '{count} pendiente(s) de reconocer. Posibles fugas o lecturas erróneas según los umbrales configurados.': '{count} pending acknowledgement. Possible leaks or wrong readings according to the configured thresholds.',
+    'No hay lecturas fuera de los umbrales.': 'No readings outside the thresholds.',
+    'Reconocida por {name} el {date}': 'Acknowledged by {name} on {date}',
+    'Comentario': 'Comment',
+    'Comentario (causa, acción tomada...)': 'Comment (cause, action taken...)',
+    'Reconocer': 'Acknowledge',
+
+    // --- Formularios de consumo ---
+    'Sin conexión: el registro queda pendiente y se sincronizará automáticamente.': 'Offline: the entry is pending and will sync automatically.',
+    'Sin conexión: las lecturas quedan pendientes y se sincronizarán automáticamente.': 'Offline: the readings are pending and will sync automatically.',
+    'Error al guardar. Inténtalo de nuevo.': 'Error saving. Please try again.',
+    'Error: No se ha podido conectar con la base de datos.': 'Error: Could not connect to the database.',
+    'Ya hay un registro de día completo para esta fecha y línea.': 'There is already a whole-day entry for this date and line.',
+    'Ya hay registros por turno para esta fecha y línea.': 'There are already shift entries for this date and line.',
+    'Error: Revisa los campos marcados.': 'Error: Check the highlighted fields.',
+    '¿Guardar de todas formas?': 'Save anyway?',
+    '¡Registro guardado con éxito!': 'Entry saved successfully!',
+    '¡Registro existente sobrescrito con éxito!': 'Existing entry overwritten successfully!',
+    '¡Registro actualizado con éxito!': 'Entry updated successfully!',
+    'Error al actualizar. Inténtalo de nuevo.': 'Error updating. Please try again.',
+    'Registro aprobado.': 'Entry approved.',
+    'Error al aprobar. Inténtalo de nuevo.': 'Error approving. Please try again.',
+    '¿Eliminar el registro del {date} ({line})?': 'Delete the entry of {date} ({line})?',
+    'Registro eliminado.': 'Entry deleted.',
+    'Error al eliminar. Inténtalo de nuevo.': 'Error deleting. Please try again.',
+    'Control Diario de Womack': 'Daily Womack Control',
+    'Introduce los consumos diarios de agua y aceite o, en modo contador, las lecturas acumuladas de los contadores.': 'Enter the daily water and oil consumption or, in meter mode, the cumulative meter readings.',
+    'Fecha': 'Date',
+    'Nombre del operario': 'Operator name',
+    'Modo de registro': 'Entry mode',
+    'Contador Agua': 'Water Meter',
+    'Contador Aceite Total': 'Total Oil Meter',
+    'Contador Aceite Parcial ({unit})': 'Partial Oil Meter ({unit})',
+    'Consumo Agua': 'Water Consumption',
+    'Consumo Aceite Total': 'Total Oil Consumption',
+    'Consumo Aceite Parcial ({unit})': 'Partial Oil Consumption ({unit})',
+    'Ej: 150': 'E.g. 150',
+    'Ej: 50': 'E.g. 50',
+    'Ej: 25': 'E.g. 25',
+    'Guardar Registro': 'Save Entry',
+    'Ya existe un registro para el {date} en {line}.': 'An entry already exists for {date} on {line}.',
+    'turno {shift}': 'shift {shift}',
+    'Historial Reciente ({line})': 'Recent History ({line})',
+    'Error: Debes seleccionar una semana e introducir al menos un consumo.': 'Error: You must select a week and enter at least one consumption.',
+    'Error: El registro debe conservar al menos un consumo. Usa "Eliminar" para borrarlo.': 'Error: The entry must keep at least one consumption. Use "Delete" to remove it.',
+    '¡Registros semanales guardados con éxito!': 'Weekly entries saved successfully!',
+    '¡Semana existente sobrescrita con éxito!': 'Existing week overwritten successfully!',
+    '¡Lecturas fusionadas con la semana existente!': 'Readings merged into the existing week!',
+    '¡Registro semanal actualizado con éxito!': 'Weekly entry updated successfully!',
+    'Registro semanal aprobado.': 'Weekly entry approved.',
+    '¿Eliminar los registros de la semana del {date} ({line})?': 'Delete the entries for the week of {date} ({line})?',
+    'Registro semanal eliminado.': 'Weekly entry deleted.',
+    'Control Semanal de Bodymakers': 'Weekly Bodymaker Control',
+    'Introduce los consumos de aceite para cada máquina de la línea o, en modo contador, las lecturas acumuladas de sus contadores.': 'Enter the oil consumption for each machine on the line or, in meter mode, the cumulative meter readings.',
+    'Inicio de Semana (Lunes)': 'Week Start (Monday)',
+    'Guardar Semana': 'Save Week',
+    'Ya existen lecturas para la semana del {date} en {line}.': 'Readings already exist for the week of {date} on {line}.',
+    'Historial Semanal Reciente ({line})': 'Recent Weekly History ({line})',
+    'Semana de': 'Week of',
+
+    // --- Auditoría ---
+    'Producción línea': 'Line production',
+    'Producción bodymaker': 'Bodymaker production',
+    'Edición': 'Edit',
+    'Sobrescritura': 'Overwrite',
+    'Fusión': 'Merge',
+    'Aprobación': 'Approval',
+    'Eliminación': 'Deletion',
+    'Reversión': 'Revert',
+    '¿Revertir este cambio y restaurar los valores anteriores?': 'Revert this change and restore the previous values?',
+    'Cambio revertido con éxito.': 'Change reverted successfully.',
+    'Error al revertir: {error}': 'Error reverting: {error}',
+    'Registro de Auditoría': 'Audit Log',
+    'Últimos 100 cambios sobre los registros de consumo. Las ediciones y eliminaciones pueden revertirse.': 'Last 100 changes to the consumption entries. Edits and deletions can be reverted.',
+    'Usuario': 'User',
+    'Acción': 'Action',
+    'Registro': 'Entry',
+    'Cambios': 'Changes',
+    'Revertido {date}': 'Reverted {date}',
+    'Revirtiendo...': 'Reverting...',
+    'Revertir': 'Revert',
+
+    // --- Configuración de planta ---
+    '¿Quitar {name} de la configuración? Los registros existentes no se borran.': 'Remove {name} from the settings? Existing entries are not deleted.',
+    'Turno {number}': 'Shift {number}',
+    '¿Quitar el turno {name}? Los registros existentes no se borran.': 'Remove the {name} shift? Existing entries are not deleted.',
+    'Error: Debe existir al menos una línea.': 'Error: There must be at least one line.',
+    'Error: Hay máquinas con el mismo número en varias posiciones.': 'Error: Several machines share the same number.',
+    'Error: Todas las líneas necesitan nombre y abreviatura.': 'Error: Every line needs a name and a short name.',
+    'Error: Todas las máquinas necesitan número y nombre.': 'Error: Every machine needs a number and a name.',
+    'Error: La fecha de baja de una máquina es anterior a su fecha de alta.': 'Error: A machine\'s removal date is before its start date.',
+    'Error: Todos los turnos necesitan nombre, hora de inicio y hora de fin.': 'Error: Every shift needs a name, a start time and an end time.',
+    '¡Configuración guardada con éxito!': 'Settings saved successfully!',
+    'Configuración de Planta': 'Plant Settings',
+    'Líneas, bodymakers y turnos que aparecen en los formularios, historiales y gráficos. Para retirar una máquina indica su fecha de baja en lugar de borrarla.': 'Lines, bodymakers and shifts shown in the forms, histories and charts. To retire a machine, set its removal date instead of deleting it.',
+    'Nombre de la línea {line}': 'Name of line {line}',
+    'Abreviatura': 'Short name',
+    'Quitar línea': 'Remove line',
+    'Número': 'Number',
+    'Nombre': 'Name',
+    'Alta': 'Start',
+    'Baja': 'Removal',
+    'Quitar': 'Remove',
+    'Añadir bodymaker': 'Add bodymaker',
+    'Calendario de turnos': 'Shift schedule',
+    'Turnos que se ofrecen en el registro Womack. Un turno que termina antes de empezar cruza la medianoche y se registra con la fecha de inicio.': 'Shifts offered in the Womack form. A shift that ends before it starts crosses midnight and is recorded with its start date.',
+    'Código': 'Code',
+    'Inicio': 'Start',
+    'Fin': 'End',
+    'Nombre del turno {shift}': 'Name of shift {shift}',
+    'Inicio del turno {shift}': 'Start of shift {shift}',
+    'Fin del turno {shift}': 'End of shift {shift}',
+    'Añadir turno': 'Add shift',
+    'Añadir línea': 'Add line',
+    'Guardar Configuración': 'Save Settings',
+
+    // --- Acceso y perfil ---
+    'Iniciar Sesión': 'Sign In',
+    'Crear Cuenta': 'Create Account',
+    'Restablecer Contraseña': 'Reset Password',
+    'Error: Todos los campos son obligatorios.': 'Error: All fields are required.',
+    'Te hemos enviado un correo para restablecer la contraseña.': 'We have sent you an email to reset your password.',
+    'Correo o contraseña incorrectos.': 'Wrong email or password.',
+    'El correo no tiene un formato válido.': 'The email address is not valid.',
+    'Ya existe una cuenta con ese correo.': 'An account with that email already exists.',
+    'La contraseña debe tener al menos 6 caracteres.': 'The password must have at least 6 characters.',
+    'Demasiados intentos. Espera unos minutos.': 'Too many attempts. Wait a few minutes.',
+    'No se ha podido completar la operación.': 'The operation could not be completed.',
+    'Accede con tu cuenta para registrar y consultar consumos.': 'Sign in with your account to record and view consumption.',
+    'Correo electrónico': 'Email',
+    'Contraseña': 'Password',
+    'Enviando...': 'Sending...',
+    'Crear cuenta': 'Create account',
+    '¿Olvidaste la contraseña?': 'Forgot your password?',
+    'Volver a iniciar sesión': 'Back to sign in',
+    'Error: El nombre es obligatorio.': 'Error: The name is required.',
+    '¡Perfil actualizado con éxito!': 'Profile updated successfully!',
+    '¿Seguro que quieres cambiar tu propio rol? Podrías perder el acceso a esta pantalla.': 'Are you sure you want to change your own role? You could lose access to this screen.',
+    'Rol de {name} actualizado.': 'Role of {name} updated.',
+    'Error al cambiar el rol. Inténtalo de nuevo.': 'Error changing the role. Please try again.',
+    'Plantas de {name} actualizadas.': 'Plants of {name} updated.',
+    'Error al cambiar las plantas. Inténtalo de nuevo.': 'Error changing the plants. Please try again.',
+    'Solo minúsculas, números y guiones (máx. 30).': 'Lowercase letters, numbers and hyphens only (max. 30).',
+    'Planta {name} guardada.': 'Plant {name} saved.',
+    'Error al guardar la planta. Inténtalo de nuevo.': 'Error saving the plant. Please try again.',
+    'Mi Perfil': 'My Profile',
+    'Nombre visible en los registros': 'Name shown on entries',
+    'Guardar Perfil': 'Save Profile',
+    'Usuarios y Roles': 'Users and Roles',
+    'Los operarios registran consumos, los supervisores editan y aprueban, y los administradores gestionan la configuración.': 'Operators record consumption, supervisors edit and approve, and administrators manage the settings.',
+    'Correo': 'Email',
+    'Rol': 'Role',
+    'Plantas': 'Plants',
+    'Rol de {name}': 'Role of {name}',
+    'Cada planta tiene sus propios registros y su propia configuración. Los administradores acceden a todas; el resto de usuarios, a las que se les asignen arriba.': 'Each plant has its own entries and settings. Administrators can access all of them; other users, the ones assigned above.',
+    'Id': 'Id',
+    'Id de la planta': 'Plant id',
+    'Ej: sevilla': 'E.g. seville',
+    'Ej: Planta Sevilla': 'E.g. Seville Plant',
+    'Guardar Planta': 'Save Plant',
+    'El id no se puede cambiar después: forma parte de la ruta de los datos. Para renombrar una planta, guarda su id con el nombre nuevo.': 'The id cannot be changed later: it is part of the data path. To rename a plant, save its id with the new name.',
+    'Sin resumen': 'No summary',
+    'Diario': 'Daily',
+    'Semanal (los lunes)': 'Weekly (on Mondays)',
+    'Microsoft Teams': 'Microsoft Teams',
+    'Slack': 'Slack',
+    'JSON genérico': 'Generic JSON',
+    'La URL debe empezar por https://.': 'The URL must start with https://.',
+    '¡Preferencias de avisos guardadas!': 'Notification preferences saved!',
+    'Avisos': 'Notifications',
+    'Resumen de consumos y alertas de las lecturas fuera de los umbrales de tus plantas, por correo o en un canal de Teams o Slack mediante un webhook.': 'Consumption summary and alerts for readings outside the thresholds of your plants, by email or in a Teams or Slack channel through a webhook.',
+    'Resumen de consumos': 'Consumption summary',
+    'Alertas inmediatas al registrar una lectura fuera de los umbrales': 'Immediate alerts when a reading outside the thresholds is recorded',
+    'Enviar por correo a {email}': 'Send by email to {email}',
+    'Enviar por correo (tu cuenta no tiene correo)': 'Send by email (your account has no email)',
+    'URL del webhook (opcional)': 'Webhook URL (optional)',
+    'Formato del webhook': 'Webhook format',
+    'Guardar Avisos': 'Save Notifications',
+
+    // --- Histórico ---
+    'Histórico de Consumos': 'Consumption History',
+    'Filtra el histórico completo y expórtalo. El fichero Excel incluye una hoja de resumen con los totales por línea.': 'Filter the full history and export it. The Excel file includes a summary sheet with the totals per line.',
+    'Turno (Womack)': 'Shift (Womack)',
+    'Todos': 'All',
+    'Exportar CSV': 'Export CSV',
+    'Exportar Excel': 'Export Excel',
+    'Mostrando los primeros {shown} de {total} registros. La exportación incluye todos.': 'Showing the first {shown} of {total} entries. The export includes all of them.',
+    'Aceite Total (L)': 'Total Oil (L)',
+    'Aceite Parcial (L)': 'Partial Oil (L)',
+    'Registrado por': 'Recorded by',
+    'Máquina': 'Machine',
+    'Consumo Aceite (L)': 'Oil Consumption (L)',
+
+    // --- Cola sin conexión ---
+    'Pendiente': 'Pending',
+    'Sincronizando...': 'Syncing...',
+    'Conflicto': 'Conflict',
+    'Error': 'Error',
+    'Conectado': 'Online',
+    'Sin conexión': 'Offline',
+    '{count} registro(s) sin sincronizar': '{count} entry(ies) not synced',
+    ', {count} con conflicto': ', {count} with conflicts',
+    'Sincronizar ahora': 'Sync now',
+    'Ocultar': 'Hide',
+    'Ver cola': 'Show queue',
+    'Mientras estabas sin conexión se guardó otro registro con la misma clave.': 'While you were offline another entry with the same key was saved.',
+
+    // --- Umbrales y validación ---
+    'Heredado: {value}': 'Inherited: {value}',
+    'Heredado: sin límite': 'Inherited: no limit',
+    'Sin límite': 'No limit',
+    'Error: La media móvil necesita al menos {count} lecturas.': 'Error: The moving average needs at least {count} readings.',
+    'Error: Revisa los decimales y que ningún mínimo supere a su máximo.': 'Error: Check the decimals and that no minimum exceeds its maximum.',
+    'Error: Los objetivos de consumo específico deben ser mayores que cero.': 'Error: The specific consumption targets must be greater than zero.',
+    '¡Umbrales, reglas de validación y objetivos guardados con éxito!': 'Thresholds, validation rules and targets saved successfully!',
+    'Umbrales de Alerta y Validación': 'Alert Thresholds and Validation',
+    'Una lectura genera una alerta si supera cualquiera de los criterios rellenados. Las desviaciones se calculan frente a la media de las lecturas anteriores. Deja un campo vacío para no aplicarlo o, en las reglas por línea y máquina, para heredar el valor general.': 'A reading raises an alert if it exceeds any of the criteria filled in. Deviations are calculated against the average of the previous readings. Leave a field empty to not apply it or, in the line and machine rules, to inherit the general value.',
+    'Lecturas para la media móvil': 'Readings for the moving average',
+    'Womack (lectura diaria por línea)': 'Womack (daily reading per line)',
+    'Agua (m³)': 'Water (m³)',
+    'Aceite total (L)': 'Total oil (L)',
+    '{label} · general': '{label} · general',
+    'Bodymakers (consumo semanal de aceite, L)': 'Bodymakers (weekly oil consumption, L)',
+    'General': 'General',
+    'Validación de formularios': 'Form validation',
+    'Los valores fuera de rango o con más decimales de los permitidos no se pueden guardar. Si un valor multiplica por el factor indicado el de la semana anterior, se pide confirmación antes de guardarlo (vacío = sin aviso).': 'Values out of range or with more decimals than allowed cannot be saved. If a value multiplies the previous week\'s value by the given factor, confirmation is requested before saving it (empty = no warning).',
+    'Decimales admitidos': 'Allowed decimals',
+    'Factor de aviso': 'Warning factor',
+    'Mínimo': 'Minimum',
+    'Máximo': 'Maximum',
+    'Mínimo {field}': 'Minimum {field}',
+    'Máximo {field}': 'Maximum {field}',
+    'Objetivos de consumo por millón de latas': 'Consumption targets per million cans',
+    'Se dibujan como referencia en los gráficos de consumo específico del panel (vacío = sin objetivo).': 'They are drawn as a reference in the specific consumption charts of the dashboard (empty = no target).',
+    'Sin objetivo': 'No target',
+    'Guardar Umbrales': 'Save Thresholds',
+
+    // --- Precios ---
+    'Lubricante {number}': 'Lubricant {number}',
+    'Error: Cada precio necesita fecha de inicio y un importe válido.': 'Error: Each price needs a start date and a valid amount.',
+    'Error: Hay dos precios del agua con la misma fecha de inicio.': 'Error: There are two water prices with the same start date.',
+    'Error: Hay dos precios del mismo lubricante con la misma fecha de inicio.': 'Error: There are two prices for the same lubricant with the same start date.',
+    'Error: Todos los lubricantes necesitan nombre.': 'Error: Every lubricant needs a name.',
+    'Error: Hay precios o líneas que usan un lubricante eliminado.': 'Error: Some prices or lines use a deleted lubricant.',
+    '¡Precios guardados con éxito!': 'Prices saved successfully!',
+    'Tabla de Precios': 'Price Table',
+    'Cada precio rige desde su fecha de inicio hasta el siguiente del mismo concepto. Los costes del panel usan el precio vigente en la fecha de cada lectura.': 'Each price applies from its start date until the next one for the same item. The dashboard costs use the price in force on the date of each reading.',
+    'Agua (€/m³)': 'Water (€/m³)',
+    'Precio (€/m³)': 'Price (€/m³)',
+    'Precio': 'Price',
+    'Añadir precio': 'Add price',
+    'Lubricantes': 'Lubricants',
+    'Nombre del lubricante': 'Lubricant name',
+    'Añadir lubricante': 'Add lubricant',
+    'Aceite (€/L)': 'Oil (€/L)',
+    'Lubricante': 'Lubricant',
+    'Precio (€/L)': 'Price (€/L)',
+    'Lubricante por línea': 'Lubricant per line',
+    'Womack': 'Womack',
+    'Bodymakers': 'Bodymakers',
+    'Lubricante {kind} de {line}': '{kind} lubricant for {line}',
+    'Guardar Precios': 'Save Prices',
+
+    // --- Producción ---
+    '¡Producción guardada con éxito!': 'Production saved successfully!',
+    '¡Producción fusionada con la semana existente!': 'Production merged into the existing week!',
+    'Sin conexión: la producción queda pendiente y se sincronizará automáticamente.': 'Offline: the production is pending and will sync automatically.',
+    'Introduce la producción de al menos una máquina.': 'Enter the production of at least one machine.',
+    'Registro de producción eliminado.': 'Production entry deleted.',
+    'Registro de Producción': 'Production Log',
+    'Latas fabricadas por línea y día y por bodymaker y semana. Se usan para calcular el consumo por millón de latas.': 'Cans made per line and day and per bodymaker and week. They are used to calculate the consumption per million cans.',
+    'Producción diaria de la línea': 'Daily line production',
+    'Ej: 1250000': 'E.g. 1250000',
+    'Guardar Día': 'Save Day',
+    'Producción semanal por bodymaker': 'Weekly production per bodymaker',
+    'Ya existe producción del {date} en {line}.': 'Production already exists for {date} on {line}.',
+    'Ya existe producción de la semana del {date} en {line}.': 'Production already exists for the week of {date} on {line}.',
+    'Producción Diaria Reciente ({line})': 'Recent Daily Production ({line})',
+    '¿Eliminar la producción del {date} (Línea {line})?': 'Delete the production of {date} (Line {line})?',
+    'Producción Semanal Reciente ({line})': 'Recent Weekly Production ({line})',
+    '¿Eliminar la producción de la semana del {date} (Línea {line})?': 'Delete the production for the week of {date} (Line {line})?',
+
+    // --- Informes ---
+    'Semanal': 'Weekly',
+    'Mensual': 'Monthly',
+    'Error al generar el PDF. Inténtalo de nuevo.': 'Error generating the PDF. Please try again.',
+    'Informe de consumos de una semana o un mes, comparado con el periodo anterior, para imprimir o descargar en PDF.': 'Consumption report for a week or a month, compared with the previous period, to print or download as PDF.',
+    'Tipo de informe': 'Report type',
+    'Semana (cualquier día)': 'Week (any day)',
+    'Imprimir': 'Print',
+    'Generando...': 'Generating...',
+    'Descargar PDF': 'Download PDF',
+    'Informe semanal de consumos': 'Weekly consumption report',
+    'Informe mensual de consumos': 'Monthly consumption report',
+    'Periodo: {range}': 'Period: {range}',
+    'Comparado con: {range} · Generado el {date}': 'Compared with: {range} · Generated on {date}',
+    'Womack por línea': 'Womack by line',
+    'Días': 'Days',
+    'Var.': 'Change',
+    'Bodymakers por máquina': 'Bodymakers by machine',
+    'Sin lecturas de bodymakers en el periodo ni en el anterior.': 'No bodymaker readings in this period or the previous one.',
+    'Alertas del periodo ({count})': 'Alerts in the period ({count})',
+    'No hubo lecturas fuera de los umbrales.': 'There were no readings outside the thresholds.',
+    'Reconocida por {name}: “{comment}”': 'Acknowledged by {name}: “{comment}”',
+    'Pendiente de reconocer': 'Pending acknowledgement',
+
+    // --- Completitud y recordatorios ---
+    'Registrado': 'Recorded',
+    'Turnos incompletos': 'Incomplete shifts',
+    'Sin registro': 'Not recorded',
+    'Futuro': 'Future',
+    'Fuera de servicio': 'Out of service',
+    'Womack {line}: falta el registro de hoy.': 'Womack {line}: today\'s entry is missing.',
+    'Womack {line}: faltan los turnos {shifts} de hoy.': 'Womack {line}: today\'s {shifts} shift entries are missing.',
+    'Bodymakers {line}: faltan {machines} en la semana del {date}.': 'Bodymakers {line}: {machines} missing for the week of {date}.',
+    '{ratio} % completo': '{ratio} % complete',
+    'Completitud de Registros': 'Entry Completeness',
+    'Días sin registro Womack y máquinas sin lectura semanal. Pasa el ratón por una casilla para ver la fecha.': 'Days without a Womack entry and machines without a weekly reading. Hover over a cell to see the date.',
+    'Últimas {count} semanas': 'Last {count} weeks',
+    'Registrar {date}': 'Record {date}',
+    'Registros pendientes': 'Pending entries',
+    'Registrar': 'Record',
+    'Ver completitud': 'View completeness',
+    'Ocultar hoy': 'Hide for today',
+
+    // --- Presupuesto ---
+    '{label}: la previsión de fin de mes ({forecast}) supera el presupuesto del mes en {excess}.': '{label}: the month-end forecast ({forecast}) exceeds the monthly budget by {excess}.',
+    '{label}: la previsión de fin de año ({forecast}) supera el presupuesto anual en {excess}.': '{label}: the year-end forecast ({forecast}) exceeds the annual budget by {excess}.',
+    'Editar presupuesto': 'Edit budget',
+    'Presupuesto y Previsión': 'Budget and Forecast',
+    'Consumo real frente al presupuesto de cada línea y previsión de fin de mes y de año según el ritmo reciente. El aceite incluye Womack y bodymakers.': 'Actual consumption against each line\'s budget and month-end and year-end forecast based on the recent rate. Oil includes Womack and bodymakers.',
+    'Año': 'Year',
+    'Línea (gráficos)': 'Line (charts)',
+    'Previsión por encima del presupuesto': 'Forecast above budget',
+    'Magnitud': 'Measure',
+    'Presupuesto anual': 'Annual budget',
+    'Real {year}': 'Actual {year}',
+    'Previsión fin de año': 'Year-end forecast',
+    'Desviación': 'Deviation',
+    '{metric} acumulado {line} ({year})': 'Cumulative {metric} {line} ({year})',
+    'Real y previsión acumulados frente al presupuesto ({unit}).': 'Cumulative actual and forecast against the budget ({unit}).',
+    'Fin de mes previsto: {forecast} de {budget}.': 'Expected month end: {forecast} of {budget}.',
+    'Real': 'Actual',
+    'Previsión': 'Forecast',
+    'Error: Los importes del presupuesto deben ser números positivos.': 'Error: The budget amounts must be positive numbers.',
+    '¡Presupuesto guardado con éxito!': 'Budget saved successfully!',
+    'Presupuesto de Consumos': 'Consumption Budget',
+    'Presupuesto mensual de agua (m³) y aceite (L, Womack y bodymakers) de cada línea. Un importe anual se puede repartir entre los meses en proporción a sus días.': 'Monthly water (m³) and oil (L, Womack and bodymakers) budget for each line. An annual amount can be spread across the months in proportion to their days.',
+    'Presupuesto anual de {metric} de {line}': 'Annual {metric} budget for {line}',
+    'Importe anual': 'Annual amount',
+    'Repartir': 'Spread',
+    'Guardar Presupuesto': 'Save Budget',
+
+    // --- Mantenimiento ---
+    'Cambio de retenes/juntas': 'Seal/gasket change',
+    'Mantenimiento preventivo': 'Preventive maintenance',
+    'Reparación': 'Repair',
+    'Ajuste': 'Adjustment',
+    'Limpieza': 'Cleaning',
+    'Otro': 'Other',
+    'Equipo': 'Equipment',
+    'Parada (h)': 'Downtime (h)',
+    'Descripción': 'Description',
+    'Ver ficha': 'View details',
+    '¡Evento registrado con éxito!': 'Event recorded successfully!',
+    'Error: Sin conexión. Los eventos de mantenimiento necesitan conexión para guardarse.': 'Error: Offline. Maintenance events need a connection to be saved.',
+    '¿Eliminar el evento del {date} ({target})?': 'Delete the event of {date} ({target})?',
+    'Evento eliminado.': 'Event deleted.',
+    'Registro de Mantenimiento': 'Maintenance Log',
+    'Anota los cambios de retenes, reparaciones y demás intervenciones para explicar los cambios de consumo.': 'Record seal changes, repairs and other interventions to explain changes in consumption.',
+    'Parada (horas)': 'Downtime (hours)',
+    'Ej: 1.5': 'E.g. 1.5',
+    'Ej: Cambio de retén del pistón': 'E.g. Piston seal change',
+    'Registrar Evento': 'Record Event',
+    'Eventos del Último Año': 'Events in the Last Year',
+    'Ficha de {target}': '{target} details',
+    'Consumo diario con los eventos de mantenimiento marcados con 🔧.': 'Daily consumption with maintenance events marked with 🔧.',
+    'Consumo semanal con los eventos de mantenimiento marcados con 🔧.': 'Weekly consumption with maintenance events marked with 🔧.',
+    'Últimos {count} días': 'Last {count} days',
+    'Consumo Antes y Después de Cada Evento': 'Consumption Before and After Each Event',
+    'Media de {periods} con lectura a cada lado del evento, sin contar el día del propio evento.': 'Average of {periods} with a reading on each side of the event, not counting the day of the event itself.',
+    'Media de {periods} con lectura a cada lado del evento, sin contar la semana del propio evento.': 'Average of {periods} with a reading on each side of the event, not counting the week of the event itself.',
+    'No hay eventos de mantenimiento de este equipo en el periodo.': 'There are no maintenance events for this equipment in the period.',
+    '{metric} antes ({unit})': '{metric} before ({unit})',
+    '{metric} después ({unit})': '{metric} after ({unit})',
+    'Cambio': 'Change',
+    'Todo el histórico': 'Full history',
+    'Media móvil ({weeks} sem.)': 'Moving average ({weeks} wk.)',
+    'Mediana de la línea': 'Line median',
+    'Comparativa con la Línea': 'Line Comparison',
+    'Consumo semanal medio de cada bodymaker de {line} en el periodo, de mayor a menor: las primeras posiciones son las candidatas a revisar antes.': 'Average weekly consumption of each bodymaker on {line} in the period, from highest to lowest: the top positions are the first candidates for servicing.',
+    'Puesto en la línea': 'Rank in the line',
+    '{rank} de {total}': '{rank} of {total}',
+    'Media semanal (L)': 'Weekly average (L)',
+    'Frente a la mediana': 'Versus the median',
+    'Frente a {machine}': 'Versus {machine}',
+    'No hay lecturas de los bodymakers de esta línea en el periodo.': 'There are no readings for the bodymakers of this line in the period.',
+    'Puesto': 'Rank',
+
+    // --- Comparativa entre plantas ---
+    'Comparativa entre Plantas': 'Plant Comparison',
+    'Consumos y consumo específico de cada planta a la que tienes acceso.': 'Consumption and specific consumption of each plant you have access to.',
+    'Resumen por Planta ({range})': 'Summary by Plant ({range})',
+    'Totales del periodo y consumo por millón de latas (solo días y semanas con producción registrada).': 'Period totals and consumption per million cans (only days and weeks with recorded production).',
+    'Planta': 'Plant',
+    'Aceite Womack (L)': 'Womack oil (L)',
+    'Aceite bodymakers (L)': 'Bodymaker oil (L)',
+    'Consumo Womack por Planta ({range})': 'Womack Consumption by Plant ({range})',
+    'Agua y aceite total de todas las líneas de cada planta por {period}.': 'Water and total oil of all the lines of each plant by {period}.',
+    'Agua (m³/M latas, eje izquierdo) y aceite total (L/M latas, eje derecho) de cada planta por {period}.': 'Water (m³/M cans, left axis) and total oil (L/M cans, right axis) of each plant by {period}.',
+    'Aceite (L/M latas) de todos los bodymakers de cada planta en el periodo.': 'Oil (L/M cans) of all the bodymakers of each plant in the period.',
+
+    // --- Aplicación ---
+    'Error de Configuración': 'Configuration Error',
+    'Asegúrate de haber configurado correctamente la variable de entorno `REACT_APP_FIREBASE_CONFIG` en Vercel.': 'Make sure the `REACT_APP_FIREBASE_CONFIG` environment variable is set correctly in Vercel.',
+    'Cargando perfil...': 'Loading profile...',
+    'Tu cuenta está pendiente de que un administrador le asigne un rol.': 'Your account is waiting for an administrator to assign it a role.',
+    'Tu usuario no tiene acceso a ninguna planta. Pide acceso a un administrador.': 'Your user has no access to any plant. Ask an administrator for access.',
+    'Control de consumo de agua y aceites Frontend': 'Water and Oil Consumption Control Frontend',
+    'Idioma': 'Language',
+    'Mi perfil': 'My profile',
+    'Cerrar sesión': 'Sign out',
+};